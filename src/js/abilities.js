@@ -398,99 +398,3 @@ export function calculateAbilityDamage(slot, basicType = null) {
 export function getAllAbilities() {
   return Object.values(PLAYER_ABILITIES);
 }
-
-// ============================================
-// ENEMY WEAPONS (unchanged from weapons.js)
-// ============================================
-export const ENEMY_WEAPONS = {
-  // Melee weapons (range = 1, adjacent only)
-  melee_claws: {
-    name: 'Claws',
-    type: 'melee',
-    combatType: 'melee',
-    range: 1,
-    baseDamage: 4,
-    cooldown: 1200,
-    moveSpeed: 350
-  },
-  melee_bite: {
-    name: 'Bite',
-    type: 'melee',
-    combatType: 'melee',
-    range: 1,
-    baseDamage: 5,
-    cooldown: 1000,
-    moveSpeed: 320
-  },
-  melee_club: {
-    name: 'Club',
-    type: 'melee',
-    combatType: 'melee',
-    range: 1,
-    baseDamage: 9,
-    cooldown: 1300,
-    moveSpeed: 380
-  },
-  melee_spear: {
-    name: 'Spear',
-    type: 'melee',
-    combatType: 'melee',
-    range: 1,
-    baseDamage: 11,
-    cooldown: 1100,
-    moveSpeed: 320
-  },
-  boss_blade: {
-    name: 'Captain\'s Blade',
-    type: 'melee',
-    combatType: 'melee',
-    range: 1,
-    baseDamage: 20,
-    cooldown: 1000,
-    moveSpeed: 320
-  },
-
-  // Ranged weapons (range = 6)
-  ranged_rifle: {
-    name: 'Rifle',
-    type: 'ranged',
-    combatType: 'ranged',
-    range: 6,
-    baseDamage: 10,
-    cooldown: 1600,
-    moveSpeed: 450
-  },
-  ranged_bolt: {
-    name: 'Bolt',
-    type: 'ranged',
-    combatType: 'ranged',
-    range: 6,
-    baseDamage: 13,
-    cooldown: 2000,
-    moveSpeed: 480
-  },
-  karth_laser: {
-    name: 'Karth Laser',
-    type: 'ranged',
-    combatType: 'ranged',
-    range: 6,
-    baseDamage: 14,
-    cooldown: 1600,
-    moveSpeed: 420
-  },
-  guard_rifle: {
-    name: 'Guard Rifle',
-    type: 'ranged',
-    combatType: 'ranged',
-    range: 6,
-    baseDamage: 18,
-    cooldown: 1400,
-    moveSpeed: 400
-  }
-};
-
-// Aliases for existing enemy definitions
-ENEMY_WEAPONS.claws = ENEMY_WEAPONS.melee_claws;
-ENEMY_WEAPONS.trog_spear = ENEMY_WEAPONS.melee_spear;
-ENEMY_WEAPONS.ritual_bolt = ENEMY_WEAPONS.ranged_bolt;
-
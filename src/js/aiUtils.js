@@ -8,7 +8,7 @@
 
 import { AI } from './aiConstants.js';
 import { nowMs, toPerfTime, isExpired, remainingMs, isDeepNight } from './time.js';
-import { isPositionIlluminated, isTorchEnabled } from './game.js';
+import { getWeatherEffects } from './weather.js';
 import { distCoords } from './utils.js';
 import { getMaxHP } from './entityCompat.js';
 
@@ -148,13 +148,26 @@ export function getLeashRadius(enemy) {
   return enemy.leashRadius ?? AI.DEFAULT_LEASH_RADIUS;
 }
 
+// Light query for night sight (set by game.js, which owns the lighting pass)
+let isPositionIlluminated = () => false;
+
+/**
+ * Register the light query used for night sight.
+ * Called by game.js during initialization; until then nothing counts as lit.
+ * @param {function(number, number): boolean} query - (x, y) => tile is lit
+ */
+export function setLightQuery(query) {
+  isPositionIlluminated = query;
+}
+
 /** 
  * Get enemy's effective aggro radius
  * During deep night (00:00-06:00), aggressive enemies have 50% reduced sight
  * UNLESS they are standing in a light source (lamp or player torch)
+ * Weather (dust, haze, ash) shortens sight on top of that
  */
 export function getAggroRadius(enemy) {
-  const baseRadius = enemy.aggroRadius ?? AI.DEFAULT_AGGRO_RADIUS;
+  const baseRadius = (enemy.aggroRadius ?? AI.DEFAULT_AGGRO_RADIUS) * getWeatherEffects().vision;
   
   // Only reduce sight during deep night (00:00-06:00)
   if (isDeepNight()) {
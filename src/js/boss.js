@@ -0,0 +1,407 @@
+/**
+ * VETUU — Boss Encounter Module
+ * Data-driven boss fights (entities.json "bosses")
+ *
+ * A boss waits as a static marker until the player steps inside its
+ * arenaRadius. The encounter then spawns the boss as a live enemy and:
+ * - seals the arena: the player can't walk out, the boss and its adds never leash
+ * - walks HP-threshold phases (announce, spawn adds, swap ability rotation)
+ * - casts rotation abilities with telegraphs between basic attacks
+ *     "aim"    - marksman glow on the boss, then a heavy shot if it has LOS
+ *     "ground" - grenade circle on the target tile (player or self), then a blast
+ * - shows a boss health bar
+ * - resets completely when the player dies (wipe)
+ *
+ * Encounter logic runs headless; the arena ring and boss bar are drawn by
+ * initBossView() from EVENTS.BOSS_CHANGED.
+ *
+ * Boss definition fields:
+ *   arenaRadius, hpMultiplier, atkMultiplier,
+ *   abilities: { id: { name, telegraph, castMs, damage, radius?, range?, target? } },
+ *   phases: [{ name, hpBelow, announce?, atkMultiplier?, adds?: [{ type, count, level? }],
+ *              rotation: [{ ability, after }] }]   (after = seconds before the cast)
+ */
+
+import {
+  spawnBoss, provokeEnemy, hitPlayerWithAbility,
+  showGroundTelegraph, clearGroundTelegraph, showExplosionEffect,
+  updateEnemyAimingVisual, showProjectile
+} from './combat.js';
+import { spawnScriptedEnemy } from './spawnDirector.js';
+import { hasLineOfSight, canMoveTo } from './collision.js';
+import { hasFlag } from './save.js';
+import { TILE_SIZE, renderActors } from './render.js';
+import { distCoords } from './utils.js';
+import { nowMs } from './time.js';
+import { rng } from './rng.js';
+import { on, emit, EVENTS } from './events.js';
+
+// Retry delay when a cast can't start (e.g. aimed shot without LOS)
+const CAST_RETRY_MS = 500;
+
+let currentState = null;
+
+// Active encounter: { def, boss, arena, baseAtk, phaseIndex, rotationIndex, nextCastAt, cast, adds }
+let encounter = null;
+
+// View state (browser only)
+let shownEncounter = null;
+let arenaEl = null;
+let bossBar = null;
+let bossBarName = null;
+let bossBarPhase = null;
+let bossBarFill = null;
+let bossBarText = null;
+let bossBarCast = null;
+
+// ============================================
+// INITIALIZATION
+// ============================================
+export function initBosses(state) {
+  currentState = state;
+}
+
+/**
+ * DOM side: arena ring, boss bar and the static marker swap follow BOSS_CHANGED.
+ */
+export function initBossView() {
+  bossBar = document.getElementById('boss-bar');
+  bossBarName = document.getElementById('boss-bar-name');
+  bossBarPhase = document.getElementById('boss-bar-phase');
+  bossBarFill = document.getElementById('boss-bar-fill');
+  bossBarText = document.getElementById('boss-bar-text');
+  bossBarCast = document.getElementById('boss-bar-cast');
+
+  on(EVENTS.BOSS_CHANGED, renderBossEncounter);
+}
+
+/**
+ * Tell the view the encounter started, changed (HP, phase, cast) or ended.
+ */
+function announceEncounter() {
+  emit(EVENTS.BOSS_CHANGED, { encounter });
+}
+
+// ============================================
+// ENCOUNTER START / END
+// ============================================
+
+/**
+ * Start an encounter if the player has stepped into an available boss arena.
+ * Call after every completed player move.
+ */
+export function checkBossArenas(x, y) {
+  if (!currentState || encounter) return;
+
+  for (const def of currentState.entities.bosses) {
+    if (!def.arenaRadius) continue;
+    if (def.requires?.flag && !hasFlag(currentState, def.requires.flag)) continue;
+    if (currentState.runtime.defeatedBosses.has(def.id)) continue;
+
+    if (distCoords(x, y, def.x, def.y) <= def.arenaRadius) {
+      startEncounter(def);
+      return;
+    }
+  }
+}
+
+function startEncounter(def) {
+  const boss = spawnBoss(currentState, def);
+  const arena = { x: def.x, y: def.y, radius: def.arenaRadius };
+  boss.arena = arena;
+
+  currentState.runtime.engagedBosses.add(def.id);
+
+  encounter = {
+    def,
+    boss,
+    arena,
+    baseAtk: boss.atk,
+    phaseIndex: -1,
+    rotationIndex: 0,
+    nextCastAt: 0,
+    cast: null,
+    adds: []
+  };
+
+  provokeEnemy(boss, nowMs(), 'boss_encounter');
+  enterPhase(0, nowMs());
+
+  emit(EVENTS.NOTIFY, { message: `${def.name} blocks your escape!`, type: 'error' });
+}
+
+/**
+ * Boss died: release the arena (called from combat's death handling).
+ */
+export function onBossDefeated(boss) {
+  if (!encounter || encounter.boss !== boss) return;
+
+  // Surviving adds go back to normal leash rules
+  for (const add of encounter.adds) delete add.arena;
+
+  endEncounter();
+}
+
+/**
+ * Player died inside the arena: despawn the boss and its adds, back to the static marker.
+ */
+export function resetBossEncounter() {
+  if (!encounter) return;
+
+  const { def, boss, adds } = encounter;
+  const removed = new Set([boss, ...adds]);
+
+  currentState.runtime.activeEnemies = currentState.runtime.activeEnemies.filter(e => !removed.has(e));
+  for (const enemy of removed) emit(EVENTS.ENEMY_DESPAWNED, { enemy });
+
+  endEncounter();
+
+  emit(EVENTS.NOTIFY, { message: `${def.name} has reset.`, type: 'error' });
+}
+
+function endEncounter() {
+  cancelCast();
+
+  currentState.runtime.engagedBosses.delete(encounter.def.id);
+  encounter = null;
+  announceEncounter();
+}
+
+// ============================================
+// ARENA
+// ============================================
+
+/**
+ * Whether a tile is off-limits because the player is sealed in an arena.
+ */
+export function isOutsideBossArena(x, y) {
+  if (!encounter) return false;
+  const { arena } = encounter;
+  return distCoords(x, y, arena.x, arena.y) > arena.radius;
+}
+
+export function isBossEncounterActive() {
+  return !!encounter;
+}
+
+function createArenaElement(arena) {
+  const actorLayer = document.getElementById('actor-layer');
+  if (!actorLayer) return null;
+
+  const el = document.createElement('div');
+  el.className = 'boss-arena';
+  el.style.setProperty('--pos-x', `${(arena.x - arena.radius) * TILE_SIZE}px`);
+  el.style.setProperty('--pos-y', `${(arena.y - arena.radius) * TILE_SIZE}px`);
+  el.style.setProperty('--size', `${(arena.radius * 2 + 1) * TILE_SIZE}px`);
+  actorLayer.appendChild(el);
+  return el;
+}
+
+// ============================================
+// PHASES
+// ============================================
+
+/**
+ * Index of the deepest phase the boss's HP has reached.
+ */
+function getPhaseForHP(boss) {
+  const ratio = boss.hp / boss.maxHP;
+  const phases = encounter.def.phases || [];
+  let index = 0;
+
+  phases.forEach((phase, i) => {
+    if (ratio <= (phase.hpBelow ?? 1)) index = i;
+  });
+  return index;
+}
+
+function enterPhase(index, t) {
+  const phase = encounter.def.phases?.[index];
+  encounter.phaseIndex = index;
+  if (!phase) return;
+
+  // A phase change interrupts whatever the boss was winding up
+  cancelCast();
+
+  encounter.boss.atk = Math.round(encounter.baseAtk * (phase.atkMultiplier ?? 1));
+  encounter.rotationIndex = 0;
+  encounter.nextCastAt = t + (phase.rotation?.[0]?.after ?? 0) * 1000;
+
+  for (const group of phase.adds || []) {
+    for (let i = 0; i < (group.count || 1); i++) {
+      spawnAdd(group);
+    }
+  }
+
+  if (phase.announce) {
+    emit(EVENTS.NOTIFY, { message: phase.announce, type: 'error' });
+  }
+  announceEncounter();
+}
+
+function spawnAdd(group) {
+  const { boss, arena } = encounter;
+  const tile = findAddTile(boss.x, boss.y);
+  if (!tile) return;
+
+  const add = spawnScriptedEnemy(group.type, group.level ?? Math.max(1, boss.level - 3), tile.x, tile.y);
+  add.arena = arena;
+  encounter.adds.push(add);
+  provokeEnemy(add, nowMs(), 'boss_add');
+}
+
+/**
+ * Free tile 2-3 tiles from the boss, inside the arena.
+ */
+function findAddTile(cx, cy) {
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const angle = rng('spawn').next() * Math.PI * 2;
+    const r = 2 + rng('spawn').next();
+    const x = Math.round(cx + Math.cos(angle) * r);
+    const y = Math.round(cy + Math.sin(angle) * r);
+
+    if (isOutsideBossArena(x, y)) continue;
+    if (!canMoveTo(currentState, x, y)) continue;
+    const { player } = currentState;
+    if (player.x === x && player.y === y) continue;
+    return { x, y };
+  }
+  return null;
+}
+
+// ============================================
+// ABILITY ROTATION
+// ============================================
+
+/**
+ * Per-tick boss logic (called from combat's AI for engaged bosses).
+ * @returns {boolean} True while the boss is casting (skip its normal attack/move)
+ */
+export function tickBossEncounter(boss, t) {
+  if (!encounter || encounter.boss !== boss) return false;
+
+  const phaseIndex = getPhaseForHP(boss);
+  if (phaseIndex > encounter.phaseIndex) {
+    enterPhase(phaseIndex, t);
+  }
+  announceEncounter();
+
+  if (encounter.cast) {
+    if (t >= encounter.cast.resolveAt) resolveCast(t);
+    return true;
+  }
+
+  if (t >= encounter.nextCastAt) {
+    return startCast(t);
+  }
+  return false;
+}
+
+function getRotation() {
+  return encounter.def.phases?.[encounter.phaseIndex]?.rotation || [];
+}
+
+function startCast(t) {
+  const rotation = getRotation();
+  if (rotation.length === 0) return false;
+
+  const entry = rotation[encounter.rotationIndex % rotation.length];
+  const ability = encounter.def.abilities?.[entry.ability];
+  if (!ability) {
+    console.warn(`[Boss] Unknown ability "${entry.ability}" for ${encounter.def.id}`);
+    advanceRotation(t);
+    return false;
+  }
+
+  const { boss } = encounter;
+  const player = currentState.player;
+
+  if (ability.telegraph === 'aim') {
+    if (!hasLineOfSight(currentState, boss.x, boss.y, player.x, player.y)) {
+      encounter.nextCastAt = t + CAST_RETRY_MS;
+      return false;
+    }
+    updateEnemyAimingVisual(boss, true);
+    encounter.cast = { ability, resolveAt: t + ability.castMs };
+  } else {
+    // Ground telegraph locks its target tile when the cast starts
+    const origin = ability.target === 'self' ? boss : player;
+    const target = { x: origin.x, y: origin.y };
+    showGroundTelegraph(boss.id, target, ability.radius ?? 2);
+    encounter.cast = { ability, target, resolveAt: t + ability.castMs };
+  }
+
+  announceEncounter();
+  return true;
+}
+
+function resolveCast(t) {
+  const { ability, target } = encounter.cast;
+  const { boss } = encounter;
+  const player = currentState.player;
+
+  cancelCast();
+
+  if (ability.telegraph === 'aim') {
+    const inRange = distCoords(boss.x, boss.y, player.x, player.y) <= (ability.range ?? 8);
+    if (inRange && hasLineOfSight(currentState, boss.x, boss.y, player.x, player.y)) {
+      showProjectile(boss.x, boss.y, player.x, player.y, boss.projectileColor, true);
+      hitPlayerWithAbility(boss, ability.damage, ability.name);
+    }
+  } else {
+    const radius = ability.radius ?? 2;
+    showExplosionEffect(target.x, target.y, radius);
+    if (distCoords(player.x, player.y, target.x, target.y) <= radius) {
+      hitPlayerWithAbility(boss, ability.damage, ability.name);
+    }
+  }
+
+  advanceRotation(t);
+}
+
+function advanceRotation(t) {
+  const rotation = getRotation();
+  encounter.rotationIndex = (encounter.rotationIndex + 1) % Math.max(1, rotation.length);
+  encounter.nextCastAt = t + (rotation[encounter.rotationIndex]?.after ?? 0) * 1000;
+}
+
+/**
+ * Clear an in-progress cast and its telegraph.
+ */
+function cancelCast() {
+  if (!encounter?.cast) return;
+
+  updateEnemyAimingVisual(encounter.boss, false);
+  clearGroundTelegraph(encounter.boss.id);
+  encounter.cast = null;
+  announceEncounter();
+}
+
+// ============================================
+// BOSS BAR
+// ============================================
+
+/**
+ * BOSS_CHANGED subscriber. A new encounter swaps the static marker for the
+ * live boss and draws the arena; an ended one (null) takes both down.
+ */
+function renderBossEncounter({ encounter: active }) {
+  if (active !== shownEncounter) {
+    shownEncounter = active;
+    arenaEl?.remove();
+    arenaEl = active ? createArenaElement(active.arena) : null;
+    if (bossBarName && active) bossBarName.textContent = active.def.name;
+    bossBar?.classList.toggle('hidden', !active);
+    renderActors(currentState);
+  }
+  if (!active || !bossBar) return;
+
+  const { boss } = active;
+  const hp = Math.max(0, Math.ceil(boss.hp));
+  const pct = Math.round((hp / boss.maxHP) * 100);
+
+  if (bossBarFill) bossBarFill.style.setProperty('--pct', pct);
+  if (bossBarText) bossBarText.textContent = `${hp} / ${boss.maxHP}`;
+  if (bossBarPhase) bossBarPhase.textContent = active.def.phases?.[active.phaseIndex]?.name || '';
+  if (bossBarCast) bossBarCast.textContent = active.cast?.ability.name || '';
+}
@@ -5,7 +5,7 @@
  * OPTIMIZATION: Uses spatial index (Map) for O(1) lookups instead of O(n) array scans
  */
 
-import { hasFlag } from './save.js';
+import { hasFlag, isNpcPresent } from './save.js';
 
 // ============================================
 // SPATIAL INDEX - O(1) lookups
@@ -114,7 +114,7 @@ export function canMoveTo(state, x, y) {
   const npc = getNpcAt(state, x, y);
   if (npc) {
     // Check if NPC is visible
-    if (npc.requires?.flag && !hasFlag(state, npc.requires.flag)) {
+    if (!isNpcPresent(state, npc)) {
       // NPC not visible, can walk through
       return true;
     }
@@ -141,6 +141,9 @@ export function canMoveTo(state, x, y) {
     if (state.runtime.defeatedBosses?.has(boss.id)) {
       return true; // Boss defeated
     }
+    if (state.runtime.engagedBosses?.has(boss.id)) {
+      return true; // Boss is out fighting (live enemy)
+    }
     return false;
   }
 
@@ -208,7 +211,7 @@ export function canMoveToIgnoreEnemies(state, x, y) {
   // NPC collision (can't push into NPCs)
   const npc = getNpcAt(state, x, y);
   if (npc) {
-    if (npc.requires?.flag && !hasFlag(state, npc.requires.flag)) {
+    if (!isNpcPresent(state, npc)) {
       return true;
     }
     if (npc.flags?.hidden) {
@@ -228,6 +231,9 @@ export function canMoveToIgnoreEnemies(state, x, y) {
     if (state.runtime.defeatedBosses?.has(boss.id)) {
       return true;
     }
+    if (state.runtime.engagedBosses?.has(boss.id)) {
+      return true;
+    }
     return false;
   }
 
@@ -307,6 +313,26 @@ export function getObjectAt(state, x, y) {
   return state.map.objects.find(obj => obj.x === x && obj.y === y);
 }
 
+/**
+ * Add an object spawned at runtime (e.g. ground loot) to the spatial index.
+ * Keeps the first-object-wins rule: returns false if the tile is taken.
+ */
+export function addObjectToIndex(obj) {
+  if (!objectIndex) return false;
+  const key = `${obj.x},${obj.y}`;
+  if (objectIndex.has(key)) return false;
+  objectIndex.set(key, obj);
+  return true;
+}
+
+export function removeObjectFromIndex(obj) {
+  if (!objectIndex) return;
+  const key = `${obj.x},${obj.y}`;
+  if (objectIndex.get(key) === obj) {
+    objectIndex.delete(key);
+  }
+}
+
 // ============================================
 // NPC LOOKUP (O(1) with spatial index)
 // ============================================
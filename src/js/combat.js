@@ -13,9 +13,11 @@
  * Always use translate3d() and rotate3d() for transforms.
  */
 
-import { saveGame } from './save.js';
+import { saveGame, isNpcPresent } from './save.js';
 import { hasLineOfSight, canMoveTo, canMoveToIgnoreEnemies, canNPCMoveTo, isRoadTile } from './collision.js';
-import { WEAPONS, ENEMY_WEAPONS, BASIC_ATTACK_CD_MS } from './weapons.js';
+import { WEAPONS, BASIC_ATTACK_CD_MS } from './weapons.js';
+import { ENEMY_WEAPONS, ENEMY_ROLES, getEnemyType } from './enemyCatalog.js';
+import { computeDamage as rollDamage, computeBasicDamage, DEF_K, LEVEL_ADV_PER, LEVEL_DIS_PER } from './damage.js';
 import { 
   BASIC_ATTACKS,
   getAbility, 
@@ -25,12 +27,13 @@ import {
 } from './abilities.js';
 import { 
   distCoords, shuffleArray, applyEffect, tickEffects,
-  isSlowed, isVulnerable, isBurning, cssVar
+  isSlowed, isVulnerable, isBurning
 } from './utils.js';
 import { AI } from './aiConstants.js';
-import { dashToPosition } from './movement.js';
+import { dashToPosition, isCurrentlyMoving, setPlayerPosition } from './movement.js';
 import { getMaxHP, getHPPercent } from './entityCompat.js';
 import { nowMs, toPerfTime, isExpired } from './time.js';
+import { rollWeatherMiss, getWeatherName } from './weather.js';
 import {
   isImmune, hasSpawnImmunity, isStunned, isRooted,
   isBrokenOff, isInSpawnSettle, canAggro,
@@ -44,84 +47,19 @@ import {
 import { actorTransform, isActorVisible, TILE_SIZE, getViewportInfo } from './render.js';
 import { SPRITES } from './sprites.js';
 import { perfStart, perfEnd } from './perf.js';
-
-// Enemy type configurations (Simplified - no weakness/resistance)
-// All enemies are either melee (range 2) or ranged (range 6)
-const ENEMY_CONFIGS = {
-  nomad: { weapon: 'melee_club', aiType: 'melee', hp: 0.85 },
-  critter: { weapon: 'melee_claws', aiType: 'melee', hp: 0.7 }, // Legacy fallback
-  scav_melee: { weapon: 'melee_club', aiType: 'melee', hp: 0.9 },
-  scav_ranged: { weapon: 'ranged_rifle', aiType: 'ranged', hp: 0.8 },
-  trog_warrior: { weapon: 'melee_spear', aiType: 'melee', hp: 1.0 },
-  trog_shaman: { weapon: 'ranged_bolt', aiType: 'ranged', hp: 0.85 },
-  karth_grunt: { weapon: 'karth_laser', aiType: 'ranged', hp: 1.2 },
-  karth_officer: { weapon: 'melee_club', aiType: 'melee', hp: 1.3 },
-  retriever_captain: { weapon: 'boss_blade', aiType: 'aggressive', hp: 3.0 },
-  ironcross_guard: { weapon: 'guard_rifle', aiType: 'guard', hp: 2.0 }
-};
+import { rollLoot, spawnLootDrop } from './loot.js';
+import { tickBossEncounter, onBossDefeated, resetBossEncounter } from './boss.js';
+import { on, emit, EVENTS } from './events.js';
+import { rng } from './rng.js';
+import { addStatBuff, formatMod } from './stats.js';
 
 // ============================================
 // ROLE-BASED AI CONFIGURATIONS
 // ============================================
 // Role is a tactical brain overlay on top of enemy.type
-// type = visuals, base stats, weapon, legacy config
-// role = tactical AI decisions, engage priority, preferred ranges
-//
-// Role           | Base AI | Priority | Range   | Special              | Notes
-// ---------------------------------------------------------------------------
-// melee_chaser   | melee   | 2        | 1       | opportunity swipe    | Anti-kite pressure
-// melee_flanker  | melee   | 1        | 1       | none                 | Surround/pinch
-// ranged_skirmisher | ranged | 1      | 3-6     | flank step           | Baseline ranged
-// ranged_suppressor | ranged | 3      | 3-6     | cast-bias            | Punishes long casts
-// ranged_marksman   | ranged | 4      | 4-6     | aim shot (telegraph) | Spike threat
-// ranged_grenadier  | ranged | 2      | 3-6     | grenade AoE (telegraph) | Forces movement
-const ROLE_CONFIGS = {
-  // Melee roles
-  melee_chaser: { 
-    engagePriority: 2, 
-    kind: 'melee',
-    surroundChance: 0.15,  // Less flanking, more direct pressure
-    chaseBias: 1.0         // Always advance aggressively
-  },
-  melee_flanker: { 
-    engagePriority: 1, 
-    kind: 'melee',
-    surroundChance: 0.35,  // More flanking/surround behavior
-    chaseBias: 0.75        // Sometimes reposition instead of chase
-  },
-
-  // Ranged roles
-  ranged_skirmisher: { 
-    engagePriority: 1, 
-    kind: 'ranged', 
-    preferredMin: 3, 
-    preferredMax: 6, 
-    flankChance: 0.25 
-  },
-  ranged_suppressor: { 
-    engagePriority: 3, 
-    kind: 'ranged', 
-    preferredMin: 3, 
-    preferredMax: 6, 
-    castBias: 0.35  // More likely to attack when player is casting
-  },
-  ranged_marksman: { 
-    engagePriority: 4,  // High priority - wins slots often
-    kind: 'ranged', 
-    preferredMin: 4, 
-    preferredMax: 6, 
-    aimMs: 600  // Telegraph duration before shot
-  },
-  ranged_grenadier: { 
-    engagePriority: 2, 
-    kind: 'ranged', 
-    preferredMin: 3, 
-    preferredMax: 6, 
-    grenadeMs: 700,      // Telegraph duration before explosion
-    grenadeCdMs: 3200,   // Cooldown between grenades
-    grenadeRadius: 2     // AoE radius in tiles
-  }
-};
+// type = visuals, base stats, weapon, aiType (ENEMY_TYPES)
+// role = tactical AI decisions, engage priority, preferred ranges (ENEMY_ROLES)
+// Both live in data/enemies.json - see enemyCatalog.js for the role table
 
 /**
  * Get role config for an enemy.
@@ -130,7 +68,7 @@ const ROLE_CONFIGS = {
  */
 function getRoleConfig(enemy) {
   const role = enemy.role;
-  return (role && ROLE_CONFIGS[role]) ? ROLE_CONFIGS[role] : null;
+  return (role && ENEMY_ROLES[role]) ? ENEMY_ROLES[role] : null;
 }
 
 /**
@@ -227,7 +165,7 @@ function triggerGcd(ms = GCD_MS) {
   const now = performance.now();
   // Use Math.max to prevent shortening an existing longer GCD
   gcdUntil = Math.max(gcdUntil, now + ms);
-  updateGcdUI();
+  hud('gcd');
 }
 
 /**
@@ -235,7 +173,7 @@ function triggerGcd(ms = GCD_MS) {
  */
 function clearGcd() {
   gcdUntil = performance.now();
-  updateGcdUI();
+  hud('gcd');
 }
 
 function getGcdRemaining() {
@@ -264,13 +202,7 @@ const PASSIVE_CRITTER_MAX_LEVEL = 5;
 // ============================================
 // PLAN B UNIFIED DAMAGE SYSTEM
 // ============================================
-// Both player and enemies use the same formula:
-// (baseDamage + atk) * skillMult * levelMult * typeMult * defMult * variance
-//
-// To tune combat, adjust these constants in order:
-// 1. DEF_K (tankiness)
-// 2. LEVEL_ADV_PER, LEVEL_CAP_UP (level scaling)
-// 3. Weapon baseDamage in weapons.js (pace of fights)
+// Formulas and tuning constants live in damage.js (shared with combatSim.js)
 
 let COMBAT_DEBUG = false; // Toggle via VETUU_COMBAT_DEBUG_ON()
 
@@ -285,24 +217,37 @@ const retreatStats = {
   stuckCount: 0           // Number of stuck events
 };
 
-// Defense curve: damage% = DEF_K / (DEF_K + def)
-// Lower DEF_K = stronger defense. At DEF_K=20: 10 DEF = 33% reduction
-const DEF_K = 20;
+// ============================================
+// GAME EFFECTS & VIEW EVENTS
+// ============================================
+// XP and inventory changes belong to game.js, which registers them at boot
+// via setCombatEffects(). The defaults keep combat logic runnable headless.
+let effects = {
+  grantXP: () => {},
+  removeItem: () => false
+};
+
+/**
+ * Register the game-side effects combat applies (kill XP, used consumables).
+ * @param {object} overrides - Any of grantXP, removeItem
+ */
+export function setCombatEffects(overrides) {
+  effects = { ...effects, ...overrides };
+}
 
-// Level scaling (bounded, not exponential) - tightened for difficulty
-const LEVEL_ADV_PER = 0.07;   // +7% damage per level above target
-const LEVEL_DIS_PER = 0.08;   // -8% damage per level below target (was 6%)
-const LEVEL_CAP_UP = 1.60;    // Max +60% from level advantage
-const LEVEL_CAP_DOWN = 0.45;  // Min 45% from level disadvantage (was 55%)
+// Combat logic never touches the DOM. One-off visuals (fx) and action bar
+// refreshes (hud) go out on the event bus; initCombatView() draws them.
+function fx(name, ...args) {
+  emit(EVENTS.EFFECT, { name, args });
+}
 
-// Crit system
-const CRIT_BASE = 0.05;       // 5% base crit chance
-const CRIT_PER_LUCK = 0.02;   // +2% per luck point
-const CRIT_MULT = 1.5;        // Crits deal 150% damage
+function hud(name, ...args) {
+  emit(EVENTS.HUD_CHANGED, { name, args });
+}
 
-// Damage variance
-const VAR_MIN = 0.95;
-const VAR_MAX = 1.05;
+function notify(message, type) {
+  emit(EVENTS.NOTIFY, { message, type });
+}
 
 // ============================================
 // DOM CACHE - Avoid repeated querySelector calls
@@ -346,170 +291,56 @@ function getNpcEl(npcId) {
 const enemyVisualState = new Map();
 
 // ============================================
-// COLORS - Cached from CSS variables
+// COLORS - CSS variable references
 // ============================================
-// Lazily populated on first use to ensure DOM is ready
+// Effects set these as custom properties, so the browser resolves them and
+// combat logic never reads computed styles
+const colorVar = (name) => `var(--${name})`;
 let COLORS = null;
 
 function getColors() {
   if (!COLORS) {
     COLORS = {
-      projectilePlayer: cssVar('--projectile-player'),
-      projectileEnemy: cssVar('--projectile-enemy'),
-      projectileSpecial: cssVar('--projectile-special'),
-      projectilePsionic: cssVar('--projectile-psionic'),
-      meleePlayer: cssVar('--melee-player'),
-      meleeEnemy: cssVar('--melee-enemy'),
-      meleeSpecial: cssVar('--melee-special'),
-      abilityPush: cssVar('--ability-push'),
-      abilityPull: cssVar('--ability-pull'),
-      boss: cssVar('--boss')
+      projectilePlayer: colorVar('projectile-player'),
+      projectileEnemy: colorVar('projectile-enemy'),
+      projectileSpecial: colorVar('projectile-special'),
+      projectilePsionic: colorVar('projectile-psionic'),
+      meleePlayer: colorVar('melee-player'),
+      meleeEnemy: colorVar('melee-enemy'),
+      meleeSpecial: colorVar('melee-special'),
+      abilityPush: colorVar('ability-push'),
+      abilityPull: colorVar('ability-pull'),
+      boss: colorVar('boss')
     };
   }
   return COLORS;
 }
 
+// Damage rolls, hit chances and AI movement choices all draw from the combat stream
+const combatRng = rng('combat');
+
 // Debug capture for last hit
 let __LAST_HIT_DEBUG = null;
 
 // ============================================
-// UNIFIED DAMAGE HELPERS
+// UNIFIED DAMAGE
 // ============================================
 
 /**
- * Defense damage multiplier using smooth curve.
- * Returns value in (0, 1] - higher DEF = lower multiplier.
- */
-function defenseMult(def) {
-  if (def <= 0) return 1;
-  return DEF_K / (DEF_K + def);
-}
-
-/**
- * Level difference damage multiplier (bounded, not exponential).
- * Positive delta = attacker is higher level than defender.
- */
-function levelDiffMult(attackerLevel, defenderLevel) {
-  const delta = attackerLevel - defenderLevel;
-  if (delta > 0) {
-    // Attacker advantage: +7% per level, cap at +60%
-    return Math.min(LEVEL_CAP_UP, 1 + delta * LEVEL_ADV_PER);
-  } else if (delta < 0) {
-    // Attacker disadvantage: -8% per level, floor at 45%
-    return Math.max(LEVEL_CAP_DOWN, 1 + delta * LEVEL_DIS_PER);
-  }
-  return 1;
-}
-
-/**
- * Type effectiveness multiplier (DISABLED - combat simplification)
- * Weakness/resistance system removed. Always returns 1.
- */
-function typeMult(_damageType, _defenderConfig) {
-  return 1;
-}
-
-/**
- * Roll damage variance.
- */
-function rollVariance() {
-  return VAR_MIN + Math.random() * (VAR_MAX - VAR_MIN);
-}
-
-/**
- * Calculate crit chance for an attacker.
- */
-function critChance(attacker) {
-  const luck = attacker?.luck ?? 0;
-  return CRIT_BASE + luck * CRIT_PER_LUCK;
-}
-
-/**
- * UNIFIED DAMAGE CALCULATOR
- * Used by both player and enemy attacks.
- * 
- * @param {object} params
- * @param {object} params.attacker - Attacking entity (needs level, atk)
- * @param {object} params.defender - Defending entity (needs level, def)
- * @param {object} params.defenderConfig - ENEMY_CONFIGS entry (for weakness/resistance), null for player
- * @param {number} params.baseDamage - Weapon/skill base damage
- * @param {number} params.skillMult - Skill multiplier (default 1)
- * @param {string} params.damageType - Damage type for weakness calc (null = no type)
- * @param {boolean} params.forceNoCrit - If true, skip crit roll (enemies don't crit by default)
- * @param {string} params.source - "player" or "enemy" for debug
- * @param {string} params.attackId - Attack name for debug
- * @param {string} params.attackerName - Attacker name for debug
+ * Roll damage with the unified formula (damage.js), keeping the last
+ * breakdown for VETUU_LAST_HIT() and logging it when combat debug is on.
  * @returns {{damage: number, isCrit: boolean, breakdown: object}}
  */
-function computeDamage({
-  attacker,
-  defender,
-  defenderConfig = null,
-  baseDamage,
-  skillMult = 1,
-  damageType = null,
-  forceNoCrit = false,
-  source = "unknown",
-  attackId = null,
-  attackerName = null
-}) {
-  // Gather stats
-  const atkStat = attacker?.atk ?? 0;
-  const defStat = defender?.def ?? 0;
-  const atkLvl = attacker?.level ?? 1;
-  const defLvl = defender?.level ?? 1;
-  
-  // Calculate multipliers
-  const defMult = defenseMult(defStat);
-  const lvlMult = levelDiffMult(atkLvl, defLvl);
-  const tMult = typeMult(damageType, defenderConfig);
-  const variance = rollVariance();
-  
-  // Crit roll
-  let isCrit = false;
-  let critMult = 1;
-  if (!forceNoCrit) {
-    const cc = critChance(attacker);
-    if (Math.random() < cc) {
-      isCrit = true;
-      critMult = CRIT_MULT;
-    }
-  }
-  
-  // Final damage: (base + atk) * skillMult * lvlMult * tMult * defMult * variance * critMult
-  const rawDamage = (baseDamage + atkStat) * skillMult * lvlMult * tMult * defMult * variance * critMult;
-  const damage = Math.max(1, Math.floor(rawDamage));
-  
-  // Build breakdown for debugging
-  const breakdown = {
-    source,
-    attackId,
-    attackerName: attackerName || attacker?.name || "?",
-    defenderName: defender?.name || "?",
-    baseDamage,
-    atk: atkStat,
-    def: defStat,
-    atkLvl,
-    defLvl,
-    skillMult,
-    lvlMult: +lvlMult.toFixed(3),
-    tMult,
-    defMult: +defMult.toFixed(3),
-    variance: +variance.toFixed(3),
-    isCrit,
-    critMult,
-    rawDamage: +rawDamage.toFixed(1),
-    finalDamage: damage
-  };
-  
-  // Store for debug inspection
-  __LAST_HIT_DEBUG = breakdown;
-  
+function computeDamage(params) {
+  const result = rollDamage({ rng: combatRng.next, ...params });
+  __LAST_HIT_DEBUG = result.breakdown;
+
   if (COMBAT_DEBUG) {
-    console.log(`[DAMAGE] ${breakdown.attackerName} → ${breakdown.defenderName}: ${damage}`, breakdown);
+    const { breakdown } = result;
+    console.log(`[DAMAGE] ${breakdown.attackerName} → ${breakdown.defenderName}: ${result.damage}`, breakdown);
   }
-  
-  return { damage, isCrit, breakdown };
+
+  return result;
 }
 
 // Expose debug tools globally
@@ -777,7 +608,7 @@ let currentObjectTarget = null; // Interactive object target
 // Combat Overhaul: Weapon type is determined by unlock status, not toggle
 // Player starts with melee (vibro_sword), ranged (laser_rifle) unlocks via MSQ
 function getActiveWeaponType() {
-  const flags = window.__vetuuFlags || {};
+  const flags = currentState?.flags || {};
   // If rifle is unlocked via MSQ, player can use ranged
   // Otherwise, melee only
   return flags.rifle_unlocked ? 'ranged' : 'melee';
@@ -785,7 +616,7 @@ function getActiveWeaponType() {
 
 // Determine best attack type based on distance and unlock status
 function getBestAttackType(targetDist) {
-  const flags = window.__vetuuFlags || {};
+  const flags = currentState?.flags || {};
   
   // If rifle not unlocked, always melee
   if (!flags.rifle_unlocked) {
@@ -977,6 +808,10 @@ function getAttackerSlotsDebug(t = nowMs()) {
 // Guard state
 let guards = [];
 
+// Escorts: non-guard NPCs with maxHP in entities.json (enemies can hurt them)
+let escorts = [];
+const NPC_RECOVER_MS = 30000; // Downed guards and escorts get back up after this
+
 /**
  * Pending attack state - tracks "move to range then execute" flow.
  * 
@@ -1054,11 +889,8 @@ function onEnemyDisengage(enemy, reason, _t) {
   
   // Clear target (optional - makes "combat ended" feel more intentional)
   if (isCurrentTarget) {
-    const el = getEnemyEl(enemy.id);
-    if (el) el.classList.remove('targeted');
     currentTarget = null;
     updateTargetFrame();
-    updateActionBarState();
   }
   
   // Exit combat mode
@@ -1097,13 +929,73 @@ export function initCombat(state) {
   }
 
   initGuardsFromNPCs();
+  escorts = currentState.entities.npcs.filter(npc => npc.maxHP && !npc.isGuard);
+  for (const npc of escorts) npc.hp = npc.maxHP;
   startCombatTick();
+}
+
+/**
+ * DOM side of combat: enemy sprites, health bars, effects and the combat log
+ * follow simulation events, plus the action bar. Headless runs skip this.
+ */
+export function initCombatView() {
+  on(EVENTS.ENEMY_SPAWNED, ({ enemy, playerLevel }) => addEnemyElement(enemy, playerLevel));
+  on(EVENTS.ENEMY_MOVED, renderEnemyMove);
+  on(EVENTS.ENEMY_DIED, renderEnemyDeath);
+  on(EVENTS.ENEMY_DESPAWNED, ({ enemy }) => removeEnemyElement(enemy.id));
+  on(EVENTS.ENEMY_HEALTH_CHANGED, renderEnemyHealth);
+  on(EVENTS.ENEMY_STATES_CHANGED, renderEnemyStates);
+  on(EVENTS.PLAYER_HEALTH_CHANGED, renderPlayerHealth);
+  on(EVENTS.DAMAGE_DEALT, renderDamageNumber);
+  on(EVENTS.PROJECTILE_FIRED, renderProjectile);
+  on(EVENTS.MELEE_SWIPE, renderMeleeSwipe);
+  on(EVENTS.COMBAT_LOG, renderCombatLog);
+  on(EVENTS.NPC_DIED, renderNpcDowned);
+  on(EVENTS.TARGET_CHANGED, renderTargetFrame);
+  on(EVENTS.PLAYER_LIFE_CHANGED, renderPlayerLife);
+  on(EVENTS.EFFECT, ({ name, args }) => EFFECT_RENDERERS[name](...args));
+  on(EVENTS.HUD_CHANGED, ({ name, args }) => HUD_RENDERERS[name](...args));
+
   updateActionBar();
+  updateConsumableSlotsUI();
   
   // Initialize auto-attack UI with correct icon based on unlock status
   updateAutoAttackUI(false);
 }
 
+// fx(name, ...args) -> renderer
+const EFFECT_RENDERERS = {
+  aiming: renderEnemyAiming,
+  telegraph: renderGroundTelegraph,
+  clearTelegraph: removeGroundTelegraph,
+  explosion: renderExplosion,
+  cleave: showCleaveEffect,
+  push: showPushEffect,
+  pull: showPullEffect,
+  senseAffected: flashEnemyAffected,
+  heal: showHealNumber,
+  playerHealing: flashPlayerHealing,
+  enemyStatus: renderEnemyStatus,
+  npcRecovered: (npc) => getNpcEl(npc.id)?.classList.remove('downed')
+};
+
+// hud(name, ...args) -> renderer
+const HUD_RENDERERS = {
+  autoAttack: updateAutoAttackUI,
+  gcd: updateGcdUI,
+  senseBar: updatePlayerSenseBar,
+  senseCooldown: updateSenseCooldownUI,
+  utilityCooldown: updateUtilityCooldownUI,
+  consumables: updateConsumableSlotsUI,
+  swingTimer: () => {
+    startSwingTimerAnimation();
+    updateSwingTimerUI();
+  },
+  castStart: startCastTimerAnimation,
+  castCancel: cancelCastTimerAnimation,
+  castComplete: completeCastTimerAnimation
+};
+
 // ============================================
 // GUARDS FROM NPCs
 // ============================================
@@ -1159,81 +1051,129 @@ function checkGuardIntercept() {
       
       // Enemy fights back if still alive and in range
       if (enemy.hp > 0) {
-        enemyAttackGuard(enemy, nearestGuard);
+        enemyAttackNpc(enemy, nearestGuard);
       }
     }
   }
 }
 
-// Enemy attacks a guard (uses unified damage)
-function enemyAttackGuard(enemy, guard) {
+/**
+ * Escorts currently under guard: NPCs an active quest fails on (failOn.npcDies).
+ */
+function getActiveEscorts() {
+  const { active } = currentState.quests;
+  const guarded = new Set(currentState.questDefs
+    .filter(q => q.failOn?.npcDies && active.includes(q.id))
+    .map(q => q.failOn.npcDies));
+  return escorts.filter(npc => guarded.has(npc.id) && isNpcPresent(currentState, npc));
+}
+
+/**
+ * Hostile enemies turn on escorts in weapon range while their quest runs.
+ * Passive wildlife doesn't.
+ */
+function checkEscortAttacks() {
+  if (escorts.length === 0) return;
+  const targets = getActiveEscorts();
+  if (targets.length === 0) return;
+
+  for (const enemy of currentState.runtime.activeEnemies) {
+    if (enemy.hp <= 0 || enemy.aggroType === 'passive') continue;
+
+    const weapon = ENEMY_WEAPONS[getEnemyType(enemy.type).weapon];
+    for (const npc of targets) {
+      if (!npc.hp || npc.hp <= 0) continue;
+      if (distCoords(enemy.x, enemy.y, npc.x, npc.y) > (weapon?.range || 1)) continue;
+
+      enemyAttackNpc(enemy, npc);
+      break;
+    }
+  }
+}
+
+// Enemy attacks a guard or escort (uses unified damage)
+function enemyAttackNpc(enemy, npc) {
   const now = nowMs();
   if (!isExpired(enemy.cooldownUntil, now)) return;
-  if (!guard.hp || guard.hp <= 0) return;
+  if (!npc.hp || npc.hp <= 0) return;
   
-  const config = ENEMY_CONFIGS[enemy.type] || ENEMY_CONFIGS.nomad;
+  const config = getEnemyType(enemy.type);
   const weapon = ENEMY_WEAPONS[config.weapon];
-  const d = distCoords(enemy.x, enemy.y, guard.x, guard.y);
+  const d = distCoords(enemy.x, enemy.y, npc.x, npc.y);
   
-  if (d <= weapon.range && hasLineOfSight(currentState, enemy.x, enemy.y, guard.x, guard.y)) {
+  if (d <= weapon.range && hasLineOfSight(currentState, enemy.x, enemy.y, npc.x, npc.y)) {
     // Use unified damage calculation (alpha bonus is already in enemy.atk)
     const { damage } = computeDamage({
       attacker: enemy,
-      defender: guard,
+      defender: npc,
       defenderConfig: null,
       baseDamage: weapon.baseDamage || 10,
       skillMult: weapon.multiplier || 1,
       damageType: weapon.damageType || null,
       forceNoCrit: true,
       source: "enemy",
-      attackId: "guard_attack",
+      attackId: "npc_attack",
       attackerName: enemy.name || enemy.type
     });
     
-    guard.hp -= damage;
-    
     if (weapon.type === 'ranged') {
-      showProjectile(enemy.x, enemy.y, guard.x, guard.y, weapon.projectileColor || getColors().projectileEnemy);
+      showProjectile(enemy.x, enemy.y, npc.x, npc.y, weapon.projectileColor || getColors().projectileEnemy);
     } else {
-      showMeleeSwipe(enemy.x, enemy.y, guard.x, guard.y, weapon.projectileColor || getColors().projectileEnemy);
+      showMeleeSwipe(enemy.x, enemy.y, npc.x, npc.y, weapon.projectileColor || getColors().projectileEnemy);
     }
     
-    showDamageNumber(guard.x, guard.y, damage, false);
-    logCombat(`${enemy.name} attacks Ironcross Guard for ${damage}!`);
-    
+    logCombat(`${enemy.name} attacks ${npc.name} for ${damage}!`);
     enemy.cooldownUntil = now + weapon.cooldown;
-    
-    // Check if guard died
-    if (guard.hp <= 0) {
-      handleGuardDeath(guard);
-    }
+    damageNpc(npc, damage);
   }
 }
 
-// Handle guard death
-function handleGuardDeath(guard) {
-  guard.hp = 0;
-  logCombat(`Ironcross Guard has fallen!`);
-  
-  // Visual feedback - mark guard as downed
-  const guardEl = getNpcEl(guard.id);
-  if (guardEl) {
-    guardEl.classList.add('dying');
-    guardEl.addEventListener('animationend', function handler() {
-      guardEl.classList.remove('dying');
-      guardEl.classList.add('downed');
-      guardEl.removeEventListener('animationend', handler);
+/**
+ * Damage a friendly NPC (guard or escort). At 0 HP it goes down - announced
+ * as EVENTS.NPC_DIED, which escort quests fail on - and gets back up
+ * NPC_RECOVER_MS later.
+ */
+export function damageNpc(npc, damage) {
+  if (!npc.hp || npc.hp <= 0) return;
+
+  npc.hp = Math.max(0, npc.hp - damage);
+  showDamageNumber(npc.x, npc.y, damage, false);
+
+  if (npc.hp === 0) {
+    npc.recoverAt = nowMs() + NPC_RECOVER_MS;
+    emit(EVENTS.NPC_DIED, { npc });
+  }
+}
+
+/**
+ * NPC_DIED subscriber: mark the NPC as downed.
+ */
+function renderNpcDowned({ npc }) {
+  logCombat(`${npc.name} has fallen!`);
+
+  const npcEl = getNpcEl(npc.id);
+  if (npcEl) {
+    npcEl.classList.add('dying');
+    npcEl.addEventListener('animationend', function handler() {
+      npcEl.classList.remove('dying');
+      npcEl.classList.add('downed');
+      npcEl.removeEventListener('animationend', handler);
     });
   }
-  
-  // Respawn guard after 30 seconds
-  setTimeout(() => {
-    guard.hp = getMaxHP(guard);
-    if (guardEl) {
-      guardEl.classList.remove('downed');
-    }
-    logCombat('Ironcross Guard has recovered!');
-  }, 30000);
+}
+
+/**
+ * Stand downed guards and escorts back up once their time is up.
+ */
+function recoverDownedNpcs(now) {
+  for (const npc of [...guards, ...escorts]) {
+    if (!npc.recoverAt || now < npc.recoverAt) continue;
+
+    npc.hp = getMaxHP(npc);
+    npc.recoverAt = null;
+    fx('npcRecovered', npc);
+    logCombat(`${npc.name} has recovered!`);
+  }
 }
 
 function guardAttack(guard, enemy) {
@@ -1271,95 +1211,111 @@ function startCombatTick() {
   combatTickInterval = setInterval(() => {
     if (!currentState) return;
     
-    perfStart('combat:tick');
+    // Drop focus on targets that are too far away (outside viewport + 10% buffer)
+    checkTargetDistance();
 
     // Use performance.now() for all simulation timing
-    const now = nowMs();
-    lastUIUpdateTick++;
-
-    // Update player cooldowns (weapon abilities)
-    for (const key of Object.keys(actionCooldowns)) {
-      if (actionCooldowns[key] > 0) actionCooldowns[key] -= 100;
-    }
+    tickCombat(nowMs());
     
     // Throttle UI updates to every 200ms (every 2nd tick)
-    if (lastUIUpdateTick >= 2) {
+    if (++lastUIUpdateTick >= 2) {
       updateCooldownUI();
       updateGcdUI();
       lastUIUpdateTick = 0;
     }
-    
-    // Update utility cooldowns (sprint, heal)
-    tickUtilityCooldowns(100);
-    
-    // Update sense cooldowns (push, pull)
-    tickSenseCooldowns(100);
-    
-    // Drop focus on targets that are too far away (outside viewport + 10% buffer)
-    checkTargetDistance();
+  }, 100);
+}
 
-    // Try to execute combat intent (handles immunity expiry, movement completion)
-    tryExecuteCombatIntent();
+export function stopCombatTick() {
+  clearInterval(combatTickInterval);
+  combatTickInterval = null;
+}
+
+/**
+ * One 100ms combat step: cooldowns, auto-attack, regen, enemy AI, guards and
+ * escorts, status effects. Touches no DOM - views follow through events.js.
+ * @param {number} now - Simulation time (nowMs())
+ */
+export function tickCombat(now) {
+  perfStart('combat:tick');
 
-    // Process auto-attack
-    processAutoAttack();
+  // Update player cooldowns (weapon abilities)
+  for (const key of Object.keys(actionCooldowns)) {
+    if (actionCooldowns[key] > 0) actionCooldowns[key] -= 100;
+  }
+  
+  // Update utility cooldowns (sprint, heal)
+  tickUtilityCooldowns(100);
+  
+  // Update sense cooldowns (push, pull)
+  tickSenseCooldowns(100);
+  
+  // Update shared consumable cooldown (medkits, stims)
+  tickConsumableCooldown(100);
+  
+  // Try to execute combat intent (handles immunity expiry, movement completion)
+  tryExecuteCombatIntent();
 
-    // Process regeneration
-    processRegeneration(now);
+  // Process auto-attack
+  processAutoAttack();
 
-    // Process each active enemy (only if there are enemies to process)
-    // AI THROTTLING: Distant enemies processed less frequently
-    const enemies = currentState.runtime.activeEnemies;
-    if (enemies.length > 0) {
-      perfStart('combat:enemyAI');
-      const player = currentState.player;
-      const tickNum = Math.floor(now / 100); // Tick counter for throttling
+  // Process regeneration
+  processRegeneration(now);
+
+  // Process each active enemy (only if there are enemies to process)
+  // AI THROTTLING: Distant enemies processed less frequently
+  const enemies = currentState.runtime.activeEnemies;
+  if (enemies.length > 0) {
+    perfStart('combat:enemyAI');
+    const player = currentState.player;
+    const tickNum = Math.floor(now / 100); // Tick counter for throttling
+    
+    for (let i = 0; i < enemies.length; i++) {
+      const enemy = enemies[i];
+      if (enemy.hp <= 0) continue;
       
-      for (let i = 0; i < enemies.length; i++) {
-        const enemy = enemies[i];
-        if (enemy.hp <= 0) continue;
-        
-        // Calculate distance for throttling
-        const dx = enemy.x - player.x;
-        const dy = enemy.y - player.y;
-        const distSq = dx * dx + dy * dy;
-        
-        // Throttling tiers:
-        // - <40 tiles (1600): Every tick (full AI)
-        // - 40-80 tiles (1600-6400): Every 3rd tick
-        // - >80 tiles (6400+): Every 5th tick
-        // - Engaged/aggro enemies: Always every tick
-        const isEngaged = enemy.isEngaged || enemy.isAggro || enemy.state === 'ENGAGED';
-        
-        if (isEngaged || distSq < 1600) {
-          // Close or engaged - full AI every tick
+      // Calculate distance for throttling
+      const dx = enemy.x - player.x;
+      const dy = enemy.y - player.y;
+      const distSq = dx * dx + dy * dy;
+      
+      // Throttling tiers:
+      // - <40 tiles (1600): Every tick (full AI)
+      // - 40-80 tiles (1600-6400): Every 3rd tick
+      // - >80 tiles (6400+): Every 5th tick
+      // - Engaged/aggro enemies: Always every tick
+      const isEngaged = enemy.isEngaged || enemy.isAggro || enemy.state === 'ENGAGED';
+      
+      if (isEngaged || distSq < 1600) {
+        // Close or engaged - full AI every tick
+        processEnemyAI(enemy, now);
+      } else if (distSq < 6400) {
+        // Medium distance - every 3rd tick
+        if (tickNum % 3 === (i % 3)) {
+          processEnemyAI(enemy, now);
+        }
+      } else {
+        // Far distance - every 5th tick
+        if (tickNum % 5 === (i % 5)) {
           processEnemyAI(enemy, now);
-        } else if (distSq < 6400) {
-          // Medium distance - every 3rd tick
-          if (tickNum % 3 === (i % 3)) {
-            processEnemyAI(enemy, now);
-          }
-        } else {
-          // Far distance - every 5th tick
-          if (tickNum % 5 === (i % 5)) {
-            processEnemyAI(enemy, now);
-          }
         }
       }
-      perfEnd('combat:enemyAI');
+    }
+    perfEnd('combat:enemyAI');
 
-      // Check guard intercepts (only relevant when enemies exist)
-      checkGuardIntercept();
+    // Check guard intercepts and attacks on escorts (only relevant when enemies exist)
+    checkGuardIntercept();
+    checkEscortAttacks();
 
-      // Tick status effects and update visuals
-      tickAllEnemyEffects();
-    }
+    // Tick status effects and update visuals
+    tickAllEnemyEffects();
+  }
 
-    // Respawning is handled by spawnDirector.js
-    
-    perfEnd('combat:tick');
+  recoverDownedNpcs(now);
 
-  }, 100);
+  // Respawning is handled by spawnDirector.js
+  
+  perfEnd('combat:tick');
 }
 
 // ============================================
@@ -1478,11 +1434,8 @@ function endCombat() {
   // Clear target selection - player must explicitly re-target to fight again
   // This is important for passive enemies that retreated
   if (currentTarget) {
-    const el = getEnemyEl(currentTarget.id);
-    if (el) el.classList.remove('targeted');
     currentTarget = null;
     updateTargetFrame();
-    updateActionBarState();
   }
   
   logCombat('Combat ended.');
@@ -1632,7 +1585,7 @@ function processRegeneration(now) {
   
   // Update UI only if values changed
   if (didUpdateHP) updatePlayerHealthBar();
-  if (didUpdateSense) updatePlayerSenseBar();
+  if (didUpdateSense) hud('senseBar');
 }
 
 // ============================================
@@ -1666,7 +1619,7 @@ function processEnemyAI(enemy, t) {
     initEnemyAIFields(enemy);
   }
   
-  const config = ENEMY_CONFIGS[enemy.type] || ENEMY_CONFIGS.nomad;
+  const config = getEnemyType(enemy.type);
   const weapon = ENEMY_WEAPONS[config.weapon];
   const player = currentState.player;
   const dPlayer = distCoords(enemy.x, enemy.y, player.x, player.y);
@@ -1719,6 +1672,7 @@ function processEnemyAI(enemy, t) {
     enemy.state = AI.STATES.ENGAGED;
     enemy.targetId = 'player';
     enemy.pendingAggro = false;
+    emit(EVENTS.ENEMY_ENGAGED, { enemy });
     // Fall through to engaged handler
 }
 
@@ -1737,7 +1691,7 @@ function processEnemyAI(enemy, t) {
     const dHomeCheb = Math.max(Math.abs(enemy.x - homeX), Math.abs(enemy.y - homeY));
     if (dHomeCheb > 1) {
       moveEnemyTowardHome(enemy, homeX, homeY);
-    } else if (isExpired(enemy.moveCooldown, t) && Math.random() < 0.02) {
+    } else if (isExpired(enemy.moveCooldown, t) && combatRng.next() < 0.02) {
       aiIdle(enemy, t, weapon);
     }
     return;
@@ -1746,7 +1700,8 @@ function processEnemyAI(enemy, t) {
   // ============================================
   // 7. GUARD RETREAT CHECKS
   // ============================================
-  if (shouldBreakOffFromGuards(enemy, guards, t)) {
+  // Arena-bound enemies (bosses and their adds) never break off
+  if (!enemy.arena && shouldBreakOffFromGuards(enemy, guards, t)) {
     startRetreat(enemy, t, 'guards');
     releaseAttackerSlot(enemy);
     
@@ -1783,7 +1738,8 @@ function processEnemyAI(enemy, t) {
   // 9. ENGAGED HANDLER - Leash/Deaggro + Combat
   // ============================================
   if (enemy.isEngaged || enemy.state === AI.STATES.ENGAGED) {
-    const retreatReason = checkLeashAndDeaggro(enemy, player, t);
+    // Arena-bound enemies fight until the encounter ends (victory or wipe)
+    const retreatReason = enemy.arena ? null : checkLeashAndDeaggro(enemy, player, t);
     
     if (retreatReason) {
       startRetreat(enemy, t, retreatReason);
@@ -1797,6 +1753,11 @@ function processEnemyAI(enemy, t) {
       return;
     }
     
+    // Boss rotation abilities take over the tick while casting
+    if (enemy.isBoss && tickBossEncounter(enemy, t)) {
+      return;
+    }
+    
     // Execute combat AI (handles spawn settle internally)
     executeCombatAI(enemy, weapon, dPlayer, hasLOS, t, config);
     return;
@@ -1828,6 +1789,7 @@ function processEnemyAI(enemy, t) {
       enemy.state = AI.STATES.ENGAGED;
   enemy.isEngaged = true;
       enemy.targetId = 'player';
+      emit(EVENTS.ENEMY_ENGAGED, { enemy });
       executeCombatAI(enemy, weapon, dPlayer, hasLOS, t, config);
     }
     return;
@@ -1889,7 +1851,7 @@ function handleUnawareState(enemy, t, weapon) {
     // Inside footprint - regenerate and maybe idle
     regenAtHome(enemy, t);
     
-    if (isExpired(enemy.moveCooldown, t) && Math.random() < 0.02) {
+    if (isExpired(enemy.moveCooldown, t) && combatRng.next() < 0.02) {
       aiIdle(enemy, t, weapon);
     }
   }
@@ -2077,12 +2039,6 @@ function handleRetreatState(enemy, t) {
   }
   
   enemy.moveCooldown = t + moveCD;
-  
-  // Update visual to show retreating state
-  const el = getEnemyEl(enemy.id);
-  if (el && !el.classList.contains('retreating')) {
-    el.classList.add('retreating');
-  }
 }
 
 /**
@@ -2114,17 +2070,7 @@ function snapNearHomeWithinFootprint(enemy, t) {
       // Found a free tile - snap to it
       enemy.x = testX;
       enemy.y = testY;
-      
-      const el = getEnemyEl(enemy.id);
-      if (el) {
-        el.classList.add('is-teleporting');
-        el.style.transform = actorTransform(enemy.x, enemy.y);
-        el.offsetHeight;
-        requestAnimationFrame(() => {
-          el.classList.remove('is-teleporting');
-          // Keep 'retreating' class - we're NOT finished yet
-        });
-      }
+      emit(EVENTS.ENEMY_MOVED, { enemy, x: testX, y: testY, snap: true });
       
       // CRITICAL: Do NOT call finishRetreat!
       // - Keep enemy.isRetreating = true
@@ -2264,20 +2210,8 @@ function snapEnemyToHome(enemy, t) {
   enemy.x = destX;
   enemy.y = destY;
   
-  // Update DOM element position immediately with no tween
-  const el = getEnemyEl(enemy.id);
-  if (el) {
-    // Add teleporting class to disable transitions
-    el.classList.add('is-teleporting');
-    el.style.transform = actorTransform(enemy.x, enemy.y);
-    
-    // Force reflow then remove class next frame
-    el.offsetHeight;
-    requestAnimationFrame(() => {
-      el.classList.remove('is-teleporting');
-      el.classList.remove('retreating');
-    });
-  }
+  // Snap the sprite with no tween
+  emit(EVENTS.ENEMY_MOVED, { enemy, x: destX, y: destY, snap: true });
   
   // This is the only snap path that finishes retreat (because we reached exact dest)
   finishRetreat(enemy, t);
@@ -2315,17 +2249,8 @@ function finishRetreat(enemy, t) {
   // Clear provoked status
   provokedEnemies.delete(enemy.id);
   
-  // Update visuals
-  const el = getEnemyEl(enemy.id);
-  if (el) {
-    el.classList.remove('retreating');
-    el.classList.add('spawn-immune');
-    
-    // Remove spawn-immune class after immunity expires
-    setTimeout(() => {
-      el.classList.remove('spawn-immune');
-    }, AI.SPAWN_IMMUNITY_MS);
-  }
+  // Drop the retreat look, show the immunity shimmer
+  updateEnemyVisuals();
 }
 
 /**
@@ -2409,14 +2334,21 @@ const VISUAL_UPDATE_RANGE = 25; // Only update visuals for enemies within this t
 
 function updateEnemyVisuals() {
   if (!currentState?.runtime?.activeEnemies) return;
-  
+  emit(EVENTS.ENEMY_STATES_CHANGED, { enemies: currentState.runtime.activeEnemies, player: currentState.player });
+}
+
+/**
+ * ENEMY_STATES_CHANGED subscriber: toggle retreat/engaged/immune/passive
+ * classes on nearby enemy sprites, touching only what changed.
+ */
+function renderEnemyStates({ enemies, player }) {
   perfStart('enemy:updateVisuals');
   
   const t = nowMs();
-  const px = currentState.player.x;
-  const py = currentState.player.y;
+  const px = player.x;
+  const py = player.y;
   
-  for (const enemy of currentState.runtime.activeEnemies) {
+  for (const enemy of enemies) {
     if (enemy.hp <= 0) continue;
     
     // Skip distant enemies (they're off-screen, visual updates don't matter)
@@ -2485,7 +2417,7 @@ function aiIdle(enemy, now, weapon) {
     { dx: 1, dy: 0 }
   ];
   
-  const dir = directions[Math.floor(Math.random() * directions.length)];
+  const dir = directions[Math.floor(combatRng.next() * directions.length)];
   const newX = enemy.x + dir.dx;
   const newY = enemy.y + dir.dy;
   
@@ -2561,6 +2493,7 @@ export function provokeEnemy(enemy, t = nowMs(), reason = 'player_attack') {
   
   // Can we aggro immediately?
   if (canAggro(enemy, t)) {
+    const wasEngaged = enemy.isEngaged;
     // Transition to ENGAGED immediately
     enemy.isAware = true;
     enemy.awareTime = t - AI.ALERT_DURATION_MS; // Skip alert delay
@@ -2569,6 +2502,7 @@ export function provokeEnemy(enemy, t = nowMs(), reason = 'player_attack') {
     enemy.state = AI.STATES.ENGAGED;
     enemy.targetId = 'player';
     enemy.pendingAggro = false;
+    if (!wasEngaged) emit(EVENTS.ENEMY_ENGAGED, { enemy });
   } else {
     // Can't aggro yet (broken off, retreating) - set pending
     enemy.pendingAggro = true;
@@ -2636,7 +2570,7 @@ function aiMelee(enemy, weapon, dist, hasLOS, t, inSettle = false) {
     } else {
       // Not our turn - reposition based on role
       // Chasers stay put more, flankers reposition more
-      if (isExpired(enemy.moveCooldown, t) && Math.random() < surroundChance) {
+      if (isExpired(enemy.moveCooldown, t) && combatRng.next() < surroundChance) {
         moveToSurroundPosition(enemy);
         enemy.moveCooldown = t + moveCD * 1.5;
       }
@@ -2645,7 +2579,7 @@ function aiMelee(enemy, weapon, dist, hasLOS, t, inSettle = false) {
     // Have LOS but not in range - advance toward player
     // Chasers always advance, flankers sometimes reposition
     if (isExpired(enemy.moveCooldown, t)) {
-      if (Math.random() < chaseBias) {
+      if (combatRng.next() < chaseBias) {
         moveTowardPlayer(enemy);
       } else {
         // Flankers sometimes try to get a better angle
@@ -2655,7 +2589,7 @@ function aiMelee(enemy, weapon, dist, hasLOS, t, inSettle = false) {
     }
   } else {
     // No LOS - try to find a path, but don't move constantly
-    if (isExpired(enemy.moveCooldown, t) && Math.random() < 0.5) {
+    if (isExpired(enemy.moveCooldown, t) && combatRng.next() < 0.5) {
       moveToGetLOS(enemy);
       enemy.moveCooldown = t + moveCD * 1.2;
     }
@@ -2704,9 +2638,9 @@ function moveToSurroundPosition(enemy) {
   ];
   
   // Shuffle within each group to prevent clumping, but maintain priority order
-  shuffleArray(horizontalPositions);
-  shuffleArray(verticalPositions);
-  shuffleArray(diagonalPositions);
+  shuffleArray(horizontalPositions, combatRng.next);
+  shuffleArray(verticalPositions, combatRng.next);
+  shuffleArray(diagonalPositions, combatRng.next);
   
   // Combine with priority preserved
   const surroundPositions = [...horizontalPositions, ...verticalPositions, ...diagonalPositions];
@@ -2763,7 +2697,7 @@ function moveToFlankPosition(enemy) {
   }
   
   // Shuffle and find a valid position
-  shuffleArray(flankPositions);
+  shuffleArray(flankPositions, combatRng.next);
   
   for (const pos of flankPositions) {
     if (canEnemyMoveTo(pos.x, pos.y, enemy.id)) {
@@ -2852,7 +2786,7 @@ function aiRanged(enemy, weapon, dist, hasLOS, t, inSettle = false) {
       }
     } else {
       // Can't engage - find a different angle/position and wait
-      if (isExpired(enemy.moveCooldown, t) && Math.random() < flankChance) {
+      if (isExpired(enemy.moveCooldown, t) && combatRng.next() < flankChance) {
         moveToFlankPosition(enemy);
         enemy.moveCooldown = t + moveCD * 1.5;
       }
@@ -2862,7 +2796,7 @@ function aiRanged(enemy, weapon, dist, hasLOS, t, inSettle = false) {
   
   // No LOS - try to reposition, but not frantically
   if (!hasLOS) {
-    if (isExpired(enemy.moveCooldown, t) && Math.random() < 0.4) {
+    if (isExpired(enemy.moveCooldown, t) && combatRng.next() < 0.4) {
       moveToGetLOS(enemy);
       enemy.moveCooldown = t + moveCD * 1.3;
     }
@@ -2870,7 +2804,7 @@ function aiRanged(enemy, weapon, dist, hasLOS, t, inSettle = false) {
   }
   
   // Outside preferred max with LOS - advance to preferred distance
-  if (dist > preferredMax && isExpired(enemy.moveCooldown, t) && Math.random() < 0.6) {
+  if (dist > preferredMax && isExpired(enemy.moveCooldown, t) && combatRng.next() < 0.6) {
     moveTowardPlayerRanged(enemy, preferredMax);
     enemy.moveCooldown = t + moveCD;
   }
@@ -2944,7 +2878,11 @@ function aiMarksmanBehavior(enemy, weapon, dist, hasLOS, t, inSettle, roleConfig
 /**
  * Update visual indicator for aiming (e.g., red glow)
  */
-function updateEnemyAimingVisual(enemy, isAiming) {
+export function updateEnemyAimingVisual(enemy, isAiming) {
+  fx('aiming', enemy, isAiming);
+}
+
+function renderEnemyAiming(enemy, isAiming) {
   const el = getEnemyEl(enemy.id);
   if (el) {
     el.classList.toggle('aiming', isAiming);
@@ -3020,28 +2958,49 @@ function aiGrenadierBehavior(enemy, weapon, dist, hasLOS, t, inSettle, roleConfi
  * @param {number} radius - Blast radius in tiles (default 2)
  */
 function updateGrenadeTelegraph(enemy, show, radius = 2) {
-  // Remove existing telegraph
-  const existingTelegraph = document.querySelector(`[data-grenade-owner="${enemy.id}"]`);
-  if (existingTelegraph) {
-    existingTelegraph.remove();
-  }
-  
   if (show && enemy.grenadeTarget) {
-    const actorLayer = document.getElementById('actor-layer');
-    if (actorLayer) {
-      const diameter = radius * 2 + 1;  // e.g., radius 2 → 5 tiles
-      const telegraph = document.createElement('div');
-      telegraph.className = 'grenade-telegraph';
-      telegraph.setAttribute('data-grenade-owner', enemy.id);
-      // Position via CSS custom properties, appearance via CSS class
-      telegraph.style.setProperty('--pos-x', `${(enemy.grenadeTarget.x - radius) * TILE_SIZE}px`);
-      telegraph.style.setProperty('--pos-y', `${(enemy.grenadeTarget.y - radius) * TILE_SIZE}px`);
-      telegraph.style.setProperty('--size', `${diameter * TILE_SIZE}px`);
-      actorLayer.appendChild(telegraph);
-    }
+    showGroundTelegraph(enemy.id, enemy.grenadeTarget, radius);
+  } else {
+    clearGroundTelegraph(enemy.id);
   }
 }
 
+/**
+ * Show a ground danger circle (grenade telegraph visual) owned by an entity.
+ * Replaces any telegraph the owner already has.
+ * @param {string} ownerId - Entity id (one telegraph per owner)
+ * @param {{x: number, y: number}} target - Center tile
+ * @param {number} radius - Radius in tiles
+ */
+export function showGroundTelegraph(ownerId, target, radius = 2) {
+  fx('telegraph', ownerId, target, radius);
+}
+
+export function clearGroundTelegraph(ownerId) {
+  fx('clearTelegraph', ownerId);
+}
+
+function renderGroundTelegraph(ownerId, target, radius) {
+  removeGroundTelegraph(ownerId);
+  
+  const actorLayer = document.getElementById('actor-layer');
+  if (!actorLayer) return;
+  
+  const diameter = radius * 2 + 1;  // e.g., radius 2 → 5 tiles
+  const telegraph = document.createElement('div');
+  telegraph.className = 'grenade-telegraph';
+  telegraph.setAttribute('data-grenade-owner', ownerId);
+  // Position via CSS custom properties, appearance via CSS class
+  telegraph.style.setProperty('--pos-x', `${(target.x - radius) * TILE_SIZE}px`);
+  telegraph.style.setProperty('--pos-y', `${(target.y - radius) * TILE_SIZE}px`);
+  telegraph.style.setProperty('--size', `${diameter * TILE_SIZE}px`);
+  actorLayer.appendChild(telegraph);
+}
+
+function removeGroundTelegraph(ownerId) {
+  document.querySelector(`[data-grenade-owner="${ownerId}"]`)?.remove();
+}
+
 /**
  * Execute grenade explosion - damage all enemies in radius
  */
@@ -3090,7 +3049,11 @@ function executeGrenadeExplosion(enemy, target, radius, weapon, _t) {
  * Show explosion visual effect
  * Position/size via CSS custom properties, styling in effects.css
  */
-function showExplosionEffect(x, y, radius) {
+export function showExplosionEffect(x, y, radius) {
+  fx('explosion', x, y, radius);
+}
+
+function renderExplosion(x, y, radius) {
   const actorLayer = document.getElementById('actor-layer');
   if (!actorLayer) return;
   
@@ -3252,7 +3215,7 @@ function moveToGetLOS(enemy) {
   const directions = shuffleArray([
     { dx: 1, dy: 0 }, { dx: -1, dy: 0 },
     { dx: 0, dy: 1 }, { dx: 0, dy: -1 }
-  ]);
+  ], combatRng.next);
 
   // First pass: prefer moves outside pack footprints
   for (const dir of directions) {
@@ -3388,34 +3351,51 @@ function updateEnemyPosition(enemy, x, y, forceMove = false, isIdle = false) {
   enemy.x = x;
   enemy.y = y;
 
+  emit(EVENTS.ENEMY_MOVED, { enemy, x, y, isIdle });
+}
+
+/**
+ * ENEMY_MOVED subscriber: slide the enemy element to its new tile.
+ */
+function renderEnemyMove({ enemy, x, y, isIdle, snap }) {
   const el = getEnemyEl(enemy.id);
-  if (el) {
-    // Idle movement uses slower transition (2x duration)
-    if (isIdle) {
-      el.classList.add('idle');
-    } else {
-      el.classList.remove('idle');
-    }
-    
+  if (!el) return;
+
+  // Snaps jump straight to the tile: disable the transition for one frame
+  if (snap) {
+    el.classList.add('is-teleporting');
     el.style.transform = actorTransform(x, y);
-    
-    // Add moving class for walk animation
-    el.classList.add('moving');
-    
-    // Remove after transition (read from CSS var or use default, 2.5x for idle)
-    const moveSpeed = parseInt(el.dataset.moveSpeed) || 400;
-    const duration = isIdle ? moveSpeed * 2.5 : moveSpeed;
-    clearTimeout(enemy._moveTimeout);
-    enemy._moveTimeout = setTimeout(() => {
-      el.classList.remove('moving');
-    }, duration);
-    
-    // Add/remove retreating class for visual feedback
-    if (enemy.isRetreating) {
-      el.classList.add('retreating');
-    } else {
-      el.classList.remove('retreating');
-    }
+    el.offsetHeight; // Force reflow
+    requestAnimationFrame(() => el.classList.remove('is-teleporting'));
+    el.classList.toggle('retreating', !!enemy.isRetreating);
+    return;
+  }
+
+  // Idle movement uses slower transition (2x duration)
+  if (isIdle) {
+    el.classList.add('idle');
+  } else {
+    el.classList.remove('idle');
+  }
+  
+  el.style.transform = actorTransform(x, y);
+  
+  // Add moving class for walk animation
+  el.classList.add('moving');
+  
+  // Remove after transition (read from CSS var or use default, 2.5x for idle)
+  const moveSpeed = parseInt(el.dataset.moveSpeed) || 400;
+  const duration = isIdle ? moveSpeed * 2.5 : moveSpeed;
+  clearTimeout(enemy._moveTimeout);
+  enemy._moveTimeout = setTimeout(() => {
+    el.classList.remove('moving');
+  }, duration);
+  
+  // Add/remove retreating class for visual feedback
+  if (enemy.isRetreating) {
+    el.classList.add('retreating');
+  } else {
+    el.classList.remove('retreating');
   }
 }
 
@@ -3484,6 +3464,16 @@ function enemyAttack(enemy, weapon, t = nowMs()) {
     showMeleeSwipe(enemy.x, enemy.y, player.x, player.y, weapon.projectileColor || getColors().projectileEnemy);
   }
 
+  // Weather can throw ranged shots wide (still counts as an attack)
+  if (weapon.type === 'ranged' && rollWeatherMiss()) {
+    markCombatEvent(t);
+    showDamageNumber(player.x, player.y, 'Miss', false, true);
+    logCombat(`${enemy.name}'s shot goes wide in the ${getWeatherName().toLowerCase()}.`);
+    enemy.cooldownUntil = t + weapon.cooldown;
+    acquireAttackerSlot(enemy, t, getEngageMeta(enemy));
+    return;
+  }
+
   player.hp -= damage;
   lastHitTime = t;
   markCombatEvent(t); // Track combat activity for regen gating
@@ -3580,7 +3570,7 @@ function toggleAutoAttack() {
   if (autoAttackEnabled && currentTarget) {
     autoAttackEnabled = false;
     logCombat('Auto-attack disabled.');
-    updateAutoAttackUI(false);
+    hud('autoAttack', false);
     return;
   }
   
@@ -3598,7 +3588,7 @@ function toggleAutoAttack() {
   
   // Check distance and determine weapon to use
   const player = currentState.player;
-  const flags = window.__vetuuFlags || {};
+  const flags = currentState?.flags || {};
   const hasRifle = !!flags.rifle_unlocked;
   const dist = distCoords(player.x, player.y, currentTarget.x, currentTarget.y);
   
@@ -3621,7 +3611,7 @@ function toggleAutoAttack() {
   
   autoAttackEnabled = true;
   inCombat = true;
-  updateAutoAttackUI(true);
+  hud('autoAttack', true);
   
   // If out of range, path to target
   if (dist > attackRange) {
@@ -3678,7 +3668,7 @@ function updateAutoAttackUI(active) {
   // Update icon based on unlock status
   const icon = document.getElementById('auto-attack-icon');
   const label = document.getElementById('auto-attack-label');
-  const flags = window.__vetuuFlags || {};
+  const flags = currentState?.flags || {};
   
   if (icon) {
     icon.textContent = flags.rifle_unlocked ? '🔫' : '⚔️';
@@ -4002,7 +3992,7 @@ export function useAction(actionKey) {
       } else {
         if (action.senseCost) {
         player.sense -= action.senseCost;
-        updatePlayerSenseBar();
+        hud('senseBar');
       }
         executeEnhancedAttack(weapon, action);
       }
@@ -4022,7 +4012,7 @@ export function useAction(actionKey) {
       // Spend sense before executing (consistent with other actions)
       if (action.senseCost) {
         player.sense = Math.max(0, player.sense - action.senseCost);
-        updatePlayerSenseBar();
+        hud('senseBar');
       }
       
       executeCleave(weapon, action);
@@ -4206,7 +4196,7 @@ function useAbility(slot) {
   
   // Check if ability is unlocked (level + MSQ requirements)
   const player = currentState.player;
-  const flags = window.__vetuuFlags || {};
+  const flags = currentState?.flags || {};
   
   if (!isAbilityUnlocked(slot, player, flags)) {
     const requirements = getUnlockRequirements(slot);
@@ -4545,7 +4535,7 @@ function executeBladeFlurry(ability) {
   logCombat('Blade Flurry!');
   
   // Start channel timer UI (2s channel)
-  startCastTimerAnimation(3, ability.channelTimeMs, 'channeling');
+  hud('castStart', 3, ability.channelTimeMs, 'channeling');
   
   // Schedule hits
   scheduleFlurryHit();
@@ -4587,7 +4577,7 @@ function scheduleFlurryHit() {
     // Check if final hit
     if (bladeFlurryState.hitCount >= maxHits) {
       // 50% chance to freeze on final hit
-      if (ability.finalHitEffect && Math.random() < ability.finalHitEffect.chance) {
+      if (ability.finalHitEffect && combatRng.next() < ability.finalHitEffect.chance) {
         applyEffect(target, {
           type: ability.finalHitEffect.type,
           duration: ability.finalHitEffect.durationMs
@@ -4633,7 +4623,7 @@ function cancelBladeFlurry(refund = true) {
   }
   
   // Cancel channel timer UI
-  cancelCastTimerAnimation(3);
+  hud('castCancel', 3);
   
   // Only refund cooldown if NO damage was dealt
   // If any hit landed, ability was "used" - no refund
@@ -4652,7 +4642,7 @@ function endBladeFlurry() {
   if (!bladeFlurryState) return;
   
   // Complete channel timer UI
-  completeCastTimerAnimation(3);
+  hud('castComplete', 3);
   
   // Unlock movement
   const player = currentState?.player;
@@ -4763,7 +4753,7 @@ function executeChargedShot(ability) {
   logCombat('Charging shot...');
   
   // Start cast timer UI (3s cast)
-  startCastTimerAnimation(5, ability.castTimeMs, 'casting');
+  hud('castStart', 5, ability.castTimeMs, 'casting');
   
   // Capture castId to detect stale callbacks
   const expectedCastId = castId;
@@ -4834,7 +4824,7 @@ function cancelChargedShot(refund = true) {
   }
   
   // Cancel cast timer UI
-  cancelCastTimerAnimation(5);
+  hud('castCancel', 5);
   
   // Unlock movement
   const player = currentState?.player;
@@ -4868,7 +4858,7 @@ function endChargedShot() {
   if (!chargedShotState) return;
   
   // Complete cast timer UI
-  completeCastTimerAnimation(5);
+  hud('castComplete', 5);
   
   // Unlock movement
   const player = currentState?.player;
@@ -5046,7 +5036,7 @@ function executeSwordCleave(weapon, ability) {
   }
   
   // Show cleave effect
-  showCleaveEffect(player.x, player.y);
+  fx('cleave', player.x, player.y);
   
   // Damage all targets
   let totalDamage = 0;
@@ -5088,14 +5078,7 @@ function executeSwordLunge(weapon, ability) {
     
     // Check if we can move there
     if (canMoveTo(currentState, moveX, moveY)) {
-      player.x = moveX;
-      player.y = moveY;
-      
-      // Update player position visually
-      const playerEl = document.getElementById('player');
-      if (playerEl) {
-        playerEl.style.transform = actorTransform(player.x, player.y);
-      }
+      dashToPosition(moveX, moveY);
     }
   }
   
@@ -5143,7 +5126,7 @@ function executeSwordShockwave(weapon, ability) {
   }
   
   // Show shockwave effect (use cleave visual for now)
-  showCleaveEffect(player.x, player.y);
+  fx('cleave', player.x, player.y);
   
   // Damage and knockback all targets
   let totalDamage = 0;
@@ -5169,12 +5152,7 @@ function executeSwordShockwave(weapon, ability) {
         if (canNPCMoveTo(currentState, newX, newY)) {
           target.x = newX;
           target.y = newY;
-          
-          // Update enemy position visually
-          const enemyEl = document.getElementById(target.id);
-          if (enemyEl) {
-            enemyEl.style.transform = actorTransform(target.x, target.y);
-          }
+          emit(EVENTS.ENEMY_MOVED, { enemy: target, x: newX, y: newY });
         }
       }
     }
@@ -5234,7 +5212,7 @@ export function useSenseAbility(slot) {
   }
   
   // Check if sense abilities are revealed via MSQ
-  const flags = window.__vetuuFlags || {};
+  const flags = currentState?.flags || {};
   if (!flags.sense_revealed) {
     // Silently fail - UI should be hidden, but guard against direct calls
     return;
@@ -5298,13 +5276,13 @@ export function useSenseAbility(slot) {
   
   // Spend Sense (always, regardless of enemies hit)
   player.sense = Math.max(0, player.sense - ability.senseCost);
-  updatePlayerSenseBar();
+  hud('senseBar');
   
   // Set cooldown (always, regardless of enemies hit)
   // Set ability cooldown
   SENSE_COOLDOWNS[slot].current = ability.cooldownMs;
   SENSE_COOLDOWNS[slot].max = ability.cooldownMs;
-  updateSenseCooldownUI(slot);
+  hud('senseCooldown', slot);
   
   // Trigger GCD
   triggerGcd();
@@ -5339,7 +5317,7 @@ function executePush(ability) {
   }
   
   // Always show visual effect
-  showPushEffect(player.x, player.y);
+  fx('push', player.x, player.y);
   
   if (affected.length === 0) {
     logCombat('Push: No enemies in range.');
@@ -5380,7 +5358,7 @@ function executePush(ability) {
     }
     
     // Flash enemy outline to show they were affected
-    flashEnemyAffected(enemy);
+    fx('senseAffected', enemy);
     
     if (wasMoved) {
       pushedCount++;
@@ -5433,7 +5411,7 @@ function executePull(ability) {
   }
   
   // Always show visual effect
-  showPullEffect(player.x, player.y);
+  fx('pull', player.x, player.y);
   
   if (affected.length === 0) {
     logCombat('Pull: No enemies in range.');
@@ -5467,7 +5445,7 @@ function executePull(ability) {
     }
     
     // Flash enemy outline to show they were affected
-    flashEnemyAffected(enemy);
+    fx('senseAffected', enemy);
     
     if (wasMoved) {
       pulledCount++;
@@ -5788,7 +5766,7 @@ function tickSenseCooldowns(deltaMs) {
     const cooldown = SENSE_COOLDOWNS[slot];
     if (cooldown.current > 0) {
       cooldown.current = Math.max(0, cooldown.current - deltaMs);
-      updateSenseCooldownUI(parseInt(slot, 10));
+      hud('senseCooldown', parseInt(slot, 10));
     }
   }
 }
@@ -5862,7 +5840,7 @@ function executeSprint() {
     activateSprintBuff(() => {
       // Buff ended - NOW start cooldown
       UTILITY_COOLDOWNS.sprint.current = UTILITY_COOLDOWNS.sprint.max;
-      updateUtilityCooldownUI('sprint');
+      hud('utilityCooldown', 'sprint');
     });
   });
   
@@ -5905,37 +5883,41 @@ function executeHeal() {
   player.hp = Math.min(maxHp, player.hp + healAmount);
   
   // Visual feedback - healing glow animation
-  const playerEl = document.getElementById('player');
-  if (playerEl) {
-    playerEl.classList.add('healing');
-    playerEl.addEventListener('animationend', function handler() {
-      playerEl.classList.remove('healing');
-      playerEl.removeEventListener('animationend', handler);
-    });
-  }
+  fx('playerHealing');
   
   // Show heal number
-  showHealNumber(player.x, player.y, actualHeal);
+  fx('heal', player.x, player.y, actualHeal);
   
   // Update UI (updatePlayerHealthBar handles frame, HUD, and sprite)
   updatePlayerHealthBar();
   
   // Set cooldown
   UTILITY_COOLDOWNS.heal.current = UTILITY_COOLDOWNS.heal.max;
-  updateUtilityCooldownUI('heal');
+  hud('utilityCooldown', 'heal');
   
   logCombat(`Healed for ${actualHeal} HP!`);
 }
 
+/**
+ * Healing glow on the player sprite
+ */
+function flashPlayerHealing() {
+  const playerEl = document.getElementById('player');
+  if (!playerEl) return;
+  playerEl.classList.add('healing');
+  playerEl.addEventListener('animationend', () => playerEl.classList.remove('healing'), { once: true });
+}
+
 /**
  * Show heal number floating up from position
+ * @param {string} kind - 'hp' (default) or 'sense' for Sense restores
  */
-function showHealNumber(x, y, amount) {
+function showHealNumber(x, y, amount, kind = 'hp') {
   const world = document.getElementById('world');
   if (!world) return;
   
   const heal = document.createElement('div');
-  heal.className = 'damage-number heal-number';
+  heal.className = kind === 'sense' ? 'damage-number heal-number sense-number' : 'damage-number heal-number';
   heal.textContent = `+${amount}`;
   heal.style.setProperty('--pos-x', `${x * 24 + 12}px`);
   heal.style.setProperty('--pos-y', `${y * 24}px`);
@@ -5983,19 +5965,202 @@ export function tickUtilityCooldowns(deltaMs) {
   for (const [id, cooldown] of Object.entries(UTILITY_COOLDOWNS)) {
     if (cooldown.current > 0) {
       cooldown.current = Math.max(0, cooldown.current - deltaMs);
-      updateUtilityCooldownUI(id);
+      hud('utilityCooldown', id);
     }
   }
 }
 
-function checkRangeAndLOS(weapon, actionType = null) {
-  const player = currentState.player;
-  const dist = distCoords(player.x, player.y, currentTarget.x, currentTarget.y);
+// ============================================
+// CONSUMABLES (Medkits, stims - inventory + item slots)
+// ============================================
+// One cooldown shared by every consumable so stacking potions can't trivialise fights
+const CONSUMABLE_COOLDOWN = { current: 0, max: 15000 }; // 15s shared cooldown
+const CONSUMABLE_GCD_MS = 1000; // Shorter lockout than abilities
 
-  if (dist > weapon.range) {
-    // Move to range if action type provided
-    if (actionType !== null) {
-      moveToAttackRange(currentTarget, weapon.range, actionType);
+// Action bar slot ids for bindable consumables (bindings live on state.player.consumableBar)
+export const CONSUMABLE_SLOTS = ['item1', 'item2'];
+
+/**
+ * Use one consumable from the inventory and apply its `effect`.
+ * Supported effects: heal (HP), sense (Sense pool),
+ * buff ({ mods, duration } - a timed stat buff, see addStatBuff).
+ *
+ * Like utilities, consumables never start or modify combat state.
+ * They respect the GCD and trigger a short one of their own.
+ * @returns {boolean} True if the item was consumed
+ */
+export function useConsumable(itemId) {
+  const itemDef = currentState.items.find(i => i.id === itemId);
+  if (!itemDef || itemDef.type !== 'consumable' || !itemDef.effect) {
+    logCombat('That item cannot be used');
+    return false;
+  }
+
+  const entry = currentState.player.inventory.find(i => i.id === itemId);
+  if (!entry || entry.qty <= 0) {
+    logCombat(`No ${itemDef.name} left`);
+    return false;
+  }
+
+  if (isGhostMode) {
+    logCombat('You are a spirit... find your corpse to revive.');
+    return false;
+  }
+
+  if (playerImmunityActive) {
+    logCombat('Cannot use items during immunity');
+    return false;
+  }
+
+  if (isGcdActive()) {
+    logCombat(`GCD active (${(getGcdRemaining() / 1000).toFixed(1)}s)`);
+    return false;
+  }
+
+  if (CONSUMABLE_COOLDOWN.current > 0) {
+    const remaining = (CONSUMABLE_COOLDOWN.current / 1000).toFixed(1);
+    logCombat(`Items on cooldown (${remaining}s)`);
+    return false;
+  }
+
+  const player = currentState.player;
+  const { heal = 0, sense = 0, buff = null } = itemDef.effect;
+  const actualHeal = Math.max(0, Math.min(heal, getMaxHP(player) - player.hp));
+  const actualSense = Math.max(0, Math.min(sense, player.maxSense - player.sense));
+
+  // Don't waste a stack when nothing would change
+  if (actualHeal <= 0 && actualSense <= 0 && !buff) {
+    logCombat(heal > 0 && !sense ? 'Already at full health' : `${itemDef.name} would have no effect`);
+    return false;
+  }
+
+  if (actualHeal > 0) {
+    player.hp += actualHeal;
+
+    fx('playerHealing');
+    fx('heal', player.x, player.y, actualHeal);
+    updatePlayerHealthBar();
+  }
+
+  if (actualSense > 0) {
+    player.sense += actualSense;
+    fx('heal', player.x, player.y, actualSense, 'sense');
+    hud('senseBar');
+  }
+
+  // Re-using the same item refreshes its buff rather than stacking it
+  if (buff) {
+    addStatBuff(itemDef.id, { name: itemDef.name, mods: buff.mods, duration: buff.duration });
+  }
+
+  // Start shared cooldown before the async removal so double-presses can't slip through
+  CONSUMABLE_COOLDOWN.current = CONSUMABLE_COOLDOWN.max;
+  triggerGcd(CONSUMABLE_GCD_MS);
+  hud('consumables');
+
+  effects.removeItem(itemId, 1);
+
+  const parts = [];
+  if (actualHeal > 0) parts.push(`+${actualHeal} HP`);
+  if (actualSense > 0) parts.push(`+${actualSense} Sense`);
+  if (buff) parts.push(...Object.entries(buff.mods).map(([stat, value]) => formatMod(stat, value)));
+  logCombat(`Used ${itemDef.name}: ${parts.join(', ')}`);
+  return true;
+}
+
+/**
+ * Use whatever consumable is bound to an action bar item slot.
+ */
+export function useConsumableSlot(slotId) {
+  const itemId = currentState.player.consumableBar?.[slotId];
+  if (!itemId) {
+    logCombat('No item bound to that slot');
+    return false;
+  }
+  return useConsumable(itemId);
+}
+
+/**
+ * Bind a consumable to an action bar item slot (pass null to clear).
+ * An item can only sit in one slot; binding it elsewhere moves it.
+ */
+export function bindConsumableSlot(slotId, itemId) {
+  if (!CONSUMABLE_SLOTS.includes(slotId)) return false;
+
+  if (itemId) {
+    const itemDef = currentState.items.find(i => i.id === itemId);
+    if (itemDef?.type !== 'consumable') return false;
+  }
+
+  const bar = currentState.player.consumableBar || (currentState.player.consumableBar = {});
+  for (const id of CONSUMABLE_SLOTS) {
+    if (itemId && bar[id] === itemId) bar[id] = null;
+  }
+  bar[slotId] = itemId || null;
+
+  hud('consumables');
+  saveGame(currentState);
+  return true;
+}
+
+export function getConsumableCooldownRemaining() {
+  return CONSUMABLE_COOLDOWN.current;
+}
+
+/**
+ * Refresh item slot icons, stack counts and the shared cooldown overlay.
+ * Called after inventory changes and from the combat tick.
+ */
+export function updateConsumableSlotsUI() {
+  if (!currentState) return;
+  const bar = currentState.player.consumableBar || {};
+  const pct = (CONSUMABLE_COOLDOWN.current / CONSUMABLE_COOLDOWN.max) * 100;
+
+  for (const slotId of CONSUMABLE_SLOTS) {
+    const slot = document.querySelector(`[data-slot="${slotId}"][data-action-type="consumable"]`);
+    if (!slot) continue;
+
+    const itemDef = bar[slotId] ? currentState.items.find(i => i.id === bar[slotId]) : null;
+    const entry = itemDef ? currentState.player.inventory.find(i => i.id === itemDef.id) : null;
+    const qty = entry?.qty || 0;
+
+    const icon = slot.querySelector('.slot-icon');
+    const label = slot.querySelector('.slot-label');
+    const count = slot.querySelector('.slot-count');
+    const key = slot.querySelector('.slot-key')?.textContent || '';
+
+    if (icon) icon.textContent = itemDef ? itemDef.name.charAt(0) : '';
+    if (label) label.textContent = itemDef ? itemDef.name : 'Empty';
+    if (count) count.textContent = itemDef ? qty : '';
+    slot.title = itemDef ? `${itemDef.name} x${qty} (${key})` : `Empty item slot (${key})`;
+    slot.classList.toggle('empty', !itemDef || qty <= 0);
+
+    const overlay = slot.querySelector('.cooldown-overlay');
+    const timer = slot.querySelector('.cooldown-timer');
+    slot.classList.toggle('on-cooldown', CONSUMABLE_COOLDOWN.current > 0);
+    if (overlay) overlay.style.setProperty('--cooldown-pct', pct);
+    if (timer) timer.textContent = CONSUMABLE_COOLDOWN.current > 0 ? Math.ceil(CONSUMABLE_COOLDOWN.current / 1000) : '';
+  }
+}
+
+/**
+ * Tick the shared consumable cooldown - called from combat tick
+ */
+function tickConsumableCooldown(deltaMs) {
+  if (CONSUMABLE_COOLDOWN.current > 0) {
+    CONSUMABLE_COOLDOWN.current = Math.max(0, CONSUMABLE_COOLDOWN.current - deltaMs);
+    hud('consumables');
+  }
+}
+
+function checkRangeAndLOS(weapon, actionType = null) {
+  const player = currentState.player;
+  const dist = distCoords(player.x, player.y, currentTarget.x, currentTarget.y);
+
+  if (dist > weapon.range) {
+    // Move to range if action type provided
+    if (actionType !== null) {
+      moveToAttackRange(currentTarget, weapon.range, actionType);
     } else {
     logCombat(`Out of range`);
     }
@@ -6033,7 +6198,7 @@ function executeEnhancedAttack(weapon, action) {
       applyEffect(currentTarget, effect);
       logCombat(`Applied ${effect.type} for ${effect.durationMs || 0}ms`);
     }
-    updateEnemyStatusEffects(currentTarget);
+    fx('enemyStatus', currentTarget);
   }
 
   updateEnemyHealthBar(currentTarget);
@@ -6099,7 +6264,7 @@ function executeRapidFire(weapon, action) {
   // Sense cost is handled by useAction, but check here as safety
   if (action.senseCost && player.sense >= action.senseCost) {
   player.sense -= action.senseCost;
-  updatePlayerSenseBar();
+  hud('senseBar');
   }
 
   for (let i = 0; i < shots; i++) {
@@ -6119,7 +6284,7 @@ function executeRapidFire(weapon, action) {
         for (const effect of action.onHit) {
           applyEffect(target, effect);
         }
-        updateEnemyStatusEffects(target);
+        fx('enemyStatus', target);
       }
 
       if (target.hp <= 0) {
@@ -6141,7 +6306,7 @@ function executeCleave(weapon, action) {
   }
 
   // Sense is now spent in useAction() case handler before calling this
-  showCleaveEffect(player.x, player.y);
+  fx('cleave', player.x, player.y);
 
   for (const enemy of adjacent) {
     provokeEnemy(enemy);
@@ -6188,23 +6353,8 @@ function executeDash(weapon, action) {
     
     // Check if we can move there
     if (canMoveTo(currentState, newX, newY)) {
-      // Teleport player to new position
-      player.x = newX;
-      player.y = newY;
-      
-      // Update visual position (instant teleport, no transition)
-      const playerEl = document.getElementById('player');
-      if (playerEl) {
-        playerEl.style.transition = 'none';
-        playerEl.style.transform = actorTransform(newX, newY);
-        playerEl.offsetHeight; // Force reflow
-        playerEl.style.transition = '';
-      }
-      
-      // Update camera (instant snap)
-      import('./render.js').then(({ updateCamera }) => {
-        if (typeof updateCamera === 'function') updateCamera(currentState, 0);
-      });
+      // Teleport player to new position (instant, the camera snaps)
+      setPlayerPosition(newX, newY, false);
     }
   }
   
@@ -6248,7 +6398,7 @@ export function playerSpecial() {
  */
 function calculateDamage(weapon, target, actionDamage = null) {
   const player = currentState.player;
-  const config = ENEMY_CONFIGS[target.type] || {};
+  const config = getEnemyType(target.type);
   const baseDamage = actionDamage || weapon.baseDamage || 10;
   
   // Calculate skill multiplier with rifle min-range penalty
@@ -6324,7 +6474,14 @@ function recycleElement(pool, el, baseClass) {
   }
 }
 
-function showProjectile(fromX, fromY, toX, toY, color, isEnhanced = false) {
+export function showProjectile(fromX, fromY, toX, toY, color, isEnhanced = false) {
+  emit(EVENTS.PROJECTILE_FIRED, { fromX, fromY, toX, toY, color, isEnhanced });
+}
+
+/**
+ * PROJECTILE_FIRED subscriber: a pooled projectile flying between two tiles.
+ */
+function renderProjectile({ fromX, fromY, toX, toY, color, isEnhanced }) {
   if (!cachedWorld) {
     cachedWorld = document.getElementById('world');
   }
@@ -6359,6 +6516,13 @@ function showProjectile(fromX, fromY, toX, toY, color, isEnhanced = false) {
 }
 
 function showMeleeSwipe(fromX, fromY, toX, toY, color, isEnhanced = false) {
+  emit(EVENTS.MELEE_SWIPE, { fromX, fromY, toX, toY, color, isEnhanced });
+}
+
+/**
+ * MELEE_SWIPE subscriber: a pooled swipe arc on the target tile.
+ */
+function renderMeleeSwipe({ fromX, fromY, toX, toY, color, isEnhanced }) {
   if (!cachedWorld) {
     cachedWorld = document.getElementById('world');
   }
@@ -6422,7 +6586,7 @@ export function setWeapon(_weaponKey) {
 /** @deprecated Weapon toggle removed in Combat Overhaul */
 export function getCurrentWeapon() {
   // Return based on unlock status for any legacy code that might check
-  const flags = window.__vetuuFlags || {};
+  const flags = currentState?.flags || {};
   return flags.rifle_unlocked ? 'laser_rifle' : 'vibro_sword';
 }
 
@@ -6550,7 +6714,7 @@ function setAutoAttackIntent(target) {
   
   // Determine attack type based on unlock status
   // If rifle is unlocked, use its range (6), otherwise melee range (2)
-  const flags = window.__vetuuFlags || {};
+  const flags = currentState?.flags || {};
   const hasRifle = !!flags.rifle_unlocked;
   const range = hasRifle ? 6 : 1;  // Melee range is 1 (adjacent)
   const requiresLOS = hasRifle; // Only ranged requires LOS
@@ -6702,7 +6866,7 @@ export function checkOpportunitySwipes(prevX, prevY) {
  * Execute an opportunity swipe attack.
  */
 function executeOpportunitySwipe(enemy, t) {
-  const config = ENEMY_CONFIGS[enemy.type] || ENEMY_CONFIGS.nomad;
+  const config = getEnemyType(enemy.type);
   const weapon = ENEMY_WEAPONS[config.weapon];
   
   if (!weapon) return;
@@ -6847,10 +7011,8 @@ export function tryExecuteCombatIntent() {
   // Throttle retries (prevent spam when immune)
   if (combatIntent.retryAt && now < combatIntent.retryAt) return;
   
-  // Check if player is currently moving (import check)
   // Movement module will call us again when move completes
-  const { isCurrentlyMoving } = window.__vetuuMovement || {};
-  if (isCurrentlyMoving?.()) return;
+  if (isCurrentlyMoving()) return;
   
   // Handle by intent type
   switch (combatIntent.type) {
@@ -6948,8 +7110,7 @@ function executeBasicIntent(now) {
   combatIntent.expiresAt = now + INTENT_TIMEOUT_MS; // Refresh timeout on success
   
   // Start CSS-driven swing timer animation (GPU accelerated)
-  startSwingTimerAnimation();
-  updateSwingTimerUI();
+  hud('swingTimer');
 }
 
 /**
@@ -6985,6 +7146,15 @@ function executeBasicAttack(weapon, target) {
     showMeleeSwipe(player.x, player.y, target.x, target.y, weapon.projectileColor || getColors().meleePlayer);
   }
   
+  // Weather can throw ranged shots wide
+  if (weapon.type === 'ranged' && rollWeatherMiss()) {
+    weapon.__lastCrit = false;
+    markCombatEvent();
+    showDamageNumber(target.x, target.y, 'Miss', false);
+    logCombat(`Your shot goes wide in the ${getWeatherName().toLowerCase()}.`);
+    return;
+  }
+  
   // Apply damage
   target.hp -= damage;
   markCombatEvent(); // Track combat activity for regen gating
@@ -7008,30 +7178,12 @@ function executeBasicAttack(weapon, target) {
  * Simplified version of calculateDamage for basic attacks
  */
 function calculateBasicDamage(weapon, target, baseDamage) {
-  const player = currentState.player;
-  const atk = player.atk || 0;
-  const levelMult = 1 + (player.level - 1) * 0.05;
-  
-  // Get defense
-  const defRaw = target.def ?? 0;
-  const defMult = 100 / (100 + defRaw * DEF_K);
-  
-  // Vulnerability check
-  const vulnMult = isVulnerable(target) ? 1.3 : 1.0;
-  
-  // Variance
-  const variance = 0.9 + Math.random() * 0.2;
-  
-  // Crit check
-  const luck = player.luck || 0;
-  const critChance = 0.05 + luck * 0.02;
-  const isCrit = Math.random() < critChance;
-  const critMult = isCrit ? 1.5 : 1.0;
+  const { damage, isCrit } = computeBasicDamage(currentState.player, target, baseDamage, {
+    vulnerable: isVulnerable(target),
+    rng: combatRng.next
+  });
   weapon.__lastCrit = isCrit;
-  
-  // Final damage
-  let damage = (baseDamage + atk) * levelMult * defMult * vulnMult * variance * critMult;
-  return Math.max(1, Math.round(damage));
+  return damage;
 }
 
 /**
@@ -7166,7 +7318,7 @@ function executeAbilityIntent(_now) {
   
   // Check if ability is locked
   const player = currentState.player;
-  const flags = window.__vetuuFlags || {};
+  const flags = currentState?.flags || {};
   if (!isAbilityUnlocked(slot, player, flags)) {
     logCombat(`${ability.name} is locked.`);
     clearCombatIntent();
@@ -7454,6 +7606,11 @@ export function handleTargeting(action, data) {
     case 'utility':
       useUtilityAbility(data);
       break;
+    
+    // Item slots (bound consumables)
+    case 'consumable':
+      useConsumableSlot(data);
+      break;
   }
 }
 
@@ -7488,7 +7645,7 @@ function cycleFriendlyTarget() {
   // Add visible NPCs
   for (const npc of currentState.entities?.npcs || []) {
     if (npc.flags?.hidden) continue;
-    if (npc.requires?.flag && !currentState.flags?.[npc.requires.flag]) continue;
+    if (!isNpcPresent(currentState, npc)) continue;
     if (!isActorVisible(npc)) continue;
     targets.push({ type: 'npc', entity: npc, x: npc.x, y: npc.y });
   }
@@ -7535,44 +7692,18 @@ function cycleFriendlyTarget() {
 function selectTarget(enemy) {
   // Clear any NPC target first
   clearNpcTarget();
-  
-  if (currentTarget) {
-    const prevEl = getEnemyEl(currentTarget.id);
-    if (prevEl) prevEl.classList.remove('targeted');
-  }
-
   currentTarget = enemy;
-
-  const el = getEnemyEl(enemy.id);
-  if (el) el.classList.add('targeted');
-
   updateTargetFrame();
-  updateActionBarState();
 }
 
 export function selectNpcTarget(npc) {
   // Clear any enemy target first
   clearTarget();
-  
-  if (currentNpcTarget) {
-    const prevEl = getNpcEl(currentNpcTarget.id);
-    if (prevEl) prevEl.classList.remove('targeted');
-  }
-  
   currentNpcTarget = npc;
-
-  const el = getNpcEl(npc.id);
-  if (el) el.classList.add('targeted');
-
   updateTargetFrame();
-  updateActionBarState();
 }
 
 function clearNpcTarget() {
-  if (currentNpcTarget) {
-    const el = getNpcEl(currentNpcTarget.id);
-    if (el) el.classList.remove('targeted');
-  }
   currentNpcTarget = null;
 }
 
@@ -7580,26 +7711,11 @@ function selectObjectTarget(obj) {
   // Clear any other targets
   clearTarget();
   clearNpcTarget();
-  
-  if (currentObjectTarget) {
-    const prevEl = document.querySelector(`[data-obj-id="${currentObjectTarget.id}"]`);
-    if (prevEl) prevEl.classList.remove('targeted');
-  }
-
   currentObjectTarget = obj;
-
-  const el = document.querySelector(`[data-obj-id="${obj.id}"]`);
-  if (el) el.classList.add('targeted');
-
   updateTargetFrame();
-  updateActionBarState();
 }
 
 function clearObjectTarget() {
-  if (currentObjectTarget) {
-    const el = document.querySelector(`[data-obj-id="${currentObjectTarget.id}"]`);
-    if (el) el.classList.remove('targeted');
-  }
   currentObjectTarget = null;
 }
 
@@ -7657,35 +7773,18 @@ function checkTargetDistance() {
            screenY < -bufferY || screenY > vh + bufferY;
   };
   
-  // Check enemy target
-  if (currentTarget && isOutsideViewport(currentTarget)) {
-    const el = getEnemyEl(currentTarget.id);
-    if (el) el.classList.remove('targeted');
-    currentTarget = null;
-    updateTargetFrame();
-    updateActionBarState();
-  }
-  
-  // Check NPC target
-  if (currentNpcTarget && isOutsideViewport(currentNpcTarget)) {
-    const prevEl = getNpcEl(currentNpcTarget.id);
-    if (prevEl) prevEl.classList.remove('targeted');
-    currentNpcTarget = null;
-  }
-  
-  // Check object target
-  if (currentObjectTarget && isOutsideViewport(currentObjectTarget)) {
-    const prevEl = document.querySelector(`[data-obj-id="${currentObjectTarget.id}"]`);
-    if (prevEl) prevEl.classList.remove('targeted');
-    currentObjectTarget = null;
-  }
+  const dropEnemy = isOutsideViewport(currentTarget);
+  const dropNpc = isOutsideViewport(currentNpcTarget);
+  const dropObject = isOutsideViewport(currentObjectTarget);
+  if (!dropEnemy && !dropNpc && !dropObject) return;
+
+  if (dropEnemy) currentTarget = null;
+  if (dropNpc) currentNpcTarget = null;
+  if (dropObject) currentObjectTarget = null;
+  updateTargetFrame();
 }
 
 function clearTarget() {
-  if (currentTarget) {
-    const el = getEnemyEl(currentTarget.id);
-    if (el) el.classList.remove('targeted');
-  }
   currentTarget = null;
   
   // Full disengage when target is explicitly cleared (Escape key)
@@ -7698,14 +7797,18 @@ function clearTarget() {
   clearNpcTarget();
   clearObjectTarget();
   updateTargetFrame();
-  updateActionBarState();
 }
 
 export function getCurrentTarget() {
   return currentTarget;
 }
 
+/**
+ * Spawn a boss definition (entities.json) as a live enemy.
+ * Encounter rules (phases, arena, rotation) are run by boss.js.
+ */
 export function spawnBoss(state, bossDef) {
+  const maxHP = Math.round(calculateEnemyHP(bossDef.level) * (bossDef.hpMultiplier ?? 3));
   const boss = {
     id: bossDef.id,
     name: bossDef.name,
@@ -7713,21 +7816,61 @@ export function spawnBoss(state, bossDef) {
     level: bossDef.level,
     x: bossDef.x,
     y: bossDef.y,
-    hp: calculateEnemyHP(bossDef.level) * 3,
-    maxHP: calculateEnemyHP(bossDef.level) * 3,
-    atk: calculateEnemyAtk(bossDef.level) * 1.5,
+    spawnX: bossDef.x,
+    spawnY: bossDef.y,
+    home: { x: bossDef.x, y: bossDef.y },
+    hp: maxHP,
+    maxHP,
+    atk: Math.round(calculateEnemyAtk(bossDef.level) * (bossDef.atkMultiplier ?? 1.5)),
     def: calculateEnemyDef(bossDef.level),
     cooldownUntil: 0,
     moveCooldown: 0,
     isBoss: true,
-    color: getColors().boss
+    aggroType: 'aggressive',
+    color: getColors().boss,
+    projectileColor: getColors().boss
   };
 
   state.runtime.activeEnemies.push(boss);
-  renderEnemies(state);
+  emit(EVENTS.ENEMY_SPAWNED, { enemy: boss, playerLevel: state.player.level });
   return boss;
 }
 
+/**
+ * Apply a scripted hit to the player (boss abilities).
+ * @param {object} enemy - Attacker
+ * @param {number} baseDamage - Ability base damage before defense/level scaling
+ * @param {string} abilityName - For the combat log
+ * @returns {number} Damage dealt (0 if the player can't be hit)
+ */
+export function hitPlayerWithAbility(enemy, baseDamage, abilityName) {
+  if (isGhostMode || playerImmunityActive) return 0;
+  
+  const player = currentState.player;
+  const { damage } = computeDamage({
+    attacker: enemy,
+    defender: player,
+    baseDamage,
+    forceNoCrit: true,
+    source: 'enemy',
+    attackId: abilityName,
+    attackerName: enemy.name
+  });
+  
+  player.hp = Math.max(0, player.hp - damage);
+  lastHitTime = nowMs();
+  markCombatEvent();
+  
+  showDamageNumber(player.x, player.y, damage, false, true);
+  logCombat(`${enemy.name}'s ${abilityName} hits you for ${damage}!`);
+  updatePlayerHealthBar();
+  
+  if (player.hp <= 0) {
+    handlePlayerDeath();
+  }
+  return damage;
+}
+
 // ============================================
 // ENEMY STAT CALCULATIONS
 // ============================================
@@ -7778,7 +7921,6 @@ async function handleEnemyDeath(enemy) {
     }
     
     updateTargetFrame();
-    updateActionBarState();
   }
 
   // ============================================
@@ -7810,14 +7952,27 @@ async function handleEnemyDeath(enemy) {
   const bossBonus = enemy.isBoss ? 200 : 0;
   const xp = Math.floor((baseXP + alphaBonus + bossBonus) * xpMultiplier);
   
-  const { grantXP, showToast } = await import('./game.js');
   const { updateQuestProgress } = await import('./quests.js');
   
-  grantXP(xp);
+  effects.grantXP(xp);
+  
+  // Credits carried by the enemy
+  const { earnCredits, getKillReward, formatCredits } = await import('./economy.js');
+  const credits = getKillReward(enemy);
+  if (credits > 0) {
+    earnCredits(credits, 'kill', enemy.name);
+    notify(`+${formatCredits(credits)}`, 'credits');
+  }
+  
+  // Items dropped on the ground where the enemy fell
+  const drops = rollLoot(enemy);
+  if (drops.length > 0) {
+    spawnLootDrop(enemy.x, enemy.y, drops, enemy);
+  }
   
   // Show bonus indicator for challenging kills
   if (levelDiff >= 2) {
-    showToast(`Challenge bonus! +${Math.floor((xpMultiplier - 1) * 100)}% XP`, 'xp');
+    notify(`Challenge bonus! +${Math.floor((xpMultiplier - 1) * 100)}% XP`, 'xp');
   }
 
   currentState.runtime.activeEnemies = currentState.runtime.activeEnemies.filter(e => e.id !== enemy.id);
@@ -7849,36 +8004,42 @@ async function handleEnemyDeath(enemy) {
 
   if (enemy.isBoss) {
     currentState.runtime.defeatedBosses.add(enemy.id);
+    onBossDefeated(enemy);
     updateQuestProgress(currentState, 'boss', { bossId: enemy.id });
-    showToast('Boss defeated!', 'quest');
+    notify('Boss defeated!', 'quest');
     }
   // Note: Respawning is now handled by the Spawn Director
 
-  const el = getEnemyEl(enemy.id);
-  if (el) {
-    el.classList.add('dying');
-    
-    // Remove from cache since we're removing the element
-    enemyEls.delete(enemy.id);
-    
-    // Remove on animation end, with fallback timeout in case animation doesn't fire
-    const removeEl = () => {
-      if (el.parentNode) el.remove();
-    };
-    el.addEventListener('animationend', removeEl, { once: true });
-    
-    // Fallback: force remove after 100ms if animationend didn't fire
-    setTimeout(removeEl, 100);
-  }
+  emit(EVENTS.ENEMY_DIED, { enemy });
 
   saveGame(currentState);
 }
 
-async function handlePlayerDeath() {
-  const { showToast, updateHUD, updateMinimapCorpse } = await import('./game.js');
-  const { showDialogue } = await import('./dialogue.js');
-  const { updateCamera } = await import('./render.js');
-  const { renderFog, revealAround } = await import('./fog.js');
+/**
+ * ENEMY_DIED subscriber: play the death animation and drop the element.
+ */
+function renderEnemyDeath({ enemy }) {
+  const el = getEnemyEl(enemy.id);
+  if (!el) return;
+
+  el.classList.add('dying');
+  
+  // Remove from cache since we're removing the element
+  enemyEls.delete(enemy.id);
+  
+  // Remove on animation end, with fallback timeout in case animation doesn't fire
+  const removeEl = () => {
+    if (el.parentNode) el.remove();
+  };
+  el.addEventListener('animationend', removeEl, { once: true });
+  
+  // Fallback: force remove after 100ms if animationend didn't fire
+  setTimeout(removeEl, 100);
+}
+
+function handlePlayerDeath() {
+  // Wipe: boss encounters start over
+  resetBossEncounter();
 
   autoAttackEnabled = false;
   inCombat = false;
@@ -7891,104 +8052,48 @@ async function handlePlayerDeath() {
   };
 
   logCombat('You have fallen...');
-  showToast('You have fallen...', 'error');
+  notify('You have fallen...', 'error');
 
   // Immediately teleport to base (medical bay near Vela)
-  const spawnX = DRYCROSS_CENTER.x;
-  const spawnY = DRYCROSS_CENTER.y;
-  
   currentState.player.hp = 1; // Barely alive, in medical care
-  currentState.player.x = spawnX;
-  currentState.player.y = spawnY;
-
-  const playerEl = document.getElementById('player');
-  if (playerEl) {
-    playerEl.classList.add('downed'); // Visual indicator that we're in the med bay
-    playerEl.style.transition = 'none';
-    playerEl.style.transform = actorTransform(spawnX, spawnY);
-    playerEl.offsetHeight; // Force reflow
-    playerEl.style.transition = '';
-  }
-
-  // Update camera and fog for new position (instant snap, no transition)
-  updateCamera(currentState, 0);
-  revealAround(currentState, spawnX, spawnY);
-  renderFog(currentState);
-  updateHUD();
+  setPlayerPosition(DRYCROSS_CENTER.x, DRYCROSS_CENTER.y, false);
   updatePlayerHealthBar();
 
-  // Show corpse on minimap
-  updateMinimapCorpse(corpseLocation.x, corpseLocation.y);
-
-  // Show death dialogue after a brief moment
-  setTimeout(() => {
-    showDialogue(currentState, 'dlg_vela_death');
-  }, 1000);
+  // game.js reveals fog, pins the corpse on the minimap and opens Vela's death dialogue
+  emit(EVENTS.PLAYER_LIFE_CHANGED, { status: 'downed', corpse: corpseLocation, immune: false });
 }
 
-export async function reviveAtBase() {
-  const { showToast, updateHUD, clearMinimapCorpse } = await import('./game.js');
-  const { updateCamera } = await import('./render.js');
-    const { renderFog, revealAround } = await import('./fog.js');
-
+export function reviveAtBase() {
   isGhostMode = false;
   corpseLocation = null;
-  removeCorpseMarker();
-  clearMinimapCorpse();
 
   // Revive with half HP at base
   const spawnX = DRYCROSS_CENTER.x;
   const spawnY = DRYCROSS_CENTER.y;
-  
-    currentState.player.hp = Math.floor(getMaxHP(currentState.player) / 2);
-  currentState.player.x = spawnX;
-  currentState.player.y = spawnY;
+  currentState.player.hp = Math.floor(getMaxHP(currentState.player) / 2);
 
   // Clear nearby enemies
-    currentState.runtime.activeEnemies = currentState.runtime.activeEnemies.filter(e => {
-    return distCoords(e.x, e.y, spawnX, spawnY) > 15;
-    });
+  const culled = currentState.runtime.activeEnemies.filter(e => distCoords(e.x, e.y, spawnX, spawnY) <= 15);
+  currentState.runtime.activeEnemies = currentState.runtime.activeEnemies.filter(e => !culled.includes(e));
+  for (const enemy of culled) emit(EVENTS.ENEMY_DESPAWNED, { enemy });
 
-    const playerEl = document.getElementById('player');
-    if (playerEl) {
-    playerEl.classList.remove('ghost', 'downed');
-    playerEl.style.transition = 'none';
-    playerEl.style.transform = actorTransform(spawnX, spawnY);
-    playerEl.offsetHeight;
-    playerEl.style.transition = '';
-    }
-
-    updateCamera(currentState, 0); // Instant snap, no transition
-  revealAround(currentState, spawnX, spawnY);
-    renderFog(currentState);
-    renderEnemies(currentState);
-    updateHUD();
-    updatePlayerHealthBar();
+  setPlayerPosition(spawnX, spawnY, false);
+  updatePlayerHealthBar();
+  emit(EVENTS.PLAYER_LIFE_CHANGED, { status: 'alive', corpse: null, immune: false });
 
-  showToast('You wake up in the medical bay...', 'item');
-    saveGame(currentState);
+  notify('You wake up in the medical bay...', 'item');
+  saveGame(currentState);
 }
 
-export async function startCorpseRun() {
-  const { showToast, updateHUD } = await import('./game.js');
-
+export function startCorpseRun() {
   isGhostMode = true;
 
   // Player is already at base from handlePlayerDeath
-  // Just switch from downed to ghost mode
-  const playerEl = document.getElementById('player');
-  if (playerEl) {
-    playerEl.classList.remove('downed');
-    playerEl.classList.add('ghost');
-  }
-
-  // Create world corpse marker at death location
-  createCorpseMarker(corpseLocation.x, corpseLocation.y);
-
-  updateHUD();
+  // Just switch from downed to ghost mode (the view drops the corpse marker)
+  emit(EVENTS.PLAYER_LIFE_CHANGED, { status: 'ghost', corpse: corpseLocation, immune: false });
   updatePlayerHealthBar();
 
-  showToast('Find your corpse to revive...', 'quest');
+  notify('Find your corpse to revive...', 'quest');
   saveGame(currentState);
 }
 
@@ -8005,43 +8110,21 @@ export function checkCorpseReached() {
   return false;
 }
 
-async function reviveAtCorpse() {
-  const { showToast, updateHUD, clearMinimapCorpse } = await import('./game.js');
-  const { updateCamera } = await import('./render.js');
-
+function reviveAtCorpse() {
   isGhostMode = false;
   
   // Revive at corpse with FULL HP (reward for corpse run)
   currentState.player.hp = getMaxHP(currentState.player);
-  currentState.player.x = corpseLocation.x;
-  currentState.player.y = corpseLocation.y;
-
-  const playerEl = document.getElementById('player');
-  if (playerEl) {
-    playerEl.classList.remove('ghost', 'downed');
-    // Update position to corpse location
-    playerEl.style.transition = 'none';
-    playerEl.style.transform = actorTransform(corpseLocation.x, corpseLocation.y);
-    playerEl.offsetHeight;
-    playerEl.style.transition = '';
-    
-    // Start immunity period with visual indicator
-    playerEl.classList.add('immune');
-  }
+  setPlayerPosition(corpseLocation.x, corpseLocation.y, false);
 
   // Enable immunity
   startImmunity();
-
-  removeCorpseMarker();
-  clearMinimapCorpse();
-  
   corpseLocation = null;
 
-  updateCamera(currentState, 0); // Instant snap, no transition
-  updateHUD();
   updatePlayerHealthBar();
+  emit(EVENTS.PLAYER_LIFE_CHANGED, { status: 'alive', corpse: null, immune: true });
 
-  showToast('You pull yourself back together! (5s immunity)', 'item');
+  notify('You pull yourself back together! (5s immunity)', 'item');
   logCombat('Revived at corpse with full health. 5 second immunity.');
   saveGame(currentState);
 }
@@ -8065,14 +8148,8 @@ function endImmunity() {
   playerImmunityActive = false;
   immunityTimeout = null;
   
-  const playerEl = document.getElementById('player');
-  if (playerEl) {
-    playerEl.classList.remove('immune');
-  }
-  
-  import('./game.js').then(({ showToast }) => {
-    showToast('Immunity ended', 'info');
-  });
+  emit(EVENTS.PLAYER_LIFE_CHANGED, { status: 'alive', corpse: null, immune: false });
+  notify('Immunity ended', 'info');
   logCombat('Immunity period ended.');
 }
 
@@ -8080,6 +8157,25 @@ export function isPlayerImmune() {
   return playerImmunityActive;
 }
 
+/**
+ * PLAYER_LIFE_CHANGED subscriber: downed/ghost/immune looks on the player
+ * sprite and the world corpse marker during a corpse run.
+ */
+function renderPlayerLife({ status, corpse, immune }) {
+  const playerEl = document.getElementById('player');
+  if (playerEl) {
+    playerEl.classList.toggle('downed', status === 'downed');
+    playerEl.classList.toggle('ghost', status === 'ghost');
+    playerEl.classList.toggle('immune', immune);
+  }
+
+  if (status === 'ghost') {
+    createCorpseMarker(corpse.x, corpse.y);
+  } else {
+    removeCorpseMarker();
+  }
+}
+
 function createCorpseMarker(x, y) {
   const world = document.getElementById('world');
   if (!world) return;
@@ -8170,7 +8266,7 @@ export function renderEnemies(state) {
  * @returns {HTMLElement} The enemy element
  */
 export function createEnemyElement(enemy, playerLevel) {
-  const config = ENEMY_CONFIGS[enemy.type] || ENEMY_CONFIGS.nomad;
+  const config = getEnemyType(enemy.type);
   const weapon = ENEMY_WEAPONS[config.weapon];
   const isPassive = isEnemyPassive(enemy) && !provokedEnemies.has(enemy.id);
 
@@ -8315,6 +8411,13 @@ export function removeEnemyElement(enemyId) {
 // Note: updateEnemyVisuals() is defined earlier in the file with comprehensive logic
 
 function updateEnemyHealthBar(enemy) {
+  emit(EVENTS.ENEMY_HEALTH_CHANGED, { enemy });
+}
+
+/**
+ * ENEMY_HEALTH_CHANGED subscriber: the enemy's bar and, if targeted, the target frame.
+ */
+function renderEnemyHealth({ enemy }) {
   // Use cached DOM reference
   const el = enemyEls.get(enemy.id);
   const fill = el?.querySelector('.enemy-hp-fill');
@@ -8335,8 +8438,8 @@ function updateEnemyHealthBar(enemy) {
   }
 }
 
-// Update enemy element with current status effect classes
-function updateEnemyStatusEffects(enemy) {
+// Sync an enemy element with its status effects, immunity, retreat and engagement
+function renderEnemyStatus(enemy) {
   // Use cached DOM reference instead of querySelector
   const el = enemyEls.get(enemy.id);
   if (!el) return;
@@ -8348,6 +8451,10 @@ function updateEnemyStatusEffects(enemy) {
   el.classList.toggle('is-vulnerable', isVulnerable(enemy));
   el.classList.toggle('is-immune', isImmune(enemy));
   el.classList.toggle('is-burning', isBurning(enemy));
+  
+  el.classList.toggle('spawn-immune', getSpawnImmunityRemaining(enemy) > 0);
+  el.classList.toggle('retreating', !!enemy.isRetreating);
+  el.classList.toggle('engaged', !!(enemy.isEngaged || enemy.state === 'ENGAGED'));
 }
 
 // Tick all enemy effects and update visuals
@@ -8396,21 +8503,7 @@ function tickAllEnemyEffects() {
     const dy = Math.abs(enemy.y - py);
     if (dx > VISUAL_UPDATE_RANGE || dy > VISUAL_UPDATE_RANGE) continue;
     
-    updateEnemyStatusEffects(enemy);
-    
-    // Use cached DOM reference
-    const el = enemyEls.get(enemy.id);
-    if (!el) continue;
-    
-    // Sync spawn immunity visual state
-    const immuneRemaining = getSpawnImmunityRemaining(enemy, t);
-    el.classList.toggle('spawn-immune', immuneRemaining > 0);
-    
-    // Sync retreating visual
-    el.classList.toggle('retreating', !!enemy.isRetreating);
-    
-    // Sync engaged visual
-    el.classList.toggle('engaged', !!(enemy.isEngaged || enemy.state === 'ENGAGED'));
+    fx('enemyStatus', enemy);
   }
 }
 
@@ -8434,7 +8527,13 @@ function getPlayerHealthEls() {
 }
 
 function updatePlayerHealthBar() {
-  const player = currentState.player;
+  emit(EVENTS.PLAYER_HEALTH_CHANGED, { player: currentState.player });
+}
+
+/**
+ * PLAYER_HEALTH_CHANGED subscriber: portrait frame, HUD bar and the bar over the sprite.
+ */
+function renderPlayerHealth({ player }) {
   const max = getMaxHP(player);
   const pct = getHPPercent(player);
   const els = getPlayerHealthEls();
@@ -8487,6 +8586,34 @@ function getTargetFrameEls() {
 }
 
 function updateTargetFrame() {
+  emit(EVENTS.TARGET_CHANGED, { enemy: currentTarget, npc: currentNpcTarget, object: currentObjectTarget });
+}
+
+// Elements currently carrying the .targeted highlight
+let highlightedEls = [];
+
+/**
+ * TARGET_CHANGED subscriber: move the .targeted highlight, fill the target
+ * frame and refresh which action slots are usable.
+ */
+function renderTargetFrame(targets) {
+  const { enemy, npc, object } = targets;
+  const nextEls = [
+    enemy && getEnemyEl(enemy.id),
+    npc && getNpcEl(npc.id),
+    object && document.querySelector(`[data-obj-id="${object.id}"]`)
+  ].filter(Boolean);
+  for (const el of highlightedEls) {
+    if (!nextEls.includes(el)) el.classList.remove('targeted');
+  }
+  for (const el of nextEls) el.classList.add('targeted');
+  highlightedEls = nextEls;
+
+  updateActionBarState();
+  fillTargetFrame(targets);
+}
+
+function fillTargetFrame({ enemy: currentTarget, npc: currentNpcTarget, object: currentObjectTarget }) {
   const els = getTargetFrameEls();
   if (!els) return;
   const { frame, name: nameEl, level: levelEl, hpFill, hpText } = els;
@@ -8641,7 +8768,7 @@ function updateActionBarState() {
 function updateSenseAbilityVisibility() {
   const senseAbilities = document.getElementById('sense-abilities');
   const senseDivider = document.querySelector('.slot-divider.sense-divider');
-  const flags = window.__vetuuFlags || {};
+  const flags = currentState?.flags || {};
   
   const senseRevealed = !!flags.sense_revealed;
   
@@ -8709,7 +8836,7 @@ function updateSlotCooldown(slotNum, actionType) {
   
   // Check if ability is locked (for visual feedback)
   const player = currentState?.player;
-  const flags = window.__vetuuFlags || {};
+  const flags = currentState?.flags || {};
   const ability = getAbility(slotNum);
   const isLocked = ability && player && !isAbilityUnlocked(slotNum, player, flags);
 
@@ -8767,6 +8894,14 @@ function updateGcdUI() {
       slot.classList.toggle('gcd-active', isActive);
     }
   }
+  
+  // Update item slots (bound consumables)
+  for (const slotId of CONSUMABLE_SLOTS) {
+    const slot = document.querySelector(`[data-slot="${slotId}"][data-action-type="consumable"]`);
+    if (slot) {
+      slot.classList.toggle('gcd-active', isActive);
+    }
+  }
 }
 
 // Cache for SVG path length
@@ -8936,12 +9071,19 @@ function completeCastTimerAnimation(slot) {
 }
 
 function logCombat(msg) {
+  emit(EVENTS.COMBAT_LOG, { message: msg });
+}
+
+/**
+ * COMBAT_LOG subscriber: append a line, keeping the last 50.
+ */
+function renderCombatLog({ message }) {
   const log = document.getElementById('combat-log');
   if (!log) return;
 
   const line = document.createElement('div');
   line.className = 'combat-log-line';
-  line.textContent = msg;
+  line.textContent = message;
   log.appendChild(line);
   log.scrollTop = log.scrollHeight;
 
@@ -8978,6 +9120,13 @@ function recycleDamageNumber(el) {
 }
 
 function showDamageNumber(x, y, damage, isCrit, isPlayer = false, isBurn = false) {
+  emit(EVENTS.DAMAGE_DEALT, { x, y, damage, isCrit, isPlayer, isBurn });
+}
+
+/**
+ * DAMAGE_DEALT subscriber: float a pooled damage number over the tile.
+ */
+function renderDamageNumber({ x, y, damage, isCrit, isPlayer, isBurn }) {
   if (!cachedWorld) {
     cachedWorld = document.getElementById('world');
   }
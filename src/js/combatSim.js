@@ -0,0 +1,304 @@
+/**
+ * VETUU — Headless Combat Simulator
+ * Player-vs-enemy fights without the DOM, for checking balance changes
+ *
+ * Uses the live formulas (damage.js), BALANCE/PLAYER_ABILITIES (abilities.js),
+ * derived player stats (stats.js) and the enemy catalogue (enemyCatalog.js),
+ * stepping the fight in TICK_MS increments:
+ * - Player auto-attacks on the shared 1.5s cadence, paused while casting/channeling
+ * - The rotation is a priority list of ability slots, used whenever off GCD and cooldown
+ * - Each enemy attacks on its weapon cooldown; at most MAX_ATTACKERS at once
+ * - Weather accuracy (rangedAccuracy) applies to ranged basic attacks on both sides
+ *
+ * Not modelled: positioning (everyone is in range from the first tick),
+ * regen, consumables, sense abilities and enemy role specials.
+ *
+ * From Node (repo root), after loading the catalogue:
+ *   import { readFileSync } from 'node:fs';
+ *   import { initEnemyCatalog } from './src/js/enemyCatalog.js';
+ *   import { simulateCombat } from './src/js/combatSim.js';
+ *
+ *   initEnemyCatalog(JSON.parse(readFileSync('src/data/enemies.json', 'utf8')));
+ *   const { items } = JSON.parse(readFileSync('src/data/items.json', 'utf8'));
+ *   simulateCombat({
+ *     player: { level: 10, weapon: 'vibro_sword', gear: ['itm_armor_green'], rotation: [3, 2] },
+ *     enemy: { type: 'trog_warrior', level: 12 },
+ *     items
+ *   });
+ */
+
+import { computeDamage, computeBasicDamage } from './damage.js';
+import { PLAYER_ABILITIES, BASIC_ATTACKS, GCD_MS, calculateAbilityDamage } from './abilities.js';
+import { WEAPONS, BASIC_ATTACK_CD_MS } from './weapons.js';
+import { buildStatBreakdown } from './stats.js';
+import {
+  ENEMY_TYPES, ENEMY_WEAPONS, getSpawnableType, scaleEnemyStats, applyAlphaMods
+} from './enemyCatalog.js';
+
+const TICK_MS = 50;
+const DEFAULT_TRIALS = 1000;
+const DEFAULT_MAX_DURATION_MS = 120000;
+
+// Mirrors MAX_ENGAGED_ENEMIES in combat.js (attacker slots)
+const MAX_ATTACKERS = 3;
+
+// Ability slots that deal damage (sense push/pull only move enemies)
+const DAMAGE_SLOTS = [2, 3, 4, 5];
+
+// ============================================
+// SETUP
+// ============================================
+
+/**
+ * Resolve gear entries (item ids or item defs) to their mods.
+ */
+function resolveGearMods(gear, items) {
+  return gear.map(entry => {
+    if (typeof entry !== 'string') return entry.mods || {};
+
+    const item = items.find(i => i.id === entry);
+    if (!item) throw new Error(`Unknown item: ${entry}`);
+    return item.mods || {};
+  });
+}
+
+function buildPlayer({ level = 1, weapon = 'laser_rifle', gear = [], buffs = [], rotation = [] }, items) {
+  const weaponDef = WEAPONS[weapon];
+  if (!weaponDef) throw new Error(`Unknown weapon: ${weapon}`);
+
+  for (const slot of rotation) {
+    const ability = PLAYER_ABILITIES[slot];
+    if (!ability || !DAMAGE_SLOTS.includes(slot)) {
+      throw new Error(`Slot ${slot} is not a damage ability (use ${DAMAGE_SLOTS.join(', ')})`);
+    }
+    if (level < ability.unlockLevel) {
+      throw new Error(`${ability.name} unlocks at level ${ability.unlockLevel}`);
+    }
+  }
+
+  const breakdown = buildStatBreakdown(level, resolveGearMods(gear, items), buffs);
+  return {
+    name: 'Player',
+    level,
+    maxHP: breakdown.maxHP.total,
+    atk: breakdown.atk.total,
+    def: breakdown.def.total,
+    luck: breakdown.luck.total,
+    crit: breakdown.crit.total,
+    attackType: weaponDef.type === 'ranged' ? 'ranged' : 'melee',
+    rotation
+  };
+}
+
+function buildEnemy({ type, level = 1, alpha = false }) {
+  if (!ENEMY_TYPES[type]) throw new Error(`Unknown enemy type: ${type}`);
+
+  const typeDef = getSpawnableType(type);
+  const { hp, atk, def } = scaleEnemyStats(typeDef, level);
+  const enemy = { name: typeDef.name, type, level, hp, maxHP: hp, atk, def };
+  if (alpha) applyAlphaMods(enemy);
+
+  return { ...enemy, hp: enemy.maxHP, weapon: ENEMY_WEAPONS[typeDef.weapon] };
+}
+
+// ============================================
+// SINGLE FIGHT
+// ============================================
+
+/**
+ * Run one fight to a win, a death or the time limit.
+ * @returns {{outcome: 'win'|'death'|'timeout', durationMs: number, damageTaken: number, damageDealt: number}}
+ */
+function runFight(player, enemyTemplate, count, options) {
+  const { rng, maxDurationMs, rangedAccuracy } = options;
+
+  const enemies = Array.from({ length: count }, () => ({ ...enemyTemplate, nextAttackAt: 0 }));
+  let hp = player.maxHP;
+  let damageDealt = 0;
+
+  let nextAutoAt = 0;
+  let gcdUntil = 0;
+  let busyUntil = 0;          // Casting or channeling (blocks auto-attack and abilities)
+  const cooldownUntil = {};
+  let pendingHits = [];       // { at, damage, target } - burst shots, flurry hits, charged release
+
+  const currentTarget = () => enemies.find(e => e.hp > 0) || null;
+
+  const hit = (target, damage) => {
+    if (!target || target.hp <= 0) return;
+    const dealt = Math.min(target.hp, damage);
+    target.hp -= damage;
+    damageDealt += dealt;
+  };
+
+  const useAbility = (slot, t, target) => {
+    const ability = PLAYER_ABILITIES[slot];
+    gcdUntil = t + (ability.gcdMs || GCD_MS);
+    if (!ability.cooldownOnSuccess) cooldownUntil[slot] = t + ability.cooldownMs;
+
+    switch (ability.id) {
+      case 'leap':
+        hit(target, calculateAbilityDamage(slot, 'melee'));
+        break;
+      case 'blade_flurry': {
+        const damage = Math.floor(BASIC_ATTACKS.melee.damage * ability.damageMultiplier);
+        for (let i = 1; i <= ability.hits; i++) {
+          pendingHits.push({ at: t + i * ability.hitIntervalMs, damage, target });
+        }
+        busyUntil = t + ability.channelTimeMs;
+        break;
+      }
+      case 'burst': {
+        const damage = Math.floor(BASIC_ATTACKS.ranged.damage * ability.damageMultiplier);
+        for (let i = 0; i < ability.shots; i++) {
+          pendingHits.push({ at: t + i * ability.shotIntervalMs, damage, target });
+        }
+        break;
+      }
+      case 'charged_shot':
+        pendingHits.push({ at: t + ability.castTimeMs, damage: calculateAbilityDamage(slot, 'ranged'), target });
+        busyUntil = t + ability.castTimeMs;
+        cooldownUntil[slot] = t + ability.castTimeMs + ability.cooldownMs;
+        break;
+    }
+  };
+
+  for (let t = 0; t <= maxDurationMs; t += TICK_MS) {
+    // Scheduled hits land first (a dead target drops the rest of its hits)
+    const due = pendingHits.filter(h => h.at <= t);
+    if (due.length > 0) {
+      pendingHits = pendingHits.filter(h => h.at > t);
+      for (const h of due) hit(h.target, h.damage);
+    }
+
+    const target = currentTarget();
+    if (!target) return { outcome: 'win', durationMs: t, damageTaken: player.maxHP - hp, damageDealt };
+
+    // Player actions
+    if (t >= busyUntil) {
+      if (t >= gcdUntil) {
+        const slot = player.rotation.find(s => t >= (cooldownUntil[s] ?? 0));
+        if (slot !== undefined) useAbility(slot, t, target);
+      }
+
+      if (t >= nextAutoAt && t >= busyUntil) {
+        nextAutoAt = t + BASIC_ATTACK_CD_MS;
+        const missed = player.attackType === 'ranged' && rng() > rangedAccuracy;
+        if (!missed) {
+          const { damage } = computeBasicDamage(player, target, BASIC_ATTACKS[player.attackType].damage, { rng });
+          hit(target, damage);
+        }
+      }
+    }
+
+    if (!currentTarget()) return { outcome: 'win', durationMs: t, damageTaken: player.maxHP - hp, damageDealt };
+
+    // Enemy attacks
+    const attackers = enemies.filter(e => e.hp > 0).slice(0, MAX_ATTACKERS);
+    for (const enemy of attackers) {
+      if (t < enemy.nextAttackAt) continue;
+      enemy.nextAttackAt = t + enemy.weapon.cooldown;
+
+      if (enemy.weapon.type === 'ranged' && rng() > rangedAccuracy) continue;
+
+      const { damage } = computeDamage({
+        attacker: enemy,
+        defender: player,
+        baseDamage: enemy.weapon.baseDamage || 10,
+        skillMult: enemy.weapon.multiplier || 1,
+        forceNoCrit: true, // Enemies don't crit (for now)
+        source: 'sim',
+        rng
+      });
+      hp -= damage;
+
+      if (hp <= 0) return { outcome: 'death', durationMs: t, damageTaken: player.maxHP, damageDealt };
+    }
+  }
+
+  return { outcome: 'timeout', durationMs: maxDurationMs, damageTaken: player.maxHP - hp, damageDealt };
+}
+
+// ============================================
+// STATISTICS
+// ============================================
+function summarize(values) {
+  if (values.length === 0) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const at = (p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+  const mean = sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+
+  return {
+    mean: Math.round(mean),
+    median: at(0.5),
+    p90: at(0.9),
+    min: sorted[0],
+    max: sorted[sorted.length - 1]
+  };
+}
+
+// ============================================
+// PUBLIC API
+// ============================================
+
+/**
+ * Simulate many fights and report time-to-kill, damage taken and death probability.
+ *
+ * @param {object} config
+ * @param {object} config.player - { level, weapon, gear, buffs, rotation }
+ *   gear: item ids (resolved against config.items) or item defs; buffs: mods objects;
+ *   rotation: ability slots in priority order (2 Leap, 3 Flurry, 4 Burst, 5 Charged Shot)
+ * @param {object} config.enemy - { type, level, alpha, count }
+ * @param {object[]} [config.items] - items.json item list, for gear ids
+ * @param {number} [config.trials=1000]
+ * @param {number} [config.maxDurationMs=120000] - Fights still running after this count as timeouts
+ * @param {number} [config.rangedAccuracy=1] - Weather hit chance for ranged basic attacks
+ * @param {function(): number} [config.rng=Math.random] - Random source in [0, 1)
+ */
+export function simulateCombat({
+  player: playerConfig = {},
+  enemy: enemyConfig = {},
+  items = [],
+  trials = DEFAULT_TRIALS,
+  maxDurationMs = DEFAULT_MAX_DURATION_MS,
+  rangedAccuracy = 1,
+  rng = Math.random
+} = {}) {
+  const player = buildPlayer(playerConfig, items);
+  const enemy = buildEnemy(enemyConfig);
+  const count = Math.max(1, enemyConfig.count ?? 1);
+  const options = { rng, maxDurationMs, rangedAccuracy };
+
+  const results = [];
+  for (let i = 0; i < trials; i++) {
+    results.push(runFight(player, enemy, count, options));
+  }
+
+  const wins = results.filter(r => r.outcome === 'win');
+  const deaths = results.filter(r => r.outcome === 'death').length;
+  const totalDealt = results.reduce((sum, r) => sum + r.damageDealt, 0);
+  const totalMs = results.reduce((sum, r) => sum + r.durationMs, 0);
+
+  return {
+    trials,
+    wins: wins.length,
+    deaths,
+    timeouts: trials - wins.length - deaths,
+    deathChance: deaths / trials,
+    timeToKillMs: summarize(wins.map(r => r.durationMs)),
+    damageTaken: summarize(results.map(r => r.damageTaken)),
+    damageTakenPct: summarize(results.map(r => Math.round((r.damageTaken / player.maxHP) * 100))),
+    playerDps: totalMs > 0 ? +(totalDealt / (totalMs / 1000)).toFixed(1) : 0,
+    player: { level: player.level, maxHP: player.maxHP, atk: player.atk, def: player.def, luck: player.luck, crit: player.crit },
+    enemy: { type: enemy.type, level: enemy.level, count, maxHP: enemy.maxHP, atk: enemy.atk, def: enemy.def, weapon: enemy.weapon.name }
+  };
+}
+
+// Expose debug tools
+if (typeof window !== 'undefined') {
+  window.VETUU_SIM = async (config) => {
+    const { state } = await import('./game.js');
+    return simulateCombat({ items: state.items, ...config });
+  };
+}
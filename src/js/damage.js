@@ -0,0 +1,211 @@
+/**
+ * VETUU — Damage Math
+ * Pure damage formulas shared by live combat (combat.js) and the headless
+ * simulator (combatSim.js). No DOM, no game state: everything comes in as
+ * arguments, and randomness comes from an injectable rng (default Math.random).
+ *
+ * PLAN B UNIFIED DAMAGE SYSTEM
+ * Both player and enemies use the same formula:
+ * (baseDamage + atk) * skillMult * levelMult * typeMult * defMult * variance
+ *
+ * To tune combat, adjust these constants in order:
+ * 1. DEF_K (tankiness)
+ * 2. LEVEL_ADV_PER, LEVEL_CAP_UP (level scaling)
+ * 3. Weapon baseDamage in enemies.json / BALANCE in abilities.js (pace of fights)
+ */
+
+// Defense curve: damage% = DEF_K / (DEF_K + def)
+// Lower DEF_K = stronger defense. At DEF_K=20: 10 DEF = 33% reduction
+export const DEF_K = 20;
+
+// Level scaling (bounded, not exponential) - tightened for difficulty
+export const LEVEL_ADV_PER = 0.07;   // +7% damage per level above target
+export const LEVEL_DIS_PER = 0.08;   // -8% damage per level below target (was 6%)
+export const LEVEL_CAP_UP = 1.60;    // Max +60% from level advantage
+export const LEVEL_CAP_DOWN = 0.45;  // Min 45% from level disadvantage (was 55%)
+
+// Crit system
+export const CRIT_BASE = 0.05;       // 5% base crit chance
+export const CRIT_PER_LUCK = 0.02;   // +2% per luck point
+export const CRIT_MULT = 1.5;        // Crits deal 150% damage
+
+// Damage variance
+const VAR_MIN = 0.95;
+const VAR_MAX = 1.05;
+
+// Basic attacks: wider variance, gentle level scaling, vulnerable targets take more
+const BASIC_VAR_MIN = 0.9;
+const BASIC_VAR_MAX = 1.1;
+const BASIC_LEVEL_PER = 0.05;
+const VULNERABLE_MULT = 1.3;
+
+// ============================================
+// UNIFIED DAMAGE HELPERS
+// ============================================
+
+/**
+ * Defense damage multiplier using smooth curve.
+ * Returns value in (0, 1] - higher DEF = lower multiplier.
+ */
+export function defenseMult(def) {
+  if (def <= 0) return 1;
+  return DEF_K / (DEF_K + def);
+}
+
+/**
+ * Level difference damage multiplier (bounded, not exponential).
+ * Positive delta = attacker is higher level than defender.
+ */
+export function levelDiffMult(attackerLevel, defenderLevel) {
+  const delta = attackerLevel - defenderLevel;
+  if (delta > 0) {
+    // Attacker advantage: +7% per level, cap at +60%
+    return Math.min(LEVEL_CAP_UP, 1 + delta * LEVEL_ADV_PER);
+  } else if (delta < 0) {
+    // Attacker disadvantage: -8% per level, floor at 45%
+    return Math.max(LEVEL_CAP_DOWN, 1 + delta * LEVEL_DIS_PER);
+  }
+  return 1;
+}
+
+/**
+ * Type effectiveness multiplier (DISABLED - combat simplification)
+ * Weakness/resistance system removed. Always returns 1.
+ */
+function typeMult(_damageType, _defenderConfig) {
+  return 1;
+}
+
+/**
+ * Roll damage variance.
+ */
+function rollVariance(rng) {
+  return VAR_MIN + rng() * (VAR_MAX - VAR_MIN);
+}
+
+/**
+ * Calculate crit chance for an attacker.
+ */
+export function critChance(attacker) {
+  const luck = attacker?.luck ?? 0;
+  const bonus = (attacker?.crit ?? 0) / 100; // Gear/buff crit mods are in percent
+  return CRIT_BASE + luck * CRIT_PER_LUCK + bonus;
+}
+
+/**
+ * UNIFIED DAMAGE CALCULATOR
+ * Used by both player and enemy attacks.
+ *
+ * @param {object} params
+ * @param {object} params.attacker - Attacking entity (needs level, atk)
+ * @param {object} params.defender - Defending entity (needs level, def)
+ * @param {object} params.defenderConfig - ENEMY_TYPES entry (for weakness/resistance), null for player
+ * @param {number} params.baseDamage - Weapon/skill base damage
+ * @param {number} params.skillMult - Skill multiplier (default 1)
+ * @param {string} params.damageType - Damage type for weakness calc (null = no type)
+ * @param {boolean} params.forceNoCrit - If true, skip crit roll (enemies don't crit by default)
+ * @param {string} params.source - "player" or "enemy" for debug
+ * @param {string} params.attackId - Attack name for debug
+ * @param {string} params.attackerName - Attacker name for debug
+ * @param {function(): number} params.rng - Random source in [0, 1)
+ * @returns {{damage: number, isCrit: boolean, breakdown: object}}
+ */
+export function computeDamage({
+  attacker,
+  defender,
+  defenderConfig = null,
+  baseDamage,
+  skillMult = 1,
+  damageType = null,
+  forceNoCrit = false,
+  source = "unknown",
+  attackId = null,
+  attackerName = null,
+  rng = Math.random
+}) {
+  // Gather stats
+  const atkStat = attacker?.atk ?? 0;
+  const defStat = defender?.def ?? 0;
+  const atkLvl = attacker?.level ?? 1;
+  const defLvl = defender?.level ?? 1;
+
+  // Calculate multipliers
+  const defMult = defenseMult(defStat);
+  const lvlMult = levelDiffMult(atkLvl, defLvl);
+  const tMult = typeMult(damageType, defenderConfig);
+  const variance = rollVariance(rng);
+
+  // Crit roll
+  let isCrit = false;
+  let critMult = 1;
+  if (!forceNoCrit) {
+    const cc = critChance(attacker);
+    if (rng() < cc) {
+      isCrit = true;
+      critMult = CRIT_MULT;
+    }
+  }
+
+  // Final damage: (base + atk) * skillMult * lvlMult * tMult * defMult * variance * critMult
+  const rawDamage = (baseDamage + atkStat) * skillMult * lvlMult * tMult * defMult * variance * critMult;
+  const damage = Math.max(1, Math.floor(rawDamage));
+
+  // Build breakdown for debugging
+  const breakdown = {
+    source,
+    attackId,
+    attackerName: attackerName || attacker?.name || "?",
+    defenderName: defender?.name || "?",
+    baseDamage,
+    atk: atkStat,
+    def: defStat,
+    atkLvl,
+    defLvl,
+    skillMult,
+    lvlMult: +lvlMult.toFixed(3),
+    tMult,
+    defMult: +defMult.toFixed(3),
+    variance: +variance.toFixed(3),
+    isCrit,
+    critMult,
+    rawDamage: +rawDamage.toFixed(1),
+    finalDamage: damage
+  };
+
+  return { damage, isCrit, breakdown };
+}
+
+/**
+ * Player basic attack (auto-attack) damage.
+ * Separate curve from computeDamage: flat level scaling, steep defense, wider variance.
+ *
+ * @param {object} attacker - Player (level, atk, luck, crit)
+ * @param {object} defender - Target (def)
+ * @param {number} baseDamage - BASIC_ATTACKS damage for the weapon type
+ * @param {object} options
+ * @param {boolean} options.vulnerable - Target has the vulnerable effect
+ * @param {function(): number} options.rng - Random source in [0, 1)
+ * @returns {{damage: number, isCrit: boolean}}
+ */
+export function computeBasicDamage(attacker, defender, baseDamage, { vulnerable = false, rng = Math.random } = {}) {
+  const atk = attacker.atk || 0;
+  const levelMult = 1 + (attacker.level - 1) * BASIC_LEVEL_PER;
+
+  // Get defense
+  const defRaw = defender.def ?? 0;
+  const defMult = 100 / (100 + defRaw * DEF_K);
+
+  // Vulnerability check
+  const vulnMult = vulnerable ? VULNERABLE_MULT : 1.0;
+
+  // Variance
+  const variance = BASIC_VAR_MIN + rng() * (BASIC_VAR_MAX - BASIC_VAR_MIN);
+
+  // Crit check
+  const isCrit = rng() < critChance(attacker);
+  const critMult = isCrit ? CRIT_MULT : 1.0;
+
+  // Final damage
+  const damage = (baseDamage + atk) * levelMult * defMult * vulnMult * variance * critMult;
+  return { damage: Math.max(1, Math.round(damage)), isCrit };
+}
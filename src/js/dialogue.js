@@ -3,7 +3,11 @@
  * Dialogue UI, choices, effects, keyboard navigation
  */
 
-import { hasFlag, saveGame } from './save.js';
+import { hasFlag, saveGame, slotKey } from './save.js';
+import { checkTimeRequirements } from './time.js';
+import { rng } from './rng.js';
+import { recordInput, isReplaying } from './replay.js';
+import { checkDaysAfterQuest, getPendingDeliveries, canRetryQuest, getQuestState } from './quests.js';
 
 let dialoguePanel = null;
 let speakerEl = null;
@@ -13,10 +17,12 @@ let choicesEl = null;
 let currentState = null;
 let currentNodeId = null;
 let rootNodeId = null; // The starting node of the conversation
+let currentNpc = null; // NPC being talked to (null for signs and scripted dialogue)
 let isOpen = false;
 let selectedIndex = 0;
 let choiceButtons = [];
 let dialogueHistory = []; // Stack of previous node IDs for back navigation
+let queuedDialogue = null; // { state, nodeId, npc } waiting for the open dialogue to close
 
 // Track previously selected choices
 const CHOICES_STORAGE_KEY = 'vetuu_dialogue_choices';
@@ -24,7 +30,7 @@ let selectedChoices = new Set();
 
 function loadSelectedChoices() {
   try {
-    const data = localStorage.getItem(CHOICES_STORAGE_KEY);
+    const data = localStorage.getItem(slotKey(CHOICES_STORAGE_KEY));
     if (data) {
       selectedChoices = new Set(JSON.parse(data));
     }
@@ -35,7 +41,7 @@ function loadSelectedChoices() {
 
 function saveSelectedChoices() {
   try {
-    localStorage.setItem(CHOICES_STORAGE_KEY, JSON.stringify([...selectedChoices]));
+    localStorage.setItem(slotKey(CHOICES_STORAGE_KEY), JSON.stringify([...selectedChoices]));
   } catch (e) {
     console.warn('Failed to save dialogue choices:', e);
   }
@@ -88,9 +94,14 @@ export function initDialogue(state) {
       );
       
       if (isOutside) {
-        hideDialogue();
+        sendChoice('close');
       }
     });
+
+    // The native Escape close would bypass the recording
+    dialoguePanel.addEventListener('cancel', (e) => {
+      if (isReplaying()) e.preventDefault();
+    });
   }
 
   // Make state globally accessible for other modules
@@ -102,6 +113,7 @@ export function initDialogue(state) {
 // ============================================
 function handleDialogueKey(e) {
   if (!isOpen) return;
+  if (isReplaying()) return; // The replay is driving
 
   const code = e.code;
   const key = e.key;
@@ -162,7 +174,7 @@ function handleDialogueKey(e) {
     if (dialoguePanel?.dataset.mandatory === 'true') {
       return; // Can't escape mandatory dialogues
     }
-    hideDialogue();
+    sendChoice('close');
   }
 }
 
@@ -209,8 +221,9 @@ function setSelectedIndex(index) {
 // ============================================
 // SHOW DIALOGUE
 // ============================================
-export function showDialogue(state, nodeId, _npc = null, simpleText = null) {
+export function showDialogue(state, nodeId, npc = null, simpleText = null) {
   currentState = state;
+  currentNpc = npc;
   currentNodeId = nodeId;
   rootNodeId = nodeId; // Remember the root for returning later
   dialogueHistory = []; // Clear history when starting new dialogue
@@ -227,7 +240,7 @@ export function showDialogue(state, nodeId, _npc = null, simpleText = null) {
     const closeBtn = document.createElement('button');
     closeBtn.className = 'dialogue-choice';
     closeBtn.innerHTML = '<span class="choice-key">1</span> <span class="choice-text">Close</span>';
-    closeBtn.addEventListener('click', hideDialogue);
+    closeBtn.addEventListener('click', () => sendChoice('close'));
     choicesEl.appendChild(closeBtn);
     choiceButtons.push(closeBtn);
 
@@ -239,7 +252,7 @@ export function showDialogue(state, nodeId, _npc = null, simpleText = null) {
   }
 
   // Normal dialogue node
-  const node = state.dialogue.nodes[nodeId];
+  const node = getNode(nodeId);
   if (!node) {
     console.warn('Dialogue node not found:', nodeId);
     return;
@@ -270,7 +283,7 @@ function renderNode(node, nodeId = null, addToHistory = true) {
   if (displayText.includes('$GUARD_QUIP')) {
     const quips = currentState.dialogue.guardQuips || [];
     if (quips.length > 0) {
-      const randomQuip = quips[Math.floor(Math.random() * quips.length)];
+      const randomQuip = rng('world').pick(quips);
       displayText = displayText.replace('$GUARD_QUIP', randomQuip);
     }
   }
@@ -280,7 +293,9 @@ function renderNode(node, nodeId = null, addToHistory = true) {
   choiceButtons = [];
   selectedIndex = 0;
 
-  if (!node.choices || node.choices.length === 0) {
+  const choices = getNodeChoices(node);
+
+  if (choices.length === 0) {
     // End of a dialogue branch
     let keyNum = 1;
     
@@ -289,7 +304,7 @@ function renderNode(node, nodeId = null, addToHistory = true) {
       const returnBtn = document.createElement('button');
       returnBtn.className = 'dialogue-choice';
       returnBtn.innerHTML = `<span class="choice-key">${keyNum}</span> <span class="choice-text">Let's talk about something else</span>`;
-      returnBtn.addEventListener('click', returnToRoot);
+      returnBtn.addEventListener('click', () => sendChoice('back'));
       returnBtn.addEventListener('mouseenter', () => setSelectedIndex(0));
       choicesEl.appendChild(returnBtn);
       choiceButtons.push(returnBtn);
@@ -298,7 +313,7 @@ function renderNode(node, nodeId = null, addToHistory = true) {
       const closeBtn = document.createElement('button');
       closeBtn.className = 'dialogue-choice goodbye-option';
       closeBtn.innerHTML = `<span class="choice-key">${keyNum}</span> <span class="choice-text">See you later</span>`;
-      closeBtn.addEventListener('click', hideDialogue);
+      closeBtn.addEventListener('click', () => sendChoice('close'));
       closeBtn.addEventListener('mouseenter', () => setSelectedIndex(1));
       choicesEl.appendChild(closeBtn);
       choiceButtons.push(closeBtn);
@@ -308,7 +323,7 @@ function renderNode(node, nodeId = null, addToHistory = true) {
       const closeBtn = document.createElement('button');
       closeBtn.className = 'dialogue-choice';
       closeBtn.innerHTML = `<span class="choice-key">${keyNum}</span> <span class="choice-text">See you later</span>`;
-      closeBtn.addEventListener('click', hideDialogue);
+      closeBtn.addEventListener('click', () => sendChoice('close'));
       choicesEl.appendChild(closeBtn);
       choiceButtons.push(closeBtn);
       setSelectedIndex(0);
@@ -319,7 +334,7 @@ function renderNode(node, nodeId = null, addToHistory = true) {
   // Filter and render choices
   let visibleChoiceIndex = 0;
   
-  node.choices.forEach((choice, originalIndex) => {
+  choices.forEach((choice, originalIndex) => {
     // Check if this choice should be hidden
     if (shouldHideChoice(choice)) {
       return; // Skip this choice entirely
@@ -363,7 +378,7 @@ function renderNode(node, nodeId = null, addToHistory = true) {
     // Store the original index for tracking selected choices
     btn.dataset.originalIndex = originalIndex;
 
-    btn.addEventListener('click', () => handleChoice(choice, originalIndex));
+    btn.addEventListener('click', () => sendChoice(originalIndex));
     
     // Mouse hover should update selection
     const currentVisibleIndex = visibleChoiceIndex;
@@ -387,7 +402,7 @@ function renderNode(node, nodeId = null, addToHistory = true) {
       const goodbyeBtn = document.createElement('button');
       goodbyeBtn.className = 'dialogue-choice goodbye-option';
       goodbyeBtn.innerHTML = `<span class="choice-key">0</span> <span class="choice-text">See you later</span>`;
-      goodbyeBtn.addEventListener('click', hideDialogue);
+      goodbyeBtn.addEventListener('click', () => sendChoice('close'));
       const goodbyeIndex = choiceButtons.length;
       goodbyeBtn.addEventListener('mouseenter', () => setSelectedIndex(goodbyeIndex));
       choicesEl.appendChild(goodbyeBtn);
@@ -418,7 +433,7 @@ function createBackButton(keyNum) {
   const backBtn = document.createElement('button');
   backBtn.className = 'dialogue-choice back-option';
   backBtn.innerHTML = `<span class="choice-key">${keyNum}</span> <span class="choice-text">Let's talk about something else</span>`;
-  backBtn.addEventListener('click', returnToRoot);
+  backBtn.addEventListener('click', () => sendChoice('back'));
   backBtn.addEventListener('mouseenter', () => {
     const index = choiceButtons.indexOf(backBtn);
     if (index !== -1) setSelectedIndex(index);
@@ -441,27 +456,75 @@ function returnToRoot() {
   // Clear history since we're going back to start
   dialogueHistory = [];
   
-  const rootNode = currentState.dialogue.nodes[rootNodeId];
+  const rootNode = getNode(rootNodeId);
   if (rootNode) {
     renderNode(rootNode, rootNodeId, false);
   }
 }
 
+// ============================================
+// QUEST HAND-OVERS (generated nodes)
+// ============================================
+// giveItem objectives don't need authored dialogue: the target NPC's root gets
+// a "Hand over" choice leading to a generated confirmation node.
+const generatedNodes = new Map();
+
+function getNode(nodeId) {
+  return generatedNodes.get(nodeId) || currentState.dialogue.nodes[nodeId];
+}
+
+function getDeliveryChoices(npc) {
+  return getPendingDeliveries(currentState, npc.id).map(delivery => {
+    const { questId, index, itemId, itemName, amount, afterDialogue } = delivery;
+    const count = amount > 1 ? ` ×${amount}` : '';
+    const nodeId = `deliver_${questId}_${index}`;
+
+    generatedNodes.set(nodeId, {
+      speaker: npc.name,
+      text: `Hand over ${itemName}${count} to ${npc.name}? It will leave your inventory.`,
+      choices: [{
+        text: 'Hand it over.',
+        effects: [{ deliverItem: { questId, index, entityId: npc.id } }],
+        next: afterDialogue || 'END'
+      }]
+    });
+
+    return {
+      text: `Hand over ${itemName}${count}`,
+      next: nodeId,
+      requires: { hasItem: itemId, amount }
+    };
+  });
+}
+
 // Check if a choice should be hidden entirely
 function shouldHideChoice(choice) {
   // If this choice gives a quest, check if we already have it
   if (choice.effects) {
     for (const effect of choice.effects) {
       if (effect.giveQuest) {
-        // Hide if quest is already active or complete
+        // Hide if quest is already active or complete (failed quests stay offered for a retry)
         if (currentState.quests.active.includes(effect.giveQuest) ||
             currentState.quests.complete.includes(effect.giveQuest)) {
           return true;
         }
+        if (currentState.quests.failed?.includes(effect.giveQuest) &&
+            !canRetryQuest(currentState, effect.giveQuest)) {
+          return true;
+        }
+        // Contracts on cooldown come back after the reset
+        if (getQuestState(currentState, effect.giveQuest) === 'cooldown') {
+          return true;
+        }
       }
     }
   }
   
+  // Time-gated lines (night talk, "come back in two days") are hidden until they apply
+  if (!checkTimeRequirements(choice.requires) || !checkDaysAfterQuest(currentState, choice.requires)) {
+    return true;
+  }
+  
   // If this choice has requirements that aren't met, hide it instead of disabling
   // (only for quest-related choices - we want to hide unavailable quests, not show them greyed)
   if (choice.requires) {
@@ -507,7 +570,7 @@ function hasQuestEffect(choice, visited = new Set()) {
   // Direct effects on this choice
   if (choice.effects) {
     for (const effect of choice.effects) {
-      if (effect.giveQuest || effect.completeQuest) {
+      if (effect.giveQuest || effect.completeQuest || effect.deliverItem) {
         return true;
       }
     }
@@ -527,7 +590,7 @@ function hasQuestEffect(choice, visited = new Set()) {
     }
     visited.add(choice.next);
     
-    const nextNode = currentState.dialogue.nodes[choice.next];
+    const nextNode = getNode(choice.next);
     if (nextNode && nextNode.choices) {
       for (const childChoice of nextNode.choices) {
         if (hasQuestEffect(childChoice, visited)) {
@@ -571,9 +634,70 @@ function checkChoiceRequirements(choice) {
     if (currentState.quests.active.includes(choice.requires.questNotActive)) return false;
   }
 
+  // Item in the inventory (quest hand-overs)
+  if (choice.requires.hasItem) {
+    const held = currentState.player.inventory.find(i => i.id === choice.requires.hasItem);
+    if ((held?.qty || 0) < (choice.requires.amount || 1)) return false;
+  }
+
+  // Time of day / day counter requirement (isNight, dayPhase, minDay)
+  if (!checkTimeRequirements(choice.requires)) return false;
+
+  // Days since a quest was completed
+  if (!checkDaysAfterQuest(currentState, choice.requires)) return false;
+
+  return true;
+}
+
+// ============================================
+// CHOICE SELECTION (recorded for replays)
+// ============================================
+// Every pick from the panel (click, number key, Enter, Escape, backdrop) goes
+// through sendChoice so a recording sees it as a 'dialogue' input: the node
+// it was made on plus the choice index, or 'back' / 'close'.
+
+function sendChoice(choice) {
+  if (isReplaying()) return; // The replay is driving
+  recordInput('dialogue', [currentNodeId, choice]);
+  chooseDialogueOption(currentNodeId, choice);
+}
+
+/**
+ * Pick an option on the open dialogue.
+ * @param {string} nodeId - Node the choice was made on
+ * @param {number|'back'|'close'} choice - Index into the node's choices, or navigation
+ * @returns {boolean} False when that node isn't showing or the choice isn't available
+ */
+export function chooseDialogueOption(nodeId, choice) {
+  if (!isOpen || nodeId !== currentNodeId) return false;
+
+  if (choice === 'close') {
+    hideDialogue();
+    return true;
+  }
+  if (choice === 'back') {
+    returnToRoot();
+    return true;
+  }
+
+  const picked = getNodeChoices(getNode(nodeId))[choice];
+  if (!picked || shouldHideChoice(picked) || !checkChoiceRequirements(picked)) return false;
+
+  handleChoice(picked, choice);
   return true;
 }
 
+/**
+ * A node's choices as offered. Quest hand-overs are offered at the NPC's root,
+ * after the authored choices (appended so saved choice indices stay put).
+ */
+function getNodeChoices(node) {
+  const authored = node?.choices || [];
+  return currentNodeId === rootNodeId && currentNpc
+    ? [...authored, ...getDeliveryChoices(currentNpc)]
+    : authored;
+}
+
 async function handleChoice(choice, choiceIndex = 0) {
   // Mark this choice as selected
   if (currentNodeId) {
@@ -591,7 +715,7 @@ async function handleChoice(choice, choiceIndex = 0) {
     return;
   }
 
-  const nextNode = currentState.dialogue.nodes[choice.next];
+  const nextNode = getNode(choice.next);
   if (nextNode) {
     renderNode(nextNode, choice.next, true); // true = add current node to history
   } else {
@@ -604,9 +728,11 @@ async function handleChoice(choice, choiceIndex = 0) {
 // EFFECT HANDLING
 // ============================================
 async function applyEffects(effects) {
-  const { setFlag, grantXP, addItem, showToast } = await import('./game.js');
-  const { startQuest, completeQuest } = await import('./quests.js');
+  const { setFlag, grantXP, addItem } = await import('./game.js');
+  const { startQuest, completeQuest, deliverQuestItem, recordQuestChoice } = await import('./quests.js');
   const { reviveAtBase, startCorpseRun } = await import('./combat.js');
+  const { openShop } = await import('./shop.js');
+  const { setWeather } = await import('./weather.js');
 
   for (const effect of effects) {
     // Set flag
@@ -616,7 +742,14 @@ async function applyEffects(effects) {
 
     // Give quest
     if (effect.giveQuest) {
-      startQuest(currentState, effect.giveQuest);
+      // A questChoice given alongside has to be in place before the first stage can branch
+      const choice = effects.find(e => e.questChoice?.quest === effect.giveQuest)?.questChoice.choice;
+      startQuest(currentState, effect.giveQuest, { choice });
+    }
+
+    // Decision a staged quest branches on
+    if (effect.questChoice) {
+      recordQuestChoice(currentState, effect.questChoice.quest, effect.questChoice.choice);
     }
 
     // Complete quest
@@ -629,14 +762,24 @@ async function applyEffects(effects) {
       addItem(effect.giveItem, effect.amount || 1);
     }
 
+    // Hand a quest item over (giveItem objective)
+    if (effect.deliverItem) {
+      await deliverQuestItem(currentState, effect.deliverItem);
+    }
+
     // Grant XP
     if (effect.grantXP) {
       grantXP(effect.grantXP);
     }
 
-    // Open shop (placeholder)
+    // Change the weather (duration in seconds, optional)
+    if (effect.setWeather) {
+      setWeather(effect.setWeather, effect.duration ?? null);
+    }
+
+    // Open shop window
     if (effect.openShop) {
-      showToast('Shop coming soon...', 'item');
+      openShop(effect.openShop);
     }
 
     // Death/Revival: Revive at base (run to the light)
@@ -653,6 +796,19 @@ async function applyEffects(effects) {
   saveGame(currentState);
 }
 
+/**
+ * Show a dialogue now, or once the open one closes. Quest stages open
+ * conversations from inside dialogue choices, which close their own panel
+ * right after their effects run.
+ */
+export function queueDialogue(state, nodeId, npc = null) {
+  if (!isOpen) {
+    showDialogue(state, nodeId, npc);
+    return;
+  }
+  queuedDialogue = { state, nodeId, npc };
+}
+
 // ============================================
 // HIDE DIALOGUE
 // ============================================
@@ -680,5 +836,11 @@ if (typeof document !== 'undefined') {
     isOpen = false;
     choiceButtons = [];
     selectedIndex = 0;
+
+    if (queuedDialogue) {
+      const { state, nodeId, npc } = queuedDialogue;
+      queuedDialogue = null;
+      showDialogue(state, nodeId, npc);
+    }
   });
 }
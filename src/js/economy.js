@@ -0,0 +1,149 @@
+/**
+ * VETUU — Economy Module
+ * Player currency (credits) and the transaction ledger
+ *
+ * All balance changes go through earnCredits()/spendCredits() so every
+ * change is recorded in state.player.ledger. verifyLedger() replays the
+ * ledger to check the stored balance hasn't drifted.
+ */
+
+import { saveGame } from './save.js';
+
+export const CURRENCY_SHORT = 'cr';
+
+// Keep the ledger bounded in the save; the oldest entries are folded into
+// a single 'carry' entry so replaying still adds up to the balance.
+const LEDGER_MAX = 200;
+
+let currentState = null;
+
+// ============================================
+// INITIALIZATION
+// ============================================
+export function initEconomy(state) {
+  currentState = state;
+
+  const player = state.player;
+  if (typeof player.credits !== 'number' || !Number.isFinite(player.credits)) {
+    player.credits = 0;
+  }
+  if (!Array.isArray(player.ledger)) {
+    player.ledger = [];
+  }
+
+  // Saves from before the ledger existed: open it with the current balance
+  if (player.ledger.length === 0 && player.credits > 0) {
+    player.ledger.push(createEntry(player.credits, player.credits, 'carry', 'Opening balance'));
+  }
+}
+
+// ============================================
+// BALANCE
+// ============================================
+export function getCredits() {
+  return currentState?.player.credits || 0;
+}
+
+export function canAfford(amount) {
+  return getCredits() >= amount;
+}
+
+/**
+ * Add credits to the player's wallet.
+ * @param {number} amount - Positive whole number of credits
+ * @param {string} source - Ledger source ('kill', 'quest', 'shop_sell', ...)
+ * @param {string} [note] - Human-readable detail for the ledger
+ * @returns {number} New balance
+ */
+export function earnCredits(amount, source, note = '') {
+  amount = Math.floor(amount);
+  if (!currentState || amount <= 0) return getCredits();
+
+  return applyTransaction(amount, source, note);
+}
+
+/**
+ * Remove credits from the player's wallet.
+ * @returns {boolean} False (and no change) if the player can't afford it
+ */
+export function spendCredits(amount, source, note = '') {
+  amount = Math.floor(amount);
+  if (!currentState || amount <= 0) return false;
+  if (!canAfford(amount)) return false;
+
+  applyTransaction(-amount, source, note);
+  return true;
+}
+
+function applyTransaction(delta, source, note) {
+  const player = currentState.player;
+  player.credits = getCredits() + delta;
+  player.ledger.push(createEntry(delta, player.credits, source, note));
+
+  if (player.ledger.length > LEDGER_MAX) {
+    compactLedger(player.ledger);
+  }
+
+  saveGame(currentState);
+  return player.credits;
+}
+
+function createEntry(delta, balance, source, note) {
+  return { at: Date.now(), delta, balance, source, note };
+}
+
+/**
+ * Fold the oldest entries into one 'carry' entry so the ledger stays bounded.
+ */
+function compactLedger(ledger) {
+  const folded = ledger.splice(0, ledger.length - LEDGER_MAX + 1);
+  const last = folded[folded.length - 1];
+  const carried = folded.reduce((sum, e) => sum + e.delta, 0);
+  ledger.unshift({ at: last.at, delta: carried, balance: last.balance, source: 'carry', note: `${folded.length} older entries` });
+}
+
+// ============================================
+// KILL REWARDS
+// ============================================
+
+/**
+ * Credits dropped by a defeated enemy.
+ * Critters carry nothing; humanoids scale with level, alphas and bosses pay extra.
+ */
+export function getKillReward(enemy) {
+  if (enemy.type === 'critter') return 0;
+
+  let credits = 2 + Math.floor(enemy.level * 1.5);
+  if (enemy.isAlpha) credits *= 2;
+  if (enemy.isBoss) credits += 150;
+  return credits;
+}
+
+// ============================================
+// LEDGER
+// ============================================
+export function getLedger() {
+  return currentState?.player.ledger || [];
+}
+
+/**
+ * Replay the ledger and compare against the stored balance.
+ * @returns {{ ok: boolean, balance: number, replayed: number, entries: number }}
+ */
+export function verifyLedger() {
+  const ledger = getLedger();
+  let replayed = 0;
+  let ok = true;
+
+  for (const entry of ledger) {
+    replayed += entry.delta;
+    if (entry.balance !== replayed) ok = false;
+  }
+
+  const balance = getCredits();
+  return { ok: ok && replayed === balance, balance, replayed, entries: ledger.length };
+}
+
+export function formatCredits(amount) {
+  return `${amount} ${CURRENCY_SHORT}`;
+}
@@ -0,0 +1,288 @@
+/**
+ * VETUU — Enemy Catalogue
+ * Enemy types, AI roles, enemy weapons and pack spawn templates (data/enemies.json)
+ *
+ * loadData() passes the parsed file to initEnemyCatalog(), which validates it
+ * and throws if anything is missing or dangling, so a broken catalogue fails
+ * at startup instead of mid-fight.
+ *
+ * - weapons:       enemy weapon stats (weaponAliases maps legacy ids onto them)
+ * - roles:         tactical AI overlay on top of a type (engage priority, ranges, specials)
+ * - types:         visuals, base stats, weapon, aiType and default role per enemy type.
+ *                  "scripted" types (bosses, guards) are placed by hand and only need
+ *                  name, weapon and aiType.
+ * - templates:     pack rosters; a roster entry's type may be a list to pick from
+ * - fallbackType:  type used when an unknown type is spawned or fought
+ *
+ * Colors are CSS variable names ("--enemy-sentry") resolved when the catalogue loads,
+ * or literal colors.
+ *
+ * Role           | Base AI | Priority | Range   | Special              | Notes
+ * ---------------------------------------------------------------------------
+ * melee_chaser   | melee   | 2        | 1       | opportunity swipe    | Anti-kite pressure
+ * melee_flanker  | melee   | 1        | 1       | none                 | Surround/pinch
+ * ranged_skirmisher | ranged | 1      | 3-6     | flank step           | Baseline ranged
+ * ranged_suppressor | ranged | 3      | 3-6     | cast-bias            | Punishes long casts
+ * ranged_marksman   | ranged | 4      | 4-6     | aim shot (telegraph) | Spike threat
+ * ranged_grenadier  | ranged | 2      | 3-6     | grenade AoE (telegraph) | Forces movement
+ */
+
+import { cssVar } from './utils.js';
+
+// ============================================
+// CATALOGUE (populated by initEnemyCatalog)
+// ============================================
+export const ENEMY_TYPES = {};
+export const ENEMY_ROLES = {};
+export const ENEMY_WEAPONS = {};
+export const SPAWN_TEMPLATES = {};
+
+let fallbackType = 'nomad';
+
+const AI_TYPES = ['melee', 'ranged', 'aggressive', 'guard'];
+const COMBAT_TYPES = ['melee', 'ranged'];
+
+const WEAPON_FIELDS = ['range', 'baseDamage', 'cooldown', 'moveSpeed'];
+const TYPE_STAT_FIELDS = [
+  'baseHp', 'baseAtk', 'baseDef', 'moveSpeed',
+  'defaultAggroRadius', 'defaultLeashRadius', 'defaultDeaggroMs'
+];
+const TYPE_STRING_FIELDS = ['color', 'defaultAggroType'];
+
+// ============================================
+// INITIALIZATION
+// ============================================
+
+/**
+ * Validate and load the enemy catalogue.
+ * @param {object} data - Parsed enemies.json
+ * @throws {Error} Listing every problem found
+ */
+export function initEnemyCatalog(data) {
+  const errors = validateEnemyCatalog(data);
+  if (errors.length > 0) {
+    throw new Error(`enemies.json failed validation: ${errors.join('; ')}`);
+  }
+
+  for (const table of [ENEMY_TYPES, ENEMY_ROLES, ENEMY_WEAPONS, SPAWN_TEMPLATES]) {
+    for (const key of Object.keys(table)) delete table[key];
+  }
+
+  Object.assign(ENEMY_WEAPONS, data.weapons);
+  for (const [alias, target] of Object.entries(data.weaponAliases || {})) {
+    ENEMY_WEAPONS[alias] = ENEMY_WEAPONS[target];
+  }
+
+  Object.assign(ENEMY_ROLES, data.roles);
+  Object.assign(SPAWN_TEMPLATES, data.templates || {});
+
+  for (const [id, def] of Object.entries(data.types)) {
+    ENEMY_TYPES[id] = {
+      ...def,
+      color: resolveColor(def.color),
+      projectileColor: resolveColor(def.projectileColor)
+    };
+  }
+
+  fallbackType = data.fallbackType;
+}
+
+function resolveColor(value) {
+  if (typeof value !== 'string' || !value.startsWith('--')) return value;
+  // Headless (Node) loads keep the variable name
+  if (typeof document === 'undefined') return value;
+  return cssVar(value);
+}
+
+// ============================================
+// VALIDATION
+// ============================================
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Check an enemies.json payload for missing fields and dangling references.
+ * @returns {string[]} Problems found (empty when valid)
+ */
+export function validateEnemyCatalog(data) {
+  if (!isObject(data)) return ['catalogue is not an object'];
+
+  const errors = [];
+  for (const section of ['weapons', 'roles', 'types']) {
+    if (!isObject(data[section])) errors.push(`${section} should be an object`);
+  }
+  if (errors.length > 0) return errors;
+
+  const weapons = data.weapons;
+  const aliases = data.weaponAliases || {};
+  const hasWeapon = (id) => !!weapons[id] || !!weapons[aliases[id]];
+
+  for (const [id, weapon] of Object.entries(weapons)) {
+    if (typeof weapon.name !== 'string') errors.push(`weapons.${id}.name is missing`);
+    if (!COMBAT_TYPES.includes(weapon.combatType)) {
+      errors.push(`weapons.${id}.combatType should be one of ${COMBAT_TYPES.join('/')}`);
+    }
+    for (const field of WEAPON_FIELDS) {
+      if (!isNumber(weapon[field])) errors.push(`weapons.${id}.${field} should be a number`);
+    }
+  }
+
+  for (const [alias, target] of Object.entries(aliases)) {
+    if (!weapons[target]) errors.push(`weaponAliases.${alias} points at unknown weapon "${target}"`);
+  }
+
+  for (const [id, role] of Object.entries(data.roles)) {
+    if (!COMBAT_TYPES.includes(role.kind)) {
+      errors.push(`roles.${id}.kind should be one of ${COMBAT_TYPES.join('/')}`);
+    }
+    if (!isNumber(role.engagePriority)) errors.push(`roles.${id}.engagePriority should be a number`);
+  }
+
+  for (const [id, type] of Object.entries(data.types)) {
+    validateType(id, type, data.roles, hasWeapon, errors);
+  }
+
+  if (!data.types[data.fallbackType] || data.types[data.fallbackType].scripted) {
+    errors.push(`fallbackType "${data.fallbackType}" should name a spawnable type`);
+  }
+
+  for (const [id, template] of Object.entries(data.templates || {})) {
+    validateTemplate(id, template, data, errors);
+  }
+
+  return errors;
+}
+
+function validateType(id, type, roles, hasWeapon, errors) {
+  const path = `types.${id}`;
+
+  if (typeof type.name !== 'string') errors.push(`${path}.name is missing`);
+  if (!hasWeapon(type.weapon)) errors.push(`${path}.weapon "${type.weapon}" is not a known weapon`);
+  if (!AI_TYPES.includes(type.aiType)) {
+    errors.push(`${path}.aiType should be one of ${AI_TYPES.join('/')}`);
+  }
+
+  // Hand-placed types take their stats from entities.json
+  if (type.scripted) return;
+
+  if (!COMBAT_TYPES.includes(type.combatType)) {
+    errors.push(`${path}.combatType should be one of ${COMBAT_TYPES.join('/')}`);
+  }
+  if (!roles[type.defaultRole]) errors.push(`${path}.defaultRole "${type.defaultRole}" is not a known role`);
+
+  for (const field of TYPE_STAT_FIELDS) {
+    if (!isNumber(type[field])) errors.push(`${path}.${field} should be a number`);
+  }
+  for (const field of TYPE_STRING_FIELDS) {
+    if (typeof type[field] !== 'string') errors.push(`${path}.${field} is missing`);
+  }
+}
+
+function validateTemplate(id, template, data, errors) {
+  const path = `templates.${id}`;
+
+  if (!Array.isArray(template.roster) || template.roster.length === 0) {
+    errors.push(`${path}.roster should be a non-empty array`);
+    return;
+  }
+
+  template.roster.forEach((entry, i) => {
+    if (!data.roles[entry.role]) errors.push(`${path}.roster[${i}].role "${entry.role}" is not a known role`);
+
+    const options = Array.isArray(entry.type) ? entry.type : [entry.type];
+    if (options.length === 0) errors.push(`${path}.roster[${i}].type is empty`);
+    for (const type of options) {
+      const def = data.types[type];
+      if (!def) {
+        errors.push(`${path}.roster[${i}].type "${type}" is not a known type`);
+      } else if (def.scripted) {
+        errors.push(`${path}.roster[${i}].type "${type}" is scripted and can't be spawned`);
+      }
+    }
+  });
+}
+
+// ============================================
+// QUERIES
+// ============================================
+
+/**
+ * Type definition for an enemy type, falling back to the catalogue's fallbackType.
+ */
+export function getEnemyType(type) {
+  return ENEMY_TYPES[type] || ENEMY_TYPES[fallbackType];
+}
+
+/**
+ * Type definition to spawn from - scripted types have no base stats, so they fall back too.
+ */
+export function getSpawnableType(type) {
+  const def = ENEMY_TYPES[type];
+  return (def && !def.scripted) ? def : ENEMY_TYPES[fallbackType];
+}
+
+/**
+ * Default role for an enemy type.
+ * Used when spawning enemies without explicit role assignment.
+ */
+export function defaultRoleForType(type) {
+  return ENEMY_TYPES[type]?.defaultRole || 'melee_flanker';
+}
+
+/**
+ * Build a pack roster from a spawn template.
+ * @param {string} templateId - Key of SPAWN_TEMPLATES
+ * @param {{pick: function(Array): *}} rng - Picks one entry from a list
+ * @returns {Array<{role: string, type: string}>|null} Roster, or null for an unknown template
+ */
+export function pickTemplateRoster(templateId, rng) {
+  const template = SPAWN_TEMPLATES[templateId];
+  if (!template) return null;
+
+  return template.roster.map(entry => ({
+    role: entry.role,
+    type: Array.isArray(entry.type) ? rng.pick(entry.type) : entry.type
+  }));
+}
+
+// ============================================
+// STAT SCALING
+// ============================================
+
+/**
+ * Base stats for a type at a level (NO alpha mult here).
+ * LEVEL CAP 50 SCALING: Gentler curves to prevent stat explosion
+ * Using soft power curves instead of linear multipliers
+ * At level 50: HP ~2.7x, ATK ~2.3x, DEF ~2.0x base (manageable, not absurd)
+ * @returns {{hp: number, atk: number, def: number}}
+ */
+export function scaleEnemyStats(typeDef, level) {
+  const hpScale = Math.pow(1.02, level - 1);   // ~2.69x at level 50
+  const atkScale = Math.pow(1.017, level - 1); // ~2.30x at level 50
+  const defScale = Math.pow(1.014, level - 1); // ~1.98x at level 50
+
+  return {
+    hp: Math.floor(typeDef.baseHp * hpScale),
+    atk: Math.floor(typeDef.baseAtk * atkScale),
+    def: Math.floor(typeDef.baseDef * defScale)
+  };
+}
+
+/**
+ * Apply alpha modifications to an enemy ONCE at spawn time.
+ * Alpha power is purely from stats - no hidden combat multipliers.
+ */
+export function applyAlphaMods(enemy) {
+  enemy.isAlpha = true;
+
+  // Alpha stat bonuses: +35% HP, +25% ATK, +15% DEF
+  enemy.maxHP = Math.round(enemy.maxHP * 1.35);
+  enemy.hp = Math.min(enemy.hp, enemy.maxHP);
+  enemy.atk = Math.round(enemy.atk * 1.25);
+  enemy.def = Math.round(enemy.def * 1.15);
+}
@@ -0,0 +1,98 @@
+/**
+ * VETUU — Event Bus
+ * Simulation modules (combat, movement, spawning, quests) announce what
+ * happened here instead of touching the DOM or reaching back into game.js.
+ * Renderers and UI subscribe from their init functions, so the simulation
+ * runs headless under Node with nobody listening.
+ *
+ * Listeners run synchronously in subscription order. A throwing listener is
+ * logged and skipped so one broken view can't stall the combat tick.
+ */
+
+// ============================================
+// EVENT NAMES
+// ============================================
+export const EVENTS = {
+  ENEMY_SPAWNED: 'enemy:spawned',     // { enemy, playerLevel }
+  ENEMY_MOVED: 'enemy:moved',         // { enemy, x, y, isIdle, snap } - snap = jump with no tween
+  ENEMY_ENGAGED: 'enemy:engaged',     // { enemy } - enemy turned hostile toward the player
+  ENEMY_DIED: 'enemy:died',           // { enemy }
+  ENEMY_DESPAWNED: 'enemy:despawned', // { enemy } - removed without dying (culled, wipe reset)
+  NPC_DIED: 'npc:died',               // { npc } - a guard or escort went down (they recover later)
+  ENEMY_STATES_CHANGED: 'enemy:states', // { enemies, player } - aggro/retreat/immunity flags changed
+  ENEMY_HEALTH_CHANGED: 'enemy:health', // { enemy } - HP changed (bar + target frame)
+  PLAYER_HEALTH_CHANGED: 'player:health', // { player }
+  PLAYER_LIFE_CHANGED: 'player:life', // { status: 'downed'|'ghost'|'alive', corpse, immune } - death and revival
+  PLAYER_MOVED: 'player:moved',       // { x, y, moving, dashing, snap } - drawn position (fractional mid-step); snap = teleport
+  PATH_CHANGED: 'player:path',        // { path } - steps left on the click-to-move path ([] = cleared)
+  SPRINT_CHANGED: 'player:sprint',    // { active, durationMs } - sprint buff started or ended
+  DAMAGE_DEALT: 'damage:dealt',       // { x, y, damage, isCrit, isPlayer, isBurn }
+  PROJECTILE_FIRED: 'fx:projectile',  // { fromX, fromY, toX, toY, color, isEnhanced }
+  MELEE_SWIPE: 'fx:swipe',            // { fromX, fromY, toX, toY, color, isEnhanced }
+  COMBAT_LOG: 'ui:combatLog',         // { message } - combat log line
+  TARGET_CHANGED: 'combat:target',    // { enemy, npc, object } - any may be null
+  EFFECT: 'fx:effect',                // { name, args } - one-off combat visual (see combat.js EFFECT_RENDERERS)
+  HUD_CHANGED: 'ui:hud',              // { name, args } - action bar widget to redraw (see combat.js HUD_RENDERERS)
+  BOSS_CHANGED: 'boss:changed',       // { encounter } - boss HP/phase/cast changed; null when the fight ends
+  NOTIFY: 'ui:notify',                // { message, type } - toast text
+  QUESTS_CHANGED: 'quests:changed'    // { state } - quest states or NPC markers changed
+};
+
+const listeners = new Map();
+
+// ============================================
+// SUBSCRIPTION
+// ============================================
+
+/**
+ * Subscribe to an event.
+ * @param {string} event - One of EVENTS
+ * @param {function(object): void} listener - Called with the event payload
+ * @returns {function(): void} Unsubscribe
+ */
+export function on(event, listener) {
+  if (!listeners.has(event)) listeners.set(event, []);
+  listeners.get(event).push(listener);
+  return () => off(event, listener);
+}
+
+/**
+ * Remove a listener added with on().
+ */
+export function off(event, listener) {
+  const list = listeners.get(event);
+  if (!list) return;
+  const index = list.indexOf(listener);
+  if (index !== -1) list.splice(index, 1);
+}
+
+/**
+ * Announce an event to every listener.
+ * @param {string} event - One of EVENTS
+ * @param {object} payload - Event data
+ */
+export function emit(event, payload = {}) {
+  const list = listeners.get(event);
+  if (!list || list.length === 0) return;
+
+  // Copy so listeners can unsubscribe while we iterate
+  for (const listener of [...list]) {
+    try {
+      listener(payload);
+    } catch (err) {
+      console.error(`[Events] ${event} listener failed:`, err);
+    }
+  }
+}
+
+/**
+ * Drop listeners for one event, or every event when called with no argument.
+ * Tests use this to start from a clean bus.
+ */
+export function clearListeners(event) {
+  if (event) {
+    listeners.delete(event);
+  } else {
+    listeners.clear();
+  }
+}
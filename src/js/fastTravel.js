@@ -0,0 +1,243 @@
+/**
+ * VETUU — Fast Travel Module
+ * Discoverable beacons (map objects with interact.action 'fastTravel')
+ *
+ * A beacon unlocks when its region is discovered (checkPOIDiscovery) or when
+ * the player attunes to it in person. Unlocked beacons can be picked on the
+ * world map; travel starts a channel that moving, combat or ghost mode
+ * interrupts, then teleports the player onto the beacon.
+ */
+
+import { isCombatActive, isInGhostMode } from './combat.js';
+import { cancelPath, setPlayerPosition } from './movement.js';
+import { updateCamera } from './render.js';
+import { renderFog, markPOIDiscovered } from './fog.js';
+import { saveGame } from './save.js';
+
+const CHANNEL_MS = 5000;
+const CHANNEL_CHECK_MS = 100;
+
+let currentState = null;
+let onArrive = null;
+
+// Active channel: { beacon, startX, startY, timer, watch }
+let channel = null;
+
+let channelBar = null;
+let channelFill = null;
+let channelLabel = null;
+
+// ============================================
+// INITIALIZATION
+// ============================================
+
+/**
+ * @param {object} state - Game state
+ * @param {object} callbacks
+ * @param {function} callbacks.onArrive - (x, y) called after teleporting, like a completed move
+ */
+export function initFastTravel(state, callbacks = {}) {
+  currentState = state;
+  onArrive = callbacks.onArrive || null;
+
+  channelBar = document.getElementById('channel-bar');
+  channelFill = document.getElementById('channel-fill');
+  channelLabel = document.getElementById('channel-label');
+
+  // Saves from before discoveries were recorded: an unlocked beacon means
+  // its region was already found - don't re-award discovery
+  for (const beacon of getBeacons()) {
+    if (isBeaconUnlocked(beacon.id) && beacon.interact.region) {
+      markPOIDiscovered(state, beacon.interact.region);
+    }
+  }
+}
+
+// ============================================
+// BEACONS
+// ============================================
+export function getBeacons() {
+  return currentState?.map.objects.filter(isBeacon) || [];
+}
+
+export function isBeacon(obj) {
+  return obj?.interact?.action === 'fastTravel';
+}
+
+export function isBeaconUnlocked(beaconId) {
+  return !!currentState?.runtime.unlockedBeacons?.has(beaconId);
+}
+
+function getBeaconName(beacon) {
+  return beacon.name || 'Beacon';
+}
+
+async function unlockBeacon(beacon) {
+  if (isBeaconUnlocked(beacon.id)) return false;
+
+  currentState.runtime.unlockedBeacons.add(beacon.id);
+  saveGame(currentState);
+
+  const { showToast } = await import('./game.js');
+  showToast(`Beacon unlocked: ${getBeaconName(beacon)}`, 'quest');
+  return true;
+}
+
+/**
+ * Unlock every beacon in a newly discovered region.
+ * @param {string} regionId - Region id returned by checkPOIDiscovery
+ */
+export function unlockRegionBeacons(regionId) {
+  for (const beacon of getBeacons()) {
+    if (beacon.interact.region === regionId) unlockBeacon(beacon);
+  }
+}
+
+/**
+ * Interacting with a beacon attunes to it, then opens the world map to pick a destination.
+ */
+export async function handleBeaconInteract(beacon) {
+  await unlockBeacon(beacon);
+
+  const { openWorldMap } = await import('./worldmap.js');
+  openWorldMap();
+}
+
+// ============================================
+// TRAVEL
+// ============================================
+
+/**
+ * Why travel can't start (or must stop) right now.
+ * @returns {string|null} Message for the player, or null if travel is allowed
+ */
+function getTravelBlocker() {
+  if (isInGhostMode()) return 'Beacons do not answer the dead';
+  if (isCombatActive()) return "Can't travel while in combat";
+  if (currentState.player.casting || currentState.player.channeling) return "Can't travel while casting";
+  return null;
+}
+
+/**
+ * Start channeling travel to an unlocked beacon.
+ * @returns {Promise<boolean>} Whether the channel started
+ */
+export async function startFastTravel(beaconId) {
+  const { showToast } = await import('./game.js');
+  const beacon = getBeacons().find(b => b.id === beaconId);
+
+  if (!beacon) return false;
+  if (!isBeaconUnlocked(beacon.id)) {
+    showToast('That beacon has not been discovered', 'error');
+    return false;
+  }
+
+  const blocker = getTravelBlocker();
+  if (blocker) {
+    showToast(blocker, 'error');
+    return false;
+  }
+
+  const { x, y } = currentState.player;
+  if (x === beacon.x && y === beacon.y) {
+    showToast('You are already there', 'error');
+    return false;
+  }
+
+  // Picking a new destination restarts the channel
+  if (channel) stopChannel();
+  cancelPath();
+
+  channel = {
+    beacon,
+    startX: x,
+    startY: y,
+    timer: setTimeout(completeFastTravel, CHANNEL_MS),
+    watch: setInterval(checkChannel, CHANNEL_CHECK_MS)
+  };
+
+  showChannelBar(`Traveling to ${getBeaconName(beacon)}`);
+  return true;
+}
+
+export function isFastTravelChanneling() {
+  return !!channel;
+}
+
+/**
+ * Interrupt the channel (player moved, combat started, died).
+ */
+export async function cancelFastTravel(reason = 'Travel interrupted') {
+  if (!channel) return;
+  stopChannel();
+
+  const { showToast } = await import('./game.js');
+  showToast(reason, 'error');
+}
+
+function checkChannel() {
+  if (!channel) return;
+
+  const { x, y } = currentState.player;
+  if (x !== channel.startX || y !== channel.startY) {
+    cancelFastTravel();
+    return;
+  }
+
+  const blocker = getTravelBlocker();
+  if (blocker) cancelFastTravel(blocker);
+}
+
+function stopChannel() {
+  clearTimeout(channel.timer);
+  clearInterval(channel.watch);
+  channel = null;
+  hideChannelBar();
+}
+
+function completeFastTravel() {
+  if (!channel) return;
+
+  // Last-moment check (combat can start between watch ticks)
+  const blocker = getTravelBlocker();
+  if (blocker) {
+    cancelFastTravel(blocker);
+    return;
+  }
+
+  const { beacon } = channel;
+  stopChannel();
+
+  cancelPath();
+  setPlayerPosition(beacon.x, beacon.y, false);
+
+  // Snap the camera instead of panning across the map
+  updateCamera(currentState, 0);
+  onArrive?.(beacon.x, beacon.y);
+  renderFog(currentState);
+
+  saveGame(currentState);
+}
+
+// ============================================
+// CHANNEL BAR
+// ============================================
+function showChannelBar(label) {
+  if (!channelBar) return;
+
+  if (channelLabel) channelLabel.textContent = label;
+  channelBar.classList.remove('hidden');
+
+  if (channelFill) {
+    // Restart the fill animation from empty
+    channelFill.style.transition = 'none';
+    channelFill.style.setProperty('--pct', 0);
+    channelFill.offsetHeight; // Force reflow
+    channelFill.style.transition = `transform ${CHANNEL_MS}ms linear`;
+    channelFill.style.setProperty('--pct', 100);
+  }
+}
+
+function hideChannelBar() {
+  channelBar?.classList.add('hidden');
+}
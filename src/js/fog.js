@@ -13,6 +13,9 @@
  */
 
 import { perfStart, perfEnd } from './perf.js';
+import { slotKey, getPlayTime } from './save.js';
+import { getWeatherEffects } from './weather.js';
+import { seededNoise2D } from './rng.js';
 
 // Note: TILE_SIZE kept local to avoid circular import with render.js
 const TILE_SIZE = 24;
@@ -93,7 +96,7 @@ export function initFog(state) {
     // The minimap should use isRevealed(x, y) instead of the Set
   } else {
     // Clear old fog data if dimensions don't match
-    localStorage.removeItem(FOG_STORAGE_KEY);
+    localStorage.removeItem(slotKey(FOG_STORAGE_KEY));
     fogMask = Array.from({ length: mapHeight }, () =>
       Array.from({ length: mapWidth }, () => false)
     );
@@ -112,14 +115,6 @@ export function initFog(state) {
   console.log(`[Fog] Viewport canvas: ${fogCanvas.width}×${fogCanvas.height}px`);
 }
 
-/**
- * Simple seeded random for consistent jagged edges.
- */
-function seededRandom(x, y) {
-  const n = Math.sin(x * 12.9898 + y * 78.233) * 43758.5453;
-  return n - Math.floor(n);
-}
-
 /**
  * Reveal the Drycross base and surrounding area on game start.
  * Reveals a circular area around the base center + 12 tiles beyond walls.
@@ -175,13 +170,13 @@ function revealDrycrossBase(state) {
       
       // Jagged edge falloff (only compute sqrt for edge tiles)
       const dist = Math.sqrt(distSq);
-      const jitter = (seededRandom(x, y) - 0.5) * 2 * JAGGED_AMOUNT;
+      const jitter = (seededNoise2D(x, y) - 0.5) * 2 * JAGGED_AMOUNT;
       const effectiveRadius = CORE_RADIUS + JAGGED_AMOUNT + jitter;
       
       if (dist <= effectiveRadius) {
         const falloffDist = dist - CORE_RADIUS;
         const revealChance = 1 - (falloffDist / (JAGGED_AMOUNT * 2));
-        if (seededRandom(x + 100, y + 100) < revealChance) {
+        if (seededNoise2D(x + 100, y + 100) < revealChance) {
           fogMask[y][x] = true;
         }
       }
@@ -239,7 +234,14 @@ function checkRepositionNeeded(centerX, centerY) {
 // REVEAL MECHANICS
 // ============================================
 
-export function revealAround(state, centerX, centerY, radius = REVEAL_RADIUS) {
+/**
+ * Reveal radius around the player, shrunk by weather (never below 3 tiles).
+ */
+function getRevealRadius() {
+  return Math.max(3, Math.round(REVEAL_RADIUS * getWeatherEffects().reveal));
+}
+
+export function revealAround(state, centerX, centerY, radius = getRevealRadius()) {
   // Pre-compute squared radius for fast distance checks
   const radiusSq = radius * radius;
   
@@ -321,6 +323,30 @@ export function getFogMask() {
   return fogMask;
 }
 
+/**
+ * Percentage of tiles revealed, for the whole map or a tile rect (inclusive bounds).
+ * @param {{x0: number, y0: number, x1: number, y1: number}} [bounds]
+ * @returns {number} 0-100
+ */
+export function getRevealedPercent(bounds = null) {
+  if (!fogMask) return 0;
+
+  const x0 = Math.max(0, bounds?.x0 ?? 0);
+  const y0 = Math.max(0, bounds?.y0 ?? 0);
+  const x1 = Math.min(mapWidth - 1, bounds?.x1 ?? mapWidth - 1);
+  const y1 = Math.min(mapHeight - 1, bounds?.y1 ?? mapHeight - 1);
+  if (x1 < x0 || y1 < y0) return 0;
+
+  let revealed = 0;
+  for (let y = y0; y <= y1; y++) {
+    const row = fogMask[y];
+    for (let x = x0; x <= x1; x++) {
+      if (row[x]) revealed++;
+    }
+  }
+  return (revealed / ((x1 - x0 + 1) * (y1 - y0 + 1))) * 100;
+}
+
 // ============================================
 // FOG RENDERING (Viewport-based Canvas)
 // ============================================
@@ -541,7 +567,7 @@ export function renderFog(state) {
  * Update fog for a local area (after revealing tiles).
  * Checks if canvas needs repositioning, then redraws affected tiles.
  */
-export function updateFogArea(centerX, centerY, radius = REVEAL_RADIUS) {
+export function updateFogArea(centerX, centerY, radius = getRevealRadius()) {
   if (!fogCtx || !fogMask) return;
   
   // Early-return if player tile hasn't changed (prevents redundant redraws)
@@ -678,7 +704,7 @@ function saveFogMaskNow() {
       return result;
     });
     
-    localStorage.setItem(FOG_STORAGE_KEY, JSON.stringify({
+    localStorage.setItem(slotKey(FOG_STORAGE_KEY), JSON.stringify({
       width: mapWidth,
       height: mapHeight,
       data: compressed
@@ -690,7 +716,7 @@ function saveFogMaskNow() {
 
 function loadFogMask() {
   try {
-    const raw = localStorage.getItem(FOG_STORAGE_KEY);
+    const raw = localStorage.getItem(slotKey(FOG_STORAGE_KEY));
     if (!raw) return null;
 
     const { width, height, data } = JSON.parse(raw);
@@ -718,20 +744,34 @@ function loadFogMask() {
 }
 
 export function clearFog() {
-  localStorage.removeItem(FOG_STORAGE_KEY);
+  localStorage.removeItem(slotKey(FOG_STORAGE_KEY));
   localStorage.removeItem('vetuu_fog'); // Clear old format too
 }
 
 // ============================================
 // DISCOVERY XP
 // ============================================
-const discoveredPOIs = new Set();
+// Discovered regions live in state.runtime.discoveries (saved with the game):
+// regionId -> { time: epoch ms, playTime: ms played } at the moment of discovery.
+// Each region is announced and rewarded once per save.
+
+/**
+ * Mark a region as already discovered (no toast or XP when entered).
+ * Used for progress that predates saved discoveries, so the time is unknown.
+ */
+export function markPOIDiscovered(state, regionId) {
+  const discoveries = state.runtime.discoveries;
+  if (!discoveries[regionId]) {
+    discoveries[regionId] = { time: null, playTime: null };
+  }
+}
 
 export async function checkPOIDiscovery(state, x, y) {
   const offset = state.map.meta.originalOffset || { x: 0, y: 0 };
+  const discoveries = state.runtime.discoveries;
   
   for (const region of state.map.regions || []) {
-    if (discoveredPOIs.has(region.id)) continue;
+    if (discoveries[region.id]) continue;
 
     // Translate bounds for expanded map
     const b = {
@@ -742,7 +782,7 @@ export async function checkPOIDiscovery(state, x, y) {
     };
     
     if (x >= b.x0 && x <= b.x1 && y >= b.y0 && y <= b.y1) {
-      discoveredPOIs.add(region.id);
+      discoveries[region.id] = { time: Date.now(), playTime: getPlayTime() };
 
       // Grant discovery XP
       const { grantXP, showToast } = await import('./game.js');
@@ -4,24 +4,41 @@
  */
 
 import { initRenderer, renderWorld, updateCamera, tickCamera, renderActors, renderObjects, actorTransform } from './render.js';
-import { initInput } from './input.js';
-import { initMovement, createPathTo, tickMovement } from './movement.js';
+import { initInput, replayInput } from './input.js';
+import { initMovement, initMovementView, createPathTo, tickMovement } from './movement.js';
 import { getObjectAt, getNpcAt, buildSpatialIndex, canMoveTo, canNPCMoveTo, updateNpcPosition } from './collision.js';
-import { initFog, revealAround, renderFog, updateFogArea } from './fog.js';
-import { initDialogue, showDialogue } from './dialogue.js';
-import { initQuests, updateQuestProgress, renderQuestTracker, checkQuestConditions } from './quests.js';
-import { initCombat, handleTargeting, renderEnemies, playerSpecial, checkPendingAttack, checkCorpseReached, isInGhostMode } from './combat.js';
-import { initSpawnDirector, getSpawnDebugInfo } from './spawnDirector.js';
-import { loadGame, saveGame, saveFlag, loadFlags, hasFlag } from './save.js';
+import { initFog, revealAround, renderFog, updateFogArea, checkPOIDiscovery } from './fog.js';
+import { initDialogue, showDialogue, queueDialogue, isDialogueOpen } from './dialogue.js';
+import { initShop } from './shop.js';
+import { initInventory, openInventory, refreshInventory } from './inventory.js';
+import { initJournal } from './journal.js';
+import { initQuestLog } from './questLog.js';
+import { initWeather, updateWeather, getWeatherEffects } from './weather.js';
+import { initBosses, initBossView, checkBossArenas } from './boss.js';
+import { initLoot, restoreLootDrops, removeLootDrop, isLootDrop } from './loot.js';
+import { initFastTravel, handleBeaconInteract, unlockRegionBeacons } from './fastTravel.js';
+import { initEconomy, getLedger, verifyLedger, earnCredits } from './economy.js';
+import { initStats, recalcStats } from './stats.js';
+import { initQuests, setQuestEffects, validateQuestDefs, updateQuestProgress, renderQuestTracker, checkQuestConditions, checkQuestFailures, checkContractResets } from './quests.js';
+import { initCombat, initCombatView, setCombatEffects, handleTargeting, renderEnemies, playerSpecial, checkPendingAttack, checkCorpseReached, isInGhostMode, updateConsumableSlotsUI } from './combat.js';
+import { initSpawnDirector, getSpawnDebugInfo, spawnScriptedEnemy, getSpawners } from './spawnDirector.js';
+import { setLightQuery } from './aiUtils.js';
+import { on, EVENTS } from './events.js';
+import { rng, initRng, createSeed, parseSeed, getSeed, getRngState } from './rng.js';
+import { tickReplay, startRecording, stopRecording, isRecording, recordInput, isReplaying, parseReplay, startReplay, stopReplay, getReplayProgress } from './replay.js';
+import { initEnemyCatalog, ENEMY_TYPES } from './enemyCatalog.js';
+import { loadGame, saveGame, saveFlag, loadFlags, hasFlag, isNpcPresent, listSaveBackups, restoreSaveBackup, initSaveSlots, clearSave, exportSave, importSave, setActiveSlot } from './save.js';
+import { initSlotPicker, chooseSaveSlot, openSlotPicker } from './slotPicker.js';
 import { expandMap } from './mapGenerator.js';
 import { initMapConfig, mapConfig } from './mapConfig.js';
-import { getMaxHP, getHPPercent, setMaxHP, normalizeHealthKeys, clampHP } from './entityCompat.js';
-import { initDayCycle, updateDayCycle, updateShadowCSS, getTimeOfDay, getNightIntensity, isDeepNight, formatTimeOfDay, nowMs } from './time.js';
+import { getMaxHP, getHPPercent, normalizeHealthKeys, clampHP } from './entityCompat.js';
+import { initDayCycle, updateDayCycle, updateShadowCSS, getTimeOfDay, getNightIntensity, isDeepNight, formatTimeOfDay, nowMs, onNewDay } from './time.js';
 import { cssVar } from './utils.js';
 import { initUI, initSettingsMenu, loadPanelState } from './ui.js';
 import { initMinimap, updateMinimap as updateMinimapNew, addMarker, removeMarker } from './minimap.js';
 import { initWorldMap } from './worldmap.js';
 import './perf.js'; // Initialize perf monitoring (exposes VETUU_PERF() to console)
+import './combatSim.js'; // Headless combat simulator (exposes VETUU_SIM() to console)
 
 // ============================================
 // GAME STATE
@@ -43,12 +60,15 @@ export const state = {
     level: 1,
     xp: 0,
     xpToNext: 106, // XP_TABLE[1] = 80 + 1*6 + 1*20 = 106
+    credits: 0,
+    ledger: [],
     inventory: [],
-    equipment: { weapon: 'laser_rifle', armor: null, accessory: null }
+    equipment: { weapon: 'laser_rifle', armor: null, accessory: null },
+    consumableBar: { item1: 'itm_medkit', item2: 'itm_sense_stim' }
   },
 
   flags: {},
-  quests: { active: [], complete: [] },
+  quests: { active: [], complete: [], completedDay: {}, failed: [], startedAt: {}, contracts: {}, stages: {}, tracked: [] },
 
   map: { meta: null, legend: null, ground: [], objects: [], regions: [] },
   entities: { npcs: [], enemies: [], bosses: [] },
@@ -56,6 +76,8 @@ export const state = {
   questDefs: [],
   items: [],
   shops: [],
+  lootTables: [],
+  lootRarity: {},
 
   runtime: {
     isMoving: false,
@@ -64,7 +86,11 @@ export const state = {
     collectedNodes: new Set(),
     activeEnemies: [],
     spawnedAreas: new Set(),
-    defeatedBosses: new Set()
+    defeatedBosses: new Set(),
+    engagedBosses: new Set(), // Bosses currently fought as live enemies (not saved)
+    shopStock: {},
+    unlockedBeacons: new Set(),
+    discoveries: {}
   }
 };
 
@@ -72,9 +98,10 @@ export const state = {
 // DATA LOADING
 // ============================================
 async function loadData() {
-  const [mapData, entitiesData, dialogueData, questsData, itemsData] = await Promise.all([
+  const [mapData, entitiesData, enemiesData, dialogueData, questsData, itemsData] = await Promise.all([
     fetch('data/map.json').then(r => r.json()),
     fetch('data/entities.json').then(r => r.json()),
+    fetch('data/enemies.json').then(r => r.json()),
     fetch('data/dialogue.json').then(r => r.json()),
     fetch('data/quests.json').then(r => r.json()),
     fetch('data/items.json').then(r => r.json())
@@ -120,6 +147,9 @@ async function loadData() {
     y: boss.y + offset.y
   }));
 
+  // Enemy types, roles, weapons and spawn templates (throws on a broken catalogue)
+  initEnemyCatalog(enemiesData);
+
   state.dialogue.nodes = dialogueData.nodes;
   state.dialogue.texts = dialogueData.texts;
   state.dialogue.guardQuips = dialogueData.guardQuips || [];
@@ -127,6 +157,8 @@ async function loadData() {
   state.questDefs = questsData.quests;
   state.items = itemsData.items;
   state.shops = itemsData.shops;
+  state.lootTables = itemsData.lootTables || [];
+  state.lootRarity = itemsData.lootRarity || {};
 }
 
 // ============================================
@@ -194,7 +226,7 @@ export function grantXP(amount) {
 /**
  * Level up the player with new stat scaling for 50-level progression.
  * 
- * Stat gains per level (gentler to prevent inflation):
+ * Stat gains per level (gentler to prevent inflation; derived in stats.js getLevelGrowth):
  * - HP: +6 per level (was +10)
  * - Sense: +1 per level (was +2)
  * - ATK: +0.5 per level (accumulated, +1 every 2 levels)
@@ -214,26 +246,13 @@ function levelUp() {
   // Update XP threshold (XP_TABLE[level] = cumulative XP to reach level+1)
   state.player.xpToNext = XP_TABLE[newLevel] || XP_TABLE[LEVEL_CAP];
 
-  // HP: +6 per level
-  const newMaxHP = getMaxHP(state.player) + 6;
-  setMaxHP(state.player, newMaxHP);
-  state.player.hp = newMaxHP;
+  // HP/ATK/DEF/Luck growth is derived from level (see stats.js getLevelGrowth)
+  recalcStats();
+  state.player.hp = getMaxHP(state.player);
   
   // Sense: Fixed 100% pool (does NOT scale with level)
   // Restore sense to full on level up as a reward
   state.player.sense = state.player.maxSense;
-  
-  // ATK/DEF: +1 every 2 levels (half rate)
-  // Use floor division to get accumulated bonuses
-  if (newLevel % 2 === 0) {
-    state.player.atk += 1;
-    state.player.def += 1;
-  }
-  
-  // Luck: +1 every 5 levels
-  if (newLevel % 5 === 0) {
-    state.player.luck += 1;
-  }
 
   showToast(`Level Up! Now Lv. ${state.player.level}`, 'quest');
 }
@@ -254,6 +273,8 @@ export function addItem(itemId, amount = 1) {
 
   showToast(`+${amount} ${itemDef.name}`, 'item');
   updateQuestProgress(state, 'collect', { itemId, amount });
+  refreshInventory();
+  updateConsumableSlotsUI();
   saveGame(state);
 }
 
@@ -264,6 +285,8 @@ export function removeItem(itemId, amount = 1) {
   if (existing.qty <= 0) {
     state.player.inventory = state.player.inventory.filter(i => i.id !== itemId);
   }
+  refreshInventory();
+  updateConsumableSlotsUI();
   saveGame(state);
   return true;
 }
@@ -285,25 +308,26 @@ export function equipItem(itemId) {
   const slot = itemDef.type;
   if (!['weapon', 'armor', 'accessory'].includes(slot)) return;
 
-  const current = state.player.equipment[slot];
-  if (current) {
-    const currentDef = state.items.find(i => i.id === current);
-    if (currentDef?.mods) {
-      if (currentDef.mods.attack) state.player.atk -= currentDef.mods.attack;
-      if (currentDef.mods.defense) state.player.def -= currentDef.mods.defense;
-      if (currentDef.mods.luck) state.player.luck -= currentDef.mods.luck;
-    }
-  }
-
   state.player.equipment[slot] = itemId;
-  if (itemDef.mods) {
-    if (itemDef.mods.attack) state.player.atk += itemDef.mods.attack;
-    if (itemDef.mods.defense) state.player.def += itemDef.mods.defense;
-    if (itemDef.mods.luck) state.player.luck += itemDef.mods.luck;
-  }
+  recalcStats();
 
   showToast(`Equipped ${itemDef.name}`, 'item');
   updateHUD();
+  refreshInventory();
+  saveGame(state);
+}
+
+export function unequipItem(slot) {
+  const current = state.player.equipment[slot];
+  if (!current) return;
+
+  const currentDef = state.items.find(i => i.id === current);
+  state.player.equipment[slot] = null;
+  recalcStats();
+
+  showToast(`Unequipped ${currentDef?.name || current}`, 'item');
+  updateHUD();
+  refreshInventory();
   saveGame(state);
 }
 
@@ -335,6 +359,7 @@ function getHudEls() {
       atkVal: document.getElementById('atk-val'),
       defVal: document.getElementById('def-val'),
       luckVal: document.getElementById('luck-val'),
+      creditsVal: document.getElementById('credits-val'),
       levelVal: document.getElementById('level-val'),
       xpFill: document.getElementById('xp-fill'),
       xpText: document.getElementById('xp-text'),
@@ -367,6 +392,7 @@ export function updateHUD() {
   if (els.atkVal) els.atkVal.textContent = p.atk;
   if (els.defVal) els.defVal.textContent = p.def;
   if (els.luckVal) els.luckVal.textContent = p.luck;
+  if (els.creditsVal) els.creditsVal.textContent = p.credits;
   if (els.levelVal) els.levelVal.textContent = p.level;
 
   // XP progress calculation - works with generated XP table
@@ -428,16 +454,38 @@ function updateLocation() {
 // ============================================
 
 // Corpse marker on minimap - uses new minimap module
-export function updateMinimapCorpse(x, y) {
+function updateMinimapCorpse(x, y) {
   addMarker('corpse', x, y, '💀', () => {
+    if (isReplaying()) return;
+    recordInput('travel', [x, y]);
     createPathTo(x, y, false);
   });
 }
 
-export function clearMinimapCorpse() {
+function clearMinimapCorpse() {
   removeMarker('corpse');
 }
 
+/**
+ * PLAYER_LIFE_CHANGED subscriber: fog and HUD follow the teleport, the
+ * corpse gets a minimap pin, and going down opens Vela's med-bay dialogue.
+ */
+function onPlayerLifeChanged({ status, corpse }) {
+  revealAround(state, state.player.x, state.player.y);
+  renderFog(state);
+  updateHUD();
+
+  if (status === 'alive') {
+    clearMinimapCorpse();
+  } else {
+    updateMinimapCorpse(corpse.x, corpse.y);
+  }
+
+  if (status === 'downed') {
+    setTimeout(() => showDialogue(state, 'dlg_vela_death'), 1000);
+  }
+}
+
 // ============================================
 // INTERACTION
 // ============================================
@@ -452,7 +500,7 @@ function checkInteraction() {
     const npc = getNpcAt(state, x + dir.dx, y + dir.dy);
     if (npc) {
       if (npc.flags?.hidden && !hasFlag(state, 'sela_revealed')) continue;
-      if (npc.requires?.flag && !hasFlag(state, npc.requires.flag)) continue;
+      if (!isNpcPresent(state, npc)) continue;
       target = npc;
       targetType = 'npc';
       break;
@@ -491,6 +539,10 @@ function checkInteraction() {
       label.textContent = 'Collect';
     } else if (target.interact.action === 'read') {
       label.textContent = 'Examine';
+    } else if (target.interact.action === 'loot') {
+      label.textContent = 'Loot';
+    } else if (target.interact.action === 'fastTravel') {
+      label.textContent = 'Use Beacon';
     } else {
       label.textContent = 'Interact';
     }
@@ -521,6 +573,7 @@ function handleObjectInteract(obj) {
     case 'collect': handleCollect(obj); break;
     case 'read': handleRead(obj); break;
     case 'loot': handleLoot(obj); break;
+    case 'fastTravel': handleBeaconInteract(obj); break;
     case 'triggerAct3': handleAct3Trigger(obj); break;
     case 'unlockPath': handleUnlockPath(obj); break;
   }
@@ -551,8 +604,23 @@ function handleRead(obj) {
   if (text) showDialogue(state, null, null, text);
 }
 
-function handleLoot(_obj) {
-  showToast('Searched... nothing useful', 'item');
+function handleLoot(obj) {
+  if (!isLootDrop(obj) || !obj.loot?.length) {
+    showToast('Searched... nothing useful', 'item');
+    return;
+  }
+
+  // Take everything; loot objectives care which enemy the drop came from.
+  // Items the player dropped (no source) don't count again on pickup.
+  for (const { itemId, qty } of obj.loot) {
+    addItem(itemId, qty);
+    if (obj.source) {
+      updateQuestProgress(state, 'loot', { itemId, amount: qty, ...obj.source });
+    }
+  }
+
+  removeLootDrop(obj);
+  checkInteraction();
 }
 
 function handleAct3Trigger(obj) {
@@ -569,6 +637,7 @@ function handleAct3Trigger(obj) {
 }
 
 function handleUnlockPath(obj) {
+  if (hasFlag(state, obj.interact.flag)) return;
   if (obj.interact.requires?.flag && !hasFlag(state, obj.interact.requires.flag)) {
     showToast('Locked.', 'error');
     return;
@@ -594,6 +663,7 @@ function spawnAct3Entities() {
 export function setFlag(flag) {
   state.flags[flag] = true;
   saveFlag(flag, true);
+  updateQuestProgress(state, 'setFlag', { flag });
   checkQuestConditions(state);
 }
 
@@ -602,6 +672,16 @@ export function clearFlag(flag) {
   saveFlag(flag, false);
 }
 
+// ============================================
+// DAY COUNTER
+// ============================================
+function handleNewDay(day) {
+  showToast(`Day ${day} begins.`);
+  // Day-gated quests ("come back after two nights") may have opened up
+  checkQuestConditions(state);
+  saveGame(state);
+}
+
 // ============================================
 // ENEMY ENCOUNTERS
 // ============================================
@@ -636,6 +716,14 @@ function onMoveComplete(x, y) {
   
   // Quest progress
   updateQuestProgress(state, 'reach', { x, y });
+
+  // Stepping into a boss arena starts the encounter (spirits pass unnoticed)
+  if (!isInGhostMode()) checkBossArenas(x, y);
+
+  // Region discovery (XP, unlocks the region's fast-travel beacons)
+  checkPOIDiscovery(state, x, y).then(region => {
+    if (region) unlockRegionBeacons(region.id);
+  });
   
   // Check for pending interaction (from double-click or E key on target)
   if (state.runtime.pendingInteraction) {
@@ -674,6 +762,7 @@ function handleObjectInteractInternal(obj) {
     case 'collect': handleCollect(obj); break;
     case 'read': handleRead(obj); break;
     case 'loot': handleLoot(obj); break;
+    case 'fastTravel': handleBeaconInteract(obj); break;
     case 'triggerAct3': handleAct3Trigger(obj); break;
     case 'unlockPath': handleUnlockPath(obj); break;
   }
@@ -696,14 +785,14 @@ function initActionBar() {
   // via initActionBarClicks() which reads data-slot and data-action-type attributes
 
   // Inventory button
-  document.querySelector('[data-action="inventory"]')?.addEventListener('click', () => {
-    const panel = document.getElementById('inventory-panel');
-    if (panel) panel.showModal();
-  });
+  document.querySelector('[data-action="inventory"]')?.addEventListener('click', openInventory);
+
+  // Save slots button (settings menu)
+  document.getElementById('slots-btn')?.addEventListener('click', openSlotPicker);
 
   // Reset button
   document.getElementById('reset-btn')?.addEventListener('click', () => {
-    if (confirm('Are you sure you want to reset all game progress? This cannot be undone.')) {
+    if (confirm('Are you sure you want to reset all progress in this save slot? This cannot be undone.')) {
       hardReset();
     }
   });
@@ -717,8 +806,8 @@ function initActionBar() {
 // HARD RESET
 // ============================================
 function hardReset() {
-  // Clear all localStorage
-  localStorage.clear();
+  // Clear the active save slot (other slots and UI preferences are kept)
+  clearSave();
   
   // Reload the page
   showToast('Game reset. Reloading...', 'quest');
@@ -1042,8 +1131,9 @@ function updatePlayerTorch(nightIntensity) {
 function updateLighting() {
   if (!lightCtx || !lightCanvas) return;
   
-  // Use time module's night intensity (handles new transition schedule)
-  const nightIntensity = getNightIntensity();
+  // Use time module's night intensity (handles new transition schedule),
+  // deepened by storm/ash cover so lamps and the torch matter in bad weather
+  const nightIntensity = Math.min(0.9, getNightIntensity() + getWeatherEffects().darken);
   
   // Update DOM-based player torch
   updatePlayerTorch(nightIntensity);
@@ -1161,6 +1251,9 @@ function gameLoop(timestamp) {
   
   state.tick++;
   
+  // Replay clock first, so recorded inputs land before this frame's movement
+  tickReplay(deltaTime);
+  
   // === MOVEMENT & CAMERA (every frame for smooth animation) ===
   tickMovement(deltaTime);
   tickCamera(timestamp);
@@ -1171,10 +1264,13 @@ function gameLoop(timestamp) {
   // Guard patrol tick (every ~60 frames = ~1 second)
   if (state.tick % 60 === 0) {
     tickGuardPatrol();
+    checkQuestFailures(state); // Quest time limits
+    checkContractResets(state);
   }
   
   // === TIME & LIGHTING ===
   updateDayCycle();
+  updateWeather();
   updateShadowCSS(); // Throttled internally
   updateLighting();
   
@@ -1199,7 +1295,7 @@ function tickGuardPatrol() {
     if (now - lastMove < GUARD_PATROL_INTERVAL) continue;
     
     // Random chance to move (50%)
-    if (Math.random() > 0.5) continue;
+    if (rng('world').next() > 0.5) continue;
     
     // Store original position if not set
     if (npc.homeX === undefined) {
@@ -1210,8 +1306,8 @@ function tickGuardPatrol() {
     const radius = npc.patrolRadius || 1;
     
     // Pick a random direction within patrol area
-    const dx = Math.floor(Math.random() * 3) - 1; // -1, 0, or 1
-    const dy = Math.floor(Math.random() * 3) - 1;
+    const dx = rng('world').int(-1, 1);
+    const dy = rng('world').int(-1, 1);
     
     const newX = npc.x + dx;
     const newY = npc.y + dy;
@@ -1262,19 +1358,55 @@ function tickGuardPatrol() {
 async function init() {
   try {
     // Check for ?reset URL parameter to clear save data
+    initSaveSlots();
+
     const urlParams = new URLSearchParams(window.location.search);
     if (urlParams.has('reset')) {
-      localStorage.removeItem('vetuu_save');
-      localStorage.removeItem('vetuu_flags');
-      localStorage.removeItem('vetuu_fog');
+      clearSave();
       // Remove the ?reset from URL without reloading
       window.history.replaceState({}, '', window.location.pathname);
       console.log('Save data cleared via ?reset parameter');
     }
     
+    // ?replay boots into the slot VETUU_REPLAY() imported; ?record keeps the
+    // active slot. Either way, skip the picker
+    const pendingReplay = urlParams.has('replay') ? takePendingReplay() : null;
+    const recordRequested = urlParams.has('record');
+    if (pendingReplay || recordRequested) {
+      window.history.replaceState({}, '', window.location.pathname);
+    }
+
+    // Pick a save slot before anything reads saved data
+    initSlotPicker(state);
+    if (!pendingReplay && !recordRequested) await chooseSaveSlot();
+    
     await loadData();
 
     const saved = loadGame();
+
+    // Seed gameplay randomness before anything rolls: ?seed= replays a run from
+    // that seed, otherwise a save resumes its own streams
+    const urlSeed = parseSeed(urlParams.get('seed'));
+    if (pendingReplay) {
+      initRng(pendingReplay.rng.seed, pendingReplay.rng.streams);
+    } else if (urlSeed !== null) {
+      initRng(urlSeed);
+      console.log(`[RNG] Seed ${urlSeed} from URL`);
+    } else {
+      initRng(saved?.rng.seed ?? createSeed(), saved?.rng.streams);
+    }
+
+    // Capture the boot snapshot before anything else rolls
+    if (recordRequested) {
+      const bundle = exportSave();
+      if (bundle) {
+        startRecording({ save: bundle, rng: getRngState() });
+        console.log('[Replay] Recording - VETUU_RECORD_STOP() to save the file');
+      } else {
+        console.warn('[Replay] Nothing saved in this slot yet, not recording');
+      }
+    }
+
     if (saved) {
       // Check if saved coordinates are valid for current map
       const validX = saved.player.x >= 0 && saved.player.x < state.map.meta.width;
@@ -1291,6 +1423,9 @@ async function init() {
         state.runtime.collectedNodes = new Set(saved.collectedNodes || []);
         state.runtime.spawnedAreas = new Set(saved.spawnedAreas || []);
         state.runtime.defeatedBosses = new Set(saved.defeatedBosses || []);
+        state.runtime.shopStock = saved.shopStock || {};
+        state.runtime.unlockedBeacons = new Set(saved.unlockedBeacons || []);
+        state.runtime.discoveries = saved.discoveries || {};
       } else {
         // Old save with invalid coordinates - keep stats but reset position
         console.log('Detected old save format, resetting position to new map');
@@ -1301,6 +1436,9 @@ async function init() {
         state.runtime.collectedNodes = new Set(saved.collectedNodes || []);
         // Don't restore spawned areas as they have old coordinates
         state.runtime.defeatedBosses = new Set(saved.defeatedBosses || []);
+        state.runtime.shopStock = saved.shopStock || {};
+        state.runtime.unlockedBeacons = new Set(saved.unlockedBeacons || []);
+        state.runtime.discoveries = saved.discoveries || {};
         showToast('Map updated! Position reset to Drycross.', 'item');
       }
     }
@@ -1316,8 +1454,13 @@ async function init() {
     normalizeHealthKeys(state.player);
     clampHP(state.player);
 
+    // Wallet + ledger (defaults for saves made before currency existed)
+    initEconomy(state);
+
+    // Rebuild derived stats from level + equipment (saved totals aren't trusted)
+    initStats(state);
+
     window.__vetuuState = state;
-    window.__vetuuFlags = state.flags; // Expose flags for combat ability unlocks
     window.__vetuuGame = { showToast, grantXP, addItem, updateHUD, equipItem, updateQuestProgress };
 
     // Load collision module first (needed by movement)
@@ -1341,20 +1484,51 @@ async function init() {
         syncTorchPosition(); // Sync DOM torch position
         startTorchMovement(x, y, duration); // Start canvas torch interpolation
       },
-      onInteract: interact
+      onInteract: interact,
+      isBlocked: isDialogueOpen
     });
+    initMovementView();
     
     // Initialize input for non-movement keys and mouse
     initInput(interact, handleTargeting, handleSecondaryAction);
     
     initFog(state);
     initDialogue(state);
+    initShop(state);
+    initInventory(state);
+    initJournal(state);
+    initQuestLog(state);
+    initLoot(state);
+    restoreLootDrops(saved?.lootDrops);
+    initFastTravel(state, { onArrive: onMoveComplete });
+    // Simulation modules report through the event bus; the DOM side listens here
+    on(EVENTS.NOTIFY, ({ message, type }) => showToast(message, type));
+    on(EVENTS.QUESTS_CHANGED, () => renderActors(state));
+    on(EVENTS.PLAYER_MOVED, ({ snap }) => { if (snap) updateCamera(state, 0); });
+    on(EVENTS.PLAYER_LIFE_CHANGED, onPlayerLifeChanged);
+
     initQuests(state);
+    setQuestEffects({
+      addItem, removeItem, setFlag, clearFlag, grantXP, getItemCount,
+      spawnEnemy: spawnScriptedEnemy,
+      showDialogue: (nodeId, npcId) => queueDialogue(state, nodeId, state.entities.npcs.find(n => n.id === npcId) || null)
+    });
     initCombat(state);
+    setCombatEffects({ grantXP, removeItem });
+    initCombatView();
+    setLightQuery(isPositionIlluminated); // Enemy night sight checks the lighting pass
+    initBosses(state);
+    initBossView();
     initActionBar();
 
     // Initialize the new spawn director (handles all enemy spawning)
     initSpawnDirector(state);
+
+    // Warns about objectives that could never complete (encounters need the spawners placed)
+    validateQuestDefs(state.questDefs, {
+      enemyTypes: Object.keys(ENEMY_TYPES),
+      spawnIds: getSpawners().map(s => s.id)
+    });
     
     // Expose debug info for console
     window.__vetuuSpawnDebug = getSpawnDebugInfo;
@@ -1367,9 +1541,11 @@ async function init() {
     // Initialize canvas-based lighting system
     initLightingCanvas(state);
     
-    // Initialize day/night cycle (start at morning)
-    initDayCycle(0.35);
+    // Initialize day/night cycle (resume the saved clock, or start at morning of day 1)
+    initDayCycle(saved?.worldTime?.timeOfDay ?? 0.35, saved?.worldTime?.day ?? 1);
+    onNewDay(handleNewDay);
     updateShadowCSS(); // Set initial shadow CSS variables
+    initWeather();
     
     // Initialize new minimap system
     initMinimap(state);
@@ -1395,6 +1571,11 @@ async function init() {
     renderQuestTracker(state);
     checkInteraction();
 
+    if (pendingReplay) {
+      startReplay(pendingReplay, replayInput, onReplayEnd);
+      showToast(`Replaying ${pendingReplay.inputs.length} inputs`, 'quest');
+    }
+
     // Start main game loop (single consolidated rAF)
     requestAnimationFrame(gameLoop);
 
@@ -1419,6 +1600,59 @@ function syncXpBarWidth() {
   }
 }
 
+// ============================================
+// INPUT REPLAYS (see replay.js)
+// ============================================
+const PENDING_REPLAY_KEY = 'vetuu_pending_replay';
+
+/**
+ * Replay queued by VETUU_REPLAY() before the reload, if any (read once).
+ */
+function takePendingReplay() {
+  const text = sessionStorage.getItem(PENDING_REPLAY_KEY);
+  sessionStorage.removeItem(PENDING_REPLAY_KEY);
+  if (!text) return null;
+
+  const result = parseReplay(text);
+  if (!result.ok) {
+    console.error(`[Replay] ${result.error}`);
+    return null;
+  }
+  return result.replay;
+}
+
+/**
+ * Import a replay's save into its own slot and reboot into it.
+ * @returns {string|undefined} The problem, if the file can't be played
+ */
+function queueReplay(text) {
+  const result = parseReplay(text);
+  if (!result.ok) return result.error;
+
+  const imported = importSave(result.replay.save);
+  if (!imported.ok) return `Replay save: ${imported.error}`;
+
+  setActiveSlot(imported.slotId);
+  sessionStorage.setItem(PENDING_REPLAY_KEY, text);
+  window.location.search = '?replay';
+}
+
+function onReplayEnd({ total, misses }) {
+  const note = misses ? ` (${misses} could not be applied)` : '';
+  showToast(`Replay finished: ${total} inputs${note}`, 'quest');
+  console.log(`[Replay] Finished: ${total} inputs, ${misses} missed`);
+}
+
+function downloadReplay(replay) {
+  const stamp = new Date(replay.recordedAt).toISOString().slice(0, 19).replace(/[T:]/g, '-');
+  const url = URL.createObjectURL(new Blob([JSON.stringify(replay)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `vetuu-replay-${stamp}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', init);
 } else {
@@ -1430,17 +1664,102 @@ if (document.readyState === 'loading') {
 // ============================================
 if (typeof window !== 'undefined') {
   /**
-   * Reset game to fresh state (clears localStorage and reloads)
+   * Reset the active save slot to a fresh state and reload
    * Usage: VETUU_RESET() in console
    */
   window.VETUU_RESET = () => {
-    localStorage.removeItem('vetuu_save');
-    localStorage.removeItem('vetuu_flags');
-    localStorage.removeItem('vetuu_fog');
+    clearSave();
     console.log('Save data cleared. Reloading...');
     location.reload();
   };
   
+  /**
+   * Print the RNG seed for a bug report
+   * Usage: VETUU_SEED()
+   */
+  window.VETUU_SEED = () => {
+    const seed = getSeed();
+    console.log(`[RNG] Seed ${seed} - reproduce with ?seed=${seed}`);
+    return seed;
+  };
+  
+  /**
+   * Record inputs from a fresh boot of the current save (reloads the page)
+   * Usage: VETUU_RECORD(), play, then VETUU_RECORD_STOP() to download the file
+   */
+  window.VETUU_RECORD = () => {
+    saveGame(state);
+    window.location.search = '?record';
+  };
+  
+  /**
+   * Stop recording and download the replay file
+   */
+  window.VETUU_RECORD_STOP = () => {
+    if (!isRecording()) return 'Not recording';
+    const replay = stopRecording();
+    downloadReplay(replay);
+    return `Recorded ${replay.inputs.length} inputs over ${(replay.duration / 1000).toFixed(1)}s (seed ${replay.rng.seed})`;
+  };
+  
+  /**
+   * Play back a replay file in a new save slot (reloads the page)
+   * Usage: VETUU_REPLAY() to pick a file, or VETUU_REPLAY(jsonText)
+   */
+  window.VETUU_REPLAY = (text) => {
+    if (typeof text === 'string') return queueReplay(text);
+
+    const picker = document.createElement('input');
+    picker.type = 'file';
+    picker.accept = 'application/json,.json';
+    picker.addEventListener('change', async () => {
+      const file = picker.files?.[0];
+      if (!file) return;
+      const error = queueReplay(await file.text());
+      if (error) showToast(`Replay failed: ${error}`, 'error');
+    });
+    picker.click();
+  };
+  
+  /**
+   * Replay progress, or stop the replay and hand control back
+   * Usage: VETUU_REPLAY_STATUS() / VETUU_REPLAY_STOP()
+   */
+  window.VETUU_REPLAY_STATUS = () => getReplayProgress() || 'No replay running';
+  window.VETUU_REPLAY_STOP = () => {
+    stopReplay();
+    return 'Replay stopped - live input restored';
+  };
+  
+  /**
+   * Show the credit ledger and check it replays to the current balance
+   * Usage: VETUU_LEDGER()
+   */
+  window.VETUU_LEDGER = () => {
+    console.table(getLedger());
+    return verifyLedger();
+  };
+  
+  /**
+   * Grant credits (recorded in the ledger as 'debug')
+   * Usage: VETUU_CREDITS(500)
+   */
+  window.VETUU_CREDITS = (amount) => {
+    const balance = earnCredits(amount, 'debug', 'Console grant');
+    updateHUD();
+    return `Credits: ${balance}`;
+  };
+  
+  /**
+   * List save backups, or restore one and reload
+   * Usage: VETUU_SAVE_BACKUPS() / VETUU_SAVE_BACKUPS('v1')
+   */
+  window.VETUU_SAVE_BACKUPS = (label) => {
+    if (!label) return listSaveBackups();
+    if (!restoreSaveBackup(label)) return `No backup '${label}'`;
+    location.reload();
+  };
+  
   /**
    * Get current player position
    */
@@ -4,10 +4,13 @@
  * Movement is delegated to movement.js
  */
 
-import { createPathTo, cancelPath } from './movement.js';
+import { createPathTo, cancelPath, setKeyDirection } from './movement.js';
 import { cancelCombatPursuit } from './combat.js';
+import { recordInput, isReplaying, entityRef, resolveRef } from './replay.js';
+import { chooseDialogueOption } from './dialogue.js';
 import { toggleTorch } from './game.js';
 import { TILE_SIZE } from './render.js';
+import { isNpcPresent } from './save.js';
 import { 
   toggleCharacterSheet, 
   toggleMinimap, 
@@ -15,6 +18,9 @@ import {
   handleEscape 
 } from './ui.js';
 import { toggleWorldMap, closeWorldMap, isWorldMapOpen } from './worldmap.js';
+import { toggleInventory } from './inventory.js';
+import { toggleJournal } from './journal.js';
+import { toggleQuestLog } from './questLog.js';
 
 // ============================================
 // STATE
@@ -58,6 +64,88 @@ export function initInput(onInteract, onTarget, _onSecondary) {
   console.log('Input system initialized');
 }
 
+// ============================================
+// INPUT DISPATCH (recorded for replays)
+// ============================================
+// Every gameplay input from keyboard, mouse and touch goes through sendInput,
+// so a recording (replay.js) sees the same actions the game acts on.
+// Panel toggles (inventory, map, journal) are UI only and aren't recorded.
+
+// Targeting actions whose data is an entity, stored as a ref in recordings
+const TARGET_ENTITY_KINDS = { attack: 'enemy', select: 'enemy', selectNpc: 'npc', selectObject: 'object' };
+
+function sendInput(type, ...args) {
+  if (isReplaying()) return; // The replay is driving
+  recordInput(type, encodeInputArgs(type, args));
+  applyInput(type, args);
+}
+
+/**
+ * Perform one gameplay input.
+ * - target: handleTargeting(action, data)
+ * - interact: adjacency interaction
+ * - torch: toggle torch
+ * - path: click-to-move (drops move-to-range pursuit)
+ * - travel: minimap/world map click-to-move
+ * - clear: cancel path and clear target
+ * - move: held keyboard direction (movement.js)
+ * - dialogue: choice on the open dialogue node (dialogue.js)
+ */
+function applyInput(type, args) {
+  switch (type) {
+    case 'target': targetCallback(...args); break;
+    case 'interact': interactCallback(); break;
+    case 'torch': toggleTorch(); break;
+    case 'path':
+      cancelCombatPursuit();
+      createPathTo(args[0], args[1], false);
+      break;
+    case 'travel': createPathTo(args[0], args[1], false); break;
+    case 'clear':
+      cancelPath();
+      targetCallback('clear');
+      break;
+    case 'move': setKeyDirection(args[0], args[1]); break;
+    case 'dialogue': return chooseDialogueOption(args[0], args[1]);
+    default: return false;
+  }
+  return true;
+}
+
+/**
+ * Replay dispatcher: perform a recorded input against the live game.
+ * @returns {boolean} False when its target no longer exists
+ */
+export function replayInput(type, args) {
+  const decoded = decodeInputArgs(type, args, window.__vetuuState);
+  if (!decoded) return false;
+  return applyInput(type, decoded);
+}
+
+function encodeInputArgs(type, args) {
+  if (type !== 'target') return args;
+  const [action, data] = args;
+  if (action === 'interactWith') {
+    return [action, { ...data, target: entityRef(data.type, data.target) }];
+  }
+  const kind = TARGET_ENTITY_KINDS[action];
+  return kind && data ? [action, entityRef(kind, data)] : args;
+}
+
+function decodeInputArgs(type, args, state) {
+  if (type !== 'target') return args;
+  const [action, data] = args;
+  if (action === 'interactWith') {
+    const target = resolveRef(data.target, state);
+    return target && [action, { ...data, target }];
+  }
+  if (data?.ref) {
+    const entity = resolveRef(data, state);
+    return entity && [action, entity];
+  }
+  return args;
+}
+
 // ============================================
 // ACTION BAR CLICK HANDLERS
 // ============================================
@@ -76,7 +164,7 @@ function initActionBarClicks() {
       }
       lastAutoAttackToggleAt = now;
       
-      targetCallback('autoAttack');
+      sendInput('target', 'autoAttack');
     });
   }
 
@@ -86,7 +174,7 @@ function initActionBarClicks() {
       e.preventDefault();
       const slotNum = parseInt(slot.dataset.slot, 10);
       if (!isNaN(slotNum)) {
-        targetCallback('ability', slotNum);
+        sendInput('target', 'ability', slotNum);
       }
     });
   });
@@ -97,7 +185,7 @@ function initActionBarClicks() {
       e.preventDefault();
       const slotNum = parseInt(slot.dataset.slot, 10);
       if (!isNaN(slotNum) && !slot.disabled) {
-        targetCallback('senseAbility', slotNum);
+        sendInput('target', 'senseAbility', slotNum);
       }
     });
   });
@@ -108,7 +196,18 @@ function initActionBarClicks() {
       e.preventDefault();
       const utilityId = slot.dataset.slot;
       if (utilityId) {
-        targetCallback('utility', utilityId);
+        sendInput('target', 'utility', utilityId);
+      }
+    });
+  });
+
+  // Item slots (bound consumables)
+  document.querySelectorAll('[data-action-type="consumable"]').forEach(slot => {
+    slot.addEventListener('click', (e) => {
+      e.preventDefault();
+      const slotId = slot.dataset.slot;
+      if (slotId) {
+        sendInput('target', 'consumable', slotId);
       }
     });
   });
@@ -153,7 +252,7 @@ function onKeyDown(e) {
       }
       lastAutoAttackToggleAt = now;
       
-      targetCallback('autoAttack');
+      sendInput('target', 'autoAttack');
     }
     return;
   }
@@ -164,22 +263,22 @@ function onKeyDown(e) {
   // ============================================
   if (code === 'Digit2') { 
     e.preventDefault(); 
-    if (!dialogueOpen) targetCallback('ability', 2); // Leap (melee)
+    if (!dialogueOpen) sendInput('target', 'ability', 2); // Leap (melee)
     return; 
   }
   if (code === 'Digit3') { 
     e.preventDefault(); 
-    if (!dialogueOpen) targetCallback('ability', 3); // Blade Flurry (melee)
+    if (!dialogueOpen) sendInput('target', 'ability', 3); // Blade Flurry (melee)
     return; 
   }
   if (code === 'Digit4') { 
     e.preventDefault(); 
-    if (!dialogueOpen) targetCallback('ability', 4); // Burst (ranged)
+    if (!dialogueOpen) sendInput('target', 'ability', 4); // Burst (ranged)
     return; 
   }
   if (code === 'Digit5') { 
     e.preventDefault(); 
-    if (!dialogueOpen) targetCallback('ability', 5); // Charged Shot (ranged)
+    if (!dialogueOpen) sendInput('target', 'ability', 5); // Charged Shot (ranged)
     return; 
   }
 
@@ -188,12 +287,12 @@ function onKeyDown(e) {
   // ============================================
   if (code === 'Digit6') { 
     e.preventDefault(); 
-    if (!dialogueOpen) targetCallback('senseAbility', 6); // Pull
+    if (!dialogueOpen) sendInput('target', 'senseAbility', 6); // Pull
     return; 
   }
   if (code === 'Digit7') { 
     e.preventDefault(); 
-    if (!dialogueOpen) targetCallback('senseAbility', 7); // Push
+    if (!dialogueOpen) sendInput('target', 'senseAbility', 7); // Push
     return; 
   }
 
@@ -203,22 +302,36 @@ function onKeyDown(e) {
   // Sprint (9 primary, R secondary)
   if (code === 'Digit9' || code === 'KeyR') { 
     e.preventDefault(); 
-    if (!dialogueOpen) targetCallback('utility', 'sprint'); 
+    if (!dialogueOpen) sendInput('target', 'utility', 'sprint'); 
     return; 
   }
   // Heal (0 primary, Q secondary)
   if (code === 'Digit0' || code === 'KeyQ') { 
     e.preventDefault(); 
-    if (!dialogueOpen) targetCallback('utility', 'heal'); 
+    if (!dialogueOpen) sendInput('target', 'utility', 'heal'); 
     return; 
   }
 
+  // ============================================
+  // ITEM SLOTS (bound consumables)
+  // ============================================
+  if (code === 'KeyZ') {
+    e.preventDefault();
+    if (!dialogueOpen) sendInput('target', 'consumable', 'item1');
+    return;
+  }
+  if (code === 'KeyX') {
+    e.preventDefault();
+    if (!dialogueOpen) sendInput('target', 'consumable', 'item2');
+    return;
+  }
+
   // ============================================
   // TORCH TOGGLE (T)
   // ============================================
   if (code === 'KeyT') {
     e.preventDefault();
-    if (!dialogueOpen) toggleTorch();
+    if (!dialogueOpen) sendInput('torch');
     return;
   }
 
@@ -229,11 +342,9 @@ function onKeyDown(e) {
     e.preventDefault();
     if (!dialogueOpen) {
       // If we have a selected friendly target (NPC or object), move to and interact
-      if (targetCallback) {
-        targetCallback('interactWithTarget');
-      }
+      sendInput('target', 'interactWithTarget');
       // Also trigger standard adjacency interaction as fallback
-      if (interactCallback) interactCallback();
+      sendInput('interact');
     }
     return;
   }
@@ -243,12 +354,10 @@ function onKeyDown(e) {
   // ============================================
   if (code === 'Tab') {
     e.preventDefault();
-    if (targetCallback) {
-      if (e.shiftKey) {
-        targetCallback('cycleFriendly'); // Now includes objects
-      } else {
-        targetCallback('cycle');
-      }
+    if (e.shiftKey) {
+      sendInput('target', 'cycleFriendly'); // Now includes objects
+    } else {
+      sendInput('target', 'cycle');
     }
     return;
   }
@@ -258,8 +367,25 @@ function onKeyDown(e) {
   // ============================================
   if (code === 'KeyI') {
     e.preventDefault();
-    const panel = document.getElementById('inventory-panel');
-    if (panel) panel.open ? panel.close() : panel.showModal();
+    toggleInventory();
+    return;
+  }
+
+  // ============================================
+  // EXPLORATION JOURNAL (J without modifier)
+  // ============================================
+  if (code === 'KeyJ' && !e.metaKey && !e.ctrlKey) {
+    e.preventDefault();
+    toggleJournal();
+    return;
+  }
+
+  // ============================================
+  // QUEST LOG (L)
+  // ============================================
+  if (code === 'KeyL' && !e.metaKey && !e.ctrlKey) {
+    e.preventDefault();
+    toggleQuestLog();
     return;
   }
 
@@ -314,8 +440,7 @@ function onKeyDown(e) {
       return;
     }
     
-    cancelPath();
-    targetCallback('clear');
+    sendInput('clear');
     handleEscape();
   }
 }
@@ -364,10 +489,10 @@ function onLeftClick(e, forceDoubleClick = false) {
   if (enemy) {
     if (doubleClick) {
       // Double-click: move to and auto-attack
-      targetCallback('attack', enemy);
+      sendInput('target', 'attack', enemy);
     } else {
       // Single-click: just select
-      targetCallback('select', enemy);
+      sendInput('target', 'select', enemy);
     }
     return;
   }
@@ -377,11 +502,11 @@ function onLeftClick(e, forceDoubleClick = false) {
   if (npc) {
     if (doubleClick) {
       // Double-click: move to and interact (use NPC's actual coords, not click coords)
-      targetCallback('selectNpc', npc);
-      targetCallback('interactWith', { type: 'npc', target: npc, x: npc.x, y: npc.y });
+      sendInput('target', 'selectNpc', npc);
+      sendInput('target', 'interactWith', { type: 'npc', target: npc, x: npc.x, y: npc.y });
     } else {
       // Single-click: just select (show portrait)
-      targetCallback('selectNpc', npc);
+      sendInput('target', 'selectNpc', npc);
     }
     return;
   }
@@ -391,18 +516,17 @@ function onLeftClick(e, forceDoubleClick = false) {
   if (obj?.interact) {
     if (doubleClick) {
       // Double-click: move to and interact (use object's actual coords, not click coords)
-      targetCallback('selectObject', obj);
-      targetCallback('interactWith', { type: 'object', target: obj, x: obj.x, y: obj.y });
+      sendInput('target', 'selectObject', obj);
+      sendInput('target', 'interactWith', { type: 'object', target: obj, x: obj.x, y: obj.y });
     } else {
       // Single-click: just select (show in target frame)
-      targetCallback('selectObject', obj);
+      sendInput('target', 'selectObject', obj);
     }
     return;
   }
   
   // Path to empty tile - cancel move-to-range pursuit, but keep auto-attack for kiting
-  cancelCombatPursuit();
-  createPathTo(x, y, false);
+  sendInput('path', x, y);
 }
 
 function onRightClick(e) {
@@ -425,8 +549,7 @@ function onRightClick(e) {
   const worldPos = screenToWorld(e.clientX, e.clientY);
   if (!worldPos) {
     if (debug) console.log('[RIGHT-CLICK] screenToWorld returned null for', e.clientX, e.clientY);
-    cancelPath();
-    targetCallback('clear');
+    sendInput('clear');
     return;
   }
 
@@ -434,8 +557,7 @@ function onRightClick(e) {
   const state = window.__vetuuState;
   if (!state) {
     if (debug) console.log('[RIGHT-CLICK] No game state');
-    cancelPath();
-    targetCallback('clear');
+    sendInput('clear');
     return;
   }
   
@@ -451,7 +573,7 @@ function onRightClick(e) {
   }
   if (enemy && enemy.hp > 0) {
     if (debug) console.log('[RIGHT-CLICK] → Attack', enemy.name);
-    targetCallback('attack', enemy);
+    sendInput('target', 'attack', enemy);
     return;
   }
 
@@ -459,8 +581,8 @@ function onRightClick(e) {
   const npc = findNpcAt(state, x, y);
   if (npc) {
     if (debug) console.log('[RIGHT-CLICK] → Interact NPC', npc.name || npc.id);
-    targetCallback('selectNpc', npc);
-    targetCallback('interactWith', { type: 'npc', target: npc, x: npc.x, y: npc.y });
+    sendInput('target', 'selectNpc', npc);
+    sendInput('target', 'interactWith', { type: 'npc', target: npc, x: npc.x, y: npc.y });
     return;
   }
 
@@ -468,15 +590,14 @@ function onRightClick(e) {
   const obj = findObjectAt(state, x, y);
   if (obj?.interact) {
     if (debug) console.log('[RIGHT-CLICK] → Interact object', obj.name || obj.type);
-    targetCallback('selectObject', obj);
-    targetCallback('interactWith', { type: 'object', target: obj, x: obj.x, y: obj.y });
+    sendInput('target', 'selectObject', obj);
+    sendInput('target', 'interactWith', { type: 'object', target: obj, x: obj.x, y: obj.y });
     return;
   }
 
   // Default: cancel path and clear target
   if (debug) console.log('[RIGHT-CLICK] → Clear (no target found)');
-  cancelPath();
-  targetCallback('clear');
+  sendInput('clear');
 }
 
 // ============================================
@@ -616,6 +737,7 @@ function findNpcAt(state, x, y) {
   let closestDist = Infinity;
   
   for (const npc of state.entities.npcs || []) {
+    if (!isNpcPresent(state, npc)) continue;
     const dx = Math.abs(npc.x - x);
     const dy = Math.abs(npc.y - y);
     const dyAbove = Math.abs(npc.y - (y + 1));
@@ -0,0 +1,373 @@
+/**
+ * VETUU — Inventory Module
+ * Inventory panel: filtering/sorting by type, rarity colours, item tooltips
+ * with mods and equipped-gear comparison, and equip/unequip/use/drop actions
+ */
+
+import { useConsumable, bindConsumableSlot, CONSUMABLE_SLOTS } from './combat.js';
+import { spawnLootDrop } from './loot.js';
+import { formatMod } from './stats.js';
+
+// Hotkey shown on each bind button (matches the action bar item slots)
+const SLOT_KEYS = { item1: 'Z', item2: 'X' };
+
+const EQUIP_SLOTS = ['weapon', 'armor', 'accessory'];
+
+// Filter tabs, in display order ('all' shows everything)
+const FILTERS = [
+  { id: 'all', label: 'All' },
+  { id: 'weapon', label: 'Weapons' },
+  { id: 'armor', label: 'Armor' },
+  { id: 'accessory', label: 'Accessories' },
+  { id: 'consumable', label: 'Consumables' },
+  { id: 'material', label: 'Materials' },
+  { id: 'quest', label: 'Quest' }
+];
+
+const RARITY_ORDER = { gold: 3, blue: 2, green: 1 };
+
+let inventoryPanel = null;
+let listEl = null;
+let filtersEl = null;
+let sortEl = null;
+let tooltipEl = null;
+let currentState = null;
+
+let activeFilter = 'all';
+let sortKey = 'rarity';
+
+// ============================================
+// INITIALIZATION
+// ============================================
+export function initInventory(state) {
+  currentState = state;
+
+  inventoryPanel = document.getElementById('inventory-panel');
+  listEl = document.getElementById('inventory-list');
+  filtersEl = document.getElementById('inventory-filters');
+  sortEl = document.getElementById('inventory-sort');
+  tooltipEl = document.getElementById('inventory-tooltip');
+  if (!inventoryPanel) return;
+
+  document.getElementById('inventory-close')?.addEventListener('click', closeInventory);
+
+  if (filtersEl) {
+    for (const filter of FILTERS) {
+      const btn = document.createElement('button');
+      btn.className = 'inventory-filter';
+      btn.dataset.filter = filter.id;
+      btn.textContent = filter.label;
+      btn.addEventListener('click', () => {
+        activeFilter = filter.id;
+        renderInventory();
+      });
+      filtersEl.appendChild(btn);
+    }
+  }
+
+  sortEl?.addEventListener('change', () => {
+    sortKey = sortEl.value;
+    renderInventory();
+  });
+
+  inventoryPanel.addEventListener('close', hideTooltip);
+}
+
+// ============================================
+// OPEN / CLOSE
+// ============================================
+export function openInventory() {
+  if (!inventoryPanel) return;
+  renderInventory();
+  if (!inventoryPanel.open) inventoryPanel.showModal();
+}
+
+export function closeInventory() {
+  if (inventoryPanel?.open) inventoryPanel.close();
+}
+
+export function toggleInventory() {
+  if (inventoryPanel?.open) {
+    closeInventory();
+  } else {
+    openInventory();
+  }
+}
+
+export function isInventoryOpen() {
+  return !!inventoryPanel?.open;
+}
+
+/**
+ * Re-render if the panel is open (called after inventory changes).
+ */
+export function refreshInventory() {
+  if (isInventoryOpen()) renderInventory();
+}
+
+// ============================================
+// ITEM HELPERS
+// ============================================
+function getItemDef(itemId) {
+  return currentState.items.find(i => i.id === itemId);
+}
+
+function isEquippable(itemDef) {
+  return EQUIP_SLOTS.includes(itemDef.type);
+}
+
+function isEquipped(itemId) {
+  return Object.values(currentState.player.equipment).includes(itemId);
+}
+
+/**
+ * Stat changes from swapping the currently equipped item in this slot for itemDef.
+ * @returns {Array<{stat: string, delta: number}>} Non-zero deltas only
+ */
+function getEquipDeltas(itemDef) {
+  const equippedDef = getItemDef(currentState.player.equipment[itemDef.type]);
+  const next = itemDef.mods || {};
+  const current = equippedDef?.mods || {};
+
+  const stats = new Set([...Object.keys(next), ...Object.keys(current)]);
+  return [...stats]
+    .map(stat => ({ stat, delta: (next[stat] || 0) - (current[stat] || 0) }))
+    .filter(d => d.delta !== 0);
+}
+
+function formatEffect(effect) {
+  const parts = [];
+  if (effect.heal) parts.push(`Restores ${effect.heal} HP`);
+  if (effect.sense) parts.push(`Restores ${effect.sense} Sense`);
+  if (effect.buff) {
+    const mods = Object.entries(effect.buff.mods).map(([stat, value]) => formatMod(stat, value));
+    parts.push(`${mods.join(', ')} for ${Math.round(effect.buff.duration / 1000)}s`);
+  }
+  return parts.join(', ');
+}
+
+function compareItems(a, b) {
+  switch (sortKey) {
+    case 'name':
+      return a.def.name.localeCompare(b.def.name);
+    case 'type':
+      return a.def.type.localeCompare(b.def.type) || a.def.name.localeCompare(b.def.name);
+    case 'qty':
+      return b.qty - a.qty || a.def.name.localeCompare(b.def.name);
+    case 'rarity':
+    default:
+      return (RARITY_ORDER[b.def.rarity] || 0) - (RARITY_ORDER[a.def.rarity] || 0) ||
+        a.def.name.localeCompare(b.def.name);
+  }
+}
+
+// ============================================
+// RENDERING
+// ============================================
+function renderInventory() {
+  if (!listEl || !currentState) return;
+
+  filtersEl?.querySelectorAll('.inventory-filter').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.filter === activeFilter);
+  });
+  if (sortEl) sortEl.value = sortKey;
+
+  hideTooltip();
+  listEl.innerHTML = '';
+
+  const entries = currentState.player.inventory
+    .map(entry => ({ def: getItemDef(entry.id), qty: entry.qty }))
+    .filter(e => e.def && (activeFilter === 'all' || e.def.type === activeFilter))
+    .sort(compareItems);
+
+  for (const { def, qty } of entries) {
+    listEl.appendChild(createItemRow(def, qty));
+  }
+
+  if (!listEl.children.length) {
+    const message = currentState.player.inventory.length ? 'Nothing of that type.' : 'Your pack is empty.';
+    listEl.innerHTML = `<li class="inventory-empty">${message}</li>`;
+  }
+}
+
+function createItemRow(itemDef, qty) {
+  const equipped = isEquipped(itemDef.id);
+
+  const li = document.createElement('li');
+  li.className = 'inventory-item';
+  li.classList.toggle('equipped', equipped);
+
+  li.innerHTML = `
+    <span class="inventory-item-icon ${itemDef.rarity || ''}">${itemDef.name.charAt(0)}</span>
+    <span class="inventory-item-info">
+      <span class="inventory-item-name rarity-${itemDef.rarity || 'common'}">${itemDef.name}${equipped ? ' <span class="inventory-item-badge">Equipped</span>' : ''}</span>
+      <span class="inventory-item-desc">${getRowSummary(itemDef, equipped)}</span>
+    </span>
+    <span class="inventory-item-qty">x${qty}</span>
+  `;
+
+  li.appendChild(createItemActions(itemDef, qty, equipped));
+
+  li.addEventListener('mouseenter', (e) => showTooltip(itemDef, equipped, e));
+  li.addEventListener('mousemove', positionTooltip);
+  li.addEventListener('mouseleave', hideTooltip);
+
+  return li;
+}
+
+/**
+ * One-line summary under the name: comparison for gear, effect for consumables.
+ */
+function getRowSummary(itemDef, equipped) {
+  if (isEquippable(itemDef) && !equipped) {
+    const deltas = getEquipDeltas(itemDef);
+    if (deltas.length === 0) return 'No stat change';
+    return deltas.map(d => `<span class="${d.delta > 0 ? 'delta-up' : 'delta-down'}">${formatMod(d.stat, d.delta)}</span>`).join(' ');
+  }
+  if (itemDef.mods) {
+    return Object.entries(itemDef.mods).map(([stat, value]) => formatMod(stat, value)).join(', ');
+  }
+  if (itemDef.effect) return formatEffect(itemDef.effect);
+  return itemDef.desc || '';
+}
+
+function createItemActions(itemDef, qty, equipped) {
+  const actions = document.createElement('span');
+  actions.className = 'inventory-item-actions';
+
+  if (isEquippable(itemDef)) {
+    actions.appendChild(equipped
+      ? createActionButton('Unequip', () => onUnequip(itemDef))
+      : createActionButton('Equip', () => onEquip(itemDef)));
+  }
+
+  if (itemDef.type === 'consumable') {
+    actions.appendChild(createActionButton('Use', () => useConsumable(itemDef.id)));
+
+    // Bind buttons - clicking the active slot clears it
+    const bar = currentState.player.consumableBar || {};
+    for (const slotId of CONSUMABLE_SLOTS) {
+      const bound = bar[slotId] === itemDef.id;
+      const bindBtn = document.createElement('button');
+      bindBtn.className = 'inventory-item-bind';
+      bindBtn.classList.toggle('active', bound);
+      bindBtn.textContent = SLOT_KEYS[slotId];
+      bindBtn.title = bound ? `Unbind from ${SLOT_KEYS[slotId]}` : `Bind to ${SLOT_KEYS[slotId]}`;
+      bindBtn.addEventListener('click', () => {
+        bindConsumableSlot(slotId, bound ? null : itemDef.id);
+        renderInventory();
+      });
+      actions.appendChild(bindBtn);
+    }
+  }
+
+  if (itemDef.type !== 'quest') {
+    // Can't drop the last copy of something you're wearing
+    const dropBtn = createActionButton('Drop', () => onDrop(itemDef));
+    dropBtn.disabled = equipped && qty <= 1;
+    if (dropBtn.disabled) dropBtn.title = 'Unequip it first';
+    actions.appendChild(dropBtn);
+  }
+
+  return actions;
+}
+
+function createActionButton(label, onClick) {
+  const btn = document.createElement('button');
+  btn.className = 'inventory-item-action';
+  btn.textContent = label;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+// ============================================
+// TOOLTIP
+// ============================================
+function showTooltip(itemDef, equipped, e) {
+  if (!tooltipEl) return;
+
+  const rarity = itemDef.rarity || 'common';
+  let html = `
+    <div class="tooltip-name rarity-${rarity}">${itemDef.name}</div>
+    <div class="tooltip-type">${rarity} ${itemDef.type}${equipped ? ' · equipped' : ''}</div>
+  `;
+
+  if (itemDef.mods) {
+    const mods = Object.entries(itemDef.mods).map(([stat, value]) => formatMod(stat, value));
+    html += `<div class="tooltip-mods">${mods.join('<br>')}</div>`;
+  }
+  if (itemDef.effect) {
+    html += `<div class="tooltip-mods">${formatEffect(itemDef.effect)}</div>`;
+  }
+  if (itemDef.desc) {
+    html += `<div class="tooltip-desc">${itemDef.desc}</div>`;
+  }
+
+  if (isEquippable(itemDef) && !equipped) {
+    const equippedDef = getItemDef(currentState.player.equipment[itemDef.type]);
+    const deltas = getEquipDeltas(itemDef);
+    const lines = deltas.length
+      ? deltas.map(d => `<span class="${d.delta > 0 ? 'delta-up' : 'delta-down'}">${formatMod(d.stat, d.delta)}</span>`).join('<br>')
+      : 'No stat change';
+    html += `
+      <div class="tooltip-compare">
+        <div class="tooltip-compare-title">vs ${equippedDef ? equippedDef.name : `nothing equipped`}</div>
+        ${lines}
+      </div>
+    `;
+  }
+
+  tooltipEl.innerHTML = html;
+  tooltipEl.classList.remove('hidden');
+  positionTooltip(e);
+}
+
+function positionTooltip(e) {
+  if (!tooltipEl || tooltipEl.classList.contains('hidden')) return;
+
+  // The tooltip lives inside the (transformed, clipped) panel, so position it
+  // in panel coordinates and keep it inside: flip left of the cursor near the edge
+  const pad = 14;
+  const panelRect = inventoryPanel.getBoundingClientRect();
+  const rect = tooltipEl.getBoundingClientRect();
+  let x = e.clientX - panelRect.left + pad;
+  let y = e.clientY - panelRect.top + pad;
+  if (x + rect.width > panelRect.width) x = Math.max(0, x - rect.width - pad * 2);
+  if (y + rect.height > panelRect.height) y = Math.max(0, panelRect.height - rect.height - 4);
+
+  tooltipEl.style.setProperty('--tooltip-x', `${x}px`);
+  tooltipEl.style.setProperty('--tooltip-y', `${y}px`);
+}
+
+function hideTooltip() {
+  tooltipEl?.classList.add('hidden');
+}
+
+// ============================================
+// ACTIONS
+// ============================================
+async function onEquip(itemDef) {
+  const { equipItem } = await import('./game.js');
+  equipItem(itemDef.id);
+}
+
+async function onUnequip(itemDef) {
+  const { unequipItem } = await import('./game.js');
+  unequipItem(itemDef.type);
+}
+
+/**
+ * Drop one unit on the ground at the player's feet (it can be picked back up).
+ */
+async function onDrop(itemDef) {
+  const { removeItem, showToast } = await import('./game.js');
+  const { x, y } = currentState.player;
+
+  if (!spawnLootDrop(x, y, [{ itemId: itemDef.id, qty: 1 }])) {
+    showToast('No room to drop that here', 'error');
+    return;
+  }
+
+  removeItem(itemDef.id, 1);
+  showToast(`Dropped ${itemDef.name}`, 'item');
+}
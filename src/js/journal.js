@@ -0,0 +1,132 @@
+/**
+ * VETUU — Exploration Journal Module
+ * Panel listing the map's regions, which have been discovered (and when),
+ * and how much of the map and each region the fog has revealed
+ */
+
+import { getRevealedPercent } from './fog.js';
+import { formatPlayTime } from './slotPicker.js';
+
+let journalPanel = null;
+let summaryEl = null;
+let listEl = null;
+let currentState = null;
+
+// ============================================
+// INITIALIZATION
+// ============================================
+export function initJournal(state) {
+  currentState = state;
+
+  journalPanel = document.getElementById('journal-panel');
+  summaryEl = document.getElementById('journal-summary');
+  listEl = document.getElementById('journal-list');
+  if (!journalPanel) return;
+
+  document.getElementById('journal-close')?.addEventListener('click', closeJournal);
+}
+
+// ============================================
+// OPEN / CLOSE
+// ============================================
+export function openJournal() {
+  if (!journalPanel) return;
+  renderJournal();
+  if (!journalPanel.open) journalPanel.showModal();
+}
+
+export function closeJournal() {
+  if (journalPanel?.open) journalPanel.close();
+}
+
+export function toggleJournal() {
+  if (journalPanel?.open) {
+    closeJournal();
+  } else {
+    openJournal();
+  }
+}
+
+export function isJournalOpen() {
+  return !!journalPanel?.open;
+}
+
+// ============================================
+// RENDERING
+// ============================================
+
+/**
+ * Region bounds in map coordinates (regions are authored against the original map).
+ */
+function getRegionBounds(region) {
+  const offset = currentState.map.meta.originalOffset || { x: 0, y: 0 };
+  return {
+    x0: region.bounds.x0 + offset.x,
+    y0: region.bounds.y0 + offset.y,
+    x1: region.bounds.x1 + offset.x,
+    y1: region.bounds.y1 + offset.y
+  };
+}
+
+function formatDiscovery(discovery) {
+  // Recorded before discovery times were saved
+  if (!discovery.time) return 'Discovered';
+
+  const when = new Date(discovery.time).toLocaleString();
+  return `Discovered ${when} · ${formatPlayTime(discovery.playTime)} played`;
+}
+
+function renderJournal() {
+  if (!listEl || !currentState) return;
+
+  const regions = currentState.map.regions || [];
+  const discoveries = currentState.runtime.discoveries || {};
+  const foundCount = regions.filter(r => discoveries[r.id]).length;
+
+  if (summaryEl) {
+    summaryEl.innerHTML = `
+      <span>Map revealed <strong>${getRevealedPercent().toFixed(1)}%</strong></span>
+      <span>Regions found <strong>${foundCount}/${regions.length}</strong></span>
+    `;
+  }
+
+  listEl.innerHTML = '';
+
+  // Discovered regions first, in the order they were found
+  const sorted = [...regions].sort((a, b) => {
+    const da = discoveries[a.id];
+    const db = discoveries[b.id];
+    if (!!da !== !!db) return da ? -1 : 1;
+    return (da?.time || 0) - (db?.time || 0);
+  });
+
+  for (const region of sorted) {
+    listEl.appendChild(createRegionRow(region, discoveries[region.id]));
+  }
+
+  if (regions.length === 0) {
+    listEl.innerHTML = '<li class="journal-empty">No regions charted.</li>';
+  }
+}
+
+function createRegionRow(region, discovery) {
+  const li = document.createElement('li');
+  li.className = 'journal-region';
+  li.classList.toggle('undiscovered', !discovery);
+
+  if (!discovery) {
+    li.innerHTML = `
+      <span class="journal-region-name">???</span>
+      <span class="journal-region-meta">Undiscovered</span>
+    `;
+    return li;
+  }
+
+  const revealed = getRevealedPercent(getRegionBounds(region));
+  li.innerHTML = `
+    <span class="journal-region-name">${region.name}</span>
+    <span class="journal-region-meta">${formatDiscovery(discovery)}</span>
+    <span class="journal-region-revealed">${Math.round(revealed)}% explored</span>
+  `;
+  return li;
+}
@@ -0,0 +1,220 @@
+/**
+ * VETUU — Loot Module
+ * Data-driven loot tables, rolls on enemy death, and lootable ground drops
+ *
+ * Tables live in items.json (`lootTables`). A table applies to an enemy when
+ * every field in its `match` agrees (enemyType, role, alpha, boss). Each table
+ * rolls `rolls` times with probability `chance`, picking one weighted entry.
+ * Entry weights are scaled by the item's rarity (`lootRarity`), and rarer
+ * tiers gain weight with player luck.
+ *
+ * Ground drops are saved with the time they have left (save.js) and put back
+ * by restoreLootDrops() on load.
+ */
+
+import { addObjectToIndex, removeObjectFromIndex, getObjectAt, canMoveTo } from './collision.js';
+import { renderObject, removeObjectElement } from './render.js';
+import { invalidateObjectCache } from './minimap.js';
+import { rng } from './rng.js';
+import { nowMs } from './time.js';
+
+// Drop chance bonus per luck point (multiplicative, chance is capped at 1)
+const LUCK_CHANCE_PER = 0.02;
+
+// Ground drops vanish if nobody picks them up
+const DROP_DESPAWN_MS = 180000; // 3 minutes
+
+// How far from the corpse we look for a free tile to place the drop
+const DROP_SEARCH_RADIUS = 2;
+
+const lootRng = rng('loot');
+
+let currentState = null;
+let dropCounter = 0;
+const despawnTimers = new Map(); // dropId -> timeout id
+
+// ============================================
+// INITIALIZATION
+// ============================================
+export function initLoot(state) {
+  currentState = state;
+}
+
+// ============================================
+// ROLLING
+// ============================================
+
+/**
+ * Check whether a loot table applies to an enemy.
+ * Array fields match any listed value; booleans must match exactly.
+ */
+function matchesTable(table, enemy) {
+  const match = table.match || {};
+  if (match.enemyType && !match.enemyType.includes(enemy.type)) return false;
+  if (match.role && !match.role.includes(enemy.role)) return false;
+  if (match.alpha !== undefined && !!enemy.isAlpha !== match.alpha) return false;
+  if (match.boss !== undefined && !!enemy.isBoss !== match.boss) return false;
+  return true;
+}
+
+/**
+ * Effective weight of a table entry after rarity and luck scaling.
+ */
+function getEntryWeight(entry, luck) {
+  const itemDef = currentState.items.find(i => i.id === entry.itemId);
+  if (!itemDef) return 0;
+
+  const rarity = currentState.lootRarity?.[itemDef.rarity];
+  const rarityWeight = rarity?.weight ?? 1;
+  const luckBonus = rarity?.luckBonus ?? 0;
+
+  return (entry.weight ?? 1) * rarityWeight * (1 + luck * luckBonus);
+}
+
+function pickWeighted(entries, luck) {
+  const weights = entries.map(e => getEntryWeight(e, luck));
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  if (total <= 0) return null;
+
+  let roll = lootRng.next() * total;
+  for (let i = 0; i < entries.length; i++) {
+    roll -= weights[i];
+    if (roll < 0) return entries[i];
+  }
+  return entries[entries.length - 1];
+}
+
+/**
+ * Roll every matching loot table for a defeated enemy.
+ * @returns {Array<{itemId: string, qty: number}>} Merged drops (may be empty)
+ */
+export function rollLoot(enemy) {
+  if (!currentState?.lootTables) return [];
+
+  const luck = Math.max(0, currentState.player.luck || 0);
+  const drops = new Map();
+
+  for (const table of currentState.lootTables) {
+    if (!matchesTable(table, enemy)) continue;
+
+    const chance = Math.min(1, (table.chance ?? 1) * (1 + luck * LUCK_CHANCE_PER));
+    for (let r = 0; r < (table.rolls ?? 1); r++) {
+      if (lootRng.next() >= chance) continue;
+
+      const entry = pickWeighted(table.entries, luck);
+      if (!entry) continue;
+
+      const min = entry.min ?? 1;
+      const max = entry.max ?? min;
+      const qty = lootRng.int(min, max);
+      drops.set(entry.itemId, (drops.get(entry.itemId) || 0) + qty);
+    }
+  }
+
+  return [...drops].map(([itemId, qty]) => ({ itemId, qty }));
+}
+
+// ============================================
+// GROUND DROPS
+// ============================================
+
+/**
+ * Find a free tile for a drop: the corpse tile if possible, otherwise the
+ * nearest walkable tile without an object on it.
+ */
+function findDropTile(x, y) {
+  for (let r = 0; r <= DROP_SEARCH_RADIUS; r++) {
+    for (let dy = -r; dy <= r; dy++) {
+      for (let dx = -r; dx <= r; dx++) {
+        if (r > 0 && Math.abs(dx) !== r && Math.abs(dy) !== r) continue;
+        const tx = x + dx;
+        const ty = y + dy;
+        if (!getObjectAt(currentState, tx, ty) && canMoveTo(currentState, tx, ty)) {
+          return { x: tx, y: ty };
+        }
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Place a lootable drop on the ground where an enemy fell.
+ * The drop remembers which enemy it came from so quests can require it;
+ * items the player drops themselves have no enemy and a null source.
+ * @returns {object|null} The ground object, or null if there was no room
+ */
+export function spawnLootDrop(x, y, loot, enemy = null) {
+  if (!currentState || loot.length === 0) return null;
+
+  const tile = findDropTile(x, y);
+  if (!tile) return null;
+
+  const source = enemy ? {
+    enemyType: enemy.type,
+    enemyName: enemy.name,
+    spawnId: enemy.spawnId,
+    isAlpha: !!enemy.isAlpha,
+    isBoss: !!enemy.isBoss
+  } : null;
+
+  return placeDrop(tile, loot, source, DROP_DESPAWN_MS);
+}
+
+/**
+ * Put back the ground drops from a save, each with the time it had left.
+ * A drop whose tile has been taken since moves to the nearest free one.
+ * @param {Array<{x: number, y: number, loot: object[], source: object|null, despawnMs: number}>} saved
+ */
+export function restoreLootDrops(saved = []) {
+  if (!currentState) return;
+
+  for (const { x, y, loot, source, despawnMs } of saved) {
+    const tile = findDropTile(x, y);
+    if (tile && loot?.length) placeDrop(tile, loot, source, despawnMs);
+  }
+}
+
+function placeDrop(tile, loot, source, despawnMs) {
+  const drop = {
+    id: `loot_${Date.now()}_${dropCounter++}`,
+    type: 'lootDrop',
+    x: tile.x,
+    y: tile.y,
+    solid: false,
+    interact: { action: 'loot' },
+    loot,
+    source,
+    expiresAt: nowMs() + despawnMs
+  };
+
+  currentState.map.objects.push(drop);
+  addObjectToIndex(drop);
+  renderObject(currentState, drop);
+  invalidateObjectCache();
+
+  despawnTimers.set(drop.id, setTimeout(() => removeLootDrop(drop), despawnMs));
+  return drop;
+}
+
+/**
+ * Remove a ground drop (picked up or expired).
+ */
+export function removeLootDrop(drop) {
+  clearTimeout(despawnTimers.get(drop.id));
+  despawnTimers.delete(drop.id);
+
+  const index = currentState.map.objects.indexOf(drop);
+  if (index !== -1) currentState.map.objects.splice(index, 1);
+  removeObjectFromIndex(drop);
+  removeObjectElement(drop.id);
+  invalidateObjectCache();
+
+  if (currentState.runtime.interactTarget?.target === drop) {
+    currentState.runtime.interactTarget = null;
+  }
+}
+
+export function isLootDrop(obj) {
+  return obj?.type === 'lootDrop';
+}
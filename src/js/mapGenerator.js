@@ -6,6 +6,7 @@
 
 import { cssVar } from './utils.js';
 import { mapConfig, confirmExpansion } from './mapConfig.js';
+import { seededNoise } from './rng.js';
 
 // Legacy exports for backwards compatibility (use mapConfig directly when possible)
 export function getExpansionOffset() { return mapConfig.offset; }
@@ -141,8 +142,8 @@ const ROAD_TILES = {
  * Returns the weathered tile, or null if the tile should be removed (show terrain)
  */
 function applyRoadWeathering(x, y) {
-  const rand = seededRandom(x * 1000 + y);
-  const rand2 = seededRandom(x * 7777 + y * 3333);
+  const rand = seededNoise(x * 1000 + y);
+  const rand2 = seededNoise(x * 7777 + y * 3333);
   
   // Check if on debris zone (outer tiles of road footprint)
   const distToVertical = Math.abs(x - BASE_CENTER.x);
@@ -192,8 +193,8 @@ function getRoadTile(x, y, centerX, centerY) {
   const onMainHorizontal = distToHorizontal <= ROAD_MAIN_HALF;
   const onMainRoad = onMainVertical || onMainHorizontal;
   
-  const rand = seededRandom(x * 1000 + y);
-  const rand2 = seededRandom(x * 7777 + y * 3333);
+  const rand = seededNoise(x * 1000 + y);
+  const rand2 = seededNoise(x * 7777 + y * 3333);
   
   if (onMainRoad) {
     // Main road surface - 12% missing, 5% worn, 3% cracked (80% normal)
@@ -244,8 +245,8 @@ function generateTerrain(x, y, width, height) {
   const normalizedDist = distFromCenter / maxDist;
 
   // Add noise for variety
-  const noise = seededRandom(x * 1000 + y);
-  const noise2 = seededRandom(x * 7777 + y * 3333);
+  const noise = seededNoise(x * 1000 + y);
+  const noise2 = seededNoise(x * 7777 + y * 3333);
   
   // Determine quadrant for biome accents
   const inNorth = y < centerY;
@@ -324,8 +325,8 @@ function generateScatteredFeatures(width, height, offsetX, offsetY) {
 
   // Scatter rocks and wrecks in the expanded areas
   for (let i = 0; i < 200; i++) {
-    const x = Math.floor(seededRandom(i * 7) * width);
-    const y = Math.floor(seededRandom(i * 13) * height);
+    const x = Math.floor(seededNoise(i * 7) * width);
+    const y = Math.floor(seededNoise(i * 13) * height);
     
     // Skip if in original map area or too close to base center
     const distFromCenter = Math.hypot(x - centerX, y - centerY);
@@ -335,14 +336,14 @@ function generateScatteredFeatures(width, height, offsetX, offsetY) {
     // Skip if on road footprint (7 tiles wide = 3 from center + buffer)
     if (Math.abs(x - centerX) <= ROAD_TOTAL_HALF + 2 || Math.abs(y - centerY) <= ROAD_TOTAL_HALF + 2) continue;
 
-    const type = seededRandom(i * 31) < 0.6 ? 'junk' : 'wreck';
+    const type = seededNoise(i * 31) < 0.6 ? 'junk' : 'wreck';
     objects.push({ id: `scatter_${id++}`, type, x, y, solid: true });
   }
 
   // Add some resource nodes in outer areas
   for (let i = 0; i < 50; i++) {
-    const x = Math.floor(seededRandom(i * 17 + 1000) * width);
-    const y = Math.floor(seededRandom(i * 23 + 1000) * height);
+    const x = Math.floor(seededNoise(i * 17 + 1000) * width);
+    const y = Math.floor(seededNoise(i * 23 + 1000) * height);
     
     const distFromCenter = Math.hypot(x - centerX, y - centerY);
     if (distFromCenter < 60) continue;
@@ -351,7 +352,7 @@ function generateScatteredFeatures(width, height, offsetX, offsetY) {
     // Skip if on road footprint
     if (Math.abs(x - centerX) <= ROAD_TOTAL_HALF + 2 || Math.abs(y - centerY) <= ROAD_TOTAL_HALF + 2) continue;
 
-    const type = seededRandom(i * 41) < 0.5 ? 'scrapNode' : 'clothNode';
+    const type = seededNoise(i * 41) < 0.5 ? 'scrapNode' : 'clothNode';
     objects.push({ 
       id: `node_${id++}`, 
       type, 
@@ -415,7 +416,7 @@ function generateRoadLampPosts(width, height, offsetX, offsetY) {
     }
     
     // Random spacing to next lamp
-    const spacing = LAMP_SPACING_MIN + Math.floor(seededRandom(nextLampY * 123) * (LAMP_SPACING_MAX - LAMP_SPACING_MIN));
+    const spacing = LAMP_SPACING_MIN + Math.floor(seededNoise(nextLampY * 123) * (LAMP_SPACING_MAX - LAMP_SPACING_MIN));
     nextLampY += spacing;
   }
   
@@ -442,21 +443,13 @@ function generateRoadLampPosts(width, height, offsetX, offsetY) {
     }
     
     // Random spacing to next lamp
-    const spacing = LAMP_SPACING_MIN + Math.floor(seededRandom(nextLampX * 321) * (LAMP_SPACING_MAX - LAMP_SPACING_MIN));
+    const spacing = LAMP_SPACING_MIN + Math.floor(seededNoise(nextLampX * 321) * (LAMP_SPACING_MAX - LAMP_SPACING_MIN));
     nextLampX += spacing;
   }
   
   return objects;
 }
 
-/**
- * Simple seeded random for deterministic generation
- */
-function seededRandom(seed) {
-  const x = Math.sin(seed) * 10000;
-  return x - Math.floor(x);
-}
-
 /**
  * Convert original coordinates to expanded coordinates
  */
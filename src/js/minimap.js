@@ -9,11 +9,15 @@
  * - Click-to-move navigation
  * - Fog of war support
  * - NPC/enemy markers
+ * - Tracked quest targets (pinned to the edge when out of view)
  */
 
 import { isRevealed as fogIsRevealed } from './fog.js';
 import { cssVar } from './utils.js';
 import { mapConfig, getRingVisualization } from './mapConfig.js';
+import { recordInput, isReplaying } from './replay.js';
+import { getQuestMapTargets } from './quests.js';
+import { on, EVENTS } from './events.js';
 
 // ============================================
 // CONFIGURATION
@@ -27,6 +31,7 @@ const CONFIG = {
   
   // Sizes (in canvas pixels)
   pathMarkerSize: 2,  // Smaller than player for hierarchy
+  questMarkerSize: 7,
   
   // Performance
   renderThrottle: 16, // ~60fps for smooth camera
@@ -58,7 +63,8 @@ function getColors() {
       objectCollect: cssVar('--minimap-object-collect') || '#AA66FF',
       objectRead: cssVar('--minimap-object-read') || '#6699FF',
       objectLoot: cssVar('--minimap-object-loot') || '#FFAA44',
-      objectDefault: cssVar('--minimap-object-default') || '#BB88FF'
+      objectDefault: cssVar('--minimap-object-default') || '#BB88FF',
+      quest: cssVar('--minimap-quest') || '#FFD700'
     };
   }
   return COLORS;
@@ -162,6 +168,9 @@ export function initMinimap(state) {
   // Set up event listeners
   setupEventListeners();
   
+  // Quest targets move when objectives complete or tracking changes
+  on(EVENTS.QUESTS_CHANGED, scheduleRender);
+  
   // Pre-render terrain to an offscreen buffer for performance
   prerenderTerrain();
   
@@ -388,6 +397,9 @@ function onClick(e) {
     return;
   }
   
+  if (isReplaying()) return;
+  recordInput('travel', [x, y]);
+
   // Import and call createPathTo
   import('./movement.js').then(({ createPathTo }) => {
     createPathTo(x, y, false);
@@ -604,6 +616,9 @@ function render() {
   // Draw enemies last, on fog canvas, so they're visible above fog
   renderEnemies(vp);
   
+  // Draw tracked quest targets above everything else
+  renderQuestTargets(vp);
+  
   // Draw debug rings if enabled
   if (showRings) {
     renderRings(vp);
@@ -988,6 +1003,40 @@ function renderPlayer(_vp) {
   fogCtx.fill();
 }
 
+function renderQuestTargets(vp) {
+  if (!fogCtx) return;
+  
+  const targets = getQuestMapTargets(gameState);
+  if (targets.length === 0) return;
+  
+  const size = CONFIG.questMarkerSize;
+  const half = size / 2;
+  
+  const colors = getColors();
+  fogCtx.fillStyle = colors.quest;
+  fogCtx.strokeStyle = colors.strokeHeavy;
+  fogCtx.lineWidth = 1;
+  
+  for (const target of targets) {
+    const pos = worldToScreen(target.x + 0.5, target.y + 0.5);
+    if (!pos) continue;
+    
+    // Off-screen targets are pinned to the minimap edge in their direction
+    const x = Math.max(half, Math.min(vp.canvasW - half, pos.x));
+    const y = Math.max(half, Math.min(vp.canvasH - half, pos.y));
+    
+    // Diamond (matches the world map quest marker)
+    fogCtx.beginPath();
+    fogCtx.moveTo(x, y - half);
+    fogCtx.lineTo(x + half, y);
+    fogCtx.lineTo(x, y + half);
+    fogCtx.lineTo(x - half, y);
+    fogCtx.closePath();
+    fogCtx.fill();
+    fogCtx.stroke();
+  }
+}
+
 function isInView(x, y, vp) {
   return x >= vp.left - 1 && x <= vp.right + 1 && y >= vp.top - 1 && y <= vp.bottom + 1;
 }
@@ -1064,6 +1113,14 @@ export function forceRender() {
   render();
 }
 
+/**
+ * Drop the cached interactable list after objects are added/removed at runtime
+ */
+export function invalidateObjectCache() {
+  cachedInteractables = null;
+  scheduleRender();
+}
+
 /**
  * Add a marker at world position (e.g., corpse)
  */
@@ -5,10 +5,19 @@
  * ANIMATION RULE: All motion uses CSS transitions/animations for GPU acceleration.
  * JavaScript only sets final positions - CSS handles interpolation.
  * Always use translate3d() for transforms, never translate().
+ *
+ * The simulation (position, tweens, paths, sprint) reports through events.js
+ * (PLAYER_MOVED, PATH_CHANGED, SPRINT_CHANGED); initMovementView() hooks up
+ * the #player sprite, path markers, sprint timer and keyboard in the browser.
  */
 
-import { tryExecuteCombatIntent, cancelCombatPursuit, cancelChanneledAbilities, checkOpportunitySwipes } from './combat.js';
+import { tryExecuteCombatIntent, cancelCombatPursuit, cancelChanneledAbilities, checkOpportunitySwipes, isInGhostMode } from './combat.js';
 import { actorTransform, TILE_SIZE } from './render.js';
+import { getWeatherEffects } from './weather.js';
+import { canMoveTo as canMoveToTile } from './collision.js';
+import { isOutsideBossArena } from './boss.js';
+import { recordInput, isReplaying } from './replay.js';
+import { on, emit, EVENTS } from './events.js';
 
 // ============================================
 // CONSTANTS
@@ -23,7 +32,6 @@ const SPRINT_BUFF_DURATION = 8000; // Sprint buff lasts 8 seconds
 // STATE
 // ============================================
 let state = null;
-let playerEl = null;
 
 // Movement state
 let isMoving = false;
@@ -35,7 +43,6 @@ let lastKeyDirection = null;
 
 // Path state
 let currentPath = [];
-let pathMarkers = [];
 let interactOnArrival = false;
 
 // Sprint buff state
@@ -46,31 +53,22 @@ let sprintBuffTimeout = null;
 let onMoveComplete = null;
 let onInteract = null;
 let onMoveStart = null; // Called at start of move for camera sync
+let isBlocked = null; // True while something (dialogue) holds the player in place
 
 // ============================================
 // INITIALIZATION
 // ============================================
 export function initMovement(gameState, callbacks = {}) {
   state = gameState;
-  playerEl = document.getElementById('player');
-  
-  if (!playerEl) {
-    console.error('Movement: #player element not found! Ensure renderActors() is called first.');
-  }
   
   onMoveComplete = callbacks.onMoveComplete || (() => {});
   onInteract = callbacks.onInteract || (() => {});
   onMoveStart = callbacks.onMoveStart || (() => {});
+  isBlocked = callbacks.isBlocked || (() => false);
   
-  // Keyboard listeners
-  document.addEventListener('keydown', handleKeyDown);
-  document.addEventListener('keyup', handleKeyUp);
-  
-  // Initial position (no animation)
-  if (playerEl && state?.player) {
+  if (state?.player) {
     visualX = state.player.x;
     visualY = state.player.y;
-    setPlayerPosition(state.player.x, state.player.y, false);
   }
   
   // Movement tick is now called from main game loop (game.js)
@@ -100,14 +98,9 @@ export function tickMovement(deltaTime) {
 // ============================================
 // INPUT PROCESSING
 // ============================================
-let cachedDialoguePanel = null;
-
 function processMovementInput() {
-  // Block movement if dialogue is open (cache element on first access)
-  if (!cachedDialoguePanel) {
-    cachedDialoguePanel = document.getElementById('dialogue-panel');
-  }
-  if (cachedDialoguePanel?.open) return;
+  // Block movement while dialogue is open
+  if (isBlocked()) return;
   
   // Priority 1: Keyboard input (always takes precedence)
   if (lastKeyDirection) {
@@ -127,7 +120,7 @@ function processMovementInput() {
       if (attemptMove(dx, dy, false)) {
         // Consume the step on successful move
         currentPath.shift();
-        removeFirstPathMarker();
+        emit(EVENTS.PATH_CHANGED, { path: currentPath });
       }
     } else {
       // Invalid path step, cancel
@@ -206,7 +199,7 @@ function startMove(targetX, targetY) {
   const isDiagonal = dx !== 0 && dy !== 0;
   
   // Check if in ghost mode (corpse run) for 2x speed
-  const isGhost = playerEl?.classList.contains('ghost');
+  const isGhost = isInGhostMode();
   
   // Calculate base duration: ghost mode > sprint buff > normal
   let duration = MOVE_DURATION;
@@ -216,6 +209,11 @@ function startMove(targetX, targetY) {
     duration = MOVE_DURATION * SPRINT_BUFF_MULTIPLIER; // 70% faster with sprint buff
   }
   
+  // Storms slow the living (ghosts drift through)
+  if (!isGhost) {
+    duration *= getWeatherEffects().moveMult;
+  }
+  
   // Scale for diagonal movement (maintains consistent speed)
   if (isDiagonal) {
     duration *= DIAGONAL_MULTIPLIER;
@@ -233,11 +231,7 @@ function startMove(targetX, targetY) {
   // This detects when player moves away from adjacent melee enemies
   checkOpportunitySwipes(prevX, prevY);
   
-  // Setup animation - disable CSS transition, we'll animate manually
-  if (playerEl) {
-    playerEl.classList.add('moving');
-    playerEl.style.transition = 'none';
-  }
+  emit(EVENTS.PLAYER_MOVED, { x: startX, y: startY, moving: true, dashing: false });
   
   // Notify game to update camera simultaneously
   onMoveStart(targetX, targetY, duration);
@@ -265,10 +259,7 @@ function updateTween(deltaTime) {
   visualX = currentTween.startX + (currentTween.targetX - currentTween.startX) * progress;
   visualY = currentTween.startY + (currentTween.targetY - currentTween.startY) * progress;
   
-  // Update player visual position directly (no CSS transition)
-  if (playerEl) {
-    playerEl.style.transform = actorTransform(visualX, visualY);
-  }
+  emit(EVENTS.PLAYER_MOVED, { x: visualX, y: visualY, moving: true, dashing: isDashing });
   
   // Movement complete when duration elapsed
   if (progress >= 1) {
@@ -289,10 +280,7 @@ function completeMove() {
   currentTween = null;
   isMoving = false;
   
-  // Remove moving class (stops walk animation)
-  if (playerEl) {
-    playerEl.classList.remove('moving');
-  }
+  emit(EVENTS.PLAYER_MOVED, { x: targetX, y: targetY, moving: false, dashing: false });
   
   // Notify completion
   onMoveComplete(targetX, targetY);
@@ -303,7 +291,7 @@ function completeMove() {
   // Check if path complete and should interact
   if (currentPath.length === 0 && interactOnArrival) {
     interactOnArrival = false;
-    clearPathMarkers();
+    emit(EVENTS.PATH_CHANGED, { path: currentPath });
     setTimeout(() => onInteract(), 50);
   }
 }
@@ -312,23 +300,9 @@ function completeMove() {
 // COLLISION
 // ============================================
 function canMoveTo(x, y) {
-  const collision = window.__vetuuCollision;
-  if (collision?.canMoveTo) {
-    return collision.canMoveTo(state, x, y);
-  }
-  
-  // Fallback
-  if (x < 0 || y < 0 || x >= state.map.meta.width || y >= state.map.meta.height) {
-    return false;
-  }
-  
-  const row = state.map.ground[y];
-  if (!row) return false;
-  
-  const tileChar = row[x];
-  // Look up by character directly (legend keys are strings)
-  const tile = state.map.legend.tiles[tileChar];
-  return tile?.walkable === true;
+  // Sealed inside a boss arena until the fight ends
+  if (isOutsideBossArena(x, y)) return false;
+  return canMoveToTile(state, x, y);
 }
 
 // ============================================
@@ -375,27 +349,46 @@ function calculateDirectionFromHeldKeys() {
 
 function handleKeyDown(e) {
   if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+  if (isReplaying()) return; // The replay is driving
   
   const code = e.code;
   keysHeld.add(code);
   
   if (DIRECTION_KEYS[code]) {
     e.preventDefault();
-    cancelPath(); // Keyboard cancels any pathfinding
-    cancelCombatPursuit(); // Cancel move-to-range pursuit, but keep auto-attack for kiting
     // Recalculate direction from all held keys (enables diagonal)
-    lastKeyDirection = calculateDirectionFromHeldKeys();
+    steerWithKeys(calculateDirectionFromHeldKeys(), true);
   }
 }
 
 function handleKeyUp(e) {
+  if (isReplaying()) return;
+
   const code = e.code;
   keysHeld.delete(code);
   
   // Recalculate direction from remaining held keys
   if (DIRECTION_KEYS[code]) {
-    lastKeyDirection = calculateDirectionFromHeldKeys();
+    steerWithKeys(calculateDirectionFromHeldKeys(), false);
+  }
+}
+
+function steerWithKeys(direction, pressed) {
+  recordInput('move', [direction, pressed]);
+  setKeyDirection(direction, pressed);
+}
+
+/**
+ * Set the held keyboard direction (input replays call this directly).
+ * @param {{dx: number, dy: number}|null} direction - null when no direction key is held
+ * @param {boolean} pressed - A key went down: cancels pathing and move-to-range pursuit
+ */
+export function setKeyDirection(direction, pressed = false) {
+  if (pressed) {
+    cancelPath(); // Keyboard cancels any pathfinding
+    cancelCombatPursuit(); // Cancel move-to-range pursuit, but keep auto-attack for kiting
   }
+  lastKeyDirection = direction;
 }
 
 // ============================================
@@ -451,7 +444,7 @@ export function createPathTo(targetX, targetY, shouldInteract = false) {
   
   currentPath = path;
   interactOnArrival = shouldInteract;
-  showPathMarkers(path);
+  emit(EVENTS.PATH_CHANGED, { path: currentPath });
   
   return true;
 }
@@ -654,56 +647,18 @@ function findNearestWalkable(x, y) {
 }
 
 // ============================================
-// PATH VISUALIZATION
+// PATH
 // ============================================
-function showPathMarkers(path) {
-  clearPathMarkers();
-  
-  const actorLayer = document.getElementById('actor-layer');
-  if (!actorLayer) return;
-  
-  // 4x4 markers, centered on tile (offset by half size = 2)
-  const markerSize = 4;
-  const offset = markerSize / 2;
-  
-  for (let i = 0; i < path.length; i++) {
-    const { x, y } = path[i];
-    const marker = document.createElement('div');
-    marker.className = 'path-marker';
-    marker.style.setProperty('--pos-x', `${x * TILE_SIZE + TILE_SIZE / 2 - offset}px`);
-    marker.style.setProperty('--pos-y', `${y * TILE_SIZE + TILE_SIZE / 2 - offset}px`);
-    marker.style.setProperty('--marker-opacity', 0.3 + (i / path.length) * 0.5);
-    actorLayer.appendChild(marker);
-    pathMarkers.push(marker);
-  }
-}
-
-function removeFirstPathMarker() {
-  if (pathMarkers.length > 0) {
-    const marker = pathMarkers.shift();
-    marker?.remove();
-  }
-}
-
-function clearPathMarkers() {
-  for (const marker of pathMarkers) {
-    marker?.remove();
-  }
-  pathMarkers = [];
-}
-
 export function cancelPath() {
   currentPath = [];
   interactOnArrival = false;
-  clearPathMarkers();
+  emit(EVENTS.PATH_CHANGED, { path: currentPath });
 }
 
 // ============================================
 // UTILITY FUNCTIONS
 // ============================================
 export function setPlayerPosition(x, y, animate = true) {
-  if (!playerEl) return;
-  
   if (animate && state) {
     state.player.x = x;
     state.player.y = y;
@@ -716,9 +671,7 @@ export function setPlayerPosition(x, y, animate = true) {
     // Update visual position for instant placement
     visualX = x;
     visualY = y;
-    // No CSS transition needed - we animate manually
-    playerEl.style.transition = 'none';
-    playerEl.style.transform = actorTransform(x, y);
+    emit(EVENTS.PLAYER_MOVED, { x, y, moving: false, dashing: false, snap: true });
   }
 }
 
@@ -726,13 +679,6 @@ export function isCurrentlyMoving() {
   return isMoving;
 }
 
-// Expose to window for cross-module access (combat intent system)
-if (typeof window !== 'undefined') {
-  window.__vetuuMovement = {
-    isCurrentlyMoving: () => isMoving
-  };
-}
-
 export function hasActivePath() {
   return currentPath.length > 0;
 }
@@ -745,116 +691,24 @@ export function getPlayerPosition() {
   return state ? { x: state.player.x, y: state.player.y } : null;
 }
 
-// Sprint timer SVG state
-let sprintTimerPathLength = null;
-let sprintDurationInterval = null;
-
-/**
- * Initialize sprint timer SVG (called once on first use)
- */
-function initSprintTimer() {
-  const fillPath = document.querySelector('#sprint-timer-svg .sprint-timer-fill');
-  if (!fillPath || sprintTimerPathLength) return;
-  
-  sprintTimerPathLength = fillPath.getTotalLength();
-  fillPath.style.strokeDasharray = sprintTimerPathLength;
-  fillPath.style.strokeDashoffset = sprintTimerPathLength;
-}
-
-/**
- * Update the sprint duration countdown display and overlay
- */
-function updateSprintDurationDisplay(remainingMs, totalMs) {
-  const sprintSlot = document.querySelector('[data-slot="sprint"]');
-  const timerEl = sprintSlot?.querySelector('.cooldown-timer');
-  const overlayEl = sprintSlot?.querySelector('.cooldown-overlay');
-  
-  if (remainingMs <= 0) {
-    if (timerEl) timerEl.textContent = '';
-    if (overlayEl) overlayEl.style.setProperty('--cooldown-pct', '0');
-  } else {
-    // Update countdown text
-    const seconds = Math.ceil(remainingMs / 1000);
-    if (timerEl) timerEl.textContent = seconds;
-    
-    // Update overlay (percentage remaining)
-    const pct = (remainingMs / totalMs) * 100;
-    if (overlayEl) overlayEl.style.setProperty('--cooldown-pct', pct);
-  }
-}
-
 /**
  * Activate sprint buff - increases movement speed by 70% for 8 seconds
  * @param {Function} onComplete - Callback when buff ends (to start cooldown)
  */
 export function activateSprintBuff(onComplete) {
-  // Clear any existing timeout/interval
+  // Clear any existing timeout
   if (sprintBuffTimeout) {
     clearTimeout(sprintBuffTimeout);
   }
-  if (sprintDurationInterval) {
-    clearInterval(sprintDurationInterval);
-  }
   
   sprintBuffActive = true;
-  const startTime = Date.now();
-  
-  // Add visual indicator on player
-  if (playerEl) {
-    playerEl.classList.add('sprinting');
-  }
-  
-  // Initialize and animate sprint timer SVG
-  initSprintTimer();
-  const wrapper = document.querySelector('.sprint-slot-wrapper');
-  const fillPath = document.querySelector('#sprint-timer-svg .sprint-timer-fill');
-  const sprintSlot = document.querySelector('[data-slot="sprint"]');
-  
-  if (wrapper && fillPath && sprintTimerPathLength) {
-    wrapper.classList.add('sprint-active');
-    
-    // Reset to full (start of animation)
-    fillPath.style.transition = 'none';
-    fillPath.style.strokeDashoffset = '0';
-    
-    // Force reflow to ensure transition starts fresh
-    fillPath.getBoundingClientRect();
-    
-    // Animate to empty over the buff duration
-    fillPath.style.transition = `stroke-dashoffset ${SPRINT_BUFF_DURATION}ms linear`;
-    fillPath.style.strokeDashoffset = sprintTimerPathLength;
-  }
-  
-  // Start duration countdown display (uses same overlay/text as cooldown)
-  updateSprintDurationDisplay(SPRINT_BUFF_DURATION, SPRINT_BUFF_DURATION);
-  sprintDurationInterval = setInterval(() => {
-    const elapsed = Date.now() - startTime;
-    const remaining = SPRINT_BUFF_DURATION - elapsed;
-    updateSprintDurationDisplay(remaining, SPRINT_BUFF_DURATION);
-  }, 100);
+  emit(EVENTS.SPRINT_CHANGED, { active: true, durationMs: SPRINT_BUFF_DURATION });
   
   // Auto-deactivate after duration
   sprintBuffTimeout = setTimeout(() => {
     sprintBuffActive = false;
     sprintBuffTimeout = null;
-    
-    // Clear countdown interval
-    if (sprintDurationInterval) {
-      clearInterval(sprintDurationInterval);
-      sprintDurationInterval = null;
-    }
-    
-    // Clear duration display
-    updateSprintDurationDisplay(0, SPRINT_BUFF_DURATION);
-    
-    if (playerEl) {
-      playerEl.classList.remove('sprinting');
-    }
-    
-    // Remove sprint timer visual
-    if (wrapper) {
-      wrapper.classList.remove('sprint-active');
-    }
+    emit(EVENTS.SPRINT_CHANGED, { active: false, durationMs: SPRINT_BUFF_DURATION });
     
     // Call completion callback (starts cooldown)
     if (onComplete) {
@@ -889,7 +743,7 @@ let isDashing = false;
  * @param {function} onComplete - Callback when dash completes
  */
 export function dashToPosition(destX, destY, speedMultiplier = 3, onComplete = null) {
-  if (!state?.player || !playerEl) return false;
+  if (!state?.player) return false;
   
   // Cancel any existing path/movement
   cancelPath();
@@ -922,12 +776,7 @@ export function dashToPosition(destX, destY, speedMultiplier = 3, onComplete = n
   isDashing = true;
   isMoving = true;
   
-  // Setup animation
-  if (playerEl) {
-    playerEl.classList.add('moving');
-    playerEl.classList.add('dashing'); // Visual indicator for dash
-    playerEl.style.transition = 'none';
-  }
+  emit(EVENTS.PLAYER_MOVED, { x: startX, y: startY, moving: true, dashing: true });
   
   // Notify camera to follow
   onMoveStart(destX, destY, dashDuration);
@@ -953,18 +802,10 @@ function completeDash(destX, destY) {
   isMoving = false;
   currentTween = null;
   
-  // Remove visual indicators
-  if (playerEl) {
-    playerEl.classList.remove('moving');
-    playerEl.classList.remove('dashing');
-  }
-  
   // Update visual position
   visualX = destX;
   visualY = destY;
-  if (playerEl) {
-    actorTransform(playerEl, destX, destY);
-  }
+  emit(EVENTS.PLAYER_MOVED, { x: destX, y: destY, moving: false, dashing: false });
   
   // Call dash callback
   if (dashCallback) {
@@ -984,3 +825,169 @@ export function isDashActive() {
   return isDashing;
 }
 
+
+// ============================================
+// VIEW (browser only)
+// ============================================
+let playerEl = null;
+let pathMarkers = [];
+
+// Sprint timer SVG state
+let sprintTimerPathLength = null;
+let sprintDurationInterval = null;
+
+/**
+ * DOM side of movement: the #player sprite, path markers, sprint timer and
+ * keyboard input. Call after renderActors() has created #player.
+ */
+export function initMovementView() {
+  playerEl = document.getElementById('player');
+  
+  if (!playerEl) {
+    console.error('Movement: #player element not found! Ensure renderActors() is called first.');
+  }
+  
+  // Keyboard listeners
+  document.addEventListener('keydown', handleKeyDown);
+  document.addEventListener('keyup', handleKeyUp);
+  
+  on(EVENTS.PLAYER_MOVED, renderPlayerMove);
+  on(EVENTS.PATH_CHANGED, renderPathMarkers);
+  on(EVENTS.SPRINT_CHANGED, renderSprintTimer);
+  
+  // Initial position (no animation)
+  if (state?.player) {
+    renderPlayerMove({ x: state.player.x, y: state.player.y, moving: false, dashing: false });
+  }
+}
+
+/**
+ * PLAYER_MOVED subscriber: place the sprite (no CSS transition - the tween
+ * already interpolates) and toggle the walk/dash animations.
+ */
+function renderPlayerMove({ x, y, moving, dashing }) {
+  if (!playerEl) return;
+  
+  playerEl.classList.toggle('moving', moving);
+  playerEl.classList.toggle('dashing', dashing);
+  playerEl.style.transition = 'none';
+  playerEl.style.transform = actorTransform(x, y);
+}
+
+/**
+ * PATH_CHANGED subscriber: a path one step shorter drops its first marker,
+ * anything else redraws the markers.
+ */
+function renderPathMarkers({ path }) {
+  if (path.length > 0 && pathMarkers.length === path.length + 1) {
+    pathMarkers.shift()?.remove();
+    return;
+  }
+  
+  clearPathMarkers();
+  
+  const actorLayer = document.getElementById('actor-layer');
+  if (!actorLayer) return;
+  
+  // 4x4 markers, centered on tile (offset by half size = 2)
+  const markerSize = 4;
+  const offset = markerSize / 2;
+  
+  for (let i = 0; i < path.length; i++) {
+    const { x, y } = path[i];
+    const marker = document.createElement('div');
+    marker.className = 'path-marker';
+    marker.style.setProperty('--pos-x', `${x * TILE_SIZE + TILE_SIZE / 2 - offset}px`);
+    marker.style.setProperty('--pos-y', `${y * TILE_SIZE + TILE_SIZE / 2 - offset}px`);
+    marker.style.setProperty('--marker-opacity', 0.3 + (i / path.length) * 0.5);
+    actorLayer.appendChild(marker);
+    pathMarkers.push(marker);
+  }
+}
+
+function clearPathMarkers() {
+  for (const marker of pathMarkers) {
+    marker?.remove();
+  }
+  pathMarkers = [];
+}
+
+/**
+ * Initialize sprint timer SVG (called once on first use)
+ */
+function initSprintTimer() {
+  const fillPath = document.querySelector('#sprint-timer-svg .sprint-timer-fill');
+  if (!fillPath || sprintTimerPathLength) return;
+  
+  sprintTimerPathLength = fillPath.getTotalLength();
+  fillPath.style.strokeDasharray = sprintTimerPathLength;
+  fillPath.style.strokeDashoffset = sprintTimerPathLength;
+}
+
+/**
+ * Update the sprint duration countdown display and overlay
+ */
+function updateSprintDurationDisplay(remainingMs, totalMs) {
+  const sprintSlot = document.querySelector('[data-slot="sprint"]');
+  const timerEl = sprintSlot?.querySelector('.cooldown-timer');
+  const overlayEl = sprintSlot?.querySelector('.cooldown-overlay');
+  
+  if (remainingMs <= 0) {
+    if (timerEl) timerEl.textContent = '';
+    if (overlayEl) overlayEl.style.setProperty('--cooldown-pct', '0');
+  } else {
+    // Update countdown text
+    const seconds = Math.ceil(remainingMs / 1000);
+    if (timerEl) timerEl.textContent = seconds;
+    
+    // Update overlay (percentage remaining)
+    const pct = (remainingMs / totalMs) * 100;
+    if (overlayEl) overlayEl.style.setProperty('--cooldown-pct', pct);
+  }
+}
+
+/**
+ * SPRINT_CHANGED subscriber: sprint glow on the player, the draining SVG
+ * ring and the countdown on the sprint slot.
+ */
+function renderSprintTimer({ active, durationMs }) {
+  if (sprintDurationInterval) {
+    clearInterval(sprintDurationInterval);
+    sprintDurationInterval = null;
+  }
+  
+  const wrapper = document.querySelector('.sprint-slot-wrapper');
+  playerEl?.classList.toggle('sprinting', active);
+  
+  if (!active) {
+    updateSprintDurationDisplay(0, durationMs);
+    wrapper?.classList.remove('sprint-active');
+    return;
+  }
+  
+  // Initialize and animate sprint timer SVG
+  initSprintTimer();
+  const fillPath = document.querySelector('#sprint-timer-svg .sprint-timer-fill');
+  
+  if (wrapper && fillPath && sprintTimerPathLength) {
+    wrapper.classList.add('sprint-active');
+    
+    // Reset to full (start of animation)
+    fillPath.style.transition = 'none';
+    fillPath.style.strokeDashoffset = '0';
+    
+    // Force reflow to ensure transition starts fresh
+    fillPath.getBoundingClientRect();
+    
+    // Animate to empty over the buff duration
+    fillPath.style.transition = `stroke-dashoffset ${durationMs}ms linear`;
+    fillPath.style.strokeDashoffset = sprintTimerPathLength;
+  }
+  
+  // Start duration countdown display (uses same overlay/text as cooldown)
+  const startTime = Date.now();
+  updateSprintDurationDisplay(durationMs, durationMs);
+  sprintDurationInterval = setInterval(() => {
+    updateSprintDurationDisplay(durationMs - (Date.now() - startTime), durationMs);
+  }, 100);
+}
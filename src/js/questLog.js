@@ -0,0 +1,202 @@
+/**
+ * VETUU — Quest Log Module
+ * Window listing active, available and completed quests with their summary,
+ * giver, rewards and objective progress. Active quests can be tracked on the
+ * world map and minimap (see getQuestMapTargets in quests.js).
+ */
+
+import {
+  getQuestsByState, getObjectiveStatus, getQuestStageText, getQuestTimeRemaining,
+  getContractCooldown, canRetryQuest, isQuestTracked, setQuestTracked
+} from './quests.js';
+import { formatCredits } from './economy.js';
+import { on, EVENTS } from './events.js';
+
+const TABS = ['active', 'available', 'completed'];
+
+let logPanel = null;
+let listEl = null;
+let tabButtons = [];
+let currentTab = 'active';
+let currentState = null;
+
+// ============================================
+// INITIALIZATION
+// ============================================
+export function initQuestLog(state) {
+  currentState = state;
+
+  logPanel = document.getElementById('questlog-panel');
+  listEl = document.getElementById('questlog-list');
+  if (!logPanel) return;
+
+  document.getElementById('questlog-close')?.addEventListener('click', closeQuestLog);
+
+  tabButtons = [...logPanel.querySelectorAll('[data-questlog-tab]')];
+  for (const button of tabButtons) {
+    button.addEventListener('click', () => showTab(button.dataset.questlogTab));
+  }
+
+  // Track toggles (rendered per active quest)
+  listEl?.addEventListener('change', (e) => {
+    const toggle = e.target.closest('.questlog-track input');
+    if (toggle) setQuestTracked(currentState, toggle.dataset.questId, toggle.checked);
+  });
+
+  on(EVENTS.QUESTS_CHANGED, () => {
+    if (logPanel.open) renderQuestLog();
+  });
+}
+
+// ============================================
+// OPEN / CLOSE
+// ============================================
+export function openQuestLog() {
+  if (!logPanel) return;
+  renderQuestLog();
+  if (!logPanel.open) logPanel.showModal();
+}
+
+export function closeQuestLog() {
+  if (logPanel?.open) logPanel.close();
+}
+
+export function toggleQuestLog() {
+  if (logPanel?.open) {
+    closeQuestLog();
+  } else {
+    openQuestLog();
+  }
+}
+
+export function isQuestLogOpen() {
+  return !!logPanel?.open;
+}
+
+function showTab(tab) {
+  if (!TABS.includes(tab)) return;
+  currentTab = tab;
+  renderQuestLog();
+}
+
+// ============================================
+// RENDERING
+// ============================================
+function renderQuestLog() {
+  if (!listEl || !currentState) return;
+
+  for (const button of tabButtons) {
+    button.setAttribute('aria-selected', String(button.dataset.questlogTab === currentTab));
+  }
+
+  const entries = getTabEntries(currentTab);
+  listEl.innerHTML = '';
+
+  if (entries.length === 0) {
+    const empty = {
+      active: 'No active quests.',
+      available: 'Nobody has work for you right now.',
+      completed: 'No quests completed yet.'
+    }[currentTab];
+    listEl.innerHTML = `<li class="questlog-empty">${empty}</li>`;
+    return;
+  }
+
+  for (const { questDef, status } of entries) {
+    listEl.appendChild(createQuestRow(questDef, status));
+  }
+}
+
+/**
+ * Quests on a tab, each with the short status line shown next to its name.
+ * @returns {Array<{questDef: object, status: string|null}>}
+ */
+function getTabEntries(tab) {
+  const state = currentState;
+  const byId = (id) => state.questDefs.find(q => q.id === id);
+
+  if (tab === 'active') {
+    return state.quests.active.map(byId).filter(Boolean).map(questDef => {
+      const hours = getQuestTimeRemaining(state, questDef.id);
+      return { questDef, status: hours === null ? null : `${Math.max(0, Math.floor(hours))}h left` };
+    });
+  }
+
+  if (tab === 'available') {
+    return [
+      ...getQuestsByState(state, 'available').map(questDef => ({ questDef, status: null })),
+      ...getQuestsByState(state, 'failed')
+        .filter(q => canRetryQuest(state, q.id))
+        .map(questDef => ({ questDef, status: 'Failed · can retry' })),
+      ...getQuestsByState(state, 'cooldown').map(questDef => ({
+        questDef,
+        status: `Back in ${Math.ceil(getContractCooldown(state, questDef.id))}h`
+      }))
+    ];
+  }
+
+  // Completed: story quests, most recent first, then contracts by turn-ins
+  const story = [...state.quests.complete].reverse().map(byId).filter(Boolean).map(questDef => {
+    const day = state.quests.completedDay?.[questDef.id];
+    return { questDef, status: day ? `Day ${day}` : null };
+  });
+  const contracts = Object.entries(state.quests.contracts || {})
+    .filter(([id]) => byId(id))
+    .sort(([, a], [, b]) => b.completions - a.completions)
+    .map(([id, record]) => ({ questDef: byId(id), status: `Turned in ×${record.completions}` }));
+  return [...story, ...contracts];
+}
+
+function createQuestRow(questDef, status) {
+  const state = currentState;
+  const isActive = currentTab === 'active';
+
+  const li = document.createElement('li');
+  li.className = 'questlog-quest';
+
+  const giver = state.entities.npcs.find(n => n.id === questDef.giver);
+  const stageText = isActive ? getQuestStageText(state, questDef.id) : null;
+  const rewards = formatRewards(questDef.rewards);
+
+  let objectivesHtml = '';
+  if (isActive) {
+    objectivesHtml = getObjectiveStatus(state, questDef.id).map(obj => {
+      const classes = ['questlog-objective', obj.complete ? 'complete' : '', obj.optional ? 'optional' : ''].join(' ');
+      return `<li class="${classes.trim()}">${obj.label}${obj.optional ? ' (optional)' : ''}</li>`;
+    }).join('');
+  }
+
+  const trackHtml = isActive
+    ? `<label class="questlog-track"><input type="checkbox" data-quest-id="${questDef.id}" ${isQuestTracked(state, questDef.id) ? 'checked' : ''}> Track on map</label>`
+    : '';
+
+  li.innerHTML = `
+    <div class="questlog-head">
+      <span class="questlog-name">${questDef.name}</span>
+      ${status ? `<span class="questlog-status">${status}</span>` : ''}
+    </div>
+    ${giver ? `<span class="questlog-giver">From ${giver.name}</span>` : ''}
+    ${questDef.summary ? `<p class="questlog-summary">${questDef.summary}</p>` : ''}
+    ${stageText ? `<p class="questlog-stage">${stageText}</p>` : ''}
+    ${objectivesHtml ? `<ul class="questlog-objectives">${objectivesHtml}</ul>` : ''}
+    ${rewards ? `<span class="questlog-rewards">Rewards: ${rewards}</span>` : ''}
+    ${trackHtml}
+  `;
+  return li;
+}
+
+/**
+ * "350 XP · 90 cr · Green Rifle ×1", or '' when there's nothing to show.
+ */
+function formatRewards(rewards) {
+  if (!rewards) return '';
+
+  const parts = [];
+  if (rewards.xp) parts.push(`${rewards.xp} XP`);
+  if (rewards.credits) parts.push(formatCredits(rewards.credits));
+  for (const item of rewards.items || []) {
+    const itemDef = currentState.items.find(i => i.id === item.itemId);
+    parts.push(`${itemDef?.name || item.itemId} ×${item.amount || 1}`);
+  }
+  return parts.join(' · ');
+}
@@ -7,12 +7,61 @@
  *   available → Can be accepted from NPC
  *   active    → Currently in progress
  *   complete  → Finished and rewarded
+ *   failed    → A failOn condition was met; can be taken again from the giver
+ *   cooldown  → Repeatable contract turned in; offered again after the day
+ *               resets or its cooldown runs out
+ *
+ * Active quests can also be abandoned, which puts them back to available.
+ * Both abandoning and failing take back what onStart handed out.
+ *
+ * Staged quests list `stages` instead of `objectives`. Only the current stage's
+ * objectives are shown and tracked; finishing them runs the next stage's
+ * onEnter effects, picking the next stage by flag or dialogue choice
+ * (`questChoice`) where it branches. The current stage lives in `quests.stages`.
+ *
+ * Repeatable contracts (bounties) never enter `quests.complete`: their turn-ins
+ * are tallied in `quests.contracts`, so story prerequisites only ever see
+ * story completions.
  */
 
 import { saveGame } from './save.js';
-// Note: renderActors is imported dynamically to avoid circular dependency with render.js
+import { setWeather } from './weather.js';
+import { getDayCount, getWorldHours, checkTimeRequirements } from './time.js';
+import { on, emit, EVENTS } from './events.js';
+// NPC markers re-render on EVENTS.QUESTS_CHANGED; toasts go out as EVENTS.NOTIFY
 
 let questList = null;
+let shownTimerText = '';  // Time-left text last drawn, so timers only redraw when it changes
+
+// Inventory, flag and XP changes belong to game.js, which registers them at boot
+// via setQuestEffects(). The defaults keep quest logic runnable headless.
+let effects = {
+  addItem: () => {},
+  removeItem: () => false,
+  setFlag: () => {},
+  clearFlag: () => {},
+  grantXP: () => {},
+  getItemCount: () => 0,
+  spawnEnemy: () => {},
+  showDialogue: () => {}
+};
+
+// Repeatable contracts the player can hold at once
+export const MAX_ACTIVE_CONTRACTS = 3;
+
+// Fields each objective type needs; anything else in quests.json is a typo
+const OBJECTIVE_FIELDS = {
+  kill: ['amount'],
+  collect: ['itemId', 'amount'],
+  loot: ['itemId', 'amount'],
+  reach: ['x', 'y'],
+  talk: ['toEntity'],
+  return: ['toEntity'],
+  boss: ['bossId'],
+  setFlag: ['flag'],
+  giveItem: ['itemId', 'toEntity'],
+  encounter: ['spawnId']
+};
 
 // ============================================
 // QUEST STATE MACHINE
@@ -22,7 +71,7 @@ let questList = null;
  * Get the current state of a quest
  * @param {object} state - Game state
  * @param {string} questId - Quest ID
- * @returns {'locked'|'available'|'active'|'complete'}
+ * @returns {'locked'|'available'|'active'|'complete'|'failed'}
  */
 export function getQuestState(state, questId) {
   // Already complete
@@ -35,6 +84,11 @@ export function getQuestState(state, questId) {
     return 'active';
   }
   
+  // Failed (retryable, see canRetryQuest)
+  if (state.quests.failed?.includes(questId)) {
+    return 'failed';
+  }
+  
   // Check if available (prerequisites met)
   const questDef = state.questDefs.find(q => q.id === questId);
   if (!questDef) {
@@ -46,6 +100,11 @@ export function getQuestState(state, questId) {
     return 'locked';
   }
   
+  // Repeatable contract waiting for its reset
+  if (getContractCooldown(state, questId) > 0) {
+    return 'cooldown';
+  }
+  
   return 'available';
 }
 
@@ -89,9 +148,54 @@ function checkPrerequisites(state, questDef) {
     return false;
   }
   
+  // Required days since another quest was completed
+  if (!checkDaysAfterQuest(state, req)) {
+    return false;
+  }
+  
+  // Required time of day / day counter
+  if (!checkTimeRequirements(req)) {
+    return false;
+  }
+  
   return true;
 }
 
+/**
+ * Days (midnights passed) since a quest was completed.
+ * @returns {number|null} null if not complete, or completed before days were recorded
+ */
+export function getDaysSinceQuestComplete(state, questId) {
+  const day = state.quests.completedDay?.[questId];
+  if (day === undefined) return null;
+  return getDayCount() - day;
+}
+
+/**
+ * Check a `daysAfterQuest: { quest, days }` requirement ("return after two nights").
+ * Quests completed before days were recorded count as long ago.
+ */
+export function checkDaysAfterQuest(state, req) {
+  if (!req?.daysAfterQuest) return true;
+  
+  const { quest, days } = req.daysAfterQuest;
+  if (!state.quests.complete.includes(quest)) return false;
+  
+  const since = getDaysSinceQuestComplete(state, quest);
+  return since === null || since >= days;
+}
+
+/**
+ * Failed quests can be taken again, unless the flag that failed them is still
+ * set (the retry would fail on the spot).
+ */
+export function canRetryQuest(state, questId) {
+  if (getQuestState(state, questId) !== 'failed') return false;
+  const questDef = state.questDefs.find(q => q.id === questId);
+  const flag = questDef?.failOn?.flag;
+  return !(flag && state.flags[flag]);
+}
+
 /**
  * Get all quests in a specific state
  */
@@ -103,8 +207,10 @@ export function getQuestsByState(state, questState) {
  * Get available quests for a specific NPC
  */
 export function getAvailableQuestsForNpc(state, npcId) {
+  const contractsFull = countActiveContracts(state) >= MAX_ACTIVE_CONTRACTS;
   return state.questDefs.filter(q => {
     if (q.giver !== npcId) return false;
+    if (contractsFull && getRepeatRules(q)) return false;
     return getQuestState(state, q.id) === 'available';
   });
 }
@@ -118,14 +224,15 @@ export function getCompletableQuestsForNpc(state, npcId) {
     if (!questDef) return false;
     
     // Check if this NPC is the turn-in target
-    const lastObj = questDef.objectives[questDef.objectives.length - 1];
+    const objectives = getStageObjectives(state, questDef);
+    const lastObj = objectives[objectives.length - 1];
     if (lastObj?.type === 'return' && lastObj.toEntity === npcId) {
       // Check if all objectives complete
       return isQuestReadyToComplete(state, questId);
     }
     
     // Or if the quest giver is also the turn-in
-    if (questDef.giver === npcId && !questDef.objectives.some(o => o.type === 'return')) {
+    if (questDef.giver === npcId && !objectives.some(o => o.type === 'return')) {
       return isQuestReadyToComplete(state, questId);
     }
     
@@ -142,81 +249,374 @@ function isQuestReadyToComplete(state, questId) {
   
   const progress = state.quests[questId + '_progress'] || {};
   
-  return questDef.objectives.every((obj, idx) => {
+  return getStageObjectives(state, questDef).every((obj, idx) => {
     if (obj.optional) return true;
     return progress[idx]?.complete;
   });
 }
 
+// ============================================
+// STAGES
+// ============================================
+
+/**
+ * The stage a staged quest is on (the first one until it starts).
+ * @returns {object|null} null for quests without stages
+ */
+function getCurrentStage(state, questDef) {
+  if (!questDef?.stages?.length) return null;
+  const stageId = state.quests.stages?.[questDef.id]?.id;
+  return questDef.stages.find(s => s.id === stageId) || questDef.stages[0];
+}
+
+/**
+ * Objectives currently in play: the current stage's for staged quests.
+ * Progress entries are indexed into this list.
+ */
+function getStageObjectives(state, questDef) {
+  const stage = getCurrentStage(state, questDef);
+  return stage ? stage.objectives || [] : questDef.objectives || [];
+}
+
+/**
+ * Pick the stage after the current one. `next` is a stage id, or a list of
+ * branches tried in order: `{ stage, flag, notFlag, choice }` (a branch
+ * with no condition is the fallback).
+ * @returns {string|null} null when the current stage is the last
+ */
+function getNextStageId(state, questDef) {
+  const next = getCurrentStage(state, questDef)?.next;
+  if (!next) return null;
+  if (typeof next === 'string') return next;
+
+  const choice = state.quests.stages?.[questDef.id]?.choice ?? null;
+  const branch = next.find(b =>
+    (!b.flag || state.flags[b.flag]) &&
+    (!b.notFlag || !state.flags[b.notFlag]) &&
+    (!b.choice || b.choice === choice)
+  );
+  return branch?.stage || null;
+}
+
+/**
+ * Move a staged quest onto a stage: fresh progress, then its onEnter effects.
+ */
+function enterStage(state, questDef, stageId) {
+  const stage = questDef.stages.find(s => s.id === stageId);
+  if (!state.quests.stages) state.quests.stages = {};
+  const record = state.quests.stages[questDef.id];
+  state.quests.stages[questDef.id] = { id: stage.id, choice: record?.choice ?? null };
+
+  resetProgress(state, questDef);
+  applyQuestEffects(state, stage.onEnter);
+  completeSetFlagObjectives(state, questDef);
+}
+
+/**
+ * Record a dialogue decision for a staged quest (`questChoice` effect).
+ * Branches check it when the current stage finishes.
+ * @returns {boolean} Whether the quest is active and staged
+ */
+export function recordQuestChoice(state, questId, choice) {
+  const questDef = state.questDefs.find(q => q.id === questId);
+  if (!questDef?.stages || !state.quests.active.includes(questId)) return false;
+  state.quests.stages[questId].choice = choice;
+  saveGame(state);
+  return true;
+}
+
+// ============================================
+// REPEATABLE CONTRACTS
+// ============================================
+
+/**
+ * Repeat rules for a quest: `repeatable: true` (no limit) or
+ * `{ daily, maxPerDay, cooldownHours }`.
+ * @returns {object|null} null for one-off (story) quests
+ */
+function getRepeatRules(questDef) {
+  if (!questDef?.repeatable) return null;
+  return questDef.repeatable === true ? {} : questDef.repeatable;
+}
+
+function countActiveContracts(state) {
+  return state.quests.active.filter(id => getRepeatRules(state.questDefs.find(q => q.id === id))).length;
+}
+
+/**
+ * World hours until a turned-in contract is offered again.
+ *   daily         - maxPerDay turn-ins (default 1) per in-game day, reset at midnight
+ *   cooldownHours - world hours after each turn-in
+ * @returns {number} 0 when it can be taken now (or isn't a contract)
+ */
+export function getContractCooldown(state, questId) {
+  const rules = getRepeatRules(state.questDefs.find(q => q.id === questId));
+  const record = state.quests.contracts?.[questId];
+  if (!rules || !record) return 0;
+
+  const now = getWorldHours();
+  let wait = 0;
+  if (rules.daily && record.day === getDayCount() && record.today >= (rules.maxPerDay || 1)) {
+    wait = getDayCount() * 24 - now; // Next midnight
+  }
+  if (rules.cooldownHours) {
+    wait = Math.max(wait, record.completedAt + rules.cooldownHours - now);
+  }
+  return Math.max(0, wait);
+}
+
+/**
+ * Tally a contract turn-in.
+ */
+function recordContract(state, questId) {
+  if (!state.quests.contracts) state.quests.contracts = {};
+  const record = state.quests.contracts[questId] || { completions: 0, day: 0, today: 0, completedAt: 0 };
+  const day = getDayCount();
+
+  record.today = record.day === day ? record.today + 1 : 1;
+  record.day = day;
+  record.completedAt = getWorldHours();
+  record.completions++;
+  state.quests.contracts[questId] = record;
+}
+
+let coolingContracts = new Set();
+
+/**
+ * Refresh NPC markers when a contract comes off cooldown. Called from the game loop.
+ * @returns {string[]} Contracts that became available again
+ */
+export function checkContractResets(state) {
+  const cooling = new Set(
+    state.questDefs.filter(q => getContractCooldown(state, q.id) > 0).map(q => q.id)
+  );
+  const reset = [...coolingContracts].filter(id => !cooling.has(id));
+  coolingContracts = cooling;
+
+  if (reset.length > 0) {
+    emit(EVENTS.QUESTS_CHANGED, { state });
+    renderQuestTracker(state);
+  }
+  return reset;
+}
+
 // ============================================
 // INITIALIZATION
 // ============================================
 export function initQuests(state) {
   questList = document.getElementById('quest-list');
+
+  // Encounter objectives follow spawner packs through the combat events
+  on(EVENTS.ENEMY_ENGAGED, ({ enemy }) => {
+    if (!enemy.spawnerId) return;
+    updateQuestProgress(state, 'encounter', { spawnerId: enemy.spawnerId, event: 'engaged' });
+  });
+  on(EVENTS.ENEMY_DIED, ({ enemy }) => {
+    if (!enemy.spawnerId || !isPackCleared(state, enemy)) return;
+    updateQuestProgress(state, 'encounter', { spawnerId: enemy.spawnerId, event: 'cleared' });
+  });
+
+  // Escort quests (failOn.npcDies) fail when their NPC goes down
+  on(EVENTS.NPC_DIED, ({ npc }) => checkQuestFailures(state, { npcDied: npc }));
+
+  // Abandon buttons in the tracker
+  questList?.addEventListener('click', (e) => {
+    const button = e.target.closest('.quest-abandon');
+    if (!button) return;
+    const questDef = state.questDefs.find(q => q.id === button.dataset.questId);
+    if (questDef && confirm(`Abandon "${questDef.name}"? Its progress will be lost.`)) {
+      abandonQuest(state, questDef.id);
+    }
+  });
   
   // Initial render
   renderQuestTracker(state);
 }
 
+/**
+ * Check quest definitions at load. Objectives with an unknown type (or
+ * missing the fields their type needs) could never complete, so say so early.
+ * @param {object[]} questDefs
+ * @param {object} [known] - What exists in the world, when the caller has it
+ * @param {string[]} [known.enemyTypes] - Enemy type ids (enemies.json) kill/loot targets must match
+ * @param {string[]} [known.spawnIds] - Spawner ids (spawnDirector.js) encounters must name
+ * @returns {string[]} Problems found (each is also logged)
+ */
+export function validateQuestDefs(questDefs, known = {}) {
+  const problems = [];
+
+  const checkObjectives = (where, objectives = []) => {
+    objectives.forEach((obj, idx) => {
+      const fields = OBJECTIVE_FIELDS[obj.type];
+      if (!fields) {
+        problems.push(`${where} objective ${idx}: unknown type '${obj.type}'`);
+        return;
+      }
+      for (const field of fields) {
+        if (obj[field] === undefined) {
+          problems.push(`${where} objective ${idx}: ${obj.type} needs '${field}'`);
+        }
+      }
+      if (obj.enemyType && known.enemyTypes && !known.enemyTypes.some(type => matchesEnemyType(obj.enemyType, type))) {
+        problems.push(`${where} objective ${idx}: no enemy type matches '${obj.enemyType}'`);
+      }
+      if (obj.spawnId && known.spawnIds && !known.spawnIds.includes(obj.spawnId)) {
+        problems.push(`${where} objective ${idx}: no spawner '${obj.spawnId}'`);
+      }
+    });
+  };
+
+  for (const quest of questDefs) {
+    if (!quest.stages) {
+      checkObjectives(quest.id, quest.objectives);
+      continue;
+    }
+
+    const stageIds = quest.stages.map(s => s.id);
+    for (const stage of quest.stages) {
+      checkObjectives(`${quest.id} stage ${stage.id}`, stage.objectives);
+      const targets = typeof stage.next === 'string' ? [stage.next] : (stage.next || []).map(b => b.stage);
+      for (const target of targets) {
+        if (!stageIds.includes(target)) {
+          problems.push(`${quest.id} stage ${stage.id}: next stage '${target}' doesn't exist`);
+        }
+      }
+    }
+  }
+
+  for (const problem of problems) {
+    console.warn(`[Quests] ${problem}`);
+  }
+  return problems;
+}
+
+/**
+ * Register the game-side effects quests apply (rewards, onStart items, flags).
+ * @param {object} overrides - Any of addItem, removeItem, setFlag, clearFlag, grantXP, getItemCount
+ */
+export function setQuestEffects(overrides) {
+  effects = { ...effects, ...overrides };
+}
+
 // ============================================
 // START QUEST
 // ============================================
-export async function startQuest(state, questId) {
+
+/**
+ * Start a quest (or retry a failed one).
+ * @param {object} [options]
+ * @param {string} [options.choice] - Dialogue decision for a staged quest, recorded
+ *   before the first stage so a branch taken straight away (its flag was already set) sees it
+ * @returns {Promise<boolean>} Whether it started
+ */
+export async function startQuest(state, questId, { choice = null } = {}) {
   const questDef = state.questDefs.find(q => q.id === questId);
   if (!questDef) {
     console.warn('Quest not found:', questId);
     return false;
   }
 
-  // Check current state
+  // Check current state (failed quests can be retried)
   const questState = getQuestState(state, questId);
-  if (questState !== 'available') {
+  if (questState !== 'available' && !canRetryQuest(state, questId)) {
     console.warn(`Cannot start quest ${questId}: state is ${questState}`);
     return false;
   }
 
-  // Add to active
-  state.quests.active.push(questId);
-
-  // Initialize progress tracking
-  state.quests[questId + '_progress'] = {};
-  
-  // Initialize kill counts to 0
-  for (let i = 0; i < questDef.objectives.length; i++) {
-    const obj = questDef.objectives[i];
-    if (obj.type === 'kill') {
-      state.quests[questId + '_progress'][i] = { count: 0, complete: false };
-    }
+  // Stacking limit for contracts
+  if (getRepeatRules(questDef) && countActiveContracts(state) >= MAX_ACTIVE_CONTRACTS) {
+    emit(EVENTS.NOTIFY, { message: `You can only hold ${MAX_ACTIVE_CONTRACTS} contracts at once`, type: 'quest' });
+    return false;
   }
 
-  // Apply onStart effects
-  if (questDef.onStart) {
-    const { addItem, setFlag } = await import('./game.js');
-    for (const effect of questDef.onStart) {
-      if (effect.giveItem) {
-        addItem(effect.giveItem, effect.amount || 1);
-      }
-      if (effect.setFlag) {
-        setFlag(effect.setFlag);
-      }
-    }
+  // Add to active
+  if (questState === 'failed') {
+    state.quests.failed = state.quests.failed.filter(id => id !== questId);
+  }
+  state.quests.active.push(questId);
+  setQuestTracked(state, questId, true);
+  if (!state.quests.startedAt) state.quests.startedAt = {};
+  state.quests.startedAt[questId] = getWorldHours();
+
+  // Apply onStart effects, then enter the first stage (which sets up progress)
+  applyQuestEffects(state, questDef.onStart);
+  if (questDef.stages?.length) {
+    if (!state.quests.stages) state.quests.stages = {};
+    state.quests.stages[questId] = { id: questDef.stages[0].id, choice };
+    enterStage(state, questDef, questDef.stages[0].id);
+  } else {
+    resetProgress(state, questDef);
+    completeSetFlagObjectives(state, questDef);
   }
 
   // Show notification
-  const { showToast } = await import('./game.js');
-  showToast(`Quest Started: ${questDef.name}`, 'quest');
+  emit(EVENTS.NOTIFY, { message: `Quest Started: ${questDef.name}`, type: 'quest' });
 
   // Update UI
   renderQuestTracker(state);
   
-  // Update NPC quest markers (dynamic import to avoid circular dependency)
-  const { renderActors } = await import('./render.js');
-  renderActors(state);
+  // Update NPC quest markers
+  emit(EVENTS.QUESTS_CHANGED, { state });
 
   saveGame(state);
   return true;
 }
 
+/**
+ * Start the progress of the objectives in play over (kill counts at 0).
+ */
+function resetProgress(state, questDef) {
+  const progress = {};
+  getStageObjectives(state, questDef).forEach((obj, i) => {
+    if (obj.type === 'kill') {
+      progress[i] = { count: 0, complete: false };
+    }
+  });
+  state.quests[questDef.id + '_progress'] = progress;
+}
+
+/**
+ * Flags set before their setFlag objective came into play (the passage was
+ * opened before the quest was taken) still count.
+ */
+function completeSetFlagObjectives(state, questDef) {
+  for (const obj of getStageObjectives(state, questDef)) {
+    if (obj.type === 'setFlag' && state.flags[obj.flag]) {
+      updateQuestProgress(state, 'setFlag', { flag: obj.flag });
+    }
+  }
+}
+
+/**
+ * Apply a quest effect list (onStart, stage onEnter, onComplete, onFail):
+ *   giveItem (+ amount), setFlag, setWeather (+ duration),
+ *   spawn: { type, level, x, y } - scripted enemy at map coordinates (level defaults to the player's),
+ *   dialogue (+ npc) - open a dialogue node once any open dialogue closes
+ */
+function applyQuestEffects(state, list) {
+  if (!list) return;
+  const offset = state.map?.meta?.originalOffset || { x: 0, y: 0 };
+
+  for (const effect of list) {
+    if (effect.giveItem) {
+      effects.addItem(effect.giveItem, effect.amount || 1);
+    }
+    if (effect.setFlag) {
+      effects.setFlag(effect.setFlag);
+    }
+    if (effect.setWeather) {
+      setWeather(effect.setWeather, effect.duration ?? null);
+    }
+    if (effect.spawn) {
+      const { type, level, x, y } = effect.spawn;
+      effects.spawnEnemy(type, level || state.player.level, x + offset.x, y + offset.y);
+    }
+    if (effect.dialogue) {
+      effects.showDialogue(effect.dialogue, effect.npc || null);
+    }
+  }
+}
+
 // ============================================
 // UPDATE PROGRESS
 // ============================================
@@ -228,9 +628,10 @@ export async function updateQuestProgress(state, type, data) {
     if (!questDef) continue;
 
     const progress = state.quests[questId + '_progress'] || {};
+    const objectives = getStageObjectives(state, questDef);
 
-    for (let i = 0; i < questDef.objectives.length; i++) {
-      const obj = questDef.objectives[i];
+    for (let i = 0; i < objectives.length; i++) {
+      const obj = objectives[i];
       if (progress[i]?.complete) continue;
 
       // Kill objective
@@ -243,8 +644,7 @@ export async function updateQuestProgress(state, type, data) {
           anyProgress = true;
           
           if (progress[i].complete) {
-            const { showToast } = await import('./game.js');
-            showToast(`Objective complete: ${getKillLabel(obj)}`, 'quest');
+            emit(EVENTS.NOTIFY, { message: `Objective complete: ${getKillLabel(obj)}`, type: 'quest' });
           }
         }
       }
@@ -252,13 +652,27 @@ export async function updateQuestProgress(state, type, data) {
       // Collect objective
       if (type === 'collect' && obj.type === 'collect') {
         if (data.itemId === obj.itemId) {
-          const { getItemCount } = await import('./game.js');
-          const count = getItemCount(obj.itemId);
+          const count = effects.getItemCount(obj.itemId);
           progress[i] = { count, complete: count >= obj.amount };
           anyProgress = true;
         }
       }
 
+      // Loot objective (items picked up from a specific enemy's drops)
+      // Source filters reuse the kill objective fields (enemyType, spawnId, enemyName, any, requireAlpha)
+      if (type === 'loot' && obj.type === 'loot') {
+        if (data.itemId === obj.itemId && matchesKillObjective(obj, data)) {
+          progress[i] = progress[i] || { count: 0, complete: false };
+          progress[i].count = Math.min(obj.amount, progress[i].count + data.amount);
+          progress[i].complete = progress[i].count >= obj.amount;
+          anyProgress = true;
+
+          if (progress[i].complete) {
+            emit(EVENTS.NOTIFY, { message: `Objective complete: ${getLootLabel(state, obj)}`, type: 'quest' });
+          }
+        }
+      }
+
       // Reach objective
       if (type === 'reach' && obj.type === 'reach') {
         // Apply map offset if needed
@@ -270,8 +684,7 @@ export async function updateQuestProgress(state, type, data) {
         if (dist <= (obj.radius || 3)) {
           progress[i] = { complete: true };
           anyProgress = true;
-          const { showToast } = await import('./game.js');
-          showToast(`Reached: ${obj.label || 'Location'}`, 'quest');
+          emit(EVENTS.NOTIFY, { message: `Reached: ${obj.label || 'Location'}`, type: 'quest' });
         }
       }
 
@@ -287,7 +700,7 @@ export async function updateQuestProgress(state, type, data) {
       if (type === 'return' && obj.type === 'return') {
         if (data.entityId === obj.toEntity) {
           // Check if all prior objectives complete
-          const allPriorComplete = questDef.objectives.slice(0, i).every((o, idx) => {
+          const allPriorComplete = objectives.slice(0, i).every((o, idx) => {
             if (o.optional) return true;
             return progress[idx]?.complete;
           });
@@ -313,23 +726,53 @@ export async function updateQuestProgress(state, type, data) {
           anyProgress = true;
         }
       }
+
+      // Give item objective (player confirmed the hand-over in dialogue, see getPendingDeliveries)
+      if (type === 'giveItem' && obj.type === 'giveItem') {
+        if (data.questId === questId && data.index === i && data.entityId === obj.toEntity) {
+          const amount = obj.amount || 1;
+          if (effects.getItemCount(obj.itemId) >= amount && effects.removeItem(obj.itemId, amount) !== false) {
+            progress[i] = { complete: true };
+            anyProgress = true;
+            emit(EVENTS.NOTIFY, { message: `Delivered: ${getItemName(state, obj.itemId)}`, type: 'quest' });
+          }
+        }
+      }
+
+      // Encounter objective: a spawner's pack engaged (default) or wiped out (until: 'cleared')
+      if (type === 'encounter' && obj.type === 'encounter') {
+        const reached = data.event === 'cleared' || (obj.until || 'engaged') === 'engaged';
+        if (data.spawnerId === obj.spawnId && reached) {
+          progress[i] = { complete: true };
+          anyProgress = true;
+          emit(EVENTS.NOTIFY, { message: `Objective complete: ${getEncounterLabel(obj)}`, type: 'quest' });
+        }
+      }
     }
 
     state.quests[questId + '_progress'] = progress;
 
-    // Check if quest complete
-    const allComplete = questDef.objectives.every((obj, idx) => {
+    // Check if the stage (or the whole quest) is complete
+    const allComplete = objectives.every((obj, idx) => {
       if (obj.optional) return true;
       return progress[idx]?.complete;
     });
 
     if (allComplete) {
-      await completeQuest(state, questId);
+      const nextStage = getNextStageId(state, questDef);
+      if (nextStage) {
+        enterStage(state, questDef, nextStage);
+        anyProgress = true;
+      } else {
+        await completeQuest(state, questId);
+      }
     }
   }
 
   if (anyProgress) {
     renderQuestTracker(state);
+    // NPC and map markers follow the objectives in play
+    emit(EVENTS.QUESTS_CHANGED, { state });
     saveGame(state);
   }
 }
@@ -343,8 +786,8 @@ function matchesKillObjective(obj, data) {
     return false;
   }
   
-  // Match by enemy type (e.g., "critter", "scav", "karth_grunt")
-  if (obj.enemyType && data.enemyType === obj.enemyType) {
+  // Match by enemy type or family (e.g., "critter", "scav", "karth_grunt")
+  if (obj.enemyType && matchesEnemyType(obj.enemyType, data.enemyType)) {
     return true;
   }
   
@@ -366,6 +809,15 @@ function matchesKillObjective(obj, data) {
   return false;
 }
 
+/**
+ * Whether an enemy type satisfies an objective's enemyType: the exact type, or
+ * its family (the part before the first underscore), so "scav" covers
+ * scav_melee and scav_ranged.
+ */
+function matchesEnemyType(wanted, type) {
+  return !!type && (type === wanted || type.split('_')[0] === wanted);
+}
+
 /**
  * Get display label for kill objective
  */
@@ -379,6 +831,78 @@ function getKillLabel(obj) {
   return 'Enemies';
 }
 
+/**
+ * Get display label for loot objective
+ */
+function getLootLabel(state, obj) {
+  if (obj.label) return obj.label;
+  return getItemName(state, obj.itemId);
+}
+
+/**
+ * Get display label for encounter objective
+ */
+function getEncounterLabel(obj) {
+  if (obj.label) return obj.label;
+  return obj.until === 'cleared' ? 'Clear the encounter' : 'Survive encounter';
+}
+
+function getItemName(state, itemId) {
+  return state.items.find(i => i.id === itemId)?.name || itemId;
+}
+
+/**
+ * True when no living enemy is left from this enemy's spawner pack.
+ */
+function isPackCleared(state, enemy) {
+  return !state.runtime.activeEnemies.some(e =>
+    e !== enemy &&
+    e.hp > 0 &&
+    e.spawnerId === enemy.spawnerId &&
+    (!enemy.packId || e.packId === enemy.packId)
+  );
+}
+
+// ============================================
+// ITEM DELIVERY
+// ============================================
+
+/**
+ * Items the player still has to hand over to this NPC (giveItem objectives).
+ * dialogue.js offers each one as a choice with a confirmation step.
+ * @returns {Array<{questId: string, index: number, itemId: string, itemName: string, amount: number, afterDialogue: string|null}>}
+ */
+export function getPendingDeliveries(state, npcId) {
+  const deliveries = [];
+
+  for (const questId of state.quests.active) {
+    const questDef = state.questDefs.find(q => q.id === questId);
+    if (!questDef) continue;
+
+    const progress = state.quests[questId + '_progress'] || {};
+    getStageObjectives(state, questDef).forEach((obj, index) => {
+      if (obj.type !== 'giveItem' || obj.toEntity !== npcId || progress[index]?.complete) return;
+      deliveries.push({
+        questId,
+        index,
+        itemId: obj.itemId,
+        itemName: getItemName(state, obj.itemId),
+        amount: obj.amount || 1,
+        afterDialogue: obj.afterDialogue || null
+      });
+    });
+  }
+
+  return deliveries;
+}
+
+/**
+ * Hand a giveItem objective's item over (the confirmed dialogue choice).
+ */
+export function deliverQuestItem(state, { questId, index, entityId }) {
+  return updateQuestProgress(state, 'giveItem', { questId, index, entityId });
+}
+
 // ============================================
 // COMPLETE QUEST
 // ============================================
@@ -386,53 +910,60 @@ export async function completeQuest(state, questId) {
   const questDef = state.questDefs.find(q => q.id === questId);
   if (!questDef) return;
 
-  // Remove from active, add to complete
+  // Remove from active; story quests are complete for good, contracts are tallied
+  const isContract = getRepeatRules(questDef) !== null;
   state.quests.active = state.quests.active.filter(id => id !== questId);
-  state.quests.complete.push(questId);
+  if (isContract) {
+    recordContract(state, questId);
+  } else {
+    state.quests.complete.push(questId);
+    if (!state.quests.completedDay) state.quests.completedDay = {};
+    state.quests.completedDay[questId] = getDayCount();
+  }
 
   // Grant rewards
-  const { grantXP, addItem, showToast, setFlag } = await import('./game.js');
-
   if (questDef.rewards) {
     if (questDef.rewards.xp) {
-      grantXP(questDef.rewards.xp);
+      effects.grantXP(questDef.rewards.xp);
+    }
+    if (questDef.rewards.credits) {
+      const { earnCredits, formatCredits } = await import('./economy.js');
+      earnCredits(questDef.rewards.credits, 'quest', questDef.id);
+      emit(EVENTS.NOTIFY, { message: `+${formatCredits(questDef.rewards.credits)}`, type: 'credits' });
     }
     if (questDef.rewards.items) {
       for (const item of questDef.rewards.items) {
-        addItem(item.itemId, item.amount || 1);
+        effects.addItem(item.itemId, item.amount || 1);
       }
     }
     if (questDef.rewards.flags) {
       for (const flag of questDef.rewards.flags) {
-        setFlag(flag);
+        effects.setFlag(flag);
       }
     }
     if (questDef.rewards.unlocks) {
       for (const unlock of questDef.rewards.unlocks) {
-        setFlag(`unlock_${unlock}`);
+        effects.setFlag(`unlock_${unlock}`);
       }
     }
   }
 
   // Apply onComplete effects
-  if (questDef.onComplete) {
-    for (const effect of questDef.onComplete) {
-      if (effect.setFlag) {
-        setFlag(effect.setFlag);
-      }
-    }
-  }
+  applyQuestEffects(state, questDef.onComplete);
 
-  showToast(`Quest Complete: ${questDef.name}`, 'quest');
+  emit(EVENTS.NOTIFY, { message: `${isContract ? 'Contract' : 'Quest'} Complete: ${questDef.name}`, type: 'quest' });
 
   // Update UI
   renderQuestTracker(state);
   
-  // Update NPC quest markers (dynamic import to avoid circular dependency)
-  import('./render.js').then(({ renderActors }) => renderActors(state));
+  // Update NPC quest markers
+  emit(EVENTS.QUESTS_CHANGED, { state });
 
   // Clean up progress data
   delete state.quests[questId + '_progress'];
+  delete state.quests.startedAt?.[questId];
+  delete state.quests.stages?.[questId];
+  setQuestTracked(state, questId, false);
 
   // Check if any new quests became available
   checkQuestConditions(state);
@@ -440,11 +971,144 @@ export async function completeQuest(state, questId) {
   saveGame(state);
 }
 
+// ============================================
+// ABANDON / FAIL QUEST
+// ============================================
+
+/**
+ * Drop an active quest. It goes back to available (if its prerequisites
+ * still hold) and onStart effects are rolled back.
+ * @returns {boolean} Whether the quest was active
+ */
+export function abandonQuest(state, questId) {
+  const questDef = state.questDefs.find(q => q.id === questId);
+  if (!questDef || !state.quests.active.includes(questId)) {
+    console.warn(`Cannot abandon quest ${questId}: not active`);
+    return false;
+  }
+
+  dropActiveQuest(state, questDef);
+  emit(EVENTS.NOTIFY, { message: `Quest Abandoned: ${questDef.name}`, type: 'quest' });
+
+  renderQuestTracker(state);
+  emit(EVENTS.QUESTS_CHANGED, { state });
+  saveGame(state);
+  return true;
+}
+
+/**
+ * Fail an active quest: roll back onStart, apply onFail, and mark it failed
+ * so its giver offers a retry.
+ * @param {string} [reason] - Shown in the toast ("Out of time")
+ * @returns {boolean} Whether the quest was active
+ */
+export function failQuest(state, questId, reason = null) {
+  const questDef = state.questDefs.find(q => q.id === questId);
+  if (!questDef || !state.quests.active.includes(questId)) return false;
+
+  dropActiveQuest(state, questDef);
+  if (!state.quests.failed) state.quests.failed = [];
+  state.quests.failed.push(questId);
+
+  applyQuestEffects(state, questDef.onFail);
+
+  emit(EVENTS.NOTIFY, { message: `Quest Failed: ${questDef.name}${reason ? ` (${reason})` : ''}`, type: 'quest' });
+
+  renderQuestTracker(state);
+  emit(EVENTS.QUESTS_CHANGED, { state });
+  saveGame(state);
+  return true;
+}
+
+/**
+ * Remove a quest from active, clear its progress and undo onStart: items it
+ * handed out are taken back (as many as the player still holds) and flags it
+ * set are cleared. Weather changes are left to run out.
+ */
+function dropActiveQuest(state, questDef) {
+  const questId = questDef.id;
+  state.quests.active = state.quests.active.filter(id => id !== questId);
+  delete state.quests[questId + '_progress'];
+  delete state.quests.startedAt?.[questId];
+  delete state.quests.stages?.[questId];
+  setQuestTracked(state, questId, false);
+
+  if (!questDef.onStart) return;
+  for (const effect of questDef.onStart) {
+    if (effect.giveItem) {
+      const held = Math.min(effects.getItemCount(effect.giveItem), effect.amount || 1);
+      if (held > 0) effects.removeItem(effect.giveItem, held);
+    }
+    if (effect.setFlag) {
+      effects.clearFlag(effect.setFlag);
+    }
+  }
+}
+
+/**
+ * World hours left before a timed quest (failOn.timeLimitHours) fails.
+ * @returns {number|null} null if the quest isn't active or has no time limit
+ */
+export function getQuestTimeRemaining(state, questId) {
+  const questDef = state.questDefs.find(q => q.id === questId);
+  const limit = questDef?.failOn?.timeLimitHours;
+  const startedAt = state.quests.startedAt?.[questId];
+  if (!limit || startedAt === undefined || !state.quests.active.includes(questId)) return null;
+  return startedAt + limit - getWorldHours();
+}
+
+/**
+ * Fail active quests whose failOn condition has been met:
+ *   timeLimitHours - world hours since the quest started
+ *   flag           - the flag is set
+ *   npcDies        - that NPC went down (pass the NPC as npcDied)
+ * Called from the game loop (timers), on flag changes and on NPC deaths.
+ * @returns {string[]} Quests that failed
+ */
+export function checkQuestFailures(state, { npcDied = null } = {}) {
+  const failed = [];
+
+  for (const questId of [...state.quests.active]) {
+    const questDef = state.questDefs.find(q => q.id === questId);
+    const failOn = questDef?.failOn;
+    if (!failOn) continue;
+
+    // Timed quests from before start times were saved: the clock starts now
+    if (failOn.timeLimitHours && state.quests.startedAt?.[questId] === undefined) {
+      if (!state.quests.startedAt) state.quests.startedAt = {};
+      state.quests.startedAt[questId] = getWorldHours();
+    }
+
+    let reason = null;
+    if (failOn.npcDies && npcDied?.id === failOn.npcDies) {
+      reason = `${npcDied.name || 'Escort'} fell`;
+    } else if (failOn.flag && state.flags[failOn.flag]) {
+      reason = failOn.reason || null;
+    } else if (failOn.timeLimitHours && getQuestTimeRemaining(state, questId) <= 0) {
+      reason = 'Out of time';
+    } else {
+      continue;
+    }
+
+    if (failQuest(state, questId, reason)) failed.push(questId);
+  }
+
+  // Keep the tracker's time-left text current
+  if (getTimerText(state) !== shownTimerText) {
+    renderQuestTracker(state);
+  }
+
+  return failed;
+}
+
 // ============================================
 // CHECK CONDITIONS
 // ============================================
 export function checkQuestConditions(state) {
   // This is called when flags change or quests complete
+  // A fail flag may have just been set
+  checkQuestFailures(state);
+
   // Check if any previously locked quests are now available
   const newlyAvailable = state.questDefs.filter(q => {
     const wasLocked = !state.quests.active.includes(q.id) && 
@@ -453,8 +1117,8 @@ export function checkQuestConditions(state) {
   });
   
   // Could show notifications for newly available quests
-  // For now just update UI (dynamic import to avoid circular dependency)
-  import('./render.js').then(({ renderActors }) => renderActors(state));
+  // For now just update UI
+  emit(EVENTS.QUESTS_CHANGED, { state });
   renderQuestTracker(state);
   
   return newlyAvailable;
@@ -467,6 +1131,7 @@ export function renderQuestTracker(state) {
   if (!questList) return;
 
   questList.innerHTML = '';
+  shownTimerText = getTimerText(state);
 
   // Show active quests
   if (state.quests.active.length === 0) {
@@ -492,9 +1157,11 @@ export function renderQuestTracker(state) {
     const li = document.createElement('li');
     li.className = 'quest-item active';
 
-    let objectivesHtml = '';
-    for (let i = 0; i < questDef.objectives.length; i++) {
-      const obj = questDef.objectives[i];
+    const stageText = getCurrentStage(state, questDef)?.text;
+    let objectivesHtml = stageText ? `<span class="quest-stage">${stageText}</span>` : '';
+    const objectives = getStageObjectives(state, questDef);
+    for (let i = 0; i < objectives.length; i++) {
+      const obj = objectives[i];
       const objProgress = progress[i] || {};
       const complete = objProgress.complete;
 
@@ -502,8 +1169,13 @@ export function renderQuestTracker(state) {
       objectivesHtml += `<span class="quest-objective ${complete ? 'complete' : ''}">${label}</span>`;
     }
 
+    const timeLeft = formatTimeLeft(getQuestTimeRemaining(state, questId));
+    const timerHtml = timeLeft ? `<span class="quest-timer">${timeLeft}</span>` : '';
+
     li.innerHTML = `
+      <button class="quest-abandon" data-quest-id="${questId}" title="Abandon quest" aria-label="Abandon ${questDef.name}">✕</button>
       <span class="quest-name">${questDef.name}</span>
+      ${timerHtml}
       ${objectivesHtml}
     `;
 
@@ -511,6 +1183,18 @@ export function renderQuestTracker(state) {
   }
 }
 
+/**
+ * "5h left" for a timed quest, or null.
+ */
+function formatTimeLeft(hours) {
+  if (hours === null) return null;
+  return hours < 1 ? '<1h left' : `${Math.floor(hours)}h left`;
+}
+
+function getTimerText(state) {
+  return state.quests.active.map(id => formatTimeLeft(getQuestTimeRemaining(state, id))).join('|');
+}
+
 function getObjectiveLabel(state, obj, progress) {
   switch (obj.type) {
     case 'kill':
@@ -524,6 +1208,9 @@ function getObjectiveLabel(state, obj, progress) {
       const count = progress.count || 0;
       return `${name}: ${count}/${obj.amount}`;
 
+    case 'loot':
+      return `${getLootLabel(state, obj)}: ${progress.count || 0}/${obj.amount}`;
+
     case 'reach':
       return obj.label || 'Reach location';
 
@@ -536,7 +1223,7 @@ function getObjectiveLabel(state, obj, progress) {
       return `Return to ${returnNpc?.name || 'NPC'}`;
 
     case 'encounter':
-      return 'Survive encounter';
+      return getEncounterLabel(obj);
 
     case 'boss':
       const boss = state.entities.bosses.find(b => b.id === obj.bossId);
@@ -547,20 +1234,128 @@ function getObjectiveLabel(state, obj, progress) {
 
     case 'giveItem':
       const giveItem = state.items.find(i => i.id === obj.itemId);
-      return `Deliver ${giveItem?.name || 'item'}`;
+      const giveTo = state.entities.npcs.find(n => n.id === obj.toEntity);
+      return obj.label || `Deliver ${giveItem?.name || 'item'}${giveTo ? ` to ${giveTo.name}` : ''}`;
 
     default:
       return obj.label || 'Complete objective';
   }
 }
 
+// ============================================
+// QUEST LOG & MAP TRACKING
+// ============================================
+
+/**
+ * Objectives in play with their tracker labels, for the quest log.
+ * @returns {Array<{label: string, complete: boolean, optional: boolean}>}
+ */
+export function getObjectiveStatus(state, questId) {
+  const questDef = state.questDefs.find(q => q.id === questId);
+  if (!questDef) return [];
+
+  const progress = state.quests[questId + '_progress'] || {};
+  return getStageObjectives(state, questDef).map((obj, i) => ({
+    label: getObjectiveLabel(state, obj, progress[i] || {}),
+    complete: !!progress[i]?.complete,
+    optional: !!obj.optional
+  }));
+}
+
+/**
+ * Tracker text of a staged quest's current stage.
+ * @returns {string|null}
+ */
+export function getQuestStageText(state, questId) {
+  const questDef = state.questDefs.find(q => q.id === questId);
+  return getCurrentStage(state, questDef)?.text || null;
+}
+
+export function isQuestTracked(state, questId) {
+  return !!state.quests.tracked?.includes(questId);
+}
+
+/**
+ * Show or hide an active quest's target on the world map and minimap.
+ * Quests are tracked when started.
+ */
+export function setQuestTracked(state, questId, tracked) {
+  if (!state.quests.tracked) state.quests.tracked = [];
+  const has = state.quests.tracked.includes(questId);
+  if (tracked === has) return;
+
+  if (tracked) {
+    state.quests.tracked.push(questId);
+  } else {
+    state.quests.tracked = state.quests.tracked.filter(id => id !== questId);
+  }
+  emit(EVENTS.QUESTS_CHANGED, { state });
+}
+
+/**
+ * Map position an objective points at: its place, NPC or boss.
+ * @returns {{x: number, y: number}|null}
+ */
+function getObjectiveLocation(state, obj) {
+  switch (obj.type) {
+    case 'reach': {
+      const offset = state.map?.meta?.originalOffset || { x: 0, y: 0 };
+      return { x: obj.x + offset.x, y: obj.y + offset.y };
+    }
+    case 'talk':
+    case 'return':
+    case 'giveItem': {
+      const npc = state.entities.npcs.find(n => n.id === obj.toEntity);
+      return npc ? { x: npc.x, y: npc.y } : null;
+    }
+    case 'boss': {
+      const boss = state.entities.bosses.find(b => b.id === obj.bossId);
+      return boss ? { x: boss.x, y: boss.y } : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Where each tracked quest sends the player next: the first unfinished
+ * objective, if it has a place on the map (kills and pickups don't).
+ * Read by the world map (worldmap.js) and minimap.
+ * @returns {Array<{questId: string, name: string, label: string, x: number, y: number}>}
+ */
+export function getQuestMapTargets(state) {
+  const targets = [];
+
+  for (const questId of state.quests.tracked || []) {
+    const questDef = state.questDefs.find(q => q.id === questId);
+    if (!questDef || !state.quests.active.includes(questId)) continue;
+
+    const progress = state.quests[questId + '_progress'] || {};
+    const objectives = getStageObjectives(state, questDef);
+    const index = objectives.findIndex((obj, i) => !obj.optional && !progress[i]?.complete);
+    if (index === -1) continue;
+
+    const location = getObjectiveLocation(state, objectives[index]);
+    if (!location) continue;
+
+    targets.push({
+      questId,
+      name: questDef.name,
+      label: getObjectiveLabel(state, objectives[index], progress[index] || {}),
+      ...location
+    });
+  }
+
+  return targets;
+}
+
 // ============================================
 // HELPER EXPORTS FOR NPC INTERACTIONS
 // ============================================
 
 /**
  * Get quest marker type for NPC
- * @returns {'available'|'completable'|'in-progress'|null}
+ * @returns {'available'|'completable'|'retry'|'in-progress'|null}
  */
 export function getNpcQuestMarker(state, npcId) {
   // Check for completable quests first (yellow ?)
@@ -575,15 +1370,22 @@ export function getNpcQuestMarker(state, npcId) {
     return 'available';
   }
   
+  // Check for failed quests this NPC would hand out again
+  const retry = state.questDefs.some(q => q.giver === npcId && canRetryQuest(state, q.id));
+  if (retry) {
+    return 'retry';
+  }
+  
   // Check for in-progress quests (gray ?)
   const inProgress = state.quests.active.some(questId => {
     const questDef = state.questDefs.find(q => q.id === questId);
     if (!questDef) return false;
     
-    // Check if any objective involves this NPC
-    return questDef.objectives.some(obj => 
+    // Check if any objective in play involves this NPC
+    return getStageObjectives(state, questDef).some(obj => 
       (obj.type === 'talk' && obj.toEntity === npcId) ||
-      (obj.type === 'return' && obj.toEntity === npcId)
+      (obj.type === 'return' && obj.toEntity === npcId) ||
+      (obj.type === 'giveItem' && obj.toEntity === npcId)
     );
   });
   
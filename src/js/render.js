@@ -7,7 +7,7 @@
  * Always use translate3d() for transforms, never translate().
  */
 
-import { hasFlag } from './save.js';
+import { hasFlag, isNpcPresent } from './save.js';
 import { getNpcQuestMarker } from './quests.js';
 import { SPRITES } from './sprites.js';
 import { isRevealed } from './fog.js';
@@ -100,7 +100,7 @@ export function isActorVisible(actor) {
  * Debug helper for UI/visibility issues.
  * Call from console: VETUU_UI_DEBUG()
  */
-window.VETUU_UI_DEBUG = function() {
+function debugUI() {
   const vp = getViewportInfo();
   if (!vp) {
     console.log('[UI Debug] Viewport not available');
@@ -126,13 +126,13 @@ window.VETUU_UI_DEBUG = function() {
   console.log(`[UI Debug] ${actors.length} actors in DOM`);
   
   return { TILE_SIZE, ZOOM_FACTOR, viewport: vp };
-};
+}
 
 /**
  * Debug: Check actual loaded map state
  * Call from console: VETUU_MAP_DEBUG()
  */
-window.VETUU_MAP_DEBUG = function() {
+function debugMap() {
   if (!currentState?.map) {
     console.log('[Map Debug] No map loaded');
     return null;
@@ -161,12 +161,11 @@ window.VETUU_MAP_DEBUG = function() {
     groundCols: ground?.[0]?.length,
     player: { x: player?.x, y: player?.y }
   };
-};
+}
 
 let viewport = null;
 let world = null;
-let groundCanvas = null;
-let groundCtx = null;
+let groundLayer = null;
 let objectLayer = null;
 let actorLayer = null;
 
@@ -194,17 +193,13 @@ export function initRenderer(state) {
   document.documentElement.style.setProperty('--tile-size', `${TILE_SIZE}px`);
   // Actor scale is handled via actorTransform() function
 
-  // Create ground canvas
-  const groundLayer = document.getElementById('ground-layer');
-  groundCanvas = document.createElement('canvas');
-  groundCanvas.id = 'ground-canvas';
-  groundCanvas.width = mapWidth * TILE_SIZE;
-  groundCanvas.height = mapHeight * TILE_SIZE;
-  groundCanvas.style.cssText = 'position: absolute; top: 0; left: 0;';
-  
+  // Ground chunks are created on demand as the camera moves
+  groundLayer = document.getElementById('ground-layer');
   groundLayer.innerHTML = '';
-  groundLayer.appendChild(groundCanvas);
-  groundCtx = groundCanvas.getContext('2d');
+  releaseAllChunks();
+
+  // A larger window can expose chunks the camera hasn't attached yet
+  window.addEventListener('resize', () => showChunksForCamera(currentCamX, currentCamY));
 
   // Set world dimensions
   world.style.width = `${mapWidth * TILE_SIZE}px`;
@@ -212,33 +207,180 @@ export function initRenderer(state) {
 }
 
 // ============================================
-// GROUND RENDERING (Canvas-based)
+// GROUND RENDERING (Chunked canvases + LRU cache)
 // ============================================
-export function renderWorld(state) {
-  const { ground, legend } = state.map;
-  currentState = state;
+// The ground is split into CHUNK_TILES × CHUNK_TILES canvases instead of one
+// map-sized canvas (512 tiles × 24px would be a 12288px square). Only chunks
+// around the camera are painted and attached to the DOM. Painted chunks stay
+// in an LRU cache so walking back doesn't repaint; the least recently used
+// off-screen chunks are released once the cache is full.
+const CHUNK_TILES = 16;
+const CHUNK_PX = CHUNK_TILES * TILE_SIZE;   // 384px
+const CHUNK_MARGIN = 1;                     // Extra ring of chunks painted beyond the viewport
+const MAX_CACHED_CHUNKS = 64;               // ~38MB of 384×384 canvases
+
+const chunkCache = new Map();    // "cx,cy" -> canvas, Map order = LRU order (oldest first)
+const attachedChunks = new Set(); // Keys currently in the ground layer
+let chunkRangeKey = '';          // Last attached range, skips work while the camera stays inside it
+let lastChunkRect = null;        // Last world-px rect passed to showChunksInRect
+
+function chunkKey(cx, cy) {
+  return `${cx},${cy}`;
+}
 
-  if (!groundCtx) return;
+function paintChunk(canvas, cx, cy) {
+  const { ground, legend } = currentState.map;
+  const ctx = canvas.getContext('2d');
+  ctx.clearRect(0, 0, CHUNK_PX, CHUNK_PX);
 
-  // Clear canvas
-  groundCtx.clearRect(0, 0, groundCanvas.width, groundCanvas.height);
+  const x0 = cx * CHUNK_TILES;
+  const y0 = cy * CHUNK_TILES;
+  const x1 = Math.min(x0 + CHUNK_TILES, mapWidth);
+  const y1 = Math.min(y0 + CHUNK_TILES, mapHeight);
 
-  // Draw ground tiles (full map, rendered once)
-  for (let y = 0; y < ground.length; y++) {
+  for (let y = y0; y < y1; y++) {
     const row = ground[y];
-    for (let x = 0; x < row.length; x++) {
-      const tileChar = row[x];
+    if (!row) continue;
+    for (let x = x0; x < x1; x++) {
       // Look up by character directly (legend keys are strings)
-      const tileDef = legend.tiles[tileChar];
-
+      const tileDef = legend.tiles[row[x]];
       if (tileDef) {
-        groundCtx.fillStyle = tileDef.color;
-        groundCtx.fillRect(x * TILE_SIZE, y * TILE_SIZE, TILE_SIZE, TILE_SIZE);
+        ctx.fillStyle = tileDef.color;
+        ctx.fillRect((x - x0) * TILE_SIZE, (y - y0) * TILE_SIZE, TILE_SIZE, TILE_SIZE);
       }
     }
   }
 }
 
+/**
+ * Get a painted chunk canvas, creating it on a cache miss.
+ * Marks the chunk as most recently used.
+ */
+function getChunk(cx, cy) {
+  const key = chunkKey(cx, cy);
+  let canvas = chunkCache.get(key);
+
+  if (canvas) {
+    chunkCache.delete(key);
+  } else {
+    canvas = document.createElement('canvas');
+    canvas.className = 'ground-chunk';
+    canvas.width = CHUNK_PX;
+    canvas.height = CHUNK_PX;
+    canvas.style.cssText = `position: absolute; top: 0; left: 0; transform: translate3d(${cx * CHUNK_PX}px, ${cy * CHUNK_PX}px, 0);`;
+    paintChunk(canvas, cx, cy);
+  }
+
+  chunkCache.set(key, canvas);
+  return canvas;
+}
+
+function releaseChunk(key) {
+  const canvas = chunkCache.get(key);
+  if (canvas) {
+    canvas.remove();
+    canvas.width = 0; // Free the backing store now rather than at GC
+  }
+  chunkCache.delete(key);
+  attachedChunks.delete(key);
+}
+
+function releaseAllChunks() {
+  for (const key of [...chunkCache.keys()]) releaseChunk(key);
+  chunkRangeKey = '';
+}
+
+/**
+ * Drop least recently used chunks that aren't on screen until the cache fits.
+ */
+function evictChunks() {
+  for (const key of [...chunkCache.keys()]) {
+    if (chunkCache.size <= MAX_CACHED_CHUNKS) break;
+    if (!attachedChunks.has(key)) releaseChunk(key);
+  }
+}
+
+/**
+ * Attach the chunks covering a world-pixel rect (plus margin), detach the rest.
+ */
+function showChunksInRect(left, top, right, bottom) {
+  if (!groundLayer || !currentState?.map.ground) return;
+  lastChunkRect = { left, top, right, bottom };
+
+  const maxCx = Math.ceil(mapWidth / CHUNK_TILES) - 1;
+  const maxCy = Math.ceil(mapHeight / CHUNK_TILES) - 1;
+  const cx0 = Math.max(0, Math.floor(left / CHUNK_PX) - CHUNK_MARGIN);
+  const cy0 = Math.max(0, Math.floor(top / CHUNK_PX) - CHUNK_MARGIN);
+  const cx1 = Math.min(maxCx, Math.floor(right / CHUNK_PX) + CHUNK_MARGIN);
+  const cy1 = Math.min(maxCy, Math.floor(bottom / CHUNK_PX) + CHUNK_MARGIN);
+
+  const rangeKey = `${cx0},${cy0},${cx1},${cy1}`;
+  if (rangeKey === chunkRangeKey) return;
+  chunkRangeKey = rangeKey;
+
+  const wanted = new Set();
+  for (let cy = cy0; cy <= cy1; cy++) {
+    for (let cx = cx0; cx <= cx1; cx++) {
+      const key = chunkKey(cx, cy);
+      wanted.add(key);
+      const canvas = getChunk(cx, cy);
+      if (!attachedChunks.has(key)) {
+        groundLayer.appendChild(canvas);
+        attachedChunks.add(key);
+      }
+    }
+  }
+
+  for (const key of [...attachedChunks]) {
+    if (!wanted.has(key)) {
+      chunkCache.get(key)?.remove();
+      attachedChunks.delete(key);
+    }
+  }
+
+  evictChunks();
+}
+
+/**
+ * Attach chunks for a camera position (top-left corner in world pixels).
+ */
+function showChunksForCamera(camX, camY) {
+  if (!viewport) return;
+  const viewW = viewport.clientWidth / ZOOM_FACTOR;
+  const viewH = viewport.clientHeight / ZOOM_FACTOR;
+  showChunksInRect(camX, camY, camX + viewW, camY + viewH);
+}
+
+/**
+ * (Re)paint the ground. Chunks are painted lazily as the camera reaches them,
+ * so this just drops every cached chunk and repaints what's on screen.
+ */
+export function renderWorld(state) {
+  currentState = state;
+  releaseAllChunks();
+  if (lastChunkRect) {
+    const { left, top, right, bottom } = lastChunkRect;
+    showChunksInRect(left, top, right, bottom);
+  }
+}
+
+/**
+ * Debug: chunk cache usage
+ * Call from console: VETUU_GROUND_DEBUG()
+ */
+function debugGround() {
+  const info = {
+    chunkTiles: CHUNK_TILES,
+    cached: chunkCache.size,
+    maxCached: MAX_CACHED_CHUNKS,
+    attached: attachedChunks.size,
+    range: chunkRangeKey,
+    approxMB: +(chunkCache.size * CHUNK_PX * CHUNK_PX * 4 / 1048576).toFixed(1)
+  };
+  console.log('[Ground Debug]', info);
+  return info;
+}
+
 // ============================================
 // OBJECT RENDERING (DOM - sparse objects only)
 // ============================================
@@ -266,25 +408,8 @@ export function renderObjects(state) {
       continue;
     }
 
-    const objDef = legend.objects[obj.type];
-    if (!objDef) continue;
-
-    const el = document.createElement('div');
-    el.className = 'object';
-    el.style.setProperty('--pos-x', `${obj.x * TILE_SIZE}px`);
-    el.style.setProperty('--pos-y', `${obj.y * TILE_SIZE}px`);
-    el.style.setProperty('--obj-color', objDef.color);
-    el.dataset.objId = obj.id;
-    el.dataset.objType = obj.type;
-
-    if (obj.interact) {
-      el.dataset.interactable = 'true';
-    }
-
-    // Check if collected
-    if (state.runtime.collectedNodes.has(obj.id)) {
-      el.classList.add('node-collected');
-    }
+    const el = createObjectElement(state, obj, legend);
+    if (!el) continue;
 
     fragment.appendChild(el);
     renderedCount++;
@@ -294,6 +419,47 @@ export function renderObjects(state) {
   objectLayer.appendChild(fragment);
 }
 
+/**
+ * Add a single object to the object layer (e.g. ground loot spawned at runtime)
+ * without rebuilding the whole layer.
+ */
+export function renderObject(state, obj) {
+  if (!objectLayer) return;
+  const el = createObjectElement(state, obj, state.map.legend);
+  if (el) objectLayer.appendChild(el);
+}
+
+/**
+ * Remove a single object's element from the object layer.
+ */
+export function removeObjectElement(objId) {
+  objectLayer?.querySelector(`[data-obj-id="${objId}"]`)?.remove();
+}
+
+function createObjectElement(state, obj, legend) {
+  const objDef = legend.objects[obj.type];
+  if (!objDef) return null;
+
+  const el = document.createElement('div');
+  el.className = 'object';
+  el.style.setProperty('--pos-x', `${obj.x * TILE_SIZE}px`);
+  el.style.setProperty('--pos-y', `${obj.y * TILE_SIZE}px`);
+  el.style.setProperty('--obj-color', objDef.color);
+  el.dataset.objId = obj.id;
+  el.dataset.objType = obj.type;
+
+  if (obj.interact) {
+    el.dataset.interactable = 'true';
+  }
+
+  // Check if collected
+  if (state.runtime.collectedNodes.has(obj.id)) {
+    el.classList.add('node-collected');
+  }
+
+  return el;
+}
+
 // ============================================
 // ACTOR RENDERING
 // ============================================
@@ -334,7 +500,7 @@ export function renderActors(state) {
   // NPCs
   for (const npc of state.entities.npcs) {
     // Check visibility requirements
-    if (npc.requires?.flag && !hasFlag(state, npc.requires.flag)) {
+    if (!isNpcPresent(state, npc)) {
       continue;
     }
 
@@ -371,6 +537,8 @@ export function renderActors(state) {
         el.dataset.quest = 'available';
       } else if (questForNpc.status === 'return') {
         el.dataset.quest = 'return';
+      } else if (questForNpc.status === 'retry') {
+        el.dataset.quest = 'retry';
       }
     }
 
@@ -385,6 +553,10 @@ export function renderActors(state) {
     if (state.runtime.defeatedBosses.has(boss.id)) {
       continue;
     }
+    // Mid-encounter the boss is a live enemy instead
+    if (state.runtime.engagedBosses?.has(boss.id)) {
+      continue;
+    }
 
     const el = document.createElement('div');
     el.className = 'actor boss';
@@ -421,6 +593,9 @@ function findQuestForNpc(state, npcId) {
   if (marker === 'available') {
     return { status: 'available' };
   }
+  if (marker === 'retry') {
+    return { status: 'retry' };
+  }
   if (marker === 'in-progress') {
     return { status: 'in-progress' };
   }
@@ -484,6 +659,7 @@ export function updateCamera(state, duration = null) {
     cameraAnim = null;
     currentCamX = x;
     currentCamY = y;
+    showChunksForCamera(x, y);
     // Disable transition and set directly
     world.style.transition = 'none';
     world.style.transform = `scale3d(${ZOOM_FACTOR}, ${ZOOM_FACTOR}, 1) translate3d(${-x}px, ${-y}px, 0)`;
@@ -492,6 +668,14 @@ export function updateCamera(state, duration = null) {
 
   // Animated update - animation ticked from main game loop
   world.style.transition = 'none';
+
+  // Ground must cover the whole pan, start to end
+  const viewW = vw / ZOOM_FACTOR;
+  const viewH = vh / ZOOM_FACTOR;
+  showChunksInRect(
+    Math.min(currentCamX, x), Math.min(currentCamY, y),
+    Math.max(currentCamX, x) + viewW, Math.max(currentCamY, y) + viewH
+  );
   
   cameraAnim = {
     startX: currentCamX,
@@ -542,7 +726,7 @@ let ringOverlayVisible = false;
  * Call from console: VETUU_RINGS()
  * Toggles rings on main view, minimap, and fullscreen world map.
  */
-window.VETUU_RINGS = function() {
+function debugToggleRings() {
   ringOverlayVisible = !ringOverlayVisible;
   
   if (!ringOverlayCanvas) {
@@ -585,31 +769,31 @@ window.VETUU_RINGS = function() {
   }).catch(() => {});
   
   return ringOverlayVisible;
-};
+}
 
 /**
  * Toggle enemy pins on the fullscreen world map.
  * Call from console: VETUU_ENEMY_PINS()
  */
-window.VETUU_ENEMY_PINS = function() {
+function debugToggleEnemyPins() {
   import('./worldmap.js').then(mod => {
     if (mod.toggleWorldMapEnemies) {
       mod.toggleWorldMapEnemies();
     }
   }).catch(() => {});
-};
+}
 
 /**
  * Toggle spawner visualization on the fullscreen world map.
  * Call from console: VETUU_SPAWNER_DEBUG()
  */
-window.VETUU_SPAWNER_DEBUG = function() {
+function debugToggleSpawners() {
   import('./worldmap.js').then(mod => {
     if (mod.toggleWorldMapSpawners) {
       mod.toggleWorldMapSpawners();
     }
   }).catch(() => {});
-};
+}
 
 function createRingOverlay() {
   const groundLayer = document.getElementById('ground-layer');
@@ -763,3 +947,13 @@ function drawRingOverlay() {
   ringOverlayCtx.strokeText('BASE WALLS', baseWalls.minX + 10, baseWalls.minY - 10);
   ringOverlayCtx.fillText('BASE WALLS', baseWalls.minX + 10, baseWalls.minY - 10);
 }
+
+// Expose debug tools
+if (typeof window !== 'undefined') {
+  window.VETUU_UI_DEBUG = debugUI;
+  window.VETUU_MAP_DEBUG = debugMap;
+  window.VETUU_GROUND_DEBUG = debugGround;
+  window.VETUU_RINGS = debugToggleRings;
+  window.VETUU_ENEMY_PINS = debugToggleEnemyPins;
+  window.VETUU_SPAWNER_DEBUG = debugToggleSpawners;
+}
@@ -0,0 +1,251 @@
+/**
+ * VETUU — Input Recording & Replay
+ * Records the player's gameplay inputs with timestamps so a session can be
+ * played back for bug reproduction.
+ *
+ * A recording starts from a fresh boot (`?record`): the save it booted from
+ * (an export bundle, see save.js) and the RNG state (rng.js) are captured
+ * before anything rolls, then every input is stamped with the replay clock.
+ * The clock only advances with the game loop's frame time, so a stalled tab
+ * doesn't stretch the gaps between inputs.
+ *
+ * A replay imports that save into its own slot, reseeds the RNG from the
+ * recording and boots (`?replay`); tickReplay() then hands each input back to
+ * the dispatcher (input.js) on the frame its timestamp comes due. Live input
+ * is ignored while a replay runs.
+ *
+ * Inputs are plain data: `{ t, type, args }`. Entities are stored as refs
+ * (`{ ref: 'enemy', id, x, y }`) and looked up again on playback. Enemy ids
+ * are generated at spawn time, so an enemy ref falls back to the nearest
+ * living enemy around the recorded tile.
+ *
+ * Spawn timers and tweens still run on wall-clock time, so long replays can
+ * drift from the original; unresolved refs are counted as misses. Dialogue
+ * choices are recorded by node id and choice index (dialogue.js); shop and
+ * inventory clicks are not recorded.
+ */
+
+export const REPLAY_FORMAT = 'vetuu-replay';
+export const REPLAY_VERSION = 1;
+
+// How far (tiles, Chebyshev) an enemy ref may drift and still resolve
+const ENEMY_REF_RADIUS = 2;
+
+// ============================================
+// STATE
+// ============================================
+let clock = 0;          // ms of game-loop time since recording/replay start
+let recording = null;   // { startedAt, rng, save, inputs }
+let playback = null;    // { replay, index, misses, dispatch, onEnd }
+
+// ============================================
+// CLOCK (called from the game loop)
+// ============================================
+
+/**
+ * Advance the replay clock by one frame. While replaying, inputs recorded up
+ * to the previous frame are dispatched first, matching when they happened
+ * relative to the game loop during recording.
+ * @param {number} deltaTime - Frame time in ms (already capped by the loop)
+ */
+export function tickReplay(deltaTime) {
+  if (playback) dispatchDueInputs();
+  clock += deltaTime;
+}
+
+// ============================================
+// RECORDING
+// ============================================
+
+/**
+ * Start recording. Call after the save is loaded and the RNG is seeded.
+ * @param {object} snapshot
+ * @param {string} snapshot.save - Save bundle the session booted from (exportSave())
+ * @param {{seed: number, streams: object}} snapshot.rng - getRngState() at boot
+ */
+export function startRecording({ save, rng }) {
+  stopReplay();
+  clock = 0;
+  recording = { startedAt: Date.now(), rng, save, inputs: [] };
+}
+
+export function isRecording() {
+  return recording !== null;
+}
+
+/**
+ * Record one input. No-op unless recording.
+ * @param {string} type - Input type understood by the dispatcher
+ * @param {Array} [args] - JSON-safe arguments (entities as entityRef())
+ */
+export function recordInput(type, args = []) {
+  if (!recording) return;
+  recording.inputs.push({ t: Math.round(clock), type, args });
+}
+
+/**
+ * Stop recording.
+ * @returns {object|null} The replay, ready for JSON.stringify
+ */
+export function stopRecording() {
+  if (!recording) return null;
+
+  const replay = {
+    format: REPLAY_FORMAT,
+    version: REPLAY_VERSION,
+    recordedAt: recording.startedAt,
+    duration: Math.round(clock),
+    rng: recording.rng,
+    save: recording.save,
+    inputs: recording.inputs
+  };
+  recording = null;
+  return replay;
+}
+
+// ============================================
+// PLAYBACK
+// ============================================
+
+/**
+ * Check a parsed replay. Returns the problem, or null when it can be played.
+ */
+export function validateReplay(replay) {
+  if (replay?.format !== REPLAY_FORMAT) return 'Not a Vetuu replay file';
+  if (!Number.isInteger(replay.version) || replay.version > REPLAY_VERSION) {
+    return `Unsupported replay version: ${replay.version}`;
+  }
+  if (!Number.isInteger(replay.rng?.seed)) return 'Replay has no RNG seed';
+  if (typeof replay.save !== 'string') return 'Replay has no save snapshot';
+  if (!Array.isArray(replay.inputs)) return 'Replay has no inputs';
+
+  for (const input of replay.inputs) {
+    if (typeof input?.t !== 'number' || typeof input.type !== 'string' || !Array.isArray(input.args)) {
+      return 'Replay inputs are malformed';
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a replay file's text.
+ * @returns {{ok: true, replay: object} | {ok: false, error: string}}
+ */
+export function parseReplay(text) {
+  let replay;
+  try {
+    replay = JSON.parse(text);
+  } catch (e) {
+    return { ok: false, error: 'File is not valid JSON' };
+  }
+
+  const error = validateReplay(replay);
+  return error ? { ok: false, error } : { ok: true, replay };
+}
+
+/**
+ * Start feeding a replay's inputs back through the game loop.
+ * The caller restores the save and RNG state first.
+ * @param {object} replay - Validated replay
+ * @param {function(string, Array): boolean} dispatch - Applies one input; returns false if it couldn't
+ * @param {function(object)} [onEnd] - Called with getReplayProgress() once every input is played
+ */
+export function startReplay(replay, dispatch, onEnd = () => {}) {
+  recording = null;
+  clock = 0;
+  playback = { replay, index: 0, misses: 0, dispatch, onEnd };
+}
+
+export function isReplaying() {
+  return playback !== null;
+}
+
+/**
+ * Stop a replay early (or clear a finished one). Live input resumes.
+ */
+export function stopReplay() {
+  playback = null;
+}
+
+/**
+ * Where the running replay is.
+ * @returns {{played: number, total: number, misses: number, t: number, duration: number}|null}
+ */
+export function getReplayProgress() {
+  if (!playback) return null;
+  return {
+    played: playback.index,
+    total: playback.replay.inputs.length,
+    misses: playback.misses,
+    t: Math.round(clock),
+    duration: playback.replay.duration
+  };
+}
+
+function dispatchDueInputs() {
+  const { replay } = playback;
+
+  while (playback.index < replay.inputs.length && replay.inputs[playback.index].t <= clock) {
+    const input = replay.inputs[playback.index++];
+    let applied = false;
+    try {
+      applied = playback.dispatch(input.type, input.args) !== false;
+    } catch (e) {
+      console.error(`[Replay] ${input.type} at ${input.t}ms failed:`, e);
+    }
+    if (!applied) {
+      playback.misses++;
+      console.warn(`[Replay] Could not apply ${input.type} at ${input.t}ms`, input.args);
+    }
+  }
+
+  if (playback.index >= replay.inputs.length && clock >= replay.duration) {
+    const { onEnd } = playback;
+    const progress = getReplayProgress();
+    playback = null;
+    onEnd(progress);
+  }
+}
+
+// ============================================
+// ENTITY REFS
+// ============================================
+
+/**
+ * JSON-safe reference to an enemy, NPC or map object.
+ * @param {'enemy'|'npc'|'object'} kind
+ */
+export function entityRef(kind, entity) {
+  return { ref: kind, id: entity.id ?? null, x: entity.x, y: entity.y };
+}
+
+/**
+ * Find the live entity a ref points at.
+ * @returns {object|null} The entity, or null if it is gone
+ */
+export function resolveRef(ref, state) {
+  switch (ref?.ref) {
+    case 'enemy': {
+      const living = (state.runtime.activeEnemies || []).filter(e => e.hp > 0);
+      const byId = living.find(e => e.id === ref.id);
+      if (byId) return byId;
+
+      let closest = null;
+      let closestDist = Infinity;
+      for (const enemy of living) {
+        const dist = Math.max(Math.abs(enemy.x - ref.x), Math.abs(enemy.y - ref.y));
+        if (dist <= ENEMY_REF_RADIUS && dist < closestDist) {
+          closest = enemy;
+          closestDist = dist;
+        }
+      }
+      return closest;
+    }
+    case 'npc':
+      return state.entities.npcs.find(n => n.id === ref.id) || null;
+    case 'object':
+      return state.map.objects.find(o => o.x === ref.x && o.y === ref.y) || null;
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,182 @@
+/**
+ * VETUU — Seeded Random Numbers
+ * One seed drives every gameplay roll, so a run can be replayed from its seed.
+ *
+ * Rolls come from named streams, each with its own generator derived from the
+ * seed. Streams are independent: an extra loot roll never shifts the next
+ * combat roll.
+ *
+ * - combat: damage variance, crits, hit chances, enemy movement choices
+ * - spawn:  spawner layout, slot placement, pack rosters, levels, respawn timers
+ * - loot:   drop tables and quantities
+ * - world:  weather, guard patrols, NPC chatter
+ *
+ * The seed and each stream's position are saved with the game (save.js), so
+ * loading a save continues the same sequence. `?seed=<n>` in the URL starts
+ * from a given seed instead, e.g. to reproduce a bug report (VETUU_SEED()
+ * prints the current one).
+ *
+ * Map generation and fog edges use stateless position hashes (seededNoise*)
+ * rather than streams, so the world looks the same whatever the seed.
+ */
+
+export const RNG_STREAMS = ['combat', 'spawn', 'loot', 'world'];
+
+let seed = 0;
+const streams = {};
+
+// ============================================
+// GENERATOR
+// ============================================
+
+/**
+ * mulberry32 step: advances a 32-bit state, returns [nextState, value in [0, 1)].
+ */
+function step(state) {
+  const next = (state + 0x6D2B79F5) >>> 0;
+  let t = next;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return [next, ((t ^ (t >>> 14)) >>> 0) / 4294967296];
+}
+
+/**
+ * FNV-1a hash of a string to a 32-bit integer.
+ */
+function hashString(text) {
+  let h = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Starting state for a stream: the seed mixed with the stream name.
+ */
+function streamStart(name) {
+  return (seed ^ hashString(name)) >>> 0;
+}
+
+/**
+ * Create a stream. `next` is a plain function so it can be passed anywhere
+ * a Math.random-style source is expected (damage.js rng parameters).
+ */
+function createStream(name) {
+  let state = streamStart(name);
+
+  const next = () => {
+    let value;
+    [state, value] = step(state);
+    return value;
+  };
+
+  return {
+    name,
+    next,
+    /** Integer in [min, max] */
+    int: (min, max) => Math.floor(next() * (max - min + 1)) + min,
+    /** Float in [min, max) */
+    range: (min, max) => min + next() * (max - min),
+    /** True with probability p */
+    chance: (p) => next() < p,
+    /** Random element of a non-empty array */
+    pick: (arr) => arr[Math.floor(next() * arr.length)],
+    getState: () => state,
+    setState: (value) => { state = value >>> 0; },
+    reset: () => { state = streamStart(name); }
+  };
+}
+
+for (const name of RNG_STREAMS) {
+  streams[name] = createStream(name);
+}
+
+// ============================================
+// SEEDING
+// ============================================
+
+/**
+ * A fresh random seed (the only Math.random call gameplay should need).
+ */
+export function createSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Turn user input into a seed: whole numbers are used as-is, anything else is hashed.
+ * @returns {number|null} Seed, or null for empty input
+ */
+export function parseSeed(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) return Number(text) >>> 0;
+  return hashString(text);
+}
+
+/**
+ * Seed every stream. Call once at startup, before anything rolls.
+ * @param {number} newSeed - 32-bit seed
+ * @param {object} [positions] - Saved stream states ({ combat: n, ... }) to resume from
+ */
+export function initRng(newSeed, positions = null) {
+  seed = newSeed >>> 0;
+
+  for (const name of RNG_STREAMS) {
+    const stream = streams[name];
+    if (Number.isInteger(positions?.[name])) {
+      stream.setState(positions[name]);
+    } else {
+      stream.reset();
+    }
+  }
+}
+
+export function getSeed() {
+  return seed;
+}
+
+/**
+ * Seed and stream positions, for the save file.
+ * @returns {{seed: number, streams: object}}
+ */
+export function getRngState() {
+  return {
+    seed,
+    streams: Object.fromEntries(RNG_STREAMS.map(name => [name, streams[name].getState()]))
+  };
+}
+
+/**
+ * A named stream.
+ * @param {'combat'|'spawn'|'loot'|'world'} name
+ */
+export function rng(name) {
+  const stream = streams[name];
+  if (!stream) throw new Error(`Unknown RNG stream: ${name}`);
+  return stream;
+}
+
+// Start from a random seed so modules can roll before init (tests, tools)
+initRng(createSeed());
+
+// ============================================
+// STATELESS NOISE (map generation, fog edges)
+// ============================================
+
+/**
+ * Deterministic value in [0, 1) for an integer seed.
+ */
+export function seededNoise(n) {
+  const x = Math.sin(n) * 10000;
+  return x - Math.floor(x);
+}
+
+/**
+ * Deterministic value in [0, 1) for a tile position.
+ */
+export function seededNoise2D(x, y) {
+  const n = Math.sin(x * 12.9898 + y * 78.233) * 43758.5453;
+  return n - Math.floor(n);
+}
@@ -1,10 +1,227 @@
 /**
  * VETUU — Save Module
- * localStorage persistence for game state
+ * localStorage persistence for game state, split into named save slots
+ *
+ * Every per-character key is stored once per slot as `<key>:<slotId>`
+ * (see slotKey). The slot index in SLOTS_KEY lists the slots and a small
+ * metadata summary of each for the slot picker.
  */
 
+import { SAVE_VERSION, migrateSave, validateSave } from './saveMigrations.js';
+import { getRegionAt } from './collision.js';
+import { getWorldTime, nowMs } from './time.js';
+import { getRngState } from './rng.js';
+
 const SAVE_KEY = 'vetuu_save';
 const FLAGS_KEY = 'vetuu_flags';
+const FOG_KEY = 'vetuu_fog_v2';                       // fog.js
+const CHOICES_KEY = 'vetuu_dialogue_choices';         // dialogue.js
+const WAYPOINTS_KEY = 'vetuu_worldmap_waypoints_v1';  // worldmap.js
+const PANELS_KEY = 'vetuu_panels';                    // ui.js (shared by all slots)
+const BACKUP_PREFIX = 'vetuu_save_backup_';
+const SLOTS_KEY = 'vetuu_slots';
+
+// Per-character keys from before save slots existed - adopted into the first slot
+const LEGACY_KEYS = [SAVE_KEY, FLAGS_KEY, FOG_KEY, CHOICES_KEY, WAYPOINTS_KEY];
+const FIRST_SLOT_ID = 'slot1';
+
+let slotIndex = null; // { active, slots: [{ id, name, created, meta }] }
+
+// Play time: total from the loaded save plus time since this session started
+let playTimeBase = 0;
+let sessionStartedAt = Date.now();
+
+// ============================================
+// SAVE SLOTS
+// ============================================
+
+/**
+ * Load the slot index. Call once at startup before anything reads or writes saves.
+ * On first run, a pre-slot save (plain `vetuu_save` etc.) becomes Slot 1.
+ */
+export function initSaveSlots() {
+  slotIndex = readSlotIndex();
+
+  if (slotIndex?.slots?.length) {
+    if (!slotIndex.slots.some(s => s.id === slotIndex.active)) {
+      slotIndex.active = slotIndex.slots[0].id;
+      writeSlotIndex();
+    }
+    return;
+  }
+
+  slotIndex = { active: FIRST_SLOT_ID, slots: [createSlotEntry(FIRST_SLOT_ID, 'Slot 1')] };
+
+  const legacyKeys = [...LEGACY_KEYS, ...storageKeys().filter(k => k.startsWith(BACKUP_PREFIX) && !k.includes(':'))];
+  for (const key of legacyKeys) {
+    const value = localStorage.getItem(key);
+    if (value === null) continue;
+    localStorage.setItem(`${key}:${FIRST_SLOT_ID}`, value);
+    localStorage.removeItem(key);
+  }
+
+  writeSlotIndex();
+}
+
+function readSlotIndex() {
+  try {
+    const raw = localStorage.getItem(SLOTS_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    console.warn('Failed to read save slots:', e);
+    return null;
+  }
+}
+
+function writeSlotIndex() {
+  try {
+    localStorage.setItem(SLOTS_KEY, JSON.stringify(slotIndex));
+  } catch (e) {
+    console.warn('Failed to write save slots:', e);
+  }
+}
+
+function createSlotEntry(id, name) {
+  return { id, name, created: Date.now(), meta: null };
+}
+
+function storageKeys() {
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    keys.push(localStorage.key(i));
+  }
+  return keys;
+}
+
+/**
+ * All localStorage keys belonging to a slot.
+ */
+function slotStorageKeys(slotId) {
+  const suffix = `:${slotId}`;
+  return storageKeys().filter(k => k.startsWith('vetuu_') && k.endsWith(suffix));
+}
+
+/**
+ * Storage key for per-character data in a slot (defaults to the active slot).
+ * Modules with their own persistence (fog, dialogue choices, waypoints) use this too.
+ */
+export function slotKey(baseKey, slotId = getActiveSlotId()) {
+  return `${baseKey}:${slotId}`;
+}
+
+export function getActiveSlotId() {
+  return slotIndex?.active || FIRST_SLOT_ID;
+}
+
+/**
+ * @returns {Array<{id, name, created, meta, active, hasSave}>} Slots for the picker
+ */
+export function getSaveSlots() {
+  return (slotIndex?.slots || []).map(slot => ({
+    ...slot,
+    active: slot.id === getActiveSlotId(),
+    hasSave: localStorage.getItem(slotKey(SAVE_KEY, slot.id)) !== null
+  }));
+}
+
+export function setActiveSlot(slotId) {
+  if (!slotIndex?.slots.some(s => s.id === slotId)) return false;
+  slotIndex.active = slotId;
+  writeSlotIndex();
+  return true;
+}
+
+/**
+ * Create an empty slot.
+ * @returns {string} New slot id
+ */
+export function createSaveSlot(name) {
+  let id = `slot_${Date.now().toString(36)}`;
+  while (slotIndex.slots.some(s => s.id === id)) id += 'x';
+  slotIndex.slots.push(createSlotEntry(id, name || `Slot ${slotIndex.slots.length + 1}`));
+  writeSlotIndex();
+  return id;
+}
+
+export function renameSaveSlot(slotId, name) {
+  const slot = slotIndex?.slots.find(s => s.id === slotId);
+  if (!slot || !name?.trim()) return false;
+  slot.name = name.trim();
+  writeSlotIndex();
+  return true;
+}
+
+/**
+ * Duplicate a slot and everything stored in it.
+ * @returns {string|null} New slot id
+ */
+export function copySaveSlot(slotId, name) {
+  const source = slotIndex?.slots.find(s => s.id === slotId);
+  if (!source) return null;
+
+  const id = createSaveSlot(name || `${source.name} (copy)`);
+  const copy = slotIndex.slots.find(s => s.id === id);
+  copy.meta = source.meta ? { ...source.meta } : null;
+
+  const suffix = `:${slotId}`;
+  try {
+    for (const key of slotStorageKeys(slotId)) {
+      const baseKey = key.slice(0, -suffix.length);
+      localStorage.setItem(slotKey(baseKey, id), localStorage.getItem(key));
+    }
+  } catch (e) {
+    console.warn('Failed to copy save slot:', e);
+    deleteSaveSlot(id);
+    return null;
+  }
+
+  writeSlotIndex();
+  return id;
+}
+
+/**
+ * Delete a slot and all of its data. If it was active, the first remaining
+ * slot becomes active (a fresh Slot 1 is created if none remain).
+ */
+export function deleteSaveSlot(slotId) {
+  if (!slotIndex?.slots.some(s => s.id === slotId)) return false;
+
+  for (const key of slotStorageKeys(slotId)) {
+    localStorage.removeItem(key);
+  }
+
+  slotIndex.slots = slotIndex.slots.filter(s => s.id !== slotId);
+  if (slotIndex.slots.length === 0) {
+    slotIndex.slots.push(createSlotEntry(FIRST_SLOT_ID, 'Slot 1'));
+  }
+  if (slotIndex.active === slotId) {
+    slotIndex.active = slotIndex.slots[0].id;
+  }
+
+  writeSlotIndex();
+  return true;
+}
+
+/**
+ * Summary shown in the slot picker, refreshed on every save.
+ */
+function updateSlotMeta(state, saveData) {
+  const slot = slotIndex?.slots.find(s => s.id === getActiveSlotId());
+  if (!slot) return;
+
+  slot.meta = {
+    level: saveData.player.level,
+    playTime: saveData.playTime,
+    region: getRegionAt(state, state.player.x, state.player.y)?.name || 'Wilderness',
+    timestamp: saveData.timestamp,
+    questCount: saveData.quests.complete.length
+  };
+  writeSlotIndex();
+}
+
+export function getPlayTime() {
+  return playTimeBase + (Date.now() - sessionStartedAt);
+}
 
 // ============================================
 // FULL GAME SAVE
@@ -12,8 +229,11 @@ const FLAGS_KEY = 'vetuu_flags';
 export function saveGame(state) {
   try {
     const saveData = {
-      version: 1,
+      version: SAVE_VERSION,
       timestamp: Date.now(),
+      playTime: getPlayTime(),
+      worldTime: getWorldTime(),
+      rng: getRngState(),
       player: {
         x: state.player.x,
         y: state.player.y,
@@ -27,13 +247,22 @@ export function saveGame(state) {
         level: state.player.level,
         xp: state.player.xp,
         xpToNext: state.player.xpToNext,
+        credits: state.player.credits,
+        ledger: state.player.ledger,
         inventory: state.player.inventory,
-        equipment: state.player.equipment
+        equipment: state.player.equipment,
+        consumableBar: state.player.consumableBar
       },
       flags: state.flags,
       quests: {
         active: state.quests.active,
         complete: state.quests.complete,
+        completedDay: state.quests.completedDay || {},
+        failed: state.quests.failed || [],
+        startedAt: state.quests.startedAt || {},
+        contracts: state.quests.contracts || {},
+        stages: state.quests.stages || {},
+        tracked: state.quests.tracked || [],
         // Save progress for active quests
         ...Object.fromEntries(
           state.quests.active.map(id => [
@@ -44,44 +273,124 @@ export function saveGame(state) {
       },
       collectedNodes: Array.from(state.runtime.collectedNodes || []),
       spawnedAreas: Array.from(state.runtime.spawnedAreas || []),
-      defeatedBosses: Array.from(state.runtime.defeatedBosses || [])
+      defeatedBosses: Array.from(state.runtime.defeatedBosses || []),
+      shopStock: state.runtime.shopStock || {},
+      unlockedBeacons: Array.from(state.runtime.unlockedBeacons || []),
+      discoveries: state.runtime.discoveries || {},
+      lootDrops: getSavedLootDrops(state)
     };
 
-    localStorage.setItem(SAVE_KEY, JSON.stringify(saveData));
+    localStorage.setItem(slotKey(SAVE_KEY), JSON.stringify(saveData));
+    updateSlotMeta(state, saveData);
   } catch (e) {
     console.warn('Failed to save game:', e);
   }
 }
 
+/**
+ * Ground drops nobody has picked up yet (loot.js), with the time they have left.
+ */
+function getSavedLootDrops(state) {
+  const now = nowMs();
+  return (state.map?.objects || [])
+    .filter(obj => obj.type === 'lootDrop')
+    .map(({ x, y, loot, source, expiresAt }) => ({ x, y, loot, source, despawnMs: Math.max(0, expiresAt - now) }));
+}
+
 // ============================================
 // LOAD GAME
 // ============================================
+/**
+ * Load, migrate and validate the saved game.
+ * Older saves are backed up untouched before migrating; saves that can't be
+ * migrated or fail validation are backed up and the game starts fresh.
+ * @returns {object|null} Save data at SAVE_VERSION, or null
+ */
 export function loadGame() {
+  let data = null;
   try {
-    const data = localStorage.getItem(SAVE_KEY);
+    data = localStorage.getItem(slotKey(SAVE_KEY));
     if (!data) return null;
 
-    const saveData = JSON.parse(data);
+    let saveData = JSON.parse(data);
+    const fromVersion = saveData.version;
+
+    if (fromVersion !== SAVE_VERSION) {
+      backupSave(data, `v${fromVersion}`);
+      saveData = migrateSave(saveData);
+    }
+
+    const errors = validateSave(saveData);
+    if (errors.length > 0) {
+      throw new Error(`Save failed validation: ${errors.join('; ')}`);
+    }
 
-    // Version check (for future migrations)
-    if (saveData.version !== 1) {
-      console.warn('Save version mismatch, starting fresh');
-      return null;
+    // Persist the upgrade so the migration only runs once
+    if (fromVersion !== SAVE_VERSION) {
+      localStorage.setItem(slotKey(SAVE_KEY), JSON.stringify(saveData));
     }
 
+    playTimeBase = saveData.playTime;
+    sessionStartedAt = Date.now();
     return saveData;
   } catch (e) {
-    console.warn('Failed to load game:', e);
+    console.warn('Failed to load game, starting fresh:', e);
+    if (data) backupSave(data, 'failed');
     return null;
   }
 }
 
+// ============================================
+// BACKUPS (originals kept before migrating)
+// ============================================
+function backupSave(raw, label) {
+  try {
+    localStorage.setItem(slotKey(BACKUP_PREFIX + label), raw);
+    console.log(`[Save] Backed up original save as ${slotKey(BACKUP_PREFIX + label)}`);
+  } catch (e) {
+    console.warn('Failed to back up save:', e);
+  }
+}
+
+/**
+ * List stored save backups (newest format last).
+ * @returns {string[]} Backup labels, e.g. ['v1', 'failed']
+ */
+export function listSaveBackups() {
+  const suffix = `:${getActiveSlotId()}`;
+  return slotStorageKeys(getActiveSlotId())
+    .filter(key => key.startsWith(BACKUP_PREFIX))
+    .map(key => key.slice(BACKUP_PREFIX.length, -suffix.length))
+    .sort();
+}
+
+/**
+ * Put a backup back in place as the main save (it is migrated again on next load).
+ */
+export function restoreSaveBackup(label) {
+  const raw = localStorage.getItem(slotKey(BACKUP_PREFIX + label));
+  if (!raw) return false;
+  localStorage.setItem(slotKey(SAVE_KEY), raw);
+  return true;
+}
+
 // ============================================
 // CLEAR SAVE
 // ============================================
+/**
+ * Wipe everything stored in the active slot (save, flags, fog, choices,
+ * waypoints, backups). The slot itself stays in the picker, empty.
+ */
 export function clearSave() {
-  localStorage.removeItem(SAVE_KEY);
-  localStorage.removeItem(FLAGS_KEY);
+  for (const key of slotStorageKeys(getActiveSlotId())) {
+    localStorage.removeItem(key);
+  }
+
+  const slot = slotIndex?.slots.find(s => s.id === getActiveSlotId());
+  if (slot) {
+    slot.meta = null;
+    writeSlotIndex();
+  }
 }
 
 // ============================================
@@ -95,7 +404,7 @@ export function saveFlag(flag, value) {
     } else {
       delete flags[flag];
     }
-    localStorage.setItem(FLAGS_KEY, JSON.stringify(flags));
+    localStorage.setItem(slotKey(FLAGS_KEY), JSON.stringify(flags));
   } catch (e) {
     console.warn('Failed to save flag:', e);
   }
@@ -103,7 +412,7 @@ export function saveFlag(flag, value) {
 
 export function loadFlags() {
   try {
-    const data = localStorage.getItem(FLAGS_KEY);
+    const data = localStorage.getItem(slotKey(FLAGS_KEY));
     return data ? JSON.parse(data) : {};
   } catch (e) {
     return {};
@@ -114,40 +423,153 @@ export function hasFlag(state, flag) {
   return state?.flags?.[flag] === true;
 }
 
+/**
+ * Whether a gated NPC is in the world: its `requires.flag` is set and its
+ * `requires.questActive` quest is in progress.
+ */
+export function isNpcPresent(state, npc) {
+  const { flag, questActive } = npc.requires || {};
+  if (flag && !hasFlag(state, flag)) return false;
+  if (questActive && !state?.quests?.active?.includes(questActive)) return false;
+  return true;
+}
+
 // ============================================
-// EXPORT/IMPORT (for cloud save future)
+// EXPORT/IMPORT BUNDLE
 // ============================================
+// One JSON file with everything persisted for a slot, plus UI panel layout.
+// Bump BUNDLE_VERSION if the bundle shape changes (saves inside it are
+// migrated separately via SAVE_VERSION).
+const BUNDLE_FORMAT = 'vetuu-save-bundle';
+const BUNDLE_VERSION = 1;
+
+// name in bundle.data -> storage key, whether it is per-slot, expected JSON type
+const BUNDLE_PARTS = [
+  { name: 'save', key: SAVE_KEY, scoped: true, type: 'object', required: true },
+  { name: 'flags', key: FLAGS_KEY, scoped: true, type: 'object' },
+  { name: 'fog', key: FOG_KEY, scoped: true, type: 'object' },
+  { name: 'dialogueChoices', key: CHOICES_KEY, scoped: true, type: 'array' },
+  { name: 'waypoints', key: WAYPOINTS_KEY, scoped: true, type: 'array' },
+  { name: 'panels', key: PANELS_KEY, scoped: false, type: 'object' }
+];
+
+/**
+ * FNV-1a hash of the bundle data - catches corrupted or hand-edited files.
+ */
+function checksum(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Build an export bundle for the active slot.
+ * @returns {string|null} Bundle JSON, or null if the slot has no save yet
+ */
 export function exportSave() {
-  const save = localStorage.getItem(SAVE_KEY);
-  const flags = localStorage.getItem(FLAGS_KEY);
-  const fog = localStorage.getItem('vetuu_fog');
+  const data = {};
+  for (const part of BUNDLE_PARTS) {
+    const raw = localStorage.getItem(part.scoped ? slotKey(part.key) : part.key);
+    if (raw === null) continue;
+    try {
+      data[part.name] = JSON.parse(raw);
+    } catch (e) {
+      console.warn(`Skipping unreadable ${part.name} in export:`, e);
+    }
+  }
+  if (!data.save) return null;
 
+  const slot = slotIndex?.slots.find(s => s.id === getActiveSlotId());
   return JSON.stringify({
-    save: save ? JSON.parse(save) : null,
-    flags: flags ? JSON.parse(flags) : {},
-    fog: fog ? JSON.parse(fog) : null
+    format: BUNDLE_FORMAT,
+    bundleVersion: BUNDLE_VERSION,
+    exportedAt: Date.now(),
+    slot: { name: slot?.name || 'Imported', meta: slot?.meta || null },
+    data,
+    checksum: checksum(JSON.stringify(data))
   });
 }
 
-export function importSave(data) {
-  try {
-    const parsed = JSON.parse(data);
+/**
+ * Check a parsed bundle. Returns the problem, or null when it can be imported.
+ */
+function validateBundle(bundle) {
+  if (bundle?.format !== BUNDLE_FORMAT) return 'Not a Vetuu save file';
+  if (!Number.isInteger(bundle.bundleVersion) || bundle.bundleVersion > BUNDLE_VERSION) {
+    return `Unsupported bundle version: ${bundle.bundleVersion}`;
+  }
+  if (!bundle.data || typeof bundle.data !== 'object') return 'Bundle has no data';
+  if (checksum(JSON.stringify(bundle.data)) !== bundle.checksum) return 'Checksum mismatch - file is corrupted or was edited';
 
-    if (parsed.save) {
-      localStorage.setItem(SAVE_KEY, JSON.stringify(parsed.save));
-    }
-    if (parsed.flags) {
-      localStorage.setItem(FLAGS_KEY, JSON.stringify(parsed.flags));
-    }
-    if (parsed.fog) {
-      localStorage.setItem('vetuu_fog', JSON.stringify(parsed.fog));
+  for (const part of BUNDLE_PARTS) {
+    const value = bundle.data[part.name];
+    if (value === undefined) {
+      if (part.required) return `Bundle is missing ${part.name}`;
+      continue;
     }
+    const type = Array.isArray(value) ? 'array' : typeof value;
+    if (type !== part.type || value === null) return `Bundle ${part.name} should be ${part.type}`;
+  }
 
-    return true;
+  // The save itself must survive migration + schema validation (checked on a copy)
+  try {
+    const migrated = migrateSave(structuredClone(bundle.data.save));
+    const errors = validateSave(migrated);
+    if (errors.length > 0) return `Save failed validation: ${errors[0]}`;
+  } catch (e) {
+    return e.message;
+  }
+
+  return null;
+}
+
+/**
+ * Import a bundle into a new save slot. All-or-nothing: if any write fails,
+ * everything written so far is rolled back and no slot is created.
+ * @returns {{ ok: boolean, slotId?: string, error?: string }}
+ */
+export function importSave(text) {
+  let bundle;
+  try {
+    bundle = JSON.parse(text);
   } catch (e) {
-    console.error('Failed to import save:', e);
-    return false;
+    return { ok: false, error: 'File is not valid JSON' };
   }
+
+  const error = validateBundle(bundle);
+  if (error) return { ok: false, error };
+
+  const slotId = createSaveSlot(`${bundle.slot?.name || 'Save'} (imported)`);
+  const writes = BUNDLE_PARTS
+    .filter(part => bundle.data[part.name] !== undefined)
+    .map(part => ({
+      key: part.scoped ? slotKey(part.key, slotId) : part.key,
+      value: JSON.stringify(bundle.data[part.name])
+    }));
+  const previous = writes.map(w => ({ key: w.key, value: localStorage.getItem(w.key) }));
+
+  try {
+    for (const w of writes) {
+      localStorage.setItem(w.key, w.value);
+    }
+  } catch (e) {
+    console.error('Failed to import save, rolling back:', e);
+    for (const p of previous) {
+      if (p.value === null) localStorage.removeItem(p.key);
+      else localStorage.setItem(p.key, p.value);
+    }
+    deleteSaveSlot(slotId);
+    return { ok: false, error: 'Not enough storage space' };
+  }
+
+  const slot = slotIndex.slots.find(s => s.id === slotId);
+  slot.meta = bundle.slot?.meta || null;
+  writeSlotIndex();
+
+  return { ok: true, slotId };
 }
 
 // ============================================
@@ -0,0 +1,244 @@
+/**
+ * VETUU — Save Migrations
+ * Versioned upgrade chain and schema validation for saved games
+ *
+ * To change the save format:
+ *   1. Bump SAVE_VERSION
+ *   2. Add MIGRATIONS[oldVersion] that upgrades a save from oldVersion to oldVersion + 1
+ *   3. Update SAVE_SCHEMA to describe the new shape
+ * Migrations run one step at a time, so a v1 save passes through every step.
+ */
+
+import { createSeed } from './rng.js';
+
+export const SAVE_VERSION = 12;
+
+// ============================================
+// MIGRATIONS
+// ============================================
+// Each function receives a save at version N and returns it at version N + 1.
+// Only fill in what's missing - never overwrite data the player already has.
+const MIGRATIONS = {
+  // v1 -> v2: economy (credits + ledger), item slot bindings, merchant stock
+  1(save) {
+    const player = save.player;
+    if (typeof player.credits !== 'number') player.credits = 0;
+    if (!Array.isArray(player.ledger)) player.ledger = [];
+    if (!player.consumableBar) player.consumableBar = { item1: 'itm_medkit', item2: 'itm_sense_stim' };
+    if (!save.shopStock) save.shopStock = {};
+    return save;
+  },
+
+  // v2 -> v3: play time tracking for save slots (unknown for older saves, start at 0)
+  2(save) {
+    if (typeof save.playTime !== 'number') save.playTime = 0;
+    return save;
+  },
+
+  // v3 -> v4: fast-travel beacons the player has unlocked
+  3(save) {
+    if (!Array.isArray(save.unlockedBeacons)) save.unlockedBeacons = [];
+    return save;
+  },
+
+  // v4 -> v5: region discoveries (times unknown for older saves; regions are re-found on entry)
+  4(save) {
+    if (!save.discoveries || typeof save.discoveries !== 'object') save.discoveries = {};
+    return save;
+  },
+
+  // v5 -> v6: world clock + day counter, and the day each quest was completed
+  5(save) {
+    if (!save.worldTime || typeof save.worldTime !== 'object') save.worldTime = { timeOfDay: 0.35, day: 1 };
+    if (!save.quests.completedDay || typeof save.quests.completedDay !== 'object') save.quests.completedDay = {};
+    return save;
+  },
+
+  // v6 -> v7: RNG seed and stream positions (older runs were unseeded, so start a new seed)
+  6(save) {
+    if (!save.rng || typeof save.rng !== 'object') save.rng = { seed: createSeed(), streams: {} };
+    return save;
+  },
+
+  // v7 -> v8: failed quests and quest start times (time limits start on load for older saves)
+  7(save) {
+    if (!Array.isArray(save.quests.failed)) save.quests.failed = [];
+    if (!save.quests.startedAt || typeof save.quests.startedAt !== 'object') save.quests.startedAt = {};
+    return save;
+  },
+
+  // v8 -> v9: repeatable contract turn-ins, kept apart from story completions
+  8(save) {
+    if (!save.quests.contracts || typeof save.quests.contracts !== 'object') save.quests.contracts = {};
+    return save;
+  },
+
+  // v9 -> v10: current stage of staged quests. Reclamation Notice was the one
+  // quest rebuilt into stages: its flat objectives (veil, arena, captain) map
+  // onto the stages of the same name, resuming at the first unfinished one.
+  // Old saves made no choice, so the veil leads straight on to the arena.
+  9(save) {
+    if (!save.quests.stages || typeof save.quests.stages !== 'object') save.quests.stages = {};
+
+    if (save.quests.active.includes('q_reclamation_notice') && !save.quests.stages.q_reclamation_notice) {
+      const oldProgress = save.quests.q_reclamation_notice_progress || {};
+      const stageIds = ['veil', 'arena', 'captain'];
+      let index = stageIds.findIndex((_, i) => !oldProgress[i]?.complete);
+      if (index === -1) index = stageIds.length - 1;
+
+      save.quests.stages.q_reclamation_notice = { id: stageIds[index], choice: null };
+      save.quests.q_reclamation_notice_progress = oldProgress[index] ? { 0: oldProgress[index] } : {};
+    }
+    return save;
+  },
+
+  // v10 -> v11: quests tracked on the map (new quests are tracked, so track what's active)
+  10(save) {
+    if (!Array.isArray(save.quests.tracked)) save.quests.tracked = [...save.quests.active];
+    return save;
+  },
+
+  // v11 -> v12: loot left on the ground (older saves dropped it on reload)
+  11(save) {
+    if (!Array.isArray(save.lootDrops)) save.lootDrops = [];
+    return save;
+  }
+};
+
+/**
+ * Upgrade a save to SAVE_VERSION one step at a time.
+ * @param {object} save - Parsed save data (mutated)
+ * @returns {object} The save at SAVE_VERSION
+ * @throws {Error} If the version is unknown, newer than this build, or a step is missing
+ */
+export function migrateSave(save) {
+  let version = save.version;
+
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Unknown save version: ${version}`);
+  }
+  if (version > SAVE_VERSION) {
+    throw new Error(`Save version ${version} is newer than this build (${SAVE_VERSION})`);
+  }
+
+  while (version < SAVE_VERSION) {
+    const step = MIGRATIONS[version];
+    if (!step) {
+      throw new Error(`No migration from save version ${version}`);
+    }
+    save = step(save);
+    version++;
+    save.version = version;
+    console.log(`[Save] Migrated save to v${version}`);
+  }
+
+  return save;
+}
+
+// ============================================
+// SCHEMA
+// ============================================
+// Leaf values are type names; nested objects describe required sub-fields.
+// Fields ending in '?' are optional.
+const SAVE_SCHEMA = {
+  version: 'number',
+  timestamp: 'number',
+  playTime: 'number',
+  worldTime: {
+    timeOfDay: 'number',
+    day: 'number'
+  },
+  player: {
+    x: 'number',
+    y: 'number',
+    hp: 'number',
+    maxHP: 'number',
+    sense: 'number',
+    maxSense: 'number',
+    atk: 'number',
+    def: 'number',
+    luck: 'number',
+    level: 'number',
+    xp: 'number',
+    xpToNext: 'number',
+    credits: 'number',
+    ledger: 'array',
+    inventory: 'array',
+    equipment: 'object',
+    consumableBar: 'object'
+  },
+  flags: 'object',
+  quests: {
+    active: 'array',
+    complete: 'array',
+    completedDay: 'object',
+    failed: 'array',
+    startedAt: 'object',
+    contracts: 'object',
+    stages: 'object',
+    tracked: 'array'
+  },
+  collectedNodes: 'array',
+  spawnedAreas: 'array',
+  defeatedBosses: 'array',
+  shopStock: 'object',
+  unlockedBeacons: 'array',
+  discoveries: 'object',
+  lootDrops: 'array',
+  rng: {
+    seed: 'number',
+    streams: 'object'
+  }
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number' && !Number.isFinite(value)) return 'non-finite number';
+  return typeof value;
+}
+
+function validateNode(schema, value, path, errors) {
+  for (const [rawKey, expected] of Object.entries(schema)) {
+    const optional = rawKey.endsWith('?');
+    const key = optional ? rawKey.slice(0, -1) : rawKey;
+    const fieldPath = path ? `${path}.${key}` : key;
+    const fieldValue = value[key];
+
+    if (fieldValue === undefined) {
+      if (!optional) errors.push(`${fieldPath} is missing`);
+      continue;
+    }
+
+    if (typeof expected === 'object') {
+      if (typeOf(fieldValue) !== 'object') {
+        errors.push(`${fieldPath} should be object, got ${typeOf(fieldValue)}`);
+        continue;
+      }
+      validateNode(expected, fieldValue, fieldPath, errors);
+    } else if (typeOf(fieldValue) !== expected) {
+      errors.push(`${fieldPath} should be ${expected}, got ${typeOf(fieldValue)}`);
+    }
+  }
+}
+
+/**
+ * Check a save against SAVE_SCHEMA.
+ * @returns {string[]} Problems found (empty when valid)
+ */
+export function validateSave(save) {
+  if (typeOf(save) !== 'object') return ['save is not an object'];
+
+  const errors = [];
+  validateNode(SAVE_SCHEMA, save, '', errors);
+
+  if (Array.isArray(save.player?.inventory)) {
+    save.player.inventory.forEach((entry, i) => {
+      if (typeof entry?.id !== 'string' || typeof entry?.qty !== 'number') {
+        errors.push(`player.inventory[${i}] should be { id, qty }`);
+      }
+    });
+  }
+
+  return errors;
+}
@@ -0,0 +1,352 @@
+/**
+ * VETUU — Shop Module
+ * Merchant window: buy/sell, price display, stock limits, confirmations
+ *
+ * Shops are defined in items.json (`state.shops`). Each inventory entry has
+ * an itemId, a price and an optional `stock` (omit for unlimited).
+ * Remaining stock is tracked per shop in state.runtime.shopStock and saved.
+ */
+
+import { saveGame } from './save.js';
+import { getCredits, canAfford, spendCredits, earnCredits, formatCredits } from './economy.js';
+
+// Fraction of the buy price a merchant pays when the player sells
+const SELL_RATE = 0.5;
+
+// Item types merchants will never buy
+const UNSELLABLE_TYPES = ['quest'];
+
+let shopPanel = null;
+let titleEl = null;
+let walletEl = null;
+let listEl = null;
+let confirmEl = null;
+let confirmTextEl = null;
+
+let currentState = null;
+let currentShop = null;
+let activeTab = 'buy';
+let pendingTransaction = null; // { kind: 'buy'|'sell', itemId, price }
+
+// ============================================
+// INITIALIZATION
+// ============================================
+export function initShop(state) {
+  currentState = state;
+
+  if (!state.runtime.shopStock) {
+    state.runtime.shopStock = {};
+  }
+
+  shopPanel = document.getElementById('shop-panel');
+  titleEl = document.getElementById('shop-title');
+  walletEl = document.getElementById('shop-wallet');
+  listEl = document.getElementById('shop-list');
+  confirmEl = document.getElementById('shop-confirm');
+  confirmTextEl = document.getElementById('shop-confirm-text');
+
+  if (!shopPanel) return;
+
+  document.getElementById('shop-close')?.addEventListener('click', closeShop);
+  document.getElementById('shop-confirm-yes')?.addEventListener('click', confirmTransaction);
+  document.getElementById('shop-confirm-no')?.addEventListener('click', cancelTransaction);
+
+  shopPanel.querySelectorAll('.shop-tab').forEach(tab => {
+    tab.addEventListener('click', () => setTab(tab.dataset.tab));
+  });
+
+  // Native dialog close (Escape, form submit) - drop any pending confirmation
+  shopPanel.addEventListener('close', () => {
+    currentShop = null;
+    pendingTransaction = null;
+  });
+}
+
+// ============================================
+// OPEN / CLOSE
+// ============================================
+export function openShop(shopId) {
+  const shop = currentState?.shops.find(s => s.id === shopId);
+  if (!shop) {
+    console.warn('Shop not found:', shopId);
+    return false;
+  }
+  if (!shopPanel) return false;
+
+  currentShop = shop;
+  activeTab = 'buy';
+  pendingTransaction = null;
+
+  if (titleEl) titleEl.textContent = shop.name;
+  renderShop();
+
+  if (!shopPanel.open) shopPanel.showModal();
+  return true;
+}
+
+export function closeShop() {
+  if (shopPanel?.open) shopPanel.close();
+  currentShop = null;
+  pendingTransaction = null;
+}
+
+export function isShopOpen() {
+  return !!shopPanel?.open;
+}
+
+function setTab(tab) {
+  if (tab !== 'buy' && tab !== 'sell') return;
+  activeTab = tab;
+  pendingTransaction = null;
+  renderShop();
+}
+
+// ============================================
+// PRICING & STOCK
+// ============================================
+
+/**
+ * Remaining stock for a shop listing.
+ * @returns {number} Remaining count, or Infinity when the listing is unlimited
+ */
+export function getStock(shopId, itemId) {
+  const shop = currentState?.shops.find(s => s.id === shopId);
+  const listing = shop?.inventory.find(l => l.itemId === itemId);
+  if (!listing) return 0;
+  if (listing.stock === undefined) return Infinity;
+
+  const remaining = currentState.runtime.shopStock[shopId]?.[itemId];
+  return remaining === undefined ? listing.stock : remaining;
+}
+
+function setStock(shopId, itemId, value) {
+  const stock = currentState.runtime.shopStock;
+  stock[shopId] = stock[shopId] || {};
+  stock[shopId][itemId] = value;
+}
+
+/**
+ * Price a merchant pays for one unit of an item.
+ * Uses the item's listing in any shop, falling back to `value` on the item def.
+ * @returns {number} Sell price (0 = merchant won't buy it)
+ */
+export function getSellPrice(itemId) {
+  const itemDef = currentState?.items.find(i => i.id === itemId);
+  if (!itemDef || UNSELLABLE_TYPES.includes(itemDef.type)) return 0;
+
+  let basePrice = itemDef.value || 0;
+  for (const shop of currentState.shops) {
+    const listing = shop.inventory.find(l => l.itemId === itemId);
+    if (listing) {
+      basePrice = Math.max(basePrice, listing.price);
+    }
+  }
+
+  return Math.floor(basePrice * SELL_RATE);
+}
+
+/**
+ * Number of units the player can sell (keeps the equipped copy).
+ */
+function getSellableCount(itemId) {
+  const entry = currentState.player.inventory.find(i => i.id === itemId);
+  if (!entry) return 0;
+
+  const equipped = Object.values(currentState.player.equipment).includes(itemId);
+  return equipped ? entry.qty - 1 : entry.qty;
+}
+
+// ============================================
+// RENDERING
+// ============================================
+function renderShop() {
+  if (!currentShop || !listEl) return;
+
+  shopPanel.querySelectorAll('.shop-tab').forEach(tab => {
+    tab.classList.toggle('active', tab.dataset.tab === activeTab);
+  });
+
+  if (walletEl) walletEl.textContent = formatCredits(getCredits());
+
+  listEl.innerHTML = '';
+  if (activeTab === 'buy') {
+    renderBuyList();
+  } else {
+    renderSellList();
+  }
+
+  renderConfirm();
+}
+
+function renderBuyList() {
+  for (const listing of currentShop.inventory) {
+    const itemDef = currentState.items.find(i => i.id === listing.itemId);
+    if (!itemDef) continue;
+
+    const stock = getStock(currentShop.id, listing.itemId);
+    const soldOut = stock <= 0;
+    const affordable = canAfford(listing.price);
+
+    const li = createItemRow(itemDef, {
+      price: listing.price,
+      meta: stock === Infinity ? '' : (soldOut ? 'Sold out' : `${stock} left`),
+      actionLabel: 'Buy',
+      disabled: soldOut || !affordable,
+      onAction: () => requestTransaction('buy', itemDef.id, listing.price)
+    });
+    if (!affordable && !soldOut) li.classList.add('unaffordable');
+
+    listEl.appendChild(li);
+  }
+}
+
+function renderSellList() {
+  let any = false;
+
+  for (const entry of currentState.player.inventory) {
+    const itemDef = currentState.items.find(i => i.id === entry.id);
+    if (!itemDef) continue;
+
+    const price = getSellPrice(entry.id);
+    const count = getSellableCount(entry.id);
+    if (price <= 0 || count <= 0) continue;
+
+    listEl.appendChild(createItemRow(itemDef, {
+      price,
+      meta: `x${count}`,
+      actionLabel: 'Sell',
+      disabled: false,
+      onAction: () => requestTransaction('sell', itemDef.id, price)
+    }));
+    any = true;
+  }
+
+  if (!any) {
+    listEl.innerHTML = '<li class="shop-empty">Nothing this merchant will buy.</li>';
+  }
+}
+
+function createItemRow(itemDef, { price, meta, actionLabel, disabled, onAction }) {
+  const li = document.createElement('li');
+  li.className = 'shop-item';
+  li.title = itemDef.desc || '';
+
+  li.innerHTML = `
+    <span class="inventory-item-icon ${itemDef.rarity || ''}">${itemDef.name.charAt(0)}</span>
+    <span class="inventory-item-info">
+      <span class="inventory-item-name">${itemDef.name}</span>
+      <span class="inventory-item-desc">${itemDef.desc || ''}</span>
+    </span>
+    <span class="shop-item-meta">${meta}</span>
+    <span class="shop-item-price">${formatCredits(price)}</span>
+  `;
+
+  const btn = document.createElement('button');
+  btn.className = 'shop-item-action';
+  btn.textContent = actionLabel;
+  btn.disabled = disabled;
+  btn.addEventListener('click', onAction);
+  li.appendChild(btn);
+
+  return li;
+}
+
+function renderConfirm() {
+  if (!confirmEl) return;
+
+  if (!pendingTransaction) {
+    confirmEl.classList.add('hidden');
+    return;
+  }
+
+  const { kind, itemId, price } = pendingTransaction;
+  const itemDef = currentState.items.find(i => i.id === itemId);
+  const verb = kind === 'buy' ? 'Buy' : 'Sell';
+  if (confirmTextEl) confirmTextEl.textContent = `${verb} ${itemDef?.name || itemId} for ${formatCredits(price)}?`;
+  confirmEl.classList.remove('hidden');
+}
+
+// ============================================
+// TRANSACTIONS
+// ============================================
+function requestTransaction(kind, itemId, price) {
+  pendingTransaction = { kind, itemId, price };
+  renderConfirm();
+}
+
+function cancelTransaction() {
+  pendingTransaction = null;
+  renderConfirm();
+}
+
+async function confirmTransaction() {
+  if (!pendingTransaction || !currentShop) return;
+
+  const { kind, itemId } = pendingTransaction;
+  pendingTransaction = null;
+
+  if (kind === 'buy') {
+    await buyItem(currentShop.id, itemId);
+  } else {
+    await sellItem(itemId);
+  }
+
+  renderShop();
+}
+
+/**
+ * Buy one unit of a listing. Validates stock and funds.
+ * @returns {Promise<boolean>} True if the purchase went through
+ */
+export async function buyItem(shopId, itemId) {
+  const { addItem, showToast, updateHUD } = await import('./game.js');
+
+  const shop = currentState.shops.find(s => s.id === shopId);
+  const listing = shop?.inventory.find(l => l.itemId === itemId);
+  if (!listing) return false;
+
+  const stock = getStock(shopId, itemId);
+  if (stock <= 0) {
+    showToast('Sold out', 'error');
+    return false;
+  }
+
+  const itemDef = currentState.items.find(i => i.id === itemId);
+  if (!spendCredits(listing.price, 'shop_buy', `${shopId}:${itemDef?.name || itemId}`)) {
+    showToast('Not enough credits', 'error');
+    return false;
+  }
+
+  if (stock !== Infinity) {
+    setStock(shopId, itemId, stock - 1);
+  }
+
+  addItem(itemId, 1);
+  updateHUD();
+  saveGame(currentState);
+  return true;
+}
+
+/**
+ * Sell one unit of an inventory item to the open merchant.
+ * @returns {Promise<boolean>} True if the sale went through
+ */
+export async function sellItem(itemId) {
+  const { removeItem, showToast, updateHUD } = await import('./game.js');
+
+  const price = getSellPrice(itemId);
+  if (price <= 0 || getSellableCount(itemId) <= 0) {
+    showToast('The merchant won\'t take that', 'error');
+    return false;
+  }
+
+  if (!removeItem(itemId, 1)) return false;
+
+  const itemDef = currentState.items.find(i => i.id === itemId);
+  earnCredits(price, 'shop_sell', itemDef?.name || itemId);
+
+  showToast(`Sold ${itemDef?.name || itemId} for ${formatCredits(price)}`, 'item');
+  updateHUD();
+  saveGame(currentState);
+  return true;
+}
@@ -0,0 +1,266 @@
+/**
+ * VETUU — Slot Picker Module
+ * Save slot list shown at startup and from the settings menu:
+ * load, create, copy, rename and delete slots, plus export/import of a
+ * slot as a downloadable bundle file
+ */
+
+import {
+  saveGame,
+  getSaveSlots,
+  setActiveSlot,
+  createSaveSlot,
+  copySaveSlot,
+  renameSaveSlot,
+  deleteSaveSlot,
+  exportSave,
+  importSave,
+  getActiveSlotId
+} from './save.js';
+
+let slotPanel = null;
+let listEl = null;
+let currentState = null;
+
+// 'startup' = no game running yet, picking resolves the startup promise
+// 'ingame'  = opened from settings, switching slots reloads the page
+let mode = 'ingame';
+let resolveStartup = null;
+
+// ============================================
+// INITIALIZATION
+// ============================================
+export function initSlotPicker(state) {
+  currentState = state;
+
+  slotPanel = document.getElementById('slot-panel');
+  listEl = document.getElementById('slot-list');
+  if (!slotPanel) return;
+
+  document.getElementById('slot-close')?.addEventListener('click', closeSlotPicker);
+  document.getElementById('slot-new')?.addEventListener('click', onNewSlot);
+
+  // Settings menu export/import
+  const fileInput = document.getElementById('import-file');
+  document.getElementById('export-btn')?.addEventListener('click', onExport);
+  document.getElementById('import-btn')?.addEventListener('click', () => fileInput?.click());
+  fileInput?.addEventListener('change', () => {
+    const file = fileInput.files?.[0];
+    fileInput.value = ''; // allow picking the same file again
+    if (file) onImportFile(file);
+  });
+
+  // Escape / close at startup continues with the active slot
+  slotPanel.addEventListener('close', () => {
+    if (mode === 'startup') finishStartup();
+  });
+}
+
+// ============================================
+// OPEN / CLOSE
+// ============================================
+
+/**
+ * Startup: let the player pick a slot when there is more than a blank one.
+ * @returns {Promise<void>} Resolves once the active slot is decided
+ */
+export function chooseSaveSlot() {
+  if (!slotPanel || !getSaveSlots().some(s => s.hasSave)) {
+    return Promise.resolve();
+  }
+
+  mode = 'startup';
+  return new Promise(resolve => {
+    resolveStartup = resolve;
+    renderSlots();
+    slotPanel.showModal();
+  });
+}
+
+/**
+ * In-game: open from the settings menu.
+ */
+export function openSlotPicker() {
+  if (!slotPanel) return;
+  mode = 'ingame';
+  renderSlots();
+  if (!slotPanel.open) slotPanel.showModal();
+}
+
+export function closeSlotPicker() {
+  if (slotPanel?.open) slotPanel.close();
+}
+
+export function isSlotPickerOpen() {
+  return !!slotPanel?.open;
+}
+
+function finishStartup() {
+  mode = 'ingame';
+  if (resolveStartup) {
+    const resolve = resolveStartup;
+    resolveStartup = null;
+    resolve();
+  }
+}
+
+// ============================================
+// RENDERING
+// ============================================
+function renderSlots() {
+  if (!listEl) return;
+  listEl.innerHTML = '';
+
+  for (const slot of getSaveSlots()) {
+    listEl.appendChild(createSlotRow(slot));
+  }
+}
+
+function createSlotRow(slot) {
+  const li = document.createElement('li');
+  li.className = 'slot-item';
+  li.classList.toggle('active', slot.active);
+
+  const info = document.createElement('span');
+  info.className = 'slot-item-info';
+  info.innerHTML = `
+    <span class="slot-item-name"></span>
+    <span class="slot-item-meta">${formatSlotMeta(slot)}</span>
+  `;
+  // Slot names are player-typed - set as text
+  info.querySelector('.slot-item-name').textContent = slot.active ? `${slot.name} (current)` : slot.name;
+  li.appendChild(info);
+
+  const actions = document.createElement('span');
+  actions.className = 'slot-item-actions';
+
+  // In-game, the current slot is already loaded and can't be deleted out from under the game
+  const isRunning = mode === 'ingame' && slot.active;
+
+  actions.appendChild(createButton(slot.hasSave ? 'Load' : 'Start', isRunning, () => onLoadSlot(slot.id)));
+  actions.appendChild(createButton('Copy', !slot.hasSave, () => onCopySlot(slot.id)));
+  actions.appendChild(createButton('Rename', false, () => onRenameSlot(slot)));
+  actions.appendChild(createButton('Delete', isRunning, () => onDeleteSlot(slot)));
+
+  li.appendChild(actions);
+  return li;
+}
+
+function createButton(label, disabled, onClick) {
+  const btn = document.createElement('button');
+  btn.className = 'slot-item-action';
+  btn.textContent = label;
+  btn.disabled = disabled;
+  btn.addEventListener('click', onClick);
+  return btn;
+}
+
+function formatSlotMeta(slot) {
+  const meta = slot.meta;
+  if (!slot.hasSave || !meta) return 'Empty';
+
+  const quests = `${meta.questCount} quest${meta.questCount === 1 ? '' : 's'} done`;
+  const saved = new Date(meta.timestamp).toLocaleString();
+  return `Lv ${meta.level} · ${meta.region} · ${formatPlayTime(meta.playTime)} · ${quests} · ${saved}`;
+}
+
+export function formatPlayTime(ms) {
+  const totalMinutes = Math.floor((ms || 0) / 60000);
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return hours > 0 ? `${hours}h ${String(minutes).padStart(2, '0')}m` : `${minutes}m`;
+}
+
+// ============================================
+// ACTIONS
+// ============================================
+function switchToSlot(slotId) {
+  setActiveSlot(slotId);
+
+  if (mode === 'startup') {
+    closeSlotPicker(); // close handler finishes startup
+    return;
+  }
+
+  // Mid-game: keep the current slot's progress, then boot into the new one
+  if (currentState) saveGame(currentState);
+  window.location.reload();
+}
+
+function onLoadSlot(slotId) {
+  switchToSlot(slotId);
+}
+
+function onNewSlot() {
+  const name = prompt('Name for the new save slot:', `Slot ${getSaveSlots().length + 1}`);
+  if (name === null) return;
+  switchToSlot(createSaveSlot(name.trim()));
+}
+
+function onCopySlot(slotId) {
+  // Copy what's on disk - flush the running game first so the copy is current
+  if (mode === 'ingame' && currentState) saveGame(currentState);
+  copySaveSlot(slotId);
+  renderSlots();
+}
+
+function onRenameSlot(slot) {
+  const name = prompt('Rename save slot:', slot.name);
+  if (name === null) return;
+  renameSaveSlot(slot.id, name);
+  renderSlots();
+}
+
+function onDeleteSlot(slot) {
+  if (!confirm(`Delete "${slot.name}"? This cannot be undone.`)) return;
+  deleteSaveSlot(slot.id);
+  renderSlots();
+}
+
+// ============================================
+// EXPORT / IMPORT (settings menu)
+// ============================================
+async function onExport() {
+  const { showToast } = await import('./game.js');
+
+  // Flush the running game so the file matches what's on screen
+  if (currentState) saveGame(currentState);
+
+  const bundle = exportSave();
+  if (!bundle) {
+    showToast('Nothing to export yet', 'error');
+    return;
+  }
+
+  const slot = getSaveSlots().find(s => s.id === getActiveSlotId());
+  const safeName = (slot?.name || 'save').replace(/[^a-z0-9_-]+/gi, '_');
+  const date = new Date().toISOString().slice(0, 10);
+
+  const url = URL.createObjectURL(new Blob([bundle], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `vetuu-${safeName}-${date}.json`;
+  link.click();
+  URL.revokeObjectURL(url);
+
+  showToast('Save exported', 'item');
+}
+
+async function onImportFile(file) {
+  const { showToast } = await import('./game.js');
+
+  const result = importSave(await file.text());
+  if (!result.ok) {
+    showToast(`Import failed: ${result.error}`, 'error');
+    return;
+  }
+
+  const slot = getSaveSlots().find(s => s.id === result.slotId);
+  if (confirm(`Imported as "${slot?.name}". Switch to it now?`)) {
+    mode = 'ingame';
+    switchToSlot(result.slotId);
+  } else {
+    showToast(`Imported as "${slot?.name}"`, 'item');
+    if (isSlotPickerOpen()) renderSlots();
+  }
+}
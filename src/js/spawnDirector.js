@@ -11,13 +11,20 @@
 
 import { canMoveTo, isRoadTile } from './collision.js';
 import { hasFlag } from './save.js';
-import { distCoords, randomRange, cssVar } from './utils.js';
+import { distCoords } from './utils.js';
 import { AI } from './aiConstants.js';
 import { nowMs } from './time.js';
+import { rng } from './rng.js';
+import { getWeatherSpawnWeight } from './weather.js';
 import { normalizeHealthKeys, clampHP } from './entityCompat.js';
-import { addEnemyElement } from './combat.js';
+import { isInGhostMode } from './combat.js';
+import { emit, EVENTS } from './events.js';
 import { perfStart, perfEnd } from './perf.js';
 import { mapConfig, getRingForDistance as getRingFromConfig } from './mapConfig.js';
+import {
+  ENEMY_TYPES, getSpawnableType, defaultRoleForType, pickTemplateRoster,
+  scaleEnemyStats, applyAlphaMods
+} from './enemyCatalog.js';
 
 // ============================================
 // RING/CENTER ACCESS (via mapConfig)
@@ -90,71 +97,11 @@ const ROAD_EXCLUSION_RADIUS = 9;
 // ============================================
 // SPAWN TEMPLATES - Composition-aware pack rosters
 // ============================================
-// Templates define role + type combinations for packs
-// This creates intentional frontline + backline + special compositions
-const SPAWN_TEMPLATES = {
-  frontier_pack: {
-    kind: 'pack',
-    pickRoster: (rng) => ([
-      { role: 'ranged_skirmisher', type: rng.pick(['scav_ranged']) },
-      { role: 'melee_flanker', type: rng.pick(['scav_melee', 'nomad']) },
-      { role: 'melee_chaser', type: rng.pick(['scav_melee']) }
-    ])
-  },
-
-  wilderness_pack: {
-    kind: 'pack',
-    pickRoster: (_rng) => ([
-      { role: 'ranged_grenadier', type: 'trog_shaman' },
-      { role: 'melee_chaser', type: 'trog_warrior' },
-      { role: 'melee_flanker', type: 'trog_warrior' },
-      { role: 'ranged_skirmisher', type: 'trog_shaman' }
-    ])
-  },
-
-  karth_patrol: {
-    kind: 'pack',
-    pickRoster: (_rng) => ([
-      { role: 'ranged_marksman', type: 'karth_grunt' },
-      { role: 'ranged_suppressor', type: 'karth_grunt' },
-      { role: 'melee_chaser', type: 'karth_officer' }
-    ])
-  },
-  
-  // Deep zone gets elite composition
-  deep_patrol: {
-    kind: 'pack',
-    pickRoster: (_rng) => ([
-      { role: 'ranged_marksman', type: 'karth_grunt' },
-      { role: 'ranged_grenadier', type: 'karth_grunt' },
-      { role: 'melee_chaser', type: 'karth_officer' },
-      { role: 'ranged_suppressor', type: 'karth_grunt' }
-    ])
-  }
-};
+// Templates (data/enemies.json, via enemyCatalog.js) define role + type
+// combinations for packs: intentional frontline + backline + special compositions
 
-// Simple RNG helper for template roster selection
-const templateRng = {
-  pick: (arr) => arr[Math.floor(Math.random() * arr.length)]
-};
-
-/**
- * Get default role for an enemy type.
- * Used when spawning enemies without explicit role assignment.
- * @param {string} type - Enemy type (e.g., 'scav_ranged', 'trog_warrior')
- * @returns {string} Default role
- */
-function defaultRoleForType(type) {
-  // Ranged types default to skirmisher
-  if (type === 'scav_ranged' || type === 'trog_shaman' || type === 'karth_grunt') {
-    return 'ranged_skirmisher';
-  }
-  // Melee types default to flanker
-  if (type === 'trog_warrior' || type === 'scav_melee' || type === 'karth_officer' || type === 'nomad') {
-    return 'melee_flanker';
-  }
-  return 'melee_flanker';
-}
+// Every spawn roll (layout, placement, rosters, levels, timers) uses the spawn stream
+const spawnRng = rng('spawn');
 
 /**
  * Clamp a position to stay within map bounds with margin for spawn radius.
@@ -367,141 +314,6 @@ export function releaseEnemyBlock(enemy) {
   }
 }
 
-// ============================================
-// ENEMY TYPE DEFINITIONS (Simplified Combat)
-// ============================================
-// All enemies are either melee or ranged
-// - Melee: range = 1 (adjacent), faster movement (320-380ms)
-// - Ranged: range = 6, slower movement (420-480ms)
-//
-// Colors reference CSS variables (resolved at spawn time)
-let _enemyTypes = null;
-
-function getEnemyTypes() {
-  if (!_enemyTypes) {
-    _enemyTypes = {
-      // Nomads (passive wanderers, always solo, melee)
-      nomad: {
-        name: 'Nomad',
-        baseHp: 25,
-        baseAtk: 4,
-        baseDef: 2,
-        color: cssVar('--enemy-scavenger'),
-        combatType: 'melee',
-        weapon: 'melee_club',
-        moveSpeed: 360,
-        defaultAggroType: 'passive',
-        defaultAggroRadius: 3,
-        defaultLeashRadius: 10,
-        defaultDeaggroMs: 3000
-      },
-      
-      // Scavengers - ranged variant
-      scav_ranged: {
-        name: 'Scav Shooter',
-        baseHp: 30,
-        baseAtk: 10,
-        baseDef: 2,
-        color: cssVar('--enemy-stalker'),
-        combatType: 'ranged',
-        weapon: 'ranged_rifle',
-        projectileColor: cssVar('--projectile-psionic'),
-        moveSpeed: 450,
-        defaultAggroType: 'conditional',
-        defaultAggroRadius: 6,
-        defaultLeashRadius: 14,
-        defaultDeaggroMs: 4000
-      },
-      // Scavengers - melee variant  
-      scav_melee: {
-        name: 'Scav Brawler',
-        baseHp: 45,
-        baseAtk: 12,
-        baseDef: 4,
-        color: cssVar('--enemy-bruiser'),
-        combatType: 'melee',
-        weapon: 'melee_club',
-        moveSpeed: 350,
-        defaultAggroType: 'conditional',
-        defaultAggroRadius: 5,
-        defaultLeashRadius: 12,
-        defaultDeaggroMs: 4000
-      },
-      
-      // Trog Warband - melee warrior
-      trog_warrior: {
-        name: 'Trog Warrior',
-        baseHp: 50,
-        baseAtk: 14,
-        baseDef: 5,
-        color: cssVar('--enemy-shaman'),
-        combatType: 'melee',
-        weapon: 'melee_spear',
-        moveSpeed: 320,
-        defaultAggroType: 'aggressive',
-        defaultAggroRadius: 8,
-        defaultLeashRadius: 18,
-        defaultDeaggroMs: 5000
-      },
-      // Trog Warband - ranged shaman
-      trog_shaman: {
-        name: 'Trog Shaman',
-        baseHp: 35,
-        baseAtk: 18,
-        baseDef: 3,
-        color: cssVar('--enemy-hunter'),
-        combatType: 'ranged',
-        weapon: 'ranged_bolt',
-        projectileColor: cssVar('--projectile-nature'),
-        moveSpeed: 480,
-        defaultAggroType: 'aggressive',
-        defaultAggroRadius: 10,
-        defaultLeashRadius: 16,
-        defaultDeaggroMs: 5000
-      },
-      
-      // Karth Directorate - ranged soldier
-      karth_grunt: {
-        name: 'Karth Soldier',
-        baseHp: 55,
-        baseAtk: 16,
-        baseDef: 6,
-        color: cssVar('--enemy-sentry'),
-        combatType: 'ranged',
-        weapon: 'karth_laser',
-        projectileColor: cssVar('--projectile-fire'),
-        moveSpeed: 420,
-        defaultAggroType: 'aggressive',
-        defaultAggroRadius: 10,
-        defaultLeashRadius: 20,
-        defaultDeaggroMs: 6000
-      },
-      // Karth Directorate - melee officer
-      karth_officer: {
-        name: 'Karth Officer',
-        baseHp: 70,
-        baseAtk: 20,
-        baseDef: 8,
-        color: cssVar('--enemy-veilwalker'),
-        combatType: 'melee',
-        weapon: 'melee_club',
-        moveSpeed: 350,
-        defaultAggroType: 'aggressive',
-        defaultAggroRadius: 8,
-        defaultLeashRadius: 18,
-        defaultDeaggroMs: 6000
-      }
-    };
-  }
-  return _enemyTypes;
-}
-
-// Alias for backward compatibility
-const ENEMY_TYPES = new Proxy({}, {
-  get: (_, prop) => getEnemyTypes()[prop]
-});
-
-
 // ============================================
 // LOADED REGION MODEL
 // ============================================
@@ -564,6 +376,15 @@ export function initSpawnDirector(state) {
   console.log(`[SpawnDirector] ${spawners.length} spawners, ${validSlots}/${totalSlots} slots`);
 }
 
+/**
+ * Stop the spawn tick. Headless runs (tests, tools) call this so the
+ * process can exit.
+ */
+export function stopSpawnDirector() {
+  if (spawnTickInterval) clearInterval(spawnTickInterval);
+  spawnTickInterval = null;
+}
+
 function initializeSpawners(state) {
   spawners = [];
   
@@ -703,6 +524,33 @@ function bootstrapSpawns() {
 // - WILDERNESS (70-128): Danger zone, levels 12-25 (3x radius)
 // - DANGER (135-190): Elite zone, levels 25-40 (3x radius)
 // - DEEP (200-256+): Endgame, levels 40-50 (3x radius, includes corners)
+/**
+ * Hand-placed spawners with stable ids, for quest `encounter` objectives.
+ * Generated spawner ids are numbered in placement order and can't be relied on.
+ */
+const NAMED_SPAWNERS = [
+  {
+    // Scav camp west of the north road, near the missing runner's marker
+    id: 'sp_scavs_west',
+    offset: { x: -16, y: -50 },
+    config: {
+      kind: 'pack',
+      ring: 'frontier',
+      templateId: 'frontier_pack',
+      spawnRadius: 6,
+      enemyPool: ['scav_ranged', 'scav_melee'],
+      levelRange: [5, 9],
+      packSize: { min: 3, max: 4 },
+      aggroType: 'conditional',
+      aggroRadius: 10,
+      leashRadius: 18,
+      deaggroTimeMs: 6000,
+      respawnMs: PACK_RESPAWN_MS.min,
+      minDistanceToOtherPacks: 20
+    }
+  }
+];
+
 function generateDefaultSpawners() {
   const result = [];
   let id = 0;
@@ -759,7 +607,7 @@ function generateDefaultSpawners() {
     
     // Try nearby positions with increasing distance, always avoiding roads
     for (let attempt = 0; attempt < maxAttempts; attempt++) {
-      const angle = (attempt / maxAttempts) * Math.PI * 2 + Math.random() * 0.5;
+      const angle = (attempt / maxAttempts) * Math.PI * 2 + spawnRng.next() * 0.5;
       const dist = 5 + attempt * 2; // Increasing search radius
       let newX = Math.max(10, Math.min(mapSize - 10, startX + Math.cos(angle) * dist));
       let newY = Math.max(10, Math.min(mapSize - 10, startY + Math.sin(angle) * dist));
@@ -804,7 +652,7 @@ function generateDefaultSpawners() {
     const positions = [];
     for (let i = 0; i < count; i++) {
       const angle = (i / count) * Math.PI * 2 + angleOffset;
-      const dist = minDist + Math.random() * (maxDist - minDist);
+      const dist = minDist + spawnRng.next() * (maxDist - minDist);
       const rawX = center.x + Math.cos(angle) * dist;
       const rawY = center.y + Math.sin(angle) * dist;
       
@@ -866,8 +714,8 @@ function generateDefaultSpawners() {
       
       for (const pos of cornerPositions) {
         // Add small randomization
-        const randX = (Math.random() - 0.5) * 8;
-        const randY = (Math.random() - 0.5) * 8;
+        const randX = (spawnRng.next() - 0.5) * 8;
+        const randY = (spawnRng.next() - 0.5) * 8;
         
         const finalX = Math.max(margin, Math.min(mapSize - margin, pos.x + randX));
         const finalY = Math.max(margin, Math.min(mapSize - margin, pos.y + randY));
@@ -898,6 +746,20 @@ function generateDefaultSpawners() {
     corner: 12      // Corner spawners
   };
   
+  // ============================================
+  // NAMED SPAWNERS (quest encounters refer to these by id)
+  // Placed before the rings so generated spawners keep clear of them.
+  // Offsets are from the base center.
+  // ============================================
+  for (const named of NAMED_SPAWNERS) {
+    const pos = { x: center.x + named.offset.x, y: center.y + named.offset.y };
+    result.push(createSpawner({
+      ...named.config,
+      id: named.id,
+      center: findValidPosition(pos.x, pos.y, named.config.spawnRadius) || pos
+    }));
+  }
+  
   // ============================================
   // SAFE RING: NOMADS ONLY (Solo, Level 1-3)
   // Ring is 28-32 tiles from center, small band near roads
@@ -916,7 +778,7 @@ function generateDefaultSpawners() {
       aggroRadius: 4,
       leashRadius: 10,
       deaggroTimeMs: 3000,
-      respawnMs: randomRange(STRAY_RESPAWN_MS.min, STRAY_RESPAWN_MS.max),
+      respawnMs: spawnRng.int(STRAY_RESPAWN_MS.min, STRAY_RESPAWN_MS.max),
       isNpeCritter: true
     }));
   });
@@ -939,7 +801,7 @@ function generateDefaultSpawners() {
       aggroRadius: 8,
       leashRadius: 16,
       deaggroTimeMs: 5000,
-      respawnMs: randomRange(STRAY_RESPAWN_MS.min, STRAY_RESPAWN_MS.max)
+      respawnMs: spawnRng.int(STRAY_RESPAWN_MS.min, STRAY_RESPAWN_MS.max)
     }));
   });
   
@@ -961,7 +823,7 @@ function generateDefaultSpawners() {
       aggroRadius: 10,
       leashRadius: 18,
       deaggroTimeMs: 6000,
-      respawnMs: randomRange(PACK_RESPAWN_MS.min, PACK_RESPAWN_MS.max),
+      respawnMs: spawnRng.int(PACK_RESPAWN_MS.min, PACK_RESPAWN_MS.max),
       minDistanceToOtherPacks: 20
     }));
   });
@@ -986,7 +848,7 @@ function generateDefaultSpawners() {
       aggroRadius: 12,
       leashRadius: 22,
       deaggroTimeMs: 8000,
-      respawnMs: randomRange(STRAY_RESPAWN_MS.min, STRAY_RESPAWN_MS.max),
+      respawnMs: spawnRng.int(STRAY_RESPAWN_MS.min, STRAY_RESPAWN_MS.max),
       isAlpha: isAlpha,
       alphaBonus: isAlpha ? 1.5 : 0
     }));
@@ -1010,7 +872,7 @@ function generateDefaultSpawners() {
       aggroRadius: 14,
       leashRadius: 24,
       deaggroTimeMs: 8000,
-      respawnMs: randomRange(PACK_RESPAWN_MS.min, PACK_RESPAWN_MS.max),
+      respawnMs: spawnRng.int(PACK_RESPAWN_MS.min, PACK_RESPAWN_MS.max),
       minDistanceToOtherPacks: 25
     }));
   });
@@ -1035,7 +897,7 @@ function generateDefaultSpawners() {
       aggroRadius: 14,
       leashRadius: 26,
       deaggroTimeMs: 10000,
-      respawnMs: randomRange(STRAY_RESPAWN_MS.min, STRAY_RESPAWN_MS.max),
+      respawnMs: spawnRng.int(STRAY_RESPAWN_MS.min, STRAY_RESPAWN_MS.max),
       isAlpha: isAlpha,
       alphaBonus: isAlpha ? 1.8 : 0
     }));
@@ -1059,7 +921,7 @@ function generateDefaultSpawners() {
       aggroRadius: 14,
       leashRadius: 26,
       deaggroTimeMs: 10000,
-      respawnMs: randomRange(PACK_RESPAWN_MS.min, PACK_RESPAWN_MS.max),
+      respawnMs: spawnRng.int(PACK_RESPAWN_MS.min, PACK_RESPAWN_MS.max),
       minDistanceToOtherPacks: 28
     }));
   });
@@ -1084,7 +946,7 @@ function generateDefaultSpawners() {
       aggroRadius: 16,
       leashRadius: 30,
       deaggroTimeMs: 12000,
-      respawnMs: randomRange(STRAY_RESPAWN_MS.min, STRAY_RESPAWN_MS.max),
+      respawnMs: spawnRng.int(STRAY_RESPAWN_MS.min, STRAY_RESPAWN_MS.max),
       isAlpha: isAlpha,
       alphaBonus: isAlpha ? 2.0 : 0
     }));
@@ -1108,7 +970,7 @@ function generateDefaultSpawners() {
       aggroRadius: 16,
       leashRadius: 30,
       deaggroTimeMs: 12000,
-      respawnMs: randomRange(PACK_RESPAWN_MS.min * 1.5, PACK_RESPAWN_MS.max * 1.5),
+      respawnMs: spawnRng.int(PACK_RESPAWN_MS.min * 1.5, PACK_RESPAWN_MS.max * 1.5),
       minDistanceToOtherPacks: 32
     }));
   });
@@ -1134,7 +996,7 @@ function generateDefaultSpawners() {
         aggroRadius: 18,
         leashRadius: 32,
         deaggroTimeMs: 15000,
-        respawnMs: randomRange(PACK_RESPAWN_MS.min * 1.5, PACK_RESPAWN_MS.max * 1.5),
+        respawnMs: spawnRng.int(PACK_RESPAWN_MS.min * 1.5, PACK_RESPAWN_MS.max * 1.5),
         minDistanceToOtherPacks: 25
       }));
     } else {
@@ -1150,7 +1012,7 @@ function generateDefaultSpawners() {
         aggroRadius: 18,
         leashRadius: 32,
         deaggroTimeMs: 15000,
-        respawnMs: randomRange(STRAY_RESPAWN_MS.min, STRAY_RESPAWN_MS.max),
+        respawnMs: spawnRng.int(STRAY_RESPAWN_MS.min, STRAY_RESPAWN_MS.max),
         isAlpha: true,
         alphaBonus: 2.0
       }));
@@ -1244,7 +1106,7 @@ function fillPackSlots(spawner, now, immediate) {
   if (!immediate && firstSlot && now < firstSlot.nextRespawnAt) return 0;
   
   // Determine pack size for this spawn
-  const packSize = randomRange(
+  const packSize = spawnRng.int(
     spawner.packSize?.min ?? MIN_PACK_SIZE,
     Math.min(spawner.packSize?.max ?? MAX_PACK_SIZE, spawner.slots.filter(s => s.spawnX).length)
   );
@@ -1254,7 +1116,7 @@ function fillPackSlots(spawner, now, immediate) {
   if (validSlots.length < packSize) return 0;
   
   // Shuffle slots for variety in which positions get used
-  const shuffledSlots = [...validSlots].sort(() => Math.random() - 0.5);
+  const shuffledSlots = [...validSlots].sort(() => spawnRng.next() - 0.5);
   const slotsToUse = shuffledSlots.slice(0, packSize);
   
   // Check player distance from pack center (skip during bootstrap - we WANT a populated world)
@@ -1266,26 +1128,27 @@ function fillPackSlots(spawner, now, immediate) {
   if (distCoords(avgX, avgY, player.x, player.y) < minDist) return 0;
   
   // Generate pack ID
-  const packId = `pack_${Math.floor(now)}_${Math.random().toString(36).substr(2, 5)}`;
+  const packId = `pack_${Math.floor(now)}_${spawnRng.next().toString(36).substr(2, 5)}`;
   
   // ============================================
   // BUILD ROSTER (template-based or fallback)
   // ============================================
   let roster = [];
-  if (spawner.templateId && SPAWN_TEMPLATES[spawner.templateId]) {
+  const templateRoster = spawner.templateId ? pickTemplateRoster(spawner.templateId, spawnRng) : null;
+  if (templateRoster) {
     // Use template to build role-based roster
-    roster = SPAWN_TEMPLATES[spawner.templateId].pickRoster(templateRng);
+    roster = templateRoster;
     // Clamp to actual pack size
     roster = roster.slice(0, packSize);
     // If template roster is smaller than packSize, fill with fallback
     while (roster.length < packSize) {
-      const type = spawner.enemyPool[Math.floor(Math.random() * spawner.enemyPool.length)];
+      const type = spawnRng.pick(spawner.enemyPool);
       roster.push({ type, role: defaultRoleForType(type) });
     }
   } else {
     // Fallback: random types from enemyPool with default roles
     roster = Array.from({ length: packSize }, () => {
-      const type = spawner.enemyPool[Math.floor(Math.random() * spawner.enemyPool.length)];
+      const type = spawnRng.pick(spawner.enemyPool);
       return { type, role: defaultRoleForType(type) };
     });
   }
@@ -1296,7 +1159,7 @@ function fillPackSlots(spawner, now, immediate) {
   let alphaCount = 0;
   if (spawner.alpha) {
     for (let i = 0; i < packSize && alphaCount < spawner.alpha.max; i++) {
-      if (Math.random() < spawner.alpha.chance) alphaCount++;
+      if (spawnRng.next() < spawner.alpha.chance) alphaCount++;
     }
   }
   
@@ -1345,9 +1208,9 @@ function spawnEnemyInSlot(spawner, slot, now, options = {}) {
   const { packId = null, isAlpha = false, rosterEntry = null } = options;
   
   // Use roster entry if provided (template-based), otherwise fall back to random
-  const enemyType = rosterEntry?.type ?? spawner.enemyPool[Math.floor(Math.random() * spawner.enemyPool.length)];
+  const enemyType = rosterEntry?.type ?? spawnRng.pick(spawner.enemyPool);
   const role = rosterEntry?.role ?? defaultRoleForType(enemyType);
-  const level = randomRange(spawner.levelRange[0], spawner.levelRange[1]);
+  const level = spawnRng.int(spawner.levelRange[0], spawner.levelRange[1]);
   
   // Create the enemy
   const enemy = createEnemyFromSlot(spawner, slot, {
@@ -1371,20 +1234,14 @@ function spawnEnemyInSlot(spawner, slot, now, options = {}) {
  * Create enemy entity from slot data.
  */
 function createEnemyFromSlot(spawner, slot, rosterEntry, t) {
-  const typeDef = ENEMY_TYPES[rosterEntry.type] || ENEMY_TYPES.nomad;
+  const typeDef = getSpawnableType(rosterEntry.type);
   const level = rosterEntry.level;
   
   // Calculate stats with level scaling
-  const hpScale = Math.pow(1.02, level - 1);
-  const atkScale = Math.pow(1.017, level - 1);
-  const defScale = Math.pow(1.014, level - 1);
-  
-  const hp = Math.floor(typeDef.baseHp * hpScale);
-  const atk = Math.floor(typeDef.baseAtk * atkScale);
-  const def = Math.floor(typeDef.baseDef * defScale);
+  const { hp, atk, def } = scaleEnemyStats(typeDef, level);
   
   const enemy = {
-    id: `enemy_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    id: `enemy_${Date.now()}_${spawnRng.next().toString(36).substr(2, 9)}`,
     name: typeDef.name,
     type: rosterEntry.type,
     role: rosterEntry.role || defaultRoleForType(rosterEntry.type),  // Role-based AI behavior
@@ -1476,7 +1333,6 @@ function createEnemyFromSlot(spawner, slot, rosterEntry, t) {
 // ============================================
 // Track newly spawned enemies for incremental DOM updates
 let newlySpawnedEnemies = [];
-let cachedPlayerEl = null; // Cached player element for ghost check
 let lastCullCheck = 0;     // Last time we checked for culling
 
 function spawnDirectorTick() {
@@ -1487,11 +1343,8 @@ function spawnDirectorTick() {
   const now = nowMs();
   const player = currentState.player;
   
-  // Don't spawn while ghost running (cache player element reference)
-  if (!cachedPlayerEl) {
-    cachedPlayerEl = document.getElementById('player');
-  }
-  if (cachedPlayerEl?.classList.contains('ghost')) {
+  // Don't spawn while ghost running
+  if (isInGhostMode()) {
     perfEnd('spawn:tick');
     return;
   }
@@ -1525,11 +1378,11 @@ function spawnDirectorTick() {
     }
   }
   
-  // Add new enemy elements incrementally (instead of full re-render)
+  // Announce new enemies so the renderer adds their elements (instead of full re-render)
   if (newlySpawnedEnemies.length > 0) {
     const playerLevel = currentState.player.level;
     for (const enemy of newlySpawnedEnemies) {
-      addEnemyElement(enemy, playerLevel);
+      emit(EVENTS.ENEMY_SPAWNED, { enemy, playerLevel });
     }
   }
   
@@ -1598,7 +1451,7 @@ function cullEnemy(enemy) {
     if (slot) {
       // Reset slot for respawn (with shorter timer since it was culled, not killed)
       slot.aliveEnemyId = null;
-      slot.nextRespawnAt = nowMs() + randomRange(10000, 20000); // 10-20 sec respawn after cull
+      slot.nextRespawnAt = nowMs() + rollRespawnDelay(spawner, 10000, 20000); // 10-20 sec respawn after cull
     }
     spawner.aliveCount = Math.max(0, spawner.aliveCount - 1);
   }
@@ -1609,12 +1462,7 @@ function cullEnemy(enemy) {
     currentState.runtime.activeEnemies.splice(idx, 1);
   }
   
-  // Remove DOM element
-  import('./combat.js').then(mod => {
-    if (mod.removeEnemyElement) {
-      mod.removeEnemyElement(enemy.id);
-    }
-  }).catch(() => {});
+  emit(EVENTS.ENEMY_DESPAWNED, { enemy });
 }
 
 // ============================================
@@ -1806,7 +1654,7 @@ function chooseSpawner(eligible, _counts) {
   if (totalWeight <= 0) return null;
   
   // Weighted random selection
-  let roll = Math.random() * totalWeight;
+  let roll = spawnRng.next() * totalWeight;
   for (const { spawner, weight } of weights) {
     roll -= weight;
     if (roll <= 0) return spawner;
@@ -1820,13 +1668,13 @@ function chooseSpawner(eligible, _counts) {
 // ============================================
 function buildSpawnRequest(spawner) {
   const t = nowMs();
-  const packId = spawner.kind === 'pack' ? `pack_${Math.floor(t)}_${Math.random().toString(36).substr(2, 5)}` : null;
+  const packId = spawner.kind === 'pack' ? `pack_${Math.floor(t)}_${spawnRng.next().toString(36).substr(2, 5)}` : null;
   
   // Determine roster
   const roster = [];
   // Pack size: use spawner config if available, otherwise use global MIN/MAX (2-8)
   const size = spawner.kind === 'pack' 
-    ? randomRange(
+    ? spawnRng.int(
         spawner.packSize?.min ?? MIN_PACK_SIZE, 
         spawner.packSize?.max ?? MAX_PACK_SIZE
       )
@@ -1836,7 +1684,7 @@ function buildSpawnRequest(spawner) {
   let alphaSlots = 0;
   if (spawner.kind === 'pack' && spawner.alpha) {
     for (let i = 0; i < size && alphaSlots < spawner.alpha.max; i++) {
-      if (Math.random() < spawner.alpha.chance) alphaSlots++;
+      if (spawnRng.next() < spawner.alpha.chance) alphaSlots++;
     }
   }
   
@@ -1845,8 +1693,8 @@ function buildSpawnRequest(spawner) {
     const isAlpha = spawner.kind === 'pack' && alphasAssigned < alphaSlots;
     if (isAlpha) alphasAssigned++;
     
-    const enemyType = spawner.enemyPool[Math.floor(Math.random() * spawner.enemyPool.length)];
-    const level = randomRange(spawner.levelRange[0], spawner.levelRange[1]);
+    const enemyType = spawnRng.pick(spawner.enemyPool);
+    const level = spawnRng.int(spawner.levelRange[0], spawner.levelRange[1]);
     
     roster.push({
       type: enemyType,
@@ -1909,7 +1757,7 @@ function findFreeBlockForSlot(spawner) {
     
     // Shuffle for variety
     for (let i = candidates.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(spawnRng.next() * (i + 1));
       [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
     }
     
@@ -1973,8 +1821,8 @@ function findSlotGridLayout(spawner, count) {
       anchorX = spawner.center.x - Math.floor(layoutWidth / 2);
       anchorY = spawner.center.y - Math.floor(layoutHeight / 2);
     } else {
-      const angle = Math.random() * Math.PI * 2;
-      const dist = Math.random() * spawner.spawnRadius;
+      const angle = spawnRng.next() * Math.PI * 2;
+      const dist = spawnRng.next() * spawner.spawnRadius;
       anchorX = Math.round(spawner.center.x + Math.cos(angle) * dist) - Math.floor(layoutWidth / 2);
       anchorY = Math.round(spawner.center.y + Math.sin(angle) * dist) - Math.floor(layoutHeight / 2);
     }
@@ -2095,7 +1943,7 @@ function findFreeBlock(spawner) {
     
     // Shuffle candidates for variety
     for (let i = candidates.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Math.floor(spawnRng.next() * (i + 1));
       [candidates[i], candidates[j]] = [candidates[j], candidates[i]];
     }
     
@@ -2153,8 +2001,8 @@ function findPackBlockLayout(spawner, count) {
       anchorY = spawner.center.y - Math.floor(layoutHeight / 2);
     } else {
       // Subsequent tries: random within spawn radius
-      const angle = Math.random() * Math.PI * 2;
-      const dist = Math.random() * spawner.spawnRadius;
+      const angle = spawnRng.next() * Math.PI * 2;
+      const dist = spawnRng.next() * spawner.spawnRadius;
       anchorX = Math.round(spawner.center.x + Math.cos(angle) * dist) - Math.floor(layoutWidth / 2);
       anchorY = Math.round(spawner.center.y + Math.sin(angle) * dist) - Math.floor(layoutHeight / 2);
     }
@@ -2285,47 +2133,23 @@ function executeSpawnRequests(requests) {
     }
   }
   
-  // Add new enemy elements incrementally
+  // Announce new enemies so the renderer adds their elements
   if (newlySpawnedEnemies.length > 0) {
     const playerLevel = currentState.player.level;
     for (const enemy of newlySpawnedEnemies) {
-      addEnemyElement(enemy, playerLevel);
+      emit(EVENTS.ENEMY_SPAWNED, { enemy, playerLevel });
     }
   }
 }
 
-/**
- * Apply alpha modifications to an enemy ONCE at spawn time.
- * Alpha power is purely from stats - no hidden combat multipliers.
- */
-function applyAlphaMods(enemy) {
-  enemy.isAlpha = true;
-  
-  // Alpha stat bonuses: +35% HP, +25% ATK, +15% DEF
-  enemy.maxHP = Math.round(enemy.maxHP * 1.35);
-  enemy.hp = Math.min(enemy.hp, enemy.maxHP);
-  enemy.atk = Math.round(enemy.atk * 1.25);
-  enemy.def = Math.round(enemy.def * 1.15);
-}
-
 function createEnemy(rosterEntry, position, request) {
-  const typeDef = ENEMY_TYPES[rosterEntry.type] || ENEMY_TYPES.nomad;
+  const typeDef = getSpawnableType(rosterEntry.type);
   const level = rosterEntry.level;
   // Use performance.now() for all simulation timing
   const t = nowMs();
   
-  // Calculate base stats with level scaling (NO alpha mult here)
-  // LEVEL CAP 50 SCALING: Gentler curves to prevent stat explosion
-  // Using soft power curves instead of linear multipliers
-  // At level 50: HP ~2.7x, ATK ~2.3x, DEF ~2.0x base (manageable, not absurd)
-  const hpScale = Math.pow(1.02, level - 1);   // ~2.69x at level 50
-  const atkScale = Math.pow(1.017, level - 1); // ~2.30x at level 50
-  const defScale = Math.pow(1.014, level - 1); // ~1.98x at level 50
-  
-  // Base stats without alpha modifier
-  const hp = Math.floor(typeDef.baseHp * hpScale);
-  const atk = Math.floor(typeDef.baseAtk * atkScale);
-  const def = Math.floor(typeDef.baseDef * defScale);
+  // Base stats with level scaling (NO alpha mult here)
+  const { hp, atk, def } = scaleEnemyStats(typeDef, level);
   
   // Per-enemy spawn position (center of their 3×3 block)
   // This is the authoritative position - NOT a shared pack center
@@ -2340,7 +2164,7 @@ function createEnemy(rosterEntry, position, request) {
   const homeCenter = request.metadata.homeCenter || { x: spawnX, y: spawnY };
   
   const enemy = {
-    id: `enemy_${Math.floor(t)}_${Math.random().toString(36).substr(2, 8)}`,
+    id: `enemy_${Math.floor(t)}_${spawnRng.next().toString(36).substr(2, 8)}`,
     spawnerId: request.spawnerId,
     packId: request.packId,
     
@@ -2441,6 +2265,25 @@ function createEnemy(rosterEntry, position, request) {
   return enemy;
 }
 
+// ============================================
+// SCRIPTED SPAWNS (boss adds)
+// ============================================
+/**
+ * Spawn a single enemy outside the spawner system (no slot, never respawns).
+ * @returns {object} The enemy, already active (ENEMY_SPAWNED renders it)
+ */
+export function spawnScriptedEnemy(type, level, x, y) {
+  const enemy = createEnemy(
+    { type, level, isAlpha: false },
+    { x, y, blockTiles: [] },
+    { spawnerId: null, packId: null, metadata: {} }
+  );
+  
+  currentState.runtime.activeEnemies.push(enemy);
+  emit(EVENTS.ENEMY_SPAWNED, { enemy, playerLevel: currentState.player.level });
+  return enemy;
+}
+
 // ============================================
 // ENEMY DEATH CALLBACK (Slot-Based)
 // ============================================
@@ -2462,12 +2305,12 @@ export function onEnemyDeath(enemy) {
       const anyAlive = spawner.slots.some(s => s.aliveEnemyId !== null);
       if (!anyAlive) {
         // Entire pack dead - start respawn timer on first slot
-        const respawnDelay = randomRange(spawner.respawnMs || PACK_RESPAWN_MS.min, spawner.respawnMs * 1.5 || PACK_RESPAWN_MS.max);
+        const respawnDelay = rollRespawnDelay(spawner, spawner.respawnMs || PACK_RESPAWN_MS.min, spawner.respawnMs * 1.5 || PACK_RESPAWN_MS.max);
         spawner.slots[0].nextRespawnAt = now + respawnDelay;
       }
     } else {
       // Stray: start individual slot respawn timer
-      const respawnDelay = randomRange(spawner.respawnMs || STRAY_RESPAWN_MS.min, spawner.respawnMs * 1.5 || STRAY_RESPAWN_MS.max);
+      const respawnDelay = rollRespawnDelay(spawner, spawner.respawnMs || STRAY_RESPAWN_MS.min, spawner.respawnMs * 1.5 || STRAY_RESPAWN_MS.max);
       slot.nextRespawnAt = now + respawnDelay;
     }
   }
@@ -2479,6 +2322,14 @@ export function onEnemyDeath(enemy) {
   // This prevents pack clumping over time
 }
 
+/**
+ * Roll a slot's respawn delay, scaled by the weather: families it favours
+ * (scavs in a dust storm) come back sooner, the rest later.
+ */
+function rollRespawnDelay(spawner, min, max) {
+  return Math.round(spawnRng.int(min, max) / getWeatherSpawnWeight(spawner.enemyPool));
+}
+
 // ============================================
 // UTILITY FUNCTIONS
 // ============================================
@@ -2552,9 +2403,6 @@ export function getSpawners() {
 
 export { getBaseCenter, getRings };
 
-// getEnemyTypes() is defined earlier with lazy CSS variable loading
-// and ENEMY_TYPES is a Proxy that calls it
-
 // ============================================
 // DEBUG HELPERS
 // ============================================
@@ -0,0 +1,252 @@
+/**
+ * VETUU — Stats Module
+ * Derived player stats: base + level growth + equipment + active buffs
+ *
+ * Final stats (maxHP, atk, def, luck, crit) are never adjusted in place.
+ * Whenever a source changes (level up, equip/unequip, buff start/end, load)
+ * recalcStats() rebuilds them from scratch, so totals can't drift.
+ * Item and buff `mods` use the keys in MOD_STATS.
+ */
+
+import { setMaxHP, clampHP } from './entityCompat.js';
+
+// Level 1 values, before gear
+export const BASE_STATS = { maxHP: 100, atk: 5, def: 3, luck: 1, crit: 0 };
+
+// Item/buff mod key -> player stat
+const MOD_STATS = {
+  attack: 'atk',
+  defense: 'def',
+  luck: 'luck',
+  maxHP: 'maxHP',
+  crit: 'crit'
+};
+
+// Display order and labels for the character sheet breakdown
+const STAT_ROWS = [
+  { stat: 'maxHP', label: 'HP' },
+  { stat: 'atk', label: 'ATK' },
+  { stat: 'def', label: 'DEF' },
+  { stat: 'luck', label: 'LCK' },
+  { stat: 'crit', label: 'Crit %' }
+];
+
+const MOD_LABELS = { attack: 'Attack', defense: 'Defense', luck: 'Luck', maxHP: 'Max HP' };
+
+const EQUIP_SLOTS = ['weapon', 'armor', 'accessory'];
+
+let currentState = null;
+let breakdownEl = null;
+
+// Active stat buffs (runtime only, not saved): id -> { name, mods, timer }
+const buffs = new Map();
+
+// ============================================
+// INITIALIZATION
+// ============================================
+export function initStats(state) {
+  currentState = state;
+  breakdownEl = document.getElementById('sheet-breakdown');
+
+  // Saved totals may predate derived stats (or have drifted) - rebuild them
+  recalcStats();
+}
+
+// ============================================
+// SOURCES
+// ============================================
+
+/**
+ * Stat gains from levelling.
+ * HP +6 per level, ATK/DEF +1 every 2 levels, Luck +1 every 5 levels.
+ */
+export function getLevelGrowth(level) {
+  return {
+    maxHP: 6 * (level - 1),
+    atk: Math.floor(level / 2),
+    def: Math.floor(level / 2),
+    luck: Math.floor(level / 5),
+    crit: 0
+  };
+}
+
+function emptyStats() {
+  return { maxHP: 0, atk: 0, def: 0, luck: 0, crit: 0 };
+}
+
+function addMods(target, mods) {
+  for (const [key, value] of Object.entries(mods || {})) {
+    const stat = MOD_STATS[key];
+    if (stat && typeof value === 'number') target[stat] += value;
+  }
+}
+
+function getEquipmentMods() {
+  const equipment = currentState.player.equipment || {};
+
+  return EQUIP_SLOTS
+    .map(slot => currentState.items.find(i => i.id === equipment[slot])?.mods)
+    .filter(Boolean);
+}
+
+function sumMods(modsList) {
+  const totals = emptyStats();
+  for (const mods of modsList) addMods(totals, mods);
+  return totals;
+}
+
+/**
+ * Where each stat comes from.
+ * @returns {Object<string, {base: number, level: number, equipment: number, buffs: number, total: number}>}
+ */
+export function getStatBreakdown() {
+  const buffMods = [...buffs.values()].map(buff => buff.mods);
+  return buildStatBreakdown(currentState.player.level, getEquipmentMods(), buffMods);
+}
+
+/**
+ * Stat breakdown from explicit sources (no game state - used by the combat simulator).
+ * @param {number} level - Player level
+ * @param {object[]} equipmentMods - `mods` of each equipped item
+ * @param {object[]} buffMods - `mods` of each active buff
+ */
+export function buildStatBreakdown(level, equipmentMods = [], buffMods = []) {
+  const growth = getLevelGrowth(level);
+  const equipment = sumMods(equipmentMods);
+  const buffTotals = sumMods(buffMods);
+
+  const breakdown = {};
+  for (const stat of Object.keys(BASE_STATS)) {
+    const parts = {
+      base: BASE_STATS[stat],
+      level: growth[stat],
+      equipment: equipment[stat],
+      buffs: buffTotals[stat]
+    };
+    parts.total = parts.base + parts.level + parts.equipment + parts.buffs;
+    breakdown[stat] = parts;
+  }
+
+  // Never let gear or debuffs take a stat below zero (or HP below 1)
+  breakdown.maxHP.total = Math.max(1, breakdown.maxHP.total);
+  for (const stat of ['atk', 'def', 'luck', 'crit']) {
+    breakdown[stat].total = Math.max(0, breakdown[stat].total);
+  }
+
+  return breakdown;
+}
+
+// ============================================
+// RECALCULATION
+// ============================================
+
+/**
+ * Rebuild the player's final stats from every source.
+ * Current HP is kept (clamped to the new max); callers that should heal
+ * (level up) set hp afterwards.
+ */
+export function recalcStats() {
+  if (!currentState) return;
+
+  const player = currentState.player;
+  const breakdown = getStatBreakdown();
+
+  setMaxHP(player, breakdown.maxHP.total);
+  player.atk = breakdown.atk.total;
+  player.def = breakdown.def.total;
+  player.luck = breakdown.luck.total;
+  player.crit = breakdown.crit.total;
+  clampHP(player);
+
+  renderBreakdown(breakdown);
+}
+
+// ============================================
+// BUFFS
+// ============================================
+
+/**
+ * Apply a temporary stat buff. Re-applying the same id refreshes it.
+ * Consumables with an `effect.buff` apply one under their item id.
+ * @param {string} id - Unique buff id
+ * @param {object} buff
+ * @param {string} buff.name - Display name
+ * @param {object} buff.mods - Mods using item mod keys ({ attack: 3, crit: 5 })
+ * @param {number} [buff.duration] - ms until it expires (omit for until removed)
+ */
+export function addStatBuff(id, { name, mods, duration }) {
+  clearTimeout(buffs.get(id)?.timer);
+
+  const timer = duration ? setTimeout(() => removeStatBuff(id), duration) : null;
+  buffs.set(id, { name, mods, timer });
+  onStatsChanged();
+}
+
+export function removeStatBuff(id) {
+  const buff = buffs.get(id);
+  if (!buff) return;
+
+  clearTimeout(buff.timer);
+  buffs.delete(id);
+  onStatsChanged();
+}
+
+export function getActiveBuffs() {
+  return [...buffs].map(([id, { name, mods }]) => ({ id, name, mods }));
+}
+
+async function onStatsChanged() {
+  recalcStats();
+  const { updateHUD } = await import('./game.js');
+  updateHUD();
+}
+
+// ============================================
+// FORMATTING
+// ============================================
+
+/**
+ * Human-readable mod line: "+5 Attack", "-2 Defense", "+3% Crit".
+ */
+export function formatMod(key, value) {
+  const sign = value > 0 ? '+' : '';
+  if (key === 'crit') return `${sign}${value}% Crit`;
+  const label = MOD_LABELS[key] || key.charAt(0).toUpperCase() + key.slice(1);
+  return `${sign}${value} ${label}`;
+}
+
+// ============================================
+// CHARACTER SHEET
+// ============================================
+function formatPart(value) {
+  if (value === 0) return '<span class="breakdown-zero">–</span>';
+  return value > 0 ? `+${value}` : `${value}`;
+}
+
+function renderBreakdown(breakdown) {
+  if (!breakdownEl) return;
+
+  const rows = STAT_ROWS.map(({ stat, label }) => {
+    const b = breakdown[stat];
+    return `
+      <tr>
+        <th scope="row">${label}</th>
+        <td>${b.base}</td>
+        <td>${formatPart(b.level)}</td>
+        <td>${formatPart(b.equipment)}</td>
+        <td>${formatPart(b.buffs)}</td>
+        <td class="breakdown-total">${b.total}</td>
+      </tr>
+    `;
+  }).join('');
+
+  breakdownEl.innerHTML = `
+    <table class="stat-breakdown">
+      <thead>
+        <tr><th></th><th>Base</th><th>Lvl</th><th>Gear</th><th>Buffs</th><th>Total</th></tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
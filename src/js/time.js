@@ -195,15 +195,19 @@ let dayStartTime = 0;  // When the current day started
 let timeOfDay = 0.35;  // Start at morning (0 = midnight, 0.5 = noon)
 let paused = false;
 let timeScale = 1.0;  // Speed multiplier (1 = normal, 2 = 2x speed)
+let dayCount = 1;     // Day 1 = first day of a new game; ticks over at midnight
+const newDayListeners = [];
 
 /**
  * Initialize the day/night cycle
  * @param {number} startTime - Initial time of day (0-1, default 0.35 = morning)
+ * @param {number} startDay - Day counter to resume from (default 1 = new game)
  */
-export function initDayCycle(startTime = 0.35) {
-  timeOfDay = startTime;
-  dayStartTime = nowMs() - (startTime * DAY_DURATION_MS);
-  console.log(`[Time] Day cycle initialized at ${formatTimeOfDay(timeOfDay)}`);
+export function initDayCycle(startTime = 0.35, startDay = 1) {
+  timeOfDay = Math.max(0, Math.min(1, startTime));
+  dayCount = Math.max(1, Math.floor(startDay));
+  dayStartTime = nowMs() - (timeOfDay * DAY_DURATION_MS);
+  console.log(`[Time] Day cycle initialized at day ${dayCount}, ${formatTimeOfDay(timeOfDay)}`);
 }
 
 /**
@@ -213,9 +217,49 @@ export function updateDayCycle() {
   if (paused) return;
   
   const elapsed = (nowMs() - dayStartTime) * timeScale;
+  
+  // Crossed midnight (possibly several, e.g. after a backgrounded tab):
+  // advance the day counter and rebase so elapsed stays within one day
+  if (elapsed >= DAY_DURATION_MS) {
+    const days = Math.floor(elapsed / DAY_DURATION_MS);
+    dayCount += days;
+    dayStartTime += (days * DAY_DURATION_MS) / timeScale;
+    for (const listener of newDayListeners) listener(dayCount);
+  }
+  
   timeOfDay = (elapsed % DAY_DURATION_MS) / DAY_DURATION_MS;
 }
 
+/**
+ * Get the day counter (1-based, increments at midnight)
+ * "Come back after two nights" = getDayCount() - dayWhenAsked >= 2
+ */
+export function getDayCount() {
+  return dayCount;
+}
+
+/**
+ * Register a callback for when a new day starts (receives the new day count)
+ */
+export function onNewDay(listener) {
+  newDayListeners.push(listener);
+}
+
+/**
+ * World clock snapshot for saving
+ * @returns {{timeOfDay: number, day: number}}
+ */
+export function getWorldTime() {
+  return { timeOfDay, day: dayCount };
+}
+
+/**
+ * World hours elapsed since the start of day 1 (quest time limits)
+ */
+export function getWorldHours() {
+  return ((dayCount - 1) + timeOfDay) * 24;
+}
+
 /**
  * Get current time of day (0-1)
  * 0.00 = midnight
@@ -346,6 +390,31 @@ export function getDayPhase() {
   return 'dusk';
 }
 
+/**
+ * Check the time-of-day conditions of a data `requires` block.
+ * Keys without a time meaning are ignored, so the whole block can be passed.
+ * - isNight: true/false - matches isNight()
+ * - dayPhase: 'night' | 'dawn' | 'day' | 'dusk' (or an array of them)
+ * - minDay: day counter must be at least this
+ * 
+ * @param {object} req - Requirements block from dialogue/quest data
+ * @returns {boolean} True if all time conditions are met
+ */
+export function checkTimeRequirements(req) {
+  if (!req) return true;
+  
+  if (req.isNight !== undefined && isNight() !== req.isNight) return false;
+  
+  if (req.dayPhase !== undefined) {
+    const phases = Array.isArray(req.dayPhase) ? req.dayPhase : [req.dayPhase];
+    if (!phases.includes(getDayPhase())) return false;
+  }
+  
+  if (req.minDay !== undefined && dayCount < req.minDay) return false;
+  
+  return true;
+}
+
 // ============================================
 // SUN POSITION & SHADOW SYSTEM
 // ============================================
@@ -538,6 +607,7 @@ if (typeof window !== 'undefined') {
    * Day/night cycle controls
    */
   window.VETUU_DAY_CYCLE = () => ({
+    day: dayCount,
     timeOfDay,
     formatted: formatTimeOfDay(),
     phase: getDayPhase(),
@@ -713,16 +713,7 @@ export function initSettingsMenu() {
   const menu = document.getElementById('settings-menu');
   if (!menu) return;
   
-  // Reset button handler
-  const resetBtn = menu.querySelector('#reset-btn');
-  if (resetBtn) {
-    resetBtn.addEventListener('click', () => {
-      if (confirm('Are you sure you want to reset all game progress? This cannot be undone.')) {
-        localStorage.clear();
-        window.location.reload();
-      }
-    });
-  }
+  // Reset and save slot buttons are bound in game.js (hardReset clears the active slot only)
   
   // Close button
   const closeBtn = menu.querySelector('.settings-close');
@@ -755,13 +746,41 @@ export function handleEscape() {
     return true;
   }
   
-  // Priority 3: Close character sheet
+  // Priority 2b: Close exploration journal
+  const journalPanel = document.getElementById('journal-panel');
+  if (journalPanel?.open) {
+    journalPanel.close();
+    return true;
+  }
+  
+  // Priority 2c: Close quest log
+  const questLogPanel = document.getElementById('questlog-panel');
+  if (questLogPanel?.open) {
+    questLogPanel.close();
+    return true;
+  }
+  
+  // Priority 3: Close shop panel
+  const shopPanel = document.getElementById('shop-panel');
+  if (shopPanel?.open) {
+    shopPanel.close();
+    return true;
+  }
+  
+  // Priority 4: Close save slot picker (opened from settings)
+  const slotPanel = document.getElementById('slot-panel');
+  if (slotPanel?.open) {
+    slotPanel.close();
+    return true;
+  }
+  
+  // Priority 5: Close character sheet
   if (panelState.characterSheet.visible) {
     toggleCharacterSheet();
     return true;
   }
   
-  // Priority 4: Toggle settings menu (open if nothing else to close)
+  // Priority 6: Toggle settings menu (open if nothing else to close)
   toggleSettings();
   return true;
 }
@@ -861,7 +880,9 @@ export function getKeyboardHints() {
     { key: 'Esc', action: 'Settings Menu' },
     { key: `${isMac() ? '⌘' : 'Ctrl'}+M`, action: 'Toggle Map' },
     { key: `${isMac() ? '⌘' : 'Ctrl'}+J`, action: 'Toggle Quests' },
-    { key: 'I', action: 'Inventory' }
+    { key: 'I', action: 'Inventory' },
+    { key: 'J', action: 'Exploration Journal' },
+    { key: 'L', action: 'Quest Log' }
   ];
 }
 
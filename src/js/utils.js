@@ -168,11 +168,12 @@ export function getVulnMult(target) {
 
 /**
  * Fisher-Yates shuffle
+ * @param {function(): number} [random] - Random source in [0, 1) (an rng.js stream's next)
  */
-export function shuffleArray(arr) {
+export function shuffleArray(arr, random = Math.random) {
   const a = [...arr];
   for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [a[i], a[j]] = [a[j], a[i]];
   }
   return a;
@@ -136,104 +136,6 @@ export const WEAPONS = {
 WEAPONS.rifle = WEAPONS.laser_rifle;
 WEAPONS.sword = WEAPONS.vibro_sword;
 
-// ============================================
-// ENEMY WEAPONS (simplified - melee or ranged only)
-// ============================================
-// Note: projectileColor now uses CSS variables (resolved in combat.js)
-// --projectile-enemy for enemies, --melee-enemy for melee attacks
-// Base damage increased ~25% for difficulty
-export const ENEMY_WEAPONS = {
-  // Melee weapons (range = 1, adjacent only)
-  melee_claws: {
-    name: 'Claws',
-    type: 'melee',
-    combatType: 'melee',
-    range: 1,
-    baseDamage: 5,      // was 4
-    cooldown: 1200,
-    moveSpeed: 350
-  },
-  melee_bite: {
-    name: 'Bite',
-    type: 'melee',
-    combatType: 'melee',
-    range: 1,
-    baseDamage: 6,      // was 5
-    cooldown: 1000,
-    moveSpeed: 320
-  },
-  melee_club: {
-    name: 'Club',
-    type: 'melee',
-    combatType: 'melee',
-    range: 1,
-    baseDamage: 11,     // was 9
-    cooldown: 1300,
-    moveSpeed: 380
-  },
-  melee_spear: {
-    name: 'Spear',
-    type: 'melee',
-    combatType: 'melee',
-    range: 1,
-    baseDamage: 14,     // was 11
-    cooldown: 1100,
-    moveSpeed: 320
-  },
-  boss_blade: {
-    name: 'Captain\'s Blade',
-    type: 'melee',
-    combatType: 'melee',
-    range: 1,
-    baseDamage: 25,     // was 20
-    cooldown: 1000,
-    moveSpeed: 320
-  },
-
-  // Ranged weapons (range = 6)
-  ranged_rifle: {
-    name: 'Rifle',
-    type: 'ranged',
-    combatType: 'ranged',
-    range: 6,
-    baseDamage: 13,     // was 10
-    cooldown: 1600,
-    moveSpeed: 450
-  },
-  ranged_bolt: {
-    name: 'Bolt',
-    type: 'ranged',
-    combatType: 'ranged',
-    range: 6,
-    baseDamage: 16,     // was 13
-    cooldown: 2000,
-    moveSpeed: 480
-  },
-  karth_laser: {
-    name: 'Karth Laser',
-    type: 'ranged',
-    combatType: 'ranged',
-    range: 6,
-    baseDamage: 18,     // was 14
-    cooldown: 1600,
-    moveSpeed: 420
-  },
-  guard_rifle: {
-    name: 'Guard Rifle',
-    type: 'ranged',
-    combatType: 'ranged',
-    range: 6,
-    baseDamage: 20,     // was 18 (guards are friendly, smaller increase)
-    cooldown: 1400,
-    moveSpeed: 400
-  }
-};
-
-// Kept aliases for existing enemy definitions
-ENEMY_WEAPONS.claws = ENEMY_WEAPONS.melee_claws;
-ENEMY_WEAPONS.trog_spear = ENEMY_WEAPONS.melee_spear;
-ENEMY_WEAPONS.ritual_bolt = ENEMY_WEAPONS.ranged_bolt;
-
 // ============================================
 // HELPER: Get weapon ability by slot
 // ============================================
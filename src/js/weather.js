@@ -0,0 +1,260 @@
+/**
+ * VETUU — Weather Module
+ * Weather states layered on top of the day/night cycle
+ *
+ * Weather rolls a new state every few minutes, weighted by the current day
+ * phase (heat haze only forms in full day, ash rain favours the dark hours).
+ * Other systems read the blended modifiers from getWeatherEffects():
+ * - vision:         enemy sight multiplier (aiUtils getAggroRadius)
+ * - reveal:         fog reveal radius multiplier (fog revealAround)
+ * - moveMult:       player tile duration multiplier (movement)
+ * - rangedAccuracy: hit chance for ranged basic attacks (combat)
+ * - darken:         extra darkness added to the night lighting pass
+ * Spawn weights per enemy family come from getWeatherSpawnWeight(); the spawn
+ * director divides respawn delays by them.
+ *
+ * Quest and dialogue effects can force weather: { "setWeather": "dust_storm", "duration": 180 }
+ * (duration in seconds; omitted = until the next natural change).
+ */
+
+import { nowMs, getDayPhase } from './time.js';
+import { rng } from './rng.js';
+import { emit, EVENTS } from './events.js';
+
+// ============================================
+// WEATHER DEFINITIONS
+// ============================================
+const WEATHER_TYPES = {
+  clear: {
+    name: 'Clear Skies',
+    announce: 'The skies clear.',
+    phaseWeights: { night: 4, dawn: 4, day: 3, dusk: 4 },
+    vision: 1.0,
+    reveal: 1.0,
+    moveMult: 1.0,
+    rangedAccuracy: 1.0,
+    darken: 0,
+    spawnWeights: {}
+  },
+  dust_storm: {
+    name: 'Dust Storm',
+    announce: 'A dust storm rolls in across the flats.',
+    phaseWeights: { night: 0.5, dawn: 1, day: 1.5, dusk: 1 },
+    vision: 0.6,
+    reveal: 0.5,
+    moveMult: 1.3,       // ~23% slower walking against the wind
+    rangedAccuracy: 0.7,
+    darken: 0.35,
+    // Scavengers use the cover; wildlife goes to ground
+    spawnWeights: { scav: 1.5, nomad: 0.5 }
+  },
+  heat_haze: {
+    name: 'Heat Haze',
+    announce: 'Heat haze shimmers off the sand.',
+    phaseWeights: { night: 0, dawn: 0, day: 2, dusk: 0 },
+    vision: 0.85,
+    reveal: 0.75,
+    moveMult: 1.0,
+    rangedAccuracy: 0.85,
+    darken: 0,
+    spawnWeights: { nomad: 1.3, trog: 0.7 }
+  },
+  ash_rain: {
+    name: 'Ash Rain',
+    announce: 'Grey ash begins to fall.',
+    phaseWeights: { night: 1.5, dawn: 0.5, day: 0.5, dusk: 1 },
+    vision: 0.75,
+    reveal: 0.75,
+    moveMult: 1.1,
+    rangedAccuracy: 0.9,
+    darken: 0.2,
+    spawnWeights: { trog: 1.5, karth: 0.8 }
+  }
+};
+
+// Natural weather lasts 3-6 minutes real time before re-rolling
+const MIN_DURATION_MS = 180000;
+const MAX_DURATION_MS = 360000;
+
+// Modifiers blend from the old weather to the new one over this long
+const TRANSITION_MS = 8000;
+
+// Modifiers that blend during a transition
+const BLENDED_KEYS = ['vision', 'reveal', 'moveMult', 'rangedAccuracy', 'darken'];
+
+let overlayEl = null;
+let current = 'clear';
+let previous = 'clear';
+let changedAt = -Infinity;
+let nextChangeAt = 0;
+let forced = false;
+
+// ============================================
+// INITIALIZATION
+// ============================================
+export function initWeather() {
+  overlayEl = document.getElementById('weather-overlay');
+
+  current = 'clear';
+  previous = 'clear';
+  changedAt = -Infinity;
+  forced = false;
+  nextChangeAt = nowMs() + randomDuration();
+  applyOverlay();
+}
+
+// ============================================
+// UPDATE
+// ============================================
+
+/**
+ * Advance the weather - call each frame (cheap when nothing changes)
+ */
+export function updateWeather() {
+  if (nowMs() < nextChangeAt) return;
+
+  const wasForced = forced;
+  forced = false;
+
+  // A forced spell ends in clear skies; natural weather re-rolls
+  changeWeather(wasForced ? 'clear' : rollWeather(), randomDuration());
+}
+
+function randomDuration() {
+  return rng('world').range(MIN_DURATION_MS, MAX_DURATION_MS);
+}
+
+/**
+ * Pick the next weather for the current day phase (never repeats the current one)
+ */
+function rollWeather() {
+  const phase = getDayPhase();
+  const options = Object.entries(WEATHER_TYPES)
+    .filter(([id]) => id !== current)
+    .map(([id, def]) => ({ id, weight: def.phaseWeights[phase] || 0 }))
+    .filter(o => o.weight > 0);
+
+  const total = options.reduce((sum, o) => sum + o.weight, 0);
+  if (total <= 0) return 'clear';
+
+  let roll = rng('world').next() * total;
+  for (const option of options) {
+    roll -= option.weight;
+    if (roll <= 0) return option.id;
+  }
+  return options[options.length - 1].id;
+}
+
+function changeWeather(type, durationMs) {
+  nextChangeAt = nowMs() + durationMs;
+  if (type === current) return;
+
+  previous = current;
+  current = type;
+  changedAt = nowMs();
+  applyOverlay();
+
+  emit(EVENTS.NOTIFY, { message: WEATHER_TYPES[type].announce });
+}
+
+function applyOverlay() {
+  if (!overlayEl) return;
+  overlayEl.dataset.weather = current;
+}
+
+// ============================================
+// TRIGGERS (quests, dialogue, debug)
+// ============================================
+
+/**
+ * Force a weather state.
+ * @param {string} type - Key of WEATHER_TYPES
+ * @param {number|null} durationSec - How long to hold it; null = until the next natural change
+ * @returns {boolean} Whether the type was valid
+ */
+export function setWeather(type, durationSec = null) {
+  if (!WEATHER_TYPES[type]) {
+    console.warn(`[Weather] Unknown weather type: ${type}`);
+    return false;
+  }
+
+  forced = durationSec !== null;
+  const durationMs = forced ? durationSec * 1000 : Math.max(0, nextChangeAt - nowMs());
+  changeWeather(type, durationMs);
+  return true;
+}
+
+// ============================================
+// QUERIES
+// ============================================
+export function getWeather() {
+  return current;
+}
+
+export function getWeatherName(type = current) {
+  return WEATHER_TYPES[type]?.name || type;
+}
+
+export function isStorm() {
+  return current === 'dust_storm';
+}
+
+/**
+ * Current gameplay modifiers, blended across a weather transition.
+ * @returns {{vision: number, reveal: number, moveMult: number, rangedAccuracy: number, darken: number}}
+ */
+export function getWeatherEffects() {
+  const to = WEATHER_TYPES[current];
+  const t = Math.min(1, (nowMs() - changedAt) / TRANSITION_MS);
+  if (t >= 1) return pickBlended(to);
+
+  const from = WEATHER_TYPES[previous];
+  const effects = {};
+  for (const key of BLENDED_KEYS) {
+    effects[key] = from[key] + (to[key] - from[key]) * t;
+  }
+  return effects;
+}
+
+function pickBlended(def) {
+  const effects = {};
+  for (const key of BLENDED_KEYS) effects[key] = def[key];
+  return effects;
+}
+
+/**
+ * Spawn weight multiplier for a spawner's enemy pool.
+ * Families are matched by enemy type prefix (scav_ranged -> scav).
+ * @param {string[]} pool - Enemy type ids
+ */
+export function getWeatherSpawnWeight(pool = []) {
+  const weights = WEATHER_TYPES[current].spawnWeights;
+  let mult = 1;
+
+  for (const [family, weight] of Object.entries(weights)) {
+    if (pool.some(type => type.startsWith(family))) mult *= weight;
+  }
+  return mult;
+}
+
+/**
+ * Roll whether a ranged attack misses because of the weather.
+ */
+export function rollWeatherMiss() {
+  return rng('combat').next() > getWeatherEffects().rangedAccuracy;
+}
+
+// Expose debug tools
+if (typeof window !== 'undefined') {
+  window.VETUU_WEATHER = (type, durationSec) => {
+    if (type) setWeather(type, durationSec ?? null);
+    return {
+      weather: current,
+      name: getWeatherName(),
+      forced,
+      nextChangeIn: Math.round((nextChangeAt - nowMs()) / 1000),
+      effects: getWeatherEffects(),
+      types: Object.keys(WEATHER_TYPES)
+    };
+  };
+}
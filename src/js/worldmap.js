@@ -19,10 +19,13 @@
 import { isRevealed as fogIsRevealed } from './fog.js';
 import { perfStart, perfEnd } from './perf.js';
 import { cssVar } from './utils.js';
-import { getQuestsByState } from './quests.js';
+import { getQuestsByState, getObjectiveStatus, getQuestMapTargets } from './quests.js';
+import { on, EVENTS } from './events.js';
 import { mapConfig, getRingVisualization } from './mapConfig.js';
 import { getSpawners } from './spawnDirector.js';
 import { getCurrentPath } from './movement.js';
+import { recordInput, isReplaying } from './replay.js';
+import { slotKey } from './save.js';
 
 // ============================================
 // CONFIGURATION
@@ -183,6 +186,14 @@ export function initWorldMap(state) {
   // Set up event listeners
   setupEventListeners();
   
+  // Tracked quests and objective progress move the quest markers
+  on(EVENTS.QUESTS_CHANGED, () => {
+    if (isWorldMapOpen()) {
+      populateQuestList();
+      scheduleRender();
+    }
+  });
+  
   // Initialize camera at player position
   if (state?.player) {
     mapCamX = state.player.x;
@@ -648,6 +659,15 @@ function onClickToPath(e) {
     return; // Was a drag, not a click
   }
   
+  // Clicking an unlocked beacon starts fast travel instead of pathing
+  const beacon = getBeaconAtScreen(e.clientX, e.clientY);
+  if (beacon) {
+    import('./fastTravel.js').then(async ({ startFastTravel }) => {
+      if (await startFastTravel(beacon.id)) closeWorldMap();
+    });
+    return;
+  }
+
   // Convert screen position to tile coordinates
   const tilePos = screenToTile(e.clientX, e.clientY);
   if (!tilePos) return;
@@ -664,6 +684,9 @@ function onClickToPath(e) {
     return;
   }
   
+  if (isReplaying()) return;
+  recordInput('travel', [Math.floor(x), Math.floor(y)]);
+
   // Create path to clicked location
   import('./movement.js').then(({ createPathTo }) => {
     createPathTo(Math.floor(x), Math.floor(y), false);
@@ -672,6 +695,28 @@ function onClickToPath(e) {
   });
 }
 
+/**
+ * Unlocked fast-travel beacon under the cursor (within a few pixels of its marker).
+ */
+function getBeaconAtScreen(clientX, clientY) {
+  if (!filters['fast-travel']) return null;
+
+  const rect = viewport.getBoundingClientRect();
+  const hitRadius = CONFIG.poiSize + 4;
+
+  for (const obj of gameState.map.objects) {
+    if (obj.interact?.action !== 'fastTravel') continue;
+    if (!gameState.runtime.unlockedBeacons?.has(obj.id)) continue;
+
+    const pos = tileToScreen(obj.x + 0.5, obj.y + 0.5);
+    if (!pos) continue;
+    if (Math.hypot(clientX - rect.left - pos.x, clientY - rect.top - pos.y) <= hitRadius) {
+      return obj;
+    }
+  }
+  return null;
+}
+
 // ============================================
 // WAYPOINTS (RIGHT-CLICK)
 // ============================================
@@ -706,7 +751,7 @@ function onContextMenu(e) {
 
 function saveWaypoints() {
   try {
-    localStorage.setItem(CONFIG.waypointStorageKey, JSON.stringify(waypoints));
+    localStorage.setItem(slotKey(CONFIG.waypointStorageKey), JSON.stringify(waypoints));
   } catch (e) {
     console.warn('[WorldMap] Failed to save waypoints:', e);
   }
@@ -714,7 +759,7 @@ function saveWaypoints() {
 
 function loadWaypoints() {
   try {
-    const saved = localStorage.getItem(CONFIG.waypointStorageKey);
+    const saved = localStorage.getItem(slotKey(CONFIG.waypointStorageKey));
     if (saved) {
       waypoints = JSON.parse(saved);
     }
@@ -790,29 +835,24 @@ function populateQuestList() {
   }
   
   list.innerHTML = activeQuests.map(quest => {
-    // Get current objective
-    const progress = gameState.quests.progress[quest.id] || {};
-    const objectives = quest.objectives || [];
-    const currentObj = objectives.find(obj => {
-      const count = progress[obj.id] || 0;
-      return count < (obj.count || 1);
-    });
+    // Current objective: first unfinished one that isn't optional
+    const currentObj = getObjectiveStatus(gameState, quest.id).find(obj => !obj.complete && !obj.optional);
     
     return `
       <div class="worldmap-quest-item" data-quest-id="${quest.id}">
         <div class="worldmap-quest-name">${quest.name}</div>
-        ${currentObj ? `<div class="worldmap-quest-objective">${currentObj.description}</div>` : ''}
+        ${currentObj ? `<div class="worldmap-quest-objective">${currentObj.label}</div>` : ''}
       </div>
     `;
   }).join('');
   
-  // Add click handlers to pan to quest location (if available)
+  // Add click handlers to pan to the tracked objective (if it has a place)
   list.querySelectorAll('.worldmap-quest-item').forEach(item => {
     item.addEventListener('click', () => {
-      const quest = activeQuests.find(q => q.id === item.dataset.questId);
-      if (quest?.location) {
-        mapCamX = quest.location.x;
-        mapCamY = quest.location.y;
+      const target = getQuestMapTargets(gameState).find(t => t.questId === item.dataset.questId);
+      if (target) {
+        mapCamX = target.x;
+        mapCamY = target.y;
         scheduleRender();
       }
     });
@@ -1266,15 +1306,10 @@ function renderQuestMarkers(vp) {
   if (!gameState) return;
   
   const colors = getColors();
-  const activeQuests = getQuestsByState(gameState, 'active');
   
-  for (const quest of activeQuests) {
-    if (!quest.location) continue;
-    
-    const { x, y } = quest.location;
-    
-    // Check fog
-    if (!fogIsRevealed(x, y)) continue;
+  // Tracked objectives are guidance, so they show through fog
+  for (const target of getQuestMapTargets(gameState)) {
+    const { x, y } = target;
     
     // Check in view
     if (x < vp.left - 2 || x > vp.right + 2 || y < vp.top - 2 || y > vp.bottom + 2) {
@@ -1284,9 +1319,10 @@ function renderQuestMarkers(vp) {
     const pos = tileToScreen(x + 0.5, y + 0.5);
     if (!pos) continue;
     
-    // Draw quest marker (exclamation diamond)
+    // Draw quest marker (diamond); contracts use the side-quest color
     const size = CONFIG.questSize;
-    const color = quest.type === 'main' ? colors.questMain : colors.questSide;
+    const quest = gameState.questDefs.find(q => q.id === target.questId);
+    const color = quest?.repeatable ? colors.questSide : colors.questMain;
     
     overlayCtx.save();
     overlayCtx.translate(pos.x, pos.y);
@@ -1442,16 +1478,20 @@ function renderPOIMarkers(vp, poiType) {
     if (!pos) continue;
     
     // Draw POI marker (circle)
-    const size = CONFIG.poiSize;
+    let size = CONFIG.poiSize;
     let color = colors.stroke;
     
     if (poiType === 'merchant') color = colors.merchant;
     else if (poiType === 'save') color = colors.save;
     else if (poiType === 'fastTravel') color = colors.fastTravel;
     
+    // Locked beacons are drawn hollow; unlocked ones larger (they're clickable)
+    const locked = poiType === 'fastTravel' && !gameState.runtime.unlockedBeacons?.has(poi.id);
+    if (poiType === 'fastTravel' && !locked) size *= 1.5;
+    
     overlayCtx.beginPath();
     overlayCtx.arc(pos.x, pos.y, size / 2, 0, Math.PI * 2);
-    overlayCtx.fillStyle = color;
+    overlayCtx.fillStyle = locked ? colors.stroke : color;
     overlayCtx.fill();
     overlayCtx.strokeStyle = colors.stroke;
     overlayCtx.lineWidth = 1;
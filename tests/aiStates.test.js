@@ -0,0 +1,115 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { AI } = await import('../src/js/aiConstants.js');
+const {
+  initEnemyAI, startRetreat, processRetreat, checkLeashAndDeaggro, canAggro,
+  shouldBreakOffFromGuards, retreatPack, setOnEnemyDisengageCallback,
+  getAggroRadius, setLightQuery
+} = await import('../src/js/aiUtils.js');
+const { setTimeOfDay } = await import('../src/js/time.js');
+
+function makeEnemy(overrides = {}) {
+  return initEnemyAI({ id: 'e1', x: 10, y: 10, hp: 40, maxHP: 40, level: 5, ...overrides });
+}
+
+test('new enemies start unaware at home', () => {
+  const enemy = makeEnemy();
+  assert.equal(enemy.state, AI.STATES.UNAWARE);
+  assert.deepEqual(enemy.home, { x: 10, y: 10 });
+  assert.equal(enemy.deaggroRadius, AI.DEFAULT_AGGRO_RADIUS + AI.DEFAULT_DEAGGRO_RADIUS_PAD);
+  assert.equal(canAggro(enemy), true);
+});
+
+test('leash and lost-target checks pick the retreat reason', () => {
+  const enemy = makeEnemy({ leashRadius: 10 });
+  const t = 10_000;
+
+  enemy.x = 25;
+  assert.equal(checkLeashAndDeaggro(enemy, { x: 26, y: 10 }, t), 'leash');
+
+  enemy.x = 12;
+  const farPlayer = { x: 40, y: 10 };
+  assert.equal(checkLeashAndDeaggro(enemy, farPlayer, t), null, 'grace period first');
+  assert.equal(checkLeashAndDeaggro(enemy, farPlayer, t + AI.DISENGAGE_GRACE_MS + 1), 'lost');
+
+  // Provoked enemies hold on regardless
+  enemy.provokedUntil = t + 60_000;
+  assert.equal(checkLeashAndDeaggro(enemy, farPlayer, t + 5000), null);
+});
+
+test('retreat runs ENGAGED -> RETREATING -> UNAWARE with a full heal', () => {
+  const disengaged = [];
+  setOnEnemyDisengageCallback((enemy, reason) => disengaged.push([enemy.id, reason]));
+
+  const enemy = makeEnemy();
+  enemy.state = AI.STATES.ENGAGED;
+  enemy.isEngaged = true;
+  enemy.targetId = 'player';
+  enemy.x = 14;
+  enemy.hp = 10;
+
+  const t = 20_000;
+  startRetreat(enemy, t, 'lost');
+  assert.equal(enemy.state, AI.STATES.RETREATING);
+  assert.equal(enemy.targetId, null);
+  assert.deepEqual(enemy.retreatTo, { x: 10, y: 10 });
+  assert.equal(canAggro(enemy, t), false);
+  assert.deepEqual(disengaged, [['e1', 'lost']]);
+
+  // Walk home one tile per step, regenerating on the way
+  const step = (e, x, y) => { e.x += Math.sign(x - e.x); e.y += Math.sign(y - e.y); };
+  let now = t;
+  while (processRetreat(enemy, step, now, 100)) {
+    now += 100;
+    assert.ok(now < t + 1000, 'reaches home');
+  }
+
+  assert.equal(enemy.state, AI.STATES.UNAWARE);
+  assert.equal(enemy.isRetreating, false);
+  assert.equal(enemy.hp, 40);
+  assert.equal(canAggro(enemy, t + AI.BROKEN_OFF_MS - 1), false, 'still broken off');
+  assert.equal(canAggro(enemy, t + AI.BROKEN_OFF_MS + 1), true);
+
+  setOnEnemyDisengageCallback(null);
+});
+
+test('stuck retreats snap home after the timeout', () => {
+  const enemy = makeEnemy();
+  enemy.x = 18;
+  startRetreat(enemy, 0, 'leash');
+
+  assert.equal(processRetreat(enemy, () => {}, 100, 100), true);
+  assert.equal(processRetreat(enemy, () => {}, AI.RETREAT_TIMEOUT_MS + 1, 100), false);
+  assert.deepEqual([enemy.x, enemy.y], [10, 10]);
+  assert.equal(enemy.state, AI.STATES.UNAWARE);
+});
+
+test('guards and packs trigger retreats', () => {
+  const enemy = makeEnemy({ packId: 'p1' });
+  const packmate = makeEnemy({ id: 'e2', x: 11, packId: 'p1' });
+  const outsider = makeEnemy({ id: 'e3', x: 30, packId: 'p2' });
+
+  assert.equal(shouldBreakOffFromGuards(enemy, [{ x: 12, y: 10, hp: 100, level: 50 }]), true);
+  assert.equal(shouldBreakOffFromGuards(enemy, [{ x: 40, y: 40, hp: 100, level: 50 }]), false);
+  assert.equal(shouldBreakOffFromGuards(enemy, [{ x: 12, y: 10, hp: 0, level: 50 }]), false);
+
+  retreatPack('p1', [enemy, packmate, outsider], 1000);
+  assert.equal(enemy.isRetreating, true);
+  assert.equal(packmate.retreatReason, 'pack');
+  assert.equal(outsider.isRetreating, false);
+});
+
+test('deep night halves sight unless the enemy stands in light', () => {
+  const enemy = makeEnemy({ aggroRadius: 8 });
+
+  setTimeOfDay(0.5); // noon
+  assert.equal(getAggroRadius(enemy), 8);
+
+  setTimeOfDay(0.1); // ~02:24
+  assert.equal(getAggroRadius(enemy), 4);
+
+  setLightQuery((x, y) => x === 10 && y === 10);
+  assert.equal(getAggroRadius(enemy), 8);
+  setLightQuery(() => false);
+});
@@ -0,0 +1,95 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { installLocalStorage, loadData, makeState } from './support.js';
+
+installLocalStorage();
+
+const catalog = await import('../src/js/enemyCatalog.js');
+const { initMapConfig } = await import('../src/js/mapConfig.js');
+const { buildSpatialIndex } = await import('../src/js/collision.js');
+const { on, clearListeners, EVENTS } = await import('../src/js/events.js');
+const { initSpawnDirector, stopSpawnDirector, spawnScriptedEnemy } = await import('../src/js/spawnDirector.js');
+const { initCombat, stopCombatTick, tickCombat, handleTargeting } = await import('../src/js/combat.js');
+
+describe('combat step', () => {
+  let state;
+
+  before(() => {
+    catalog.initEnemyCatalog(loadData('enemies.json'));
+    initMapConfig({ meta: { width: 128, height: 128 } }, { baseCenter: { x: 64, y: 64 }, expandedSize: 128 });
+
+    state = makeState({
+      spawnerDefs: [],
+      entities: {
+        npcs: [{ id: 'npc_runner', name: 'Runner', x: 40, y: 64, maxHP: 90, requires: { questActive: 'q_escort' } }],
+        bosses: []
+      },
+      questDefs: [{ id: 'q_escort', name: 'Escort', failOn: { npcDies: 'npc_runner' }, objectives: [] }]
+    });
+    buildSpatialIndex(state);
+    initSpawnDirector(state);
+    stopSpawnDirector();
+    initCombat(state);
+    stopCombatTick();
+  });
+
+  after(() => {
+    stopCombatTick();
+    stopSpawnDirector();
+    clearListeners();
+  });
+
+  test('an adjacent aggro enemy hits the player through the tick, with no DOM', () => {
+    const seen = new Set();
+    for (const name of ['COMBAT_LOG', 'DAMAGE_DEALT', 'PLAYER_HEALTH_CHANGED']) {
+      on(EVENTS[name], () => seen.add(name));
+    }
+
+    const enemy = spawnScriptedEnemy('scav_melee', 5, state.player.x + 1, state.player.y);
+    enemy.isEngaged = true;
+    enemy.isAware = true;
+    enemy.state = 'ALERT';
+
+    const hpBefore = state.player.hp;
+    const start = performance.now();
+    for (let i = 1; i <= 100 && state.player.hp === hpBefore; i++) {
+      tickCombat(start + i * 100);
+    }
+
+    assert.ok(state.player.hp < hpBefore, 'player took damage');
+    assert.deepEqual([...seen].sort(), ['COMBAT_LOG', 'DAMAGE_DEALT', 'PLAYER_HEALTH_CHANGED']);
+  });
+
+  test('auto-attack kills a target through the tick', { timeout: 5000 }, async () => {
+    const died = new Promise(resolve => on(EVENTS.ENEMY_DIED, ({ enemy }) => resolve(enemy)));
+
+    const enemy = spawnScriptedEnemy('scav_melee', 1, state.player.x, state.player.y - 1);
+    enemy.hp = 1;
+    enemy.spawnImmunityUntil = 0;
+    state.player.hp = state.player.maxHP;
+    handleTargeting('attack', enemy);
+
+    const start = performance.now();
+    for (let i = 1; i <= 100 && enemy.hp > 0; i++) {
+      tickCombat(start + i * 100);
+    }
+
+    assert.ok(enemy.hp <= 0, 'target died');
+    assert.equal(await died, enemy);
+    assert.ok(!state.runtime.activeEnemies.includes(enemy));
+  });
+
+  test('enemies only turn on an escort while its quest is active', () => {
+    const runner = state.entities.npcs[0];
+    const enemy = spawnScriptedEnemy('scav_melee', 5, runner.x + 1, runner.y);
+    enemy.effects = { ...enemy.effects, rootUntil: performance.now() + 60000 }; // No idle wandering off
+
+    const start = performance.now();
+    for (let i = 1; i <= 20; i++) tickCombat(start + i * 100);
+    assert.equal(runner.hp, runner.maxHP, 'untouched before the quest');
+
+    state.quests.active.push('q_escort');
+    for (let i = 21; i <= 60 && runner.hp === runner.maxHP; i++) tickCombat(start + i * 100);
+    assert.ok(runner.hp < runner.maxHP, 'attacked during the quest');
+  });
+});
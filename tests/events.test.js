@@ -0,0 +1,46 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { on, off, emit, clearListeners, EVENTS } = await import('../src/js/events.js');
+
+beforeEach(() => clearListeners());
+
+test('listeners receive payloads in subscription order', () => {
+  const seen = [];
+  on(EVENTS.ENEMY_MOVED, ({ x }) => seen.push(['a', x]));
+  on(EVENTS.ENEMY_MOVED, ({ x }) => seen.push(['b', x]));
+  on(EVENTS.ENEMY_DIED, () => seen.push(['died']));
+
+  emit(EVENTS.ENEMY_MOVED, { x: 3 });
+  assert.deepEqual(seen, [['a', 3], ['b', 3]]);
+});
+
+test('unsubscribing stops delivery', () => {
+  let count = 0;
+  const listener = () => count++;
+  const unsubscribe = on(EVENTS.NOTIFY, listener);
+
+  emit(EVENTS.NOTIFY);
+  unsubscribe();
+  emit(EVENTS.NOTIFY);
+  on(EVENTS.NOTIFY, listener);
+  off(EVENTS.NOTIFY, listener);
+  emit(EVENTS.NOTIFY);
+
+  assert.equal(count, 1);
+});
+
+test('a throwing listener does not block the rest', (t) => {
+  t.mock.method(console, 'error', () => {});
+  let reached = false;
+  on(EVENTS.DAMAGE_DEALT, () => { throw new Error('broken view'); });
+  on(EVENTS.DAMAGE_DEALT, () => { reached = true; });
+
+  emit(EVENTS.DAMAGE_DEALT, { damage: 5 });
+  assert.equal(reached, true);
+  assert.equal(console.error.mock.callCount(), 1);
+});
+
+test('emitting with no listeners is a no-op', () => {
+  assert.doesNotThrow(() => emit(EVENTS.ENEMY_SPAWNED, { enemy: {} }));
+});
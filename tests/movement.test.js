@@ -0,0 +1,65 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { installLocalStorage, makeState } from './support.js';
+
+installLocalStorage();
+
+const { buildSpatialIndex } = await import('../src/js/collision.js');
+const { on, clearListeners, EVENTS } = await import('../src/js/events.js');
+const movement = await import('../src/js/movement.js');
+
+describe('movement step', () => {
+  let state;
+  let blocked = false;
+
+  before(() => {
+    state = makeState();
+    buildSpatialIndex(state);
+    movement.initMovement(state, { isBlocked: () => blocked });
+  });
+
+  after(() => {
+    movement.cancelPath();
+    clearListeners();
+  });
+
+  test('following a click path moves the player tile by tile, with no DOM', () => {
+    const moves = [];
+    const paths = [];
+    const offMoved = on(EVENTS.PLAYER_MOVED, (e) => moves.push(e));
+    const offPath = on(EVENTS.PATH_CHANGED, ({ path }) => paths.push(path.length));
+
+    assert.equal(movement.createPathTo(67, 64), true);
+    assert.equal(paths.at(-1), 3);
+
+    for (let i = 0; i < 50 && (movement.hasActivePath() || movement.isCurrentlyMoving()); i++) {
+      movement.tickMovement(50);
+    }
+    offMoved();
+    offPath();
+
+    assert.deepEqual({ x: state.player.x, y: state.player.y }, { x: 67, y: 64 });
+    assert.equal(paths.at(-1), 0, 'path drained');
+    assert.ok(moves.some(e => e.moving && !Number.isInteger(e.x)), 'tweened mid-step positions');
+    assert.deepEqual(moves.at(-1), { x: 67, y: 64, moving: false, dashing: false });
+  });
+
+  test('a blocked player stays put and teleports snap', () => {
+    const moves = [];
+    const off = on(EVENTS.PLAYER_MOVED, (e) => moves.push(e));
+
+    blocked = true;
+    movement.createPathTo(64, 64);
+    for (let i = 0; i < 10; i++) movement.tickMovement(50);
+    blocked = false;
+    movement.cancelPath();
+
+    assert.equal(state.player.x, 67);
+    assert.equal(moves.length, 0);
+
+    movement.setPlayerPosition(60, 60, false);
+    off();
+
+    assert.deepEqual(moves, [{ x: 60, y: 60, moving: false, dashing: false, snap: true }]);
+  });
+});
@@ -0,0 +1,597 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installLocalStorage, makeState, loadData } from './support.js';
+
+installLocalStorage();
+
+const { on, clearListeners, EVENTS } = await import('../src/js/events.js');
+const {
+  getQuestState, startQuest, updateQuestProgress, setQuestEffects, getAvailableQuestsForNpc,
+  getPendingDeliveries, deliverQuestItem, validateQuestDefs, getNpcQuestMarker,
+  abandonQuest, checkQuestFailures, getQuestTimeRemaining,
+  getContractCooldown, checkContractResets, MAX_ACTIVE_CONTRACTS, recordQuestChoice,
+  getCompletableQuestsForNpc, getObjectiveStatus, getQuestMapTargets, isQuestTracked, setQuestTracked
+} = await import('../src/js/quests.js');
+const { initDayCycle, setTimeOfDay } = await import('../src/js/time.js');
+const { damageNpc } = await import('../src/js/combat.js');
+
+const QUESTS = [
+  {
+    id: 'q_pests',
+    name: 'Pest Control',
+    giver: 'npc_marla',
+    objectives: [
+      { type: 'kill', enemyType: 'critter', amount: 2 },
+      { type: 'return', toEntity: 'npc_marla' }
+    ],
+    onStart: [{ giveItem: 'bandage', amount: 2 }],
+    rewards: { xp: 50, items: [{ itemId: 'scrap', amount: 3 }], flags: ['pests_done'] }
+  },
+  {
+    id: 'q_followup',
+    name: 'Follow Up',
+    giver: 'npc_marla',
+    requires: { questComplete: 'q_pests', level: 3 },
+    objectives: [{ type: 'collect', itemId: 'scrap', amount: 5 }]
+  },
+  {
+    id: 'q_flagged',
+    name: 'Flagged',
+    giver: 'npc_other',
+    requires: { flag: 'met_other' },
+    objectives: [{ type: 'talk', toEntity: 'npc_other' }]
+  },
+  {
+    id: 'q_delivery',
+    name: 'Delivery',
+    giver: 'npc_board',
+    objectives: [{ type: 'giveItem', itemId: 'token', amount: 2, toEntity: 'npc_envoy' }]
+  },
+  {
+    id: 'q_ambush',
+    name: 'Ambush',
+    giver: 'npc_board',
+    objectives: [
+      { type: 'encounter', spawnId: 'sp_west' },
+      { type: 'encounter', spawnId: 'sp_east', until: 'cleared' }
+    ]
+  },
+  {
+    id: 'q_escort',
+    name: 'Escort',
+    giver: 'npc_board',
+    failOn: { npcDies: 'npc_runner', flag: 'runner_lost', reason: 'The runner is gone' },
+    onStart: [{ giveItem: 'token', amount: 1 }, { setFlag: 'escort_started' }],
+    onFail: [{ setFlag: 'escort_failed' }],
+    objectives: [{ type: 'reach', x: 10, y: 10 }]
+  },
+  {
+    id: 'q_timed',
+    name: 'Timed',
+    giver: 'npc_board',
+    failOn: { timeLimitHours: 6 },
+    objectives: [{ type: 'talk', toEntity: 'npc_envoy' }]
+  },
+  {
+    id: 'q_bounty_daily',
+    name: 'Daily Bounty',
+    giver: 'npc_bounty',
+    repeatable: { daily: true, maxPerDay: 2 },
+    objectives: [{ type: 'kill', enemyType: 'critter', amount: 1 }],
+    rewards: { xp: 10 }
+  },
+  {
+    id: 'q_bounty_cooldown',
+    name: 'Cooldown Bounty',
+    giver: 'npc_bounty',
+    repeatable: { cooldownHours: 4 },
+    objectives: [{ type: 'talk', toEntity: 'npc_bounty' }]
+  },
+  ...['a', 'b', 'c'].map(id => ({
+    id: `q_contract_${id}`,
+    name: `Contract ${id}`,
+    giver: 'npc_bounty',
+    repeatable: true,
+    objectives: [{ type: 'talk', toEntity: 'npc_envoy' }]
+  })),
+  {
+    id: 'q_mystery',
+    name: 'Mystery',
+    giver: 'npc_detective',
+    stages: [
+      {
+        id: 'clue',
+        text: 'Ask around.',
+        onEnter: [{ setFlag: 'mystery_started' }],
+        objectives: [{ type: 'talk', toEntity: 'npc_witness' }],
+        next: [
+          { flag: 'saw_ghost', stage: 'ghost' },
+          { choice: 'accuse', stage: 'accuse' },
+          { stage: 'search' }
+        ]
+      },
+      {
+        id: 'ghost',
+        onEnter: [{ spawn: { type: 'wraith', x: 5, y: 6 } }, { dialogue: 'dlg_ghost', npc: 'npc_witness' }],
+        objectives: [{ type: 'kill', enemyType: 'wraith', amount: 1 }]
+      },
+      {
+        id: 'accuse',
+        text: 'Confront the suspect.',
+        objectives: [{ type: 'return', toEntity: 'npc_detective' }]
+      },
+      {
+        id: 'search',
+        objectives: [{ type: 'reach', x: 10, y: 10 }]
+      }
+    ]
+  },
+  {
+    id: 'q_after_bounty',
+    name: 'After Bounty',
+    giver: 'npc_bounty',
+    requires: { questComplete: 'q_bounty_daily' },
+    objectives: [{ type: 'talk', toEntity: 'npc_bounty' }]
+  }
+];
+
+let state;
+let calls;
+let notices;
+
+beforeEach(() => {
+  state = makeState({ questDefs: QUESTS });
+  calls = { addItem: [], removeItem: [], setFlag: [], clearFlag: [], grantXP: [], spawnEnemy: [], showDialogue: [] };
+  notices = [];
+  let scrap = 0;
+  let tokens = 0;
+
+  clearListeners();
+  on(EVENTS.NOTIFY, ({ message }) => notices.push(message));
+  setQuestEffects({
+    addItem: (id, amount) => {
+      calls.addItem.push([id, amount]);
+      if (id === 'scrap') scrap += amount;
+      if (id === 'token') tokens += amount;
+    },
+    removeItem: (id, amount) => {
+      calls.removeItem.push([id, amount]);
+      if (id === 'token') tokens -= amount;
+      return true;
+    },
+    setFlag: (flag) => {
+      calls.setFlag.push(flag);
+      state.flags[flag] = true;
+    },
+    clearFlag: (flag) => {
+      calls.clearFlag.push(flag);
+      delete state.flags[flag];
+    },
+    grantXP: (amount) => calls.grantXP.push(amount),
+    spawnEnemy: (...args) => calls.spawnEnemy.push(args),
+    showDialogue: (...args) => calls.showDialogue.push(args),
+    getItemCount: (id) => ({ scrap, token: tokens })[id] ?? 0
+  });
+});
+
+test('prerequisites gate availability', () => {
+  assert.equal(getQuestState(state, 'q_pests'), 'available');
+  assert.equal(getQuestState(state, 'q_followup'), 'locked');
+  assert.equal(getQuestState(state, 'q_flagged'), 'locked');
+  assert.equal(getQuestState(state, 'q_missing'), 'locked');
+
+  state.flags.met_other = true;
+  assert.equal(getQuestState(state, 'q_flagged'), 'available');
+
+  state.quests.complete.push('q_pests');
+  assert.equal(getQuestState(state, 'q_followup'), 'locked', 'level 3 still required');
+  state.player.level = 3;
+  assert.equal(getQuestState(state, 'q_followup'), 'available');
+});
+
+test('starting a quest activates it and applies onStart effects', async () => {
+  assert.equal(await startQuest(state, 'q_pests'), true);
+
+  assert.equal(getQuestState(state, 'q_pests'), 'active');
+  assert.deepEqual(state.quests.q_pests_progress[0], { count: 0, complete: false });
+  assert.deepEqual(calls.addItem, [['bandage', 2]]);
+  assert.deepEqual(notices, ['Quest Started: Pest Control']);
+  assert.deepEqual(getAvailableQuestsForNpc(state, 'npc_marla'), []);
+
+  // Can't start twice
+  assert.equal(await startQuest(state, 'q_pests'), false);
+});
+
+test('kill and return objectives complete the quest and grant rewards', async () => {
+  let changes = 0;
+  on(EVENTS.QUESTS_CHANGED, () => changes++);
+  await startQuest(state, 'q_pests');
+
+  await updateQuestProgress(state, 'kill', { enemyType: 'nomad' });
+  await updateQuestProgress(state, 'kill', { enemyType: 'critter' });
+  assert.deepEqual(state.quests.q_pests_progress[0], { count: 1, complete: false });
+
+  // Returning early doesn't count
+  await updateQuestProgress(state, 'return', { entityId: 'npc_marla' });
+  assert.equal(state.quests.q_pests_progress[1], undefined);
+
+  await updateQuestProgress(state, 'kill', { enemyType: 'critter' });
+  assert.equal(state.quests.q_pests_progress[0].complete, true);
+
+  await updateQuestProgress(state, 'return', { entityId: 'npc_marla' });
+  assert.equal(getQuestState(state, 'q_pests'), 'complete');
+  assert.equal(state.quests.q_pests_progress, undefined, 'progress is cleaned up');
+  assert.equal(state.quests.completedDay.q_pests, 1);
+
+  assert.deepEqual(calls.grantXP, [50]);
+  assert.deepEqual(calls.addItem.at(-1), ['scrap', 3]);
+  assert.deepEqual(calls.setFlag, ['pests_done']);
+  assert.ok(notices.includes('Quest Complete: Pest Control'));
+  assert.ok(changes >= 2, 'NPC markers refresh on start and completion');
+});
+
+test('collect objectives read the inventory count', async () => {
+  state.quests.complete.push('q_pests');
+  state.player.level = 3;
+  await startQuest(state, 'q_followup');
+
+  setQuestEffects({ getItemCount: () => 4 });
+  await updateQuestProgress(state, 'collect', { itemId: 'scrap' });
+  assert.deepEqual(state.quests.q_followup_progress[0], { count: 4, complete: false });
+
+  setQuestEffects({ getItemCount: () => 5 });
+  await updateQuestProgress(state, 'collect', { itemId: 'scrap' });
+  assert.equal(getQuestState(state, 'q_followup'), 'complete');
+});
+
+test('giveItem objectives take the item at the target NPC', async () => {
+  await startQuest(state, 'q_delivery');
+  assert.equal(getNpcQuestMarker(state, 'npc_envoy'), 'in-progress');
+
+  const [delivery] = getPendingDeliveries(state, 'npc_envoy');
+  assert.deepEqual(
+    { questId: delivery.questId, index: delivery.index, amount: delivery.amount },
+    { questId: 'q_delivery', index: 0, amount: 2 }
+  );
+  assert.deepEqual(getPendingDeliveries(state, 'npc_marla'), []);
+
+  // Not enough tokens yet: nothing is taken
+  setQuestEffects({ getItemCount: (id) => (id === 'token' ? 1 : 0) });
+  await deliverQuestItem(state, { questId: 'q_delivery', index: 0, entityId: 'npc_envoy' });
+  assert.deepEqual(calls.removeItem, []);
+  assert.equal(getQuestState(state, 'q_delivery'), 'active');
+
+  // Only the target NPC accepts it
+  setQuestEffects({ getItemCount: (id) => (id === 'token' ? 2 : 0) });
+  await deliverQuestItem(state, { questId: 'q_delivery', index: 0, entityId: 'npc_marla' });
+  assert.deepEqual(calls.removeItem, []);
+
+  await deliverQuestItem(state, { questId: 'q_delivery', index: 0, entityId: 'npc_envoy' });
+  assert.deepEqual(calls.removeItem, [['token', 2]]);
+  assert.equal(getQuestState(state, 'q_delivery'), 'complete');
+  assert.ok(notices.includes('Delivered: token'));
+});
+
+test('encounter objectives complete when the pack is engaged or cleared', async () => {
+  await startQuest(state, 'q_ambush');
+
+  await updateQuestProgress(state, 'encounter', { spawnerId: 'sp_other', event: 'engaged' });
+  await updateQuestProgress(state, 'encounter', { spawnerId: 'sp_west', event: 'engaged' });
+  assert.deepEqual(state.quests.q_ambush_progress[0], { complete: true });
+
+  // until: 'cleared' ignores engagement
+  await updateQuestProgress(state, 'encounter', { spawnerId: 'sp_east', event: 'engaged' });
+  assert.equal(state.quests.q_ambush_progress[1], undefined);
+
+  await updateQuestProgress(state, 'encounter', { spawnerId: 'sp_east', event: 'cleared' });
+  assert.equal(getQuestState(state, 'q_ambush'), 'complete');
+});
+
+test('unknown objective types are reported at load', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  assert.deepEqual(validateQuestDefs(QUESTS), []);
+
+  const problems = validateQuestDefs([
+    { id: 'q_bad', objectives: [{ type: 'escort' }, { type: 'giveItem', itemId: 'token' }] }
+  ]);
+  assert.deepEqual(problems, [
+    "q_bad objective 0: unknown type 'escort'",
+    "q_bad objective 1: giveItem needs 'toEntity'"
+  ]);
+  assert.equal(console.warn.mock.callCount(), 2);
+});
+
+test('shipped quests only use known objective types and enemy types', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const enemyTypes = Object.keys(loadData('enemies.json').types);
+  assert.deepEqual(validateQuestDefs(loadData('quests.json').quests, { enemyTypes }), []);
+
+  assert.deepEqual(validateQuestDefs([
+    { id: 'q_typo', objectives: [{ type: 'kill', enemyType: 'scavv', amount: 1 }] }
+  ], { enemyTypes }), ["q_typo objective 0: no enemy type matches 'scavv'"]);
+});
+
+test('shipped interact flag objectives have a map object that sets them', () => {
+  const objects = loadData('map.json').objects;
+  const objectives = loadData('quests.json').quests.flatMap(q =>
+    q.stages ? q.stages.flatMap(stage => stage.objectives) : q.objectives
+  );
+
+  for (const obj of objectives.filter(o => o.type === 'setFlag' && o.objectIdType)) {
+    assert.ok(
+      objects.some(o => o.type === obj.objectIdType && o.interact?.flag === obj.flag),
+      `no ${obj.objectIdType} sets ${obj.flag}`
+    );
+  }
+});
+
+test('the shipped scav bounty counts kills of every scav type', async () => {
+  state.questDefs = loadData('quests.json').quests;
+  state.quests.complete.push('q_critter_cull');
+  state.entities.npcs = [{ id: 'npc_dax_rowan', name: 'Dax', x: 0, y: 0 }];
+
+  assert.equal(await startQuest(state, 'q_bounty_scavs'), true);
+  for (const enemyType of ['scav_melee', 'scav_ranged', 'nomad', 'scav_melee', 'scav_ranged']) {
+    await updateQuestProgress(state, 'kill', { enemyType });
+  }
+  assert.deepEqual(state.quests.q_bounty_scavs_progress[0], { count: 4, complete: true });
+});
+
+test('abandoning a quest rolls back its onStart effects', async () => {
+  await startQuest(state, 'q_escort');
+  assert.equal(state.flags.escort_started, true);
+
+  assert.equal(abandonQuest(state, 'q_escort'), true);
+  assert.equal(getQuestState(state, 'q_escort'), 'available');
+  assert.equal(state.quests.q_escort_progress, undefined);
+  assert.deepEqual(calls.removeItem, [['token', 1]]);
+  assert.deepEqual(calls.clearFlag, ['escort_started']);
+  assert.ok(notices.includes('Quest Abandoned: Escort'));
+
+  assert.equal(abandonQuest(state, 'q_escort'), false, 'only active quests can be abandoned');
+});
+
+test('quests fail when their escort dies and can be retried', async () => {
+  await startQuest(state, 'q_escort');
+  checkQuestFailures(state, { npcDied: { id: 'npc_guard', name: 'Guard' } });
+  assert.equal(getQuestState(state, 'q_escort'), 'active');
+
+  checkQuestFailures(state, { npcDied: { id: 'npc_runner', name: 'Pell' } });
+  assert.equal(getQuestState(state, 'q_escort'), 'failed');
+  assert.deepEqual(calls.removeItem, [['token', 1]], 'failing rolls back onStart too');
+  assert.equal(state.flags.escort_failed, true, 'onFail effects apply');
+  assert.ok(notices.includes('Quest Failed: Escort (Pell fell)'));
+  assert.equal(getNpcQuestMarker(state, 'npc_board'), 'available', 'other quests still come first');
+
+  state.quests.complete.push('q_delivery', 'q_ambush', 'q_timed');
+  assert.equal(getNpcQuestMarker(state, 'npc_board'), 'retry');
+
+  assert.equal(await startQuest(state, 'q_escort'), true);
+  assert.equal(getQuestState(state, 'q_escort'), 'active');
+  assert.deepEqual(state.quests.failed, []);
+});
+
+test('the shipped runner quest fails when enemies bring the runner down', async () => {
+  const shipped = loadData('entities.json').npcs.find(n => n.id === 'npc_runner');
+  const runner = { ...shipped, hp: shipped.maxHP };
+  state.questDefs = loadData('quests.json').quests;
+  state.quests.complete.push('q_storm_prep');
+  on(EVENTS.NPC_DIED, ({ npc }) => checkQuestFailures(state, { npcDied: npc }));
+
+  await startQuest(state, 'q_missing_runner');
+  damageNpc(runner, 40);
+  assert.equal(getQuestState(state, 'q_missing_runner'), 'active');
+
+  damageNpc(runner, 100);
+  assert.equal(runner.hp, 0);
+  assert.ok(runner.recoverAt > 0, 'the runner gets back up later');
+  assert.equal(getQuestState(state, 'q_missing_runner'), 'failed');
+  assert.ok(notices.includes('Quest Failed: Missing Runner (Tamsin Vell fell)'));
+});
+
+test('a fail flag fails the quest and blocks retries while set', async () => {
+  await startQuest(state, 'q_escort');
+  state.flags.runner_lost = true;
+  assert.deepEqual(checkQuestFailures(state), ['q_escort']);
+  assert.ok(notices.includes('Quest Failed: Escort (The runner is gone)'));
+
+  state.quests.complete.push('q_delivery', 'q_ambush', 'q_timed');
+  assert.equal(getNpcQuestMarker(state, 'npc_board'), null);
+  assert.equal(await startQuest(state, 'q_escort'), false);
+
+  delete state.flags.runner_lost;
+  assert.equal(await startQuest(state, 'q_escort'), true);
+});
+
+test('timed quests fail once their world-hour limit runs out', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  initDayCycle(0.25, 1); // 06:00, day 1
+  await startQuest(state, 'q_timed');
+  assert.equal(getQuestTimeRemaining(state, 'q_timed'), 6);
+  assert.equal(getQuestTimeRemaining(state, 'q_pests'), null);
+
+  setTimeOfDay(0.25 + 5 / 24);
+  assert.deepEqual(checkQuestFailures(state), []);
+  assert.ok(Math.abs(getQuestTimeRemaining(state, 'q_timed') - 1) < 0.01);
+
+  setTimeOfDay(0.25 + 6.5 / 24);
+  assert.deepEqual(checkQuestFailures(state), ['q_timed']);
+  assert.ok(notices.includes('Quest Failed: Timed (Out of time)'));
+  assert.equal(state.quests.startedAt.q_timed, undefined);
+});
+
+test('daily contracts reset with the in-game day and stay out of story completions', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  initDayCycle(0.5, 3);
+
+  for (let i = 0; i < 2; i++) {
+    assert.equal(await startQuest(state, 'q_bounty_daily'), true);
+    await updateQuestProgress(state, 'kill', { enemyType: 'critter' });
+  }
+  assert.equal(getQuestState(state, 'q_bounty_daily'), 'cooldown', 'maxPerDay reached');
+  assert.equal(getContractCooldown(state, 'q_bounty_daily'), 12, 'hours until midnight');
+  assert.deepEqual(calls.grantXP, [10, 10]);
+  assert.ok(notices.includes('Contract Complete: Daily Bounty'));
+
+  assert.deepEqual(state.quests.complete, []);
+  assert.equal(getQuestState(state, 'q_after_bounty'), 'locked', 'contracts never satisfy questComplete');
+  assert.deepEqual(state.quests.contracts.q_bounty_daily, { completions: 2, day: 3, today: 2, completedAt: 60 });
+
+  checkContractResets(state);
+  initDayCycle(0.1, 4);
+  assert.deepEqual(checkContractResets(state), ['q_bounty_daily']);
+  assert.equal(getQuestState(state, 'q_bounty_daily'), 'available');
+});
+
+test('contract cooldowns count world hours from the turn-in', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  initDayCycle(0.25, 1);
+  await startQuest(state, 'q_bounty_cooldown');
+  await updateQuestProgress(state, 'talk', { entityId: 'npc_bounty' });
+  assert.equal(getQuestState(state, 'q_bounty_cooldown'), 'cooldown');
+  assert.equal(getContractCooldown(state, 'q_bounty_cooldown'), 4);
+
+  setTimeOfDay(0.25 + 4 / 24);
+  assert.equal(getQuestState(state, 'q_bounty_cooldown'), 'available');
+});
+
+test('only a few contracts can be held at once', async () => {
+  assert.equal(MAX_ACTIVE_CONTRACTS, 3);
+  for (const id of ['a', 'b', 'c']) {
+    assert.equal(await startQuest(state, `q_contract_${id}`), true);
+  }
+  assert.equal(await startQuest(state, 'q_bounty_daily'), false);
+  assert.ok(notices.includes('You can only hold 3 contracts at once'));
+  assert.deepEqual(getAvailableQuestsForNpc(state, 'npc_bounty'), []);
+
+  // Story quests aren't limited
+  assert.equal(await startQuest(state, 'q_pests'), true);
+});
+
+test('staged quests track one stage at a time and branch on choices', async () => {
+  await startQuest(state, 'q_mystery');
+  assert.deepEqual(state.quests.stages.q_mystery, { id: 'clue', choice: null });
+  assert.equal(state.flags.mystery_started, true, 'the first stage enters on start');
+  assert.equal(getNpcQuestMarker(state, 'npc_witness'), 'in-progress');
+  assert.equal(getNpcQuestMarker(state, 'npc_detective'), null, 'later stages are not in play yet');
+
+  assert.equal(recordQuestChoice(state, 'q_mystery', 'accuse'), true);
+  assert.equal(recordQuestChoice(state, 'q_pests', 'accuse'), false, 'only active staged quests take choices');
+
+  await updateQuestProgress(state, 'talk', { entityId: 'npc_witness' });
+  assert.equal(state.quests.stages.q_mystery.id, 'accuse');
+  assert.deepEqual(state.quests.q_mystery_progress, {}, 'progress starts over each stage');
+  assert.deepEqual(getCompletableQuestsForNpc(state, 'npc_detective'), []);
+
+  await updateQuestProgress(state, 'return', { entityId: 'npc_detective' });
+  assert.equal(getQuestState(state, 'q_mystery'), 'complete');
+  assert.equal(state.quests.stages.q_mystery, undefined);
+});
+
+test('stage branches check flags and run onEnter effects', async () => {
+  await startQuest(state, 'q_mystery');
+  state.flags.saw_ghost = true;
+  await updateQuestProgress(state, 'talk', { entityId: 'npc_witness' });
+
+  assert.equal(state.quests.stages.q_mystery.id, 'ghost');
+  assert.deepEqual(calls.spawnEnemy, [['wraith', 1, 5, 6]], 'spawn level defaults to the player level');
+  assert.deepEqual(calls.showDialogue, [['dlg_ghost', 'npc_witness']]);
+  assert.deepEqual(state.quests.q_mystery_progress[0], { count: 0, complete: false });
+
+  await updateQuestProgress(state, 'kill', { enemyType: 'wraith' });
+  assert.equal(getQuestState(state, 'q_mystery'), 'complete');
+});
+
+test('stages without a matching branch fall through to the default', async () => {
+  await startQuest(state, 'q_mystery');
+  await updateQuestProgress(state, 'talk', { entityId: 'npc_witness' });
+  assert.equal(state.quests.stages.q_mystery.id, 'search');
+
+  abandonQuest(state, 'q_mystery');
+  assert.equal(state.quests.stages.q_mystery, undefined);
+});
+
+test('setFlag objectives count flags set before the stage began', async () => {
+  state.flags.saw_ghost = true;
+  state.questDefs = [...QUESTS, {
+    id: 'q_gate',
+    name: 'Gate',
+    giver: 'npc_detective',
+    stages: [
+      { id: 'open', objectives: [{ type: 'setFlag', flag: 'saw_ghost' }], next: 'report' },
+      { id: 'report', objectives: [{ type: 'talk', toEntity: 'npc_detective' }] }
+    ]
+  }];
+
+  await startQuest(state, 'q_gate');
+  assert.equal(state.quests.stages.q_gate.id, 'report');
+});
+
+test('a choice given with the quest branches a stage that finishes on start', async () => {
+  state.questDefs = loadData('quests.json').quests;
+  state.flags.act3 = true;
+  state.flags.dustVeilUnlocked = true;
+
+  await startQuest(state, 'q_reclamation_notice', { choice: 'defiant' });
+  assert.deepEqual(state.quests.stages.q_reclamation_notice, { id: 'escort', choice: 'defiant' });
+  assert.equal(calls.spawnEnemy.length, 2, 'the escort is sent');
+});
+
+test('stage links to missing stages are reported at load', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const problems = validateQuestDefs([{
+    id: 'q_broken',
+    stages: [
+      { id: 'a', objectives: [{ type: 'talk', toEntity: 'npc' }], next: [{ flag: 'x', stage: 'b' }, { stage: 'gone' }] },
+      { id: 'b', objectives: [{ type: 'reach' }] }
+    ]
+  }]);
+  assert.deepEqual(problems, [
+    "q_broken stage a: next stage 'gone' doesn't exist",
+    "q_broken stage b objective 0: reach needs 'x'",
+    "q_broken stage b objective 0: reach needs 'y'"
+  ]);
+});
+
+test('started quests are tracked on the map at their next located objective', async () => {
+  state.entities.npcs = [{ id: 'npc_marla', name: 'Marla', x: 3, y: 4 }];
+  await startQuest(state, 'q_pests');
+  assert.equal(isQuestTracked(state, 'q_pests'), true);
+  assert.deepEqual(getQuestMapTargets(state), [], 'kill objectives have no place on the map');
+
+  await updateQuestProgress(state, 'kill', { enemyType: 'critter' });
+  await updateQuestProgress(state, 'kill', { enemyType: 'critter' });
+  assert.deepEqual(getObjectiveStatus(state, 'q_pests').map(o => o.complete), [true, false]);
+  assert.deepEqual(getQuestMapTargets(state), [
+    { questId: 'q_pests', name: 'Pest Control', label: 'Return to Marla', x: 3, y: 4 }
+  ]);
+
+  setQuestTracked(state, 'q_pests', false);
+  assert.deepEqual(getQuestMapTargets(state), []);
+
+  setQuestTracked(state, 'q_pests', true);
+  abandonQuest(state, 'q_pests');
+  assert.deepEqual(state.quests.tracked, [], 'dropped quests stop being tracked');
+});
+
+test('reach targets are shifted by the map offset', async () => {
+  state.map.meta = { originalOffset: { x: 10, y: 20 } };
+  state.questDefs = [...QUESTS, {
+    id: 'q_scout',
+    name: 'Scout',
+    giver: 'npc_detective',
+    objectives: [
+      { type: 'reach', x: 5, y: 6, label: 'Old tower', optional: true },
+      { type: 'reach', x: 7, y: 8, label: 'Signal mast' }
+    ]
+  }];
+
+  await startQuest(state, 'q_scout');
+  assert.deepEqual(getObjectiveStatus(state, 'q_scout'), [
+    { label: 'Old tower', complete: false, optional: true },
+    { label: 'Signal mast', complete: false, optional: false }
+  ]);
+  assert.deepEqual(getQuestMapTargets(state), [
+    { questId: 'q_scout', name: 'Scout', label: 'Signal mast', x: 17, y: 28 }
+  ], 'optional objectives are skipped');
+});
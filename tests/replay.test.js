@@ -0,0 +1,109 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { makeState } from './support.js';
+
+const {
+  tickReplay, startRecording, recordInput, stopRecording, isRecording,
+  parseReplay, startReplay, stopReplay, isReplaying, getReplayProgress,
+  entityRef, resolveRef
+} = await import('../src/js/replay.js');
+
+const snapshot = { save: '{"format":"vetuu-save"}', rng: { seed: 77, streams: { combat: 1 } } };
+
+beforeEach(() => {
+  stopRecording();
+  stopReplay();
+});
+
+function record(inputs, endAt) {
+  startRecording(snapshot);
+  let elapsed = 0;
+  for (const [t, type, args] of inputs) {
+    tickReplay(t - elapsed);
+    elapsed = t;
+    recordInput(type, args);
+  }
+  tickReplay(endAt - elapsed);
+  return stopRecording();
+}
+
+test('recordings carry the snapshot and timestamped inputs', () => {
+  const replay = record([
+    [100, 'move', [{ dx: 1, dy: 0 }, true]],
+    [250, 'target', ['ability', 2]],
+    [250, 'torch', []]
+  ], 400);
+
+  assert.equal(replay.rng.seed, 77);
+  assert.equal(replay.save, snapshot.save);
+  assert.equal(replay.duration, 400);
+  assert.deepEqual(replay.inputs.map(i => [i.t, i.type]), [[100, 'move'], [250, 'target'], [250, 'torch']]);
+  assert.equal(isRecording(), false);
+
+  recordInput('torch');
+  assert.equal(stopRecording(), null, 'inputs outside a recording are dropped');
+});
+
+test('replays dispatch inputs in order once their time comes due', () => {
+  const replay = record([[100, 'move', [null, false]], [116, 'interact', []], [300, 'clear', []]], 320);
+  const played = [];
+  let ended = null;
+  startReplay(replay, (type) => { played.push(type); }, (progress) => { ended = progress; });
+
+  tickReplay(116);
+  assert.deepEqual(played, [], 'an input recorded after a frame plays at the start of the next');
+  tickReplay(16);
+  assert.deepEqual(played, ['move', 'interact']);
+  assert.equal(getReplayProgress().played, 2);
+
+  tickReplay(200);
+  tickReplay(16);
+  assert.deepEqual(played, ['move', 'interact', 'clear']);
+  assert.equal(isReplaying(), false);
+  assert.deepEqual({ total: ended.total, misses: ended.misses }, { total: 3, misses: 0 });
+});
+
+test('inputs that cannot be applied are counted as misses', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const replay = record([[0, 'target', ['attack', { ref: 'enemy', id: 'gone', x: 0, y: 0 }]]], 10);
+  let ended = null;
+  startReplay(replay, () => false, (progress) => { ended = progress; });
+
+  tickReplay(16);
+  tickReplay(16);
+  assert.equal(ended.misses, 1);
+});
+
+test('replay files round-trip through JSON and are validated', () => {
+  const replay = record([[50, 'path', [70, 58]]], 60);
+  const parsed = parseReplay(JSON.stringify(replay));
+  assert.equal(parsed.ok, true);
+  assert.deepEqual(parsed.replay, replay);
+
+  assert.equal(parseReplay('{nope').ok, false);
+  assert.match(parseReplay('{"format":"vetuu-save"}').error, /Not a Vetuu replay/);
+  assert.match(parseReplay(JSON.stringify({ ...replay, version: 99 })).error, /Unsupported/);
+  assert.match(parseReplay(JSON.stringify({ ...replay, inputs: [{ t: 'x' }] })).error, /malformed/);
+});
+
+test('entity refs resolve by id, then by position', () => {
+  const state = makeState();
+  const wolf = { id: 'enemy_1', x: 10, y: 10, hp: 20 };
+  const other = { id: 'enemy_2', x: 30, y: 30, hp: 20 };
+  state.runtime.activeEnemies.push(wolf, other);
+  state.entities.npcs.push({ id: 'marla', x: 5, y: 5 });
+  state.map.objects.push({ id: 'crate', x: 8, y: 9, interact: {} });
+
+  const ref = JSON.parse(JSON.stringify(entityRef('enemy', wolf)));
+  assert.equal(resolveRef(ref, state), wolf);
+
+  // A respawned enemy gets a new id; the nearest one at the recorded tile stands in
+  assert.equal(resolveRef({ ...ref, id: 'enemy_old', x: 11, y: 9 }, state), wolf);
+  assert.equal(resolveRef({ ...ref, id: 'enemy_old', x: 20, y: 20 }, state), null);
+
+  wolf.hp = 0;
+  assert.equal(resolveRef(ref, state), null, 'dead enemies are not targets');
+
+  assert.equal(resolveRef(entityRef('npc', { id: 'marla', x: 5, y: 5 }), state).id, 'marla');
+  assert.equal(resolveRef(entityRef('object', { x: 8, y: 9 }), state).id, 'crate');
+});
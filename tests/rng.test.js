@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { rng, initRng, getSeed, getRngState, parseSeed, RNG_STREAMS } = await import('../src/js/rng.js');
+const { computeDamage } = await import('../src/js/damage.js');
+
+function draw(name, count) {
+  return Array.from({ length: count }, () => rng(name).next());
+}
+
+test('the same seed replays the same rolls', () => {
+  initRng(1234);
+  const first = draw('combat', 20);
+  initRng(1234);
+  assert.deepEqual(draw('combat', 20), first);
+
+  initRng(1235);
+  assert.notDeepEqual(draw('combat', 20), first);
+});
+
+test('streams are independent of each other', () => {
+  initRng(42);
+  const combatOnly = draw('combat', 10);
+
+  initRng(42);
+  draw('loot', 7);
+  draw('spawn', 3);
+  assert.deepEqual(draw('combat', 10), combatOnly);
+
+  initRng(42);
+  assert.notDeepEqual(draw('loot', 10), combatOnly);
+});
+
+test('saved stream positions resume the sequence', () => {
+  initRng(99);
+  draw('spawn', 5);
+  const saved = getRngState();
+  const next = draw('spawn', 5);
+
+  initRng(saved.seed, saved.streams);
+  assert.equal(getSeed(), 99);
+  assert.deepEqual(draw('spawn', 5), next);
+  assert.deepEqual(Object.keys(saved.streams), RNG_STREAMS);
+});
+
+test('stream helpers stay in range', () => {
+  initRng(7);
+  const world = rng('world');
+  for (let i = 0; i < 200; i++) {
+    const n = world.int(-1, 1);
+    assert.ok(n >= -1 && n <= 1 && Number.isInteger(n));
+    const f = world.range(5, 10);
+    assert.ok(f >= 5 && f < 10);
+  }
+  assert.ok(['a', 'b'].includes(world.pick(['a', 'b'])));
+  assert.throws(() => rng('nope'), /Unknown RNG stream/);
+});
+
+test('seeded damage rolls are reproducible', () => {
+  const roll = () => computeDamage({
+    attacker: { level: 5, atk: 10, luck: 3 },
+    defender: { level: 5, def: 4 },
+    baseDamage: 12,
+    rng: rng('combat').next
+  });
+
+  initRng(2024);
+  const first = Array.from({ length: 10 }, roll).map(r => [r.damage, r.isCrit]);
+  initRng(2024);
+  assert.deepEqual(Array.from({ length: 10 }, roll).map(r => [r.damage, r.isCrit]), first);
+});
+
+test('seeds parse from numbers or text', () => {
+  assert.equal(parseSeed('1234'), 1234);
+  assert.equal(parseSeed(''), null);
+  assert.equal(parseSeed(null), null);
+  assert.equal(parseSeed('bug-report'), parseSeed('bug-report'));
+  assert.notEqual(parseSeed('bug-report'), parseSeed('bug-reports'));
+});
@@ -0,0 +1,150 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { installLocalStorage, makeState } from './support.js';
+
+const storage = installLocalStorage();
+
+const { SAVE_VERSION, migrateSave } = await import('../src/js/saveMigrations.js');
+const {
+  initSaveSlots, saveGame, loadGame, listSaveBackups, slotKey,
+  createSaveSlot, setActiveSlot, getSaveSlots, exportSave, importSave
+} = await import('../src/js/save.js');
+const { setTimeOfDay } = await import('../src/js/time.js');
+const { initRng } = await import('../src/js/rng.js');
+
+function playedState() {
+  const state = makeState();
+  Object.assign(state.player, { x: 70, y: 58, level: 7, xp: 420, credits: 125 });
+  state.player.inventory.push({ id: 'itm_medkit', qty: 3 });
+  state.player.equipment.weapon = 'wpn_rifle';
+  state.flags.met_marla = true;
+  state.quests.active.push('q_pests');
+  state.quests.tracked.push('q_pests');
+  state.quests.q_pests_progress = { 0: { count: 1, complete: false } };
+  state.quests.complete.push('q_intro');
+  state.quests.completedDay.q_intro = 1;
+  state.quests.failed.push('q_runner');
+  state.quests.contracts.q_bounty = { completions: 2, day: 1, today: 2, completedAt: 12 };
+  state.runtime.defeatedBosses.add('boss_captain');
+  state.runtime.unlockedBeacons.add('beacon_drycross');
+  state.map.objects.push({
+    id: 'loot_1', type: 'lootDrop', x: 71, y: 58, solid: false, interact: { action: 'loot' },
+    loot: [{ itemId: 'itm_trog_fetish', qty: 1 }], source: { enemyType: 'trog_warrior' },
+    expiresAt: performance.now() + 60000
+  });
+  return state;
+}
+
+beforeEach(() => {
+  storage.clear();
+  initSaveSlots();
+});
+
+test('a saved game loads back unchanged', () => {
+  setTimeOfDay(0.6);
+  initRng(31337);
+  saveGame(playedState());
+
+  const loaded = loadGame();
+  assert.equal(loaded.version, SAVE_VERSION);
+  assert.deepEqual(
+    { x: loaded.player.x, y: loaded.player.y, level: loaded.player.level, credits: loaded.player.credits },
+    { x: 70, y: 58, level: 7, credits: 125 }
+  );
+  assert.deepEqual(loaded.player.inventory, [{ id: 'itm_medkit', qty: 3 }]);
+  assert.deepEqual(loaded.flags, { met_marla: true });
+  assert.deepEqual(loaded.quests.active, ['q_pests']);
+  assert.deepEqual(loaded.quests.tracked, ['q_pests']);
+  assert.deepEqual(loaded.quests.q_pests_progress, { 0: { count: 1, complete: false } });
+  assert.deepEqual(loaded.quests.completedDay, { q_intro: 1 });
+  assert.deepEqual(loaded.quests.failed, ['q_runner']);
+  assert.equal(loaded.quests.contracts.q_bounty.completions, 2);
+  assert.deepEqual(loaded.defeatedBosses, ['boss_captain']);
+  assert.deepEqual(loaded.unlockedBeacons, ['beacon_drycross']);
+  assert.equal(loaded.lootDrops.length, 1);
+  assert.deepEqual(loaded.lootDrops[0].loot, [{ itemId: 'itm_trog_fetish', qty: 1 }]);
+  assert.ok(loaded.lootDrops[0].despawnMs > 50000 && loaded.lootDrops[0].despawnMs <= 60000, 'drops keep the time they had left');
+  assert.ok(Math.abs(loaded.worldTime.timeOfDay - 0.6) < 0.01);
+  assert.equal(loaded.rng.seed, 31337);
+});
+
+test('old saves are migrated and the original is backed up', () => {
+  const v1 = {
+    version: 1,
+    timestamp: 0,
+    player: {
+      x: 5, y: 5, hp: 50, maxHP: 50, sense: 20, maxSense: 20,
+      atk: 3, def: 2, luck: 1, level: 2, xp: 0, xpToNext: 100,
+      inventory: [], equipment: {}
+    },
+    flags: {},
+    quests: { active: ['q_pests'], complete: ['q_intro'] },
+    collectedNodes: [],
+    spawnedAreas: [],
+    defeatedBosses: []
+  };
+  storage.setItem(slotKey('vetuu_save'), JSON.stringify(v1));
+
+  const loaded = loadGame();
+  assert.equal(loaded.version, SAVE_VERSION);
+  assert.equal(loaded.player.credits, 0);
+  assert.deepEqual(loaded.quests.completedDay, {});
+  assert.deepEqual(loaded.quests.failed, []);
+  assert.deepEqual(loaded.quests.tracked, ['q_pests'], 'quests active before tracking existed start tracked');
+  assert.equal(typeof loaded.rng.seed, 'number', 'unseeded runs get a fresh seed');
+  assert.deepEqual(listSaveBackups(), ['v1']);
+
+  // The upgrade is written back, so the next load doesn't migrate again
+  assert.equal(JSON.parse(storage.getItem(slotKey('vetuu_save'))).version, SAVE_VERSION);
+});
+
+test('Reclamation Notice progress from before stages resumes at the matching stage', () => {
+  const v9 = {
+    version: 9,
+    quests: {
+      active: ['q_reclamation_notice'],
+      complete: [],
+      q_reclamation_notice_progress: { 0: { complete: true } }
+    }
+  };
+
+  const migrated = migrateSave(v9);
+  assert.deepEqual(migrated.quests.stages, { q_reclamation_notice: { id: 'arena', choice: null } });
+  assert.deepEqual(migrated.quests.q_reclamation_notice_progress, {});
+});
+
+test('corrupt saves start fresh and are kept as a backup', () => {
+  storage.setItem(slotKey('vetuu_save'), '{not json');
+  assert.equal(loadGame(), null);
+  assert.deepEqual(listSaveBackups(), ['failed']);
+});
+
+test('slots keep separate saves', () => {
+  saveGame(playedState());
+  setActiveSlot(createSaveSlot('Alt'));
+  assert.equal(loadGame(), null);
+
+  const alt = makeState();
+  alt.player.level = 2;
+  saveGame(alt);
+  assert.equal(loadGame().player.level, 2);
+
+  setActiveSlot(getSaveSlots()[0].id);
+  assert.equal(loadGame().player.level, 7);
+});
+
+test('exported bundles import into a new slot', () => {
+  saveGame(playedState());
+  const bundle = exportSave();
+
+  storage.clear();
+  initSaveSlots();
+  assert.equal(loadGame(), null);
+
+  const result = importSave(bundle);
+  assert.equal(result.ok, true);
+  setActiveSlot(result.slotId);
+  assert.equal(loadGame().player.level, 7);
+
+  assert.equal(importSave(bundle.replaceAll('"level":7', '"level":8')).ok, false, 'checksum catches edits');
+});
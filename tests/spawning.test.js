@@ -0,0 +1,178 @@
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadData, makeState, makeMap } from './support.js';
+
+const catalog = await import('../src/js/enemyCatalog.js');
+const { initMapConfig } = await import('../src/js/mapConfig.js');
+const { buildSpatialIndex } = await import('../src/js/collision.js');
+const { on, clearListeners, EVENTS } = await import('../src/js/events.js');
+const { setWeather } = await import('../src/js/weather.js');
+const { validateQuestDefs } = await import('../src/js/quests.js');
+const {
+  initSpawnDirector, stopSpawnDirector, spawnScriptedEnemy, onEnemyDeath, getSpawners
+} = await import('../src/js/spawnDirector.js');
+
+const enemiesData = loadData('enemies.json');
+
+test('shipped enemy catalogue validates', () => {
+  assert.deepEqual(catalog.validateEnemyCatalog(enemiesData), []);
+});
+
+test('catalogue validation reports dangling references', () => {
+  const broken = structuredClone(enemiesData);
+  broken.types.nomad.weapon = 'no_such_weapon';
+  broken.templates.frontier_pack.roster[0].role = 'no_such_role';
+
+  const errors = catalog.validateEnemyCatalog(broken);
+  assert.equal(errors.length, 2);
+  assert.throws(() => catalog.initEnemyCatalog(broken), /enemies.json failed validation/);
+});
+
+describe('spawn director', () => {
+  let state;
+
+  before(() => {
+    catalog.initEnemyCatalog(enemiesData);
+    initMapConfig({ meta: { width: 128, height: 128 } }, { baseCenter: { x: 64, y: 64 }, expandedSize: 128 });
+
+    state = makeState({
+      spawnerDefs: [{
+        id: 'test_pack',
+        kind: 'pack',
+        center: { x: 100, y: 100 },
+        spawnRadius: 6,
+        templateId: 'karth_patrol',
+        enemyPool: ['karth_grunt'],
+        levelRange: [20, 22],
+        packSize: { min: 3, max: 3 }
+      }]
+    });
+    buildSpatialIndex(state);
+    initSpawnDirector(state);
+    stopSpawnDirector();
+  });
+
+  after(() => {
+    stopSpawnDirector();
+    clearListeners();
+  });
+
+  test('bootstrap fills a pack from its template roster', () => {
+    const pack = state.runtime.activeEnemies;
+    assert.equal(pack.length, 3);
+    assert.equal(new Set(pack.map(e => e.packId)).size, 1);
+
+    const roles = pack.map(e => e.role).sort();
+    assert.deepEqual(roles, ['melee_chaser', 'ranged_marksman', 'ranged_suppressor']);
+
+    for (const enemy of pack) {
+      assert.ok(enemy.level >= 20 && enemy.level <= 22);
+      const base = catalog.scaleEnemyStats(catalog.getEnemyType(enemy.type), enemy.level);
+      const atkMult = enemy.isAlpha ? 1.25 : 1;
+      assert.equal(enemy.atk, Math.round(base.atk * atkMult));
+      assert.ok(enemy.x >= 90 && enemy.x <= 110 && enemy.y >= 90 && enemy.y <= 110);
+    }
+  });
+
+  test('pack slots free up only when the whole pack is dead', () => {
+    const spawner = getSpawners().find(s => s.id === 'test_pack');
+    const pack = state.runtime.activeEnemies.filter(e => e.spawnerId === 'test_pack');
+
+    onEnemyDeath(pack[0]);
+    assert.equal(spawner.aliveCount, 2);
+    assert.equal(spawner.slots[0].nextRespawnAt, -Infinity);
+
+    onEnemyDeath(pack[1]);
+    onEnemyDeath(pack[2]);
+    assert.equal(spawner.aliveCount, 0);
+    assert.ok(spawner.slots[0].nextRespawnAt > 0, 'respawn timer started');
+  });
+
+  test('scripted spawns are announced on the event bus', () => {
+    const announced = [];
+    on(EVENTS.ENEMY_SPAWNED, ({ enemy }) => announced.push(enemy.id));
+
+    const add = spawnScriptedEnemy('trog_warrior', 12, 90, 60);
+    assert.deepEqual(announced, [add.id]);
+    assert.equal(add.spawnerId, null);
+    assert.ok(state.runtime.activeEnemies.includes(add));
+  });
+});
+
+describe('weather and respawns', () => {
+  const RESPAWN_MS = 10000;
+  let state;
+
+  before(() => {
+    catalog.initEnemyCatalog(enemiesData);
+    initMapConfig({ meta: { width: 128, height: 128 } }, { baseCenter: { x: 64, y: 64 }, expandedSize: 128 });
+
+    const stray = (id, type, x) => ({
+      id,
+      kind: 'stray',
+      center: { x, y: 110 },
+      spawnRadius: 3,
+      enemyPool: [type],
+      levelRange: [5, 5],
+      respawnMs: RESPAWN_MS
+    });
+    state = makeState({ spawnerDefs: [stray('test_scav', 'scav_melee', 20), stray('test_nomad', 'nomad', 110)] });
+    buildSpatialIndex(state);
+    initSpawnDirector(state);
+    stopSpawnDirector();
+  });
+
+  after(() => {
+    setWeather('clear');
+    stopSpawnDirector();
+    clearListeners();
+  });
+
+  function respawnDelay(spawnerId) {
+    const enemy = state.runtime.activeEnemies.find(e => e.spawnerId === spawnerId && e.hp > 0);
+    const spawner = getSpawners().find(s => s.id === spawnerId);
+    const killedAt = performance.now();
+    onEnemyDeath(enemy);
+    return spawner.slots[0].nextRespawnAt - killedAt;
+  }
+
+  test('a dust storm brings scavs back before nomads', () => {
+    assert.equal(state.runtime.activeEnemies.length, 2);
+
+    setWeather('dust_storm');
+    const scav = respawnDelay('test_scav');
+    const nomad = respawnDelay('test_nomad');
+
+    // Clear weather rolls both within 1-1.5x respawnMs; the storm splits them apart
+    assert.ok(nomad > scav * 2, `scavs ${scav}ms, nomads ${nomad}ms`);
+  });
+});
+
+describe('generated world', () => {
+  before(() => {
+    catalog.initEnemyCatalog(enemiesData);
+    initMapConfig({ meta: { width: 128, height: 128 } }, { baseCenter: { x: 64, y: 64 }, expandedSize: 512 });
+
+    const state = makeState({ map: makeMap(512) });
+    Object.assign(state.player, { x: 256, y: 256 });
+    buildSpatialIndex(state);
+    initSpawnDirector(state);
+    stopSpawnDirector();
+  });
+
+  after(() => {
+    stopSpawnDirector();
+    clearListeners();
+  });
+
+  test('every encounter in the shipped quests names a placed spawner', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const spawnIds = getSpawners().map(s => s.id);
+    assert.ok(spawnIds.includes('sp_scavs_west'));
+    assert.deepEqual(validateQuestDefs(loadData('quests.json').quests, { spawnIds }), []);
+
+    assert.deepEqual(validateQuestDefs([
+      { id: 'q_lost', objectives: [{ type: 'encounter', spawnId: 'sp_nowhere', until: 'cleared' }] }
+    ], { spawnIds }), ["q_lost objective 0: no spawner 'sp_nowhere'"]);
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Shared fixtures for the Node test suite.
+ * Game modules import in Node as long as nothing touches the DOM; the only
+ * browser API they need for these tests is localStorage, faked here.
+ */
+
+import { readFileSync } from 'node:fs';
+
+/**
+ * Minimal in-memory localStorage (getItem/setItem/removeItem/key/length/clear).
+ * Install it before importing modules that persist (save.js, quests.js).
+ */
+export function installLocalStorage() {
+  const store = new Map();
+  globalThis.localStorage = {
+    get length() { return store.size; },
+    key: (i) => [...store.keys()][i] ?? null,
+    getItem: (key) => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+    removeItem: (key) => store.delete(key),
+    clear: () => store.clear()
+  };
+  return globalThis.localStorage;
+}
+
+/**
+ * Parse a file from src/data.
+ */
+export function loadData(name) {
+  const url = new URL(`../src/data/${name}`, import.meta.url);
+  return JSON.parse(readFileSync(url, 'utf8'));
+}
+
+/**
+ * Square, fully walkable map with no objects or regions.
+ */
+export function makeMap(size = 128) {
+  return {
+    meta: { width: size, height: size },
+    ground: Array.from({ length: size }, () => '.'.repeat(size)),
+    legend: { tiles: { '.': { walkable: true } } },
+    objects: [],
+    regions: []
+  };
+}
+
+/**
+ * Game state shaped like game.js builds it, with only the parts the
+ * simulation modules read.
+ */
+export function makeState(overrides = {}) {
+  return {
+    map: makeMap(),
+    entities: { npcs: [], bosses: [] },
+    items: [],
+    questDefs: [],
+    flags: {},
+    quests: { active: [], complete: [], completedDay: {}, failed: [], startedAt: {}, contracts: {}, stages: {}, tracked: [] },
+    player: {
+      x: 64, y: 64,
+      hp: 100, maxHP: 100, sense: 50, maxSense: 50,
+      atk: 5, def: 3, luck: 1,
+      level: 1, xp: 0, xpToNext: 100,
+      credits: 0, ledger: [],
+      inventory: [], equipment: {}, consumableBar: { item1: null, item2: null }
+    },
+    runtime: {
+      activeEnemies: [],
+      collectedNodes: new Set(),
+      spawnedAreas: new Set(),
+      defeatedBosses: new Set(),
+      unlockedBeacons: new Set(),
+      discoveries: {},
+      shopStock: {}
+    },
+    ...overrides
+  };
+}